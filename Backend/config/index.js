@@ -0,0 +1,279 @@
+/**
+ * Configuración central del backend
+ *
+ * Se construye en tres capas, cada una sobre la anterior:
+ * 1. config/default.json (valores por defecto y redes conocidas)
+ * 2. CONFIG_FILE: archivo JSON o YAML opcional con redes, contratos, etc.
+ * 3. Variables de entorno (.env) para lo que cambia por despliegue
+ *
+ * El resultado se valida contra config/schema.js al arrancar; si no es válido
+ * el proceso no inicia. Se exporta congelado para que nadie lo modifique.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const defaults = require('./default.json');
+const { validateConfig } = require('./schema');
+
+class ConfigError extends Error {
+  constructor(errors, source) {
+    super(`Configuración inválida${source ? ` (${source})` : ''}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Mezclar objetos en profundidad (los arrays y escalares se reemplazan)
+ */
+function deepMerge(base, override) {
+  const result = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    result[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? deepMerge(base[key], value)
+      : value;
+  });
+  return result;
+}
+
+function deepFreeze(value) {
+  if (isPlainObject(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Leer el archivo indicado en CONFIG_FILE (.json, .yaml o .yml)
+ */
+function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  let content;
+
+  try {
+    content = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`no se pudo leer el archivo: ${error.message}`], resolved);
+  }
+
+  try {
+    if (/\.ya?ml$/i.test(resolved)) {
+      const yaml = require('js-yaml');
+      return yaml.safeLoad(content) || {};
+    }
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ConfigError([`formato inválido: ${error.message}`], resolved);
+  }
+}
+
+/**
+ * Valor de una variable de entorno (vacía = no definida)
+ */
+function readEnv(env, name, type = 'string') {
+  const raw = env[name];
+  if (raw === undefined || raw.trim() === '') return undefined;
+
+  const value = raw.trim();
+  if (type === 'integer') {
+    // Si no es un número se deja como texto para que el esquema lo reporte
+    return /^-?\d+$/.test(value) ? parseInt(value, 10) : value;
+  }
+  if (type === 'boolean') {
+    return value === 'true' ? true : value === 'false' ? false : value;
+  }
+  if (type === 'list') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+function setIfDefined(target, key, value) {
+  if (value !== undefined) target[key] = value;
+}
+
+/**
+ * Aplicar las variables de entorno sobre la configuración
+ *
+ * Por red (NAME en mayúsculas, p. ej. AMOY): NAME_RPC_URL, NAME_EXPLORER_URL,
+ * NAME_REGISTER_CONTRACT_ADDRESS y NAME_VERIFIER_CONTRACT_ADDRESS.
+ * REGISTER_CONTRACT_ADDRESS / VERIFIER_CONTRACT_ADDRESS (sin prefijo) se
+ * mantienen por compatibilidad y solo aplican a la red activa (NETWORK_NAME).
+ */
+function applyEnv(config, env) {
+  const result = structuredClone(config);
+
+  setIfDefined(result.server, 'env', readEnv(env, 'NODE_ENV'));
+  setIfDefined(result.server, 'port', readEnv(env, 'PORT', 'integer'));
+  setIfDefined(result.server, 'frontendUrl', readEnv(env, 'FRONTEND_URL'));
+  setIfDefined(result.server, 'shutdownTimeoutMs', readEnv(env, 'SHUTDOWN_TIMEOUT_MS', 'integer'));
+
+  setIfDefined(result.blockchain, 'network', readEnv(env, 'NETWORK_NAME')?.toLowerCase());
+  setIfDefined(result.blockchain, 'serverPrivateKey', readEnv(env, 'SERVER_PRIVATE_KEY'));
+  setIfDefined(result.blockchain, 'mock', readEnv(env, 'BLOCKCHAIN_MOCK', 'boolean'));
+
+  Object.keys(result.networks || {}).forEach(name => {
+    const prefix = name.toUpperCase();
+    const network = result.networks[name];
+    if (!isPlainObject(network)) return;
+
+    network.contracts = network.contracts || {};
+    const contracts = network.contracts;
+
+    setIfDefined(network, 'rpcUrl', readEnv(env, `${prefix}_RPC_URL`));
+    setIfDefined(network, 'explorer', readEnv(env, `${prefix}_EXPLORER_URL`));
+
+    if (name === result.blockchain.network) {
+      setIfDefined(contracts, 'register', readEnv(env, 'REGISTER_CONTRACT_ADDRESS'));
+      setIfDefined(contracts, 'verifier', readEnv(env, 'VERIFIER_CONTRACT_ADDRESS'));
+    }
+    setIfDefined(contracts, 'register', readEnv(env, `${prefix}_REGISTER_CONTRACT_ADDRESS`));
+    setIfDefined(contracts, 'verifier', readEnv(env, `${prefix}_VERIFIER_CONTRACT_ADDRESS`));
+  });
+
+  setIfDefined(result.privado, 'baseUrl', readEnv(env, 'PRIVADO_ID_BASE_URL'));
+  setIfDefined(result.privado, 'apiKey', readEnv(env, 'PRIVADO_ID_API_KEY'));
+  setIfDefined(result.privado, 'network', readEnv(env, 'PRIVADO_ID_NETWORK'));
+
+  setIfDefined(result.zk, 'circuitDir', readEnv(env, 'ZK_CIRCUIT_DIR'));
+
+  if (isPlainObject(result.store)) {
+    setIfDefined(result.store, 'driver', readEnv(env, 'STORE_DRIVER')?.toLowerCase());
+    setIfDefined(result.store, 'dir', readEnv(env, 'STORE_DIR'));
+  }
+
+  if (isPlainObject(result.rateLimit)) {
+    setIfDefined(result.rateLimit, 'windowMs', readEnv(env, 'RATE_LIMIT_WINDOW_MS', 'integer'));
+    setIfDefined(result.rateLimit, 'max', readEnv(env, 'RATE_LIMIT_MAX', 'integer'));
+    setIfDefined(result.rateLimit, 'authMax', readEnv(env, 'AUTH_RATE_LIMIT_MAX', 'integer'));
+  }
+
+  if (isPlainObject(result.session)) {
+    const session = result.session;
+    setIfDefined(session, 'jwtSecret', readEnv(env, 'JWT_SECRET'));
+    setIfDefined(session, 'issuer', readEnv(env, 'JWT_ISSUER'));
+    setIfDefined(session, 'accessTokenTtlSeconds', readEnv(env, 'ACCESS_TOKEN_TTL_SECONDS', 'integer'));
+    setIfDefined(session, 'refreshTokenTtlSeconds', readEnv(env, 'REFRESH_TOKEN_TTL_SECONDS', 'integer'));
+    setIfDefined(session, 'adminAddresses', readEnv(env, 'ADMIN_ADDRESSES', 'list'));
+  }
+
+  if (isPlainObject(result.challenge)) {
+    setIfDefined(result.challenge, 'ttlSeconds', readEnv(env, 'CHALLENGE_TTL_SECONDS', 'integer'));
+  }
+
+  if (isPlainObject(result.lockout)) {
+    setIfDefined(result.lockout, 'maxFailures', readEnv(env, 'LOCKOUT_MAX_FAILURES', 'integer'));
+    setIfDefined(result.lockout, 'durationSeconds', readEnv(env, 'LOCKOUT_DURATION_SECONDS', 'integer'));
+    setIfDefined(result.lockout, 'baseDelaySeconds', readEnv(env, 'LOCKOUT_BASE_DELAY_SECONDS', 'integer'));
+  }
+
+  if (isPlainObject(result.recovery)) {
+    setIfDefined(result.recovery, 'codeCount', readEnv(env, 'RECOVERY_CODE_COUNT', 'integer'));
+    setIfDefined(result.recovery, 'codeKey', readEnv(env, 'RECOVERY_CODE_KEY'));
+  }
+
+  if (isPlainObject(result.siwe)) {
+    const siwe = result.siwe;
+    setIfDefined(siwe, 'domain', readEnv(env, 'SIWE_DOMAIN'));
+    setIfDefined(siwe, 'uri', readEnv(env, 'SIWE_URI'));
+    setIfDefined(siwe, 'statement', readEnv(env, 'SIWE_STATEMENT'));
+    setIfDefined(siwe, 'messageTtlSeconds', readEnv(env, 'SIWE_MESSAGE_TTL_SECONDS', 'integer'));
+    setIfDefined(siwe, 'ownershipTtlSeconds', readEnv(env, 'SIWE_OWNERSHIP_TTL_SECONDS', 'integer'));
+  }
+
+  if (isPlainObject(result.oidc)) {
+    const oidc = result.oidc;
+    setIfDefined(oidc, 'issuer', readEnv(env, 'OIDC_ISSUER'));
+    setIfDefined(oidc, 'loginPageUrl', readEnv(env, 'OIDC_LOGIN_PAGE_URL'));
+    setIfDefined(oidc, 'tokenTtlSeconds', readEnv(env, 'OIDC_TOKEN_TTL_SECONDS', 'integer'));
+    // En .env el PEM va en una línea con \n
+    setIfDefined(oidc, 'privateKey', readEnv(env, 'OIDC_PRIVATE_KEY')?.replace(/\\n/g, '\n'));
+  }
+
+  if (isPlainObject(result.jobs)) {
+    setIfDefined(result.jobs, 'concurrency', readEnv(env, 'JOB_CONCURRENCY', 'integer'));
+    setIfDefined(result.jobs, 'ttlSeconds', readEnv(env, 'JOB_TTL_SECONDS', 'integer'));
+  }
+
+  if (isPlainObject(result.progress)) {
+    setIfDefined(result.progress, 'ttlSeconds', readEnv(env, 'PROGRESS_TTL_SECONDS', 'integer'));
+  }
+
+  if (isPlainObject(result.idempotency)) {
+    setIfDefined(result.idempotency, 'ttlSeconds', readEnv(env, 'IDEMPOTENCY_TTL_SECONDS', 'integer'));
+  }
+
+  if (isPlainObject(result.webhooks)) {
+    const webhooks = result.webhooks;
+    setIfDefined(webhooks, 'maxAttempts', readEnv(env, 'WEBHOOK_MAX_ATTEMPTS', 'integer'));
+    setIfDefined(webhooks, 'retryBaseMs', readEnv(env, 'WEBHOOK_RETRY_BASE_MS', 'integer'));
+    setIfDefined(webhooks, 'timeoutMs', readEnv(env, 'WEBHOOK_TIMEOUT_MS', 'integer'));
+    setIfDefined(webhooks, 'pollIntervalMs', readEnv(env, 'WEBHOOK_POLL_INTERVAL_MS', 'integer'));
+    setIfDefined(webhooks, 'concurrency', readEnv(env, 'WEBHOOK_CONCURRENCY', 'integer'));
+  }
+
+  if (isPlainObject(result.metrics)) {
+    setIfDefined(result.metrics, 'token', readEnv(env, 'METRICS_TOKEN'));
+  }
+
+  if (isPlainObject(result.logging)) {
+    setIfDefined(result.logging, 'level', readEnv(env, 'LOG_LEVEL')?.toLowerCase());
+  }
+
+  if (isPlainObject(result.logging?.audit)) {
+    setIfDefined(result.logging.audit, 'signingKey', readEnv(env, 'AUDIT_SIGNING_KEY'));
+    setIfDefined(result.logging.audit, 'previousSigningKeys', readEnv(env, 'AUDIT_PREVIOUS_SIGNING_KEYS', 'list'));
+    setIfDefined(result.logging.audit, 'checkpointInterval', readEnv(env, 'AUDIT_CHECKPOINT_INTERVAL', 'integer'));
+  }
+
+  if (isPlainObject(result.logging?.files)) {
+    const files = result.logging.files;
+    setIfDefined(files, 'maxSizeMb', readEnv(env, 'LOG_MAX_SIZE_MB', 'integer'));
+    setIfDefined(files, 'flushIntervalMs', readEnv(env, 'LOG_FLUSH_INTERVAL_MS', 'integer'));
+    setIfDefined(files, 'retentionDays', readEnv(env, 'LOG_RETENTION_DAYS', 'integer'));
+    setIfDefined(files, 'securityRetentionDays', readEnv(env, 'SECURITY_LOG_RETENTION_DAYS', 'integer'));
+  }
+
+  if (isPlainObject(result.security?.threatDetection)) {
+    setIfDefined(result.security.threatDetection, 'mode', readEnv(env, 'THREAT_DETECTION_MODE')?.toLowerCase());
+  }
+
+  return result;
+}
+
+/**
+ * Cargar y validar la configuración
+ * @param {Object} env - Variables de entorno (process.env por defecto)
+ * @throws {ConfigError} Si la configuración no cumple el esquema
+ */
+function loadConfig(env = process.env) {
+  let config = structuredClone(defaults);
+  const configFile = readEnv(env, 'CONFIG_FILE');
+
+  if (configFile) {
+    config = deepMerge(config, readConfigFile(configFile));
+  }
+
+  config = applyEnv(config, env);
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new ConfigError(errors, configFile);
+  }
+
+  // Las rutas relativas (circuitos y almacén) se resuelven desde Backend/
+  config.zk.circuitDir = path.resolve(__dirname, '..', config.zk.circuitDir);
+  config.store.dir = path.resolve(__dirname, '..', config.store.dir);
+
+  return deepFreeze(config);
+}
+
+// Crear instancia singleton
+const config = loadConfig();
+
+module.exports = config;
@@ -0,0 +1,481 @@
+/**
+ * Esquema de la configuración del backend
+ *
+ * Subconjunto sencillo de JSON Schema (type, properties, required,
+ * additionalProperties, items, minItems, enum, minimum, maximum, format,
+ * nullable) suficiente para validar config/default.json, el archivo de
+ * CONFIG_FILE y los overrides de entorno antes de arrancar.
+ */
+
+const { ethers } = require('ethers');
+
+const networkSchema = {
+  type: 'object',
+  required: ['chainId', 'name', 'rpcUrl', 'explorer', 'contracts'],
+  additionalProperties: false,
+  properties: {
+    chainId: { type: 'integer', minimum: 1 },
+    name: { type: 'string' },
+    rpcUrl: { type: 'string', format: 'url' },
+    explorer: { type: 'string', format: 'url' },
+    currency: { type: 'string' },
+    contracts: {
+      type: 'object',
+      required: ['register', 'verifier'],
+      additionalProperties: false,
+      properties: {
+        register: { type: 'string', format: 'address', nullable: true },
+        verifier: { type: 'string', format: 'address', nullable: true }
+      }
+    }
+  }
+};
+
+// Regla de redacción de logs: campos (sin distinguir mayúsculas) y acción
+const redactionRuleSchema = {
+  type: 'object',
+  required: ['fields', 'action'],
+  additionalProperties: false,
+  properties: {
+    fields: { type: 'array', minItems: 1, items: { type: 'string' } },
+    action: { type: 'string', enum: ['mask', 'email', 'truncate', 'query'] }
+  }
+};
+
+// Regla de detección de amenazas (ver utils/threatDetector.js)
+const threatRuleSchema = {
+  type: 'object',
+  required: ['id', 'pattern', 'targets', 'severity'],
+  additionalProperties: false,
+  properties: {
+    id: { type: 'string' },
+    description: { type: 'string' },
+    enabled: { type: 'boolean' },
+    pattern: { type: 'string', format: 'regex' },
+    // Sin 'g' ni 'y': harían que test() recuerde lastIndex entre peticiones
+    flags: { type: 'string', format: 'regexFlags' },
+    // 'body', 'query', 'url', 'body.<campo>', 'query.<campo>' o 'headers.<cabecera>'
+    targets: { type: 'array', minItems: 1, items: { type: 'string' } },
+    severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+    // Puntos por campo que coincide y puntos necesarios para dispararse
+    score: { type: 'integer', minimum: 1 },
+    threshold: { type: 'integer', minimum: 1 },
+    mode: { type: 'string', enum: ['block', 'report'] }
+  }
+};
+
+// Reglas desactivadas en una ruta (exacta o prefijo terminado en '*')
+const threatAllowlistSchema = {
+  type: 'object',
+  required: ['path'],
+  additionalProperties: false,
+  properties: {
+    path: { type: 'string' },
+    methods: { type: 'array', items: { type: 'string' } },
+    // Sin rules se desactivan todas
+    rules: { type: 'array', minItems: 1, items: { type: 'string' } }
+  }
+};
+
+const configSchema = {
+  type: 'object',
+  required: [
+    'server', 'blockchain', 'networks', 'privado', 'zk', 'store', 'rateLimit', 'session',
+    'challenge', 'lockout', 'recovery', 'siwe', 'oidc', 'jobs', 'progress', 'idempotency', 'webhooks'
+  ],
+  additionalProperties: false,
+  properties: {
+    server: {
+      type: 'object',
+      required: ['env', 'port', 'frontendUrl'],
+      additionalProperties: false,
+      properties: {
+        env: { type: 'string', enum: ['development', 'production', 'test'] },
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        frontendUrl: { type: 'string', format: 'url' },
+        shutdownTimeoutMs: { type: 'integer', minimum: 0 }
+      }
+    },
+    blockchain: {
+      type: 'object',
+      required: ['network'],
+      additionalProperties: false,
+      properties: {
+        network: { type: 'string' },
+        serverPrivateKey: { type: 'string', nullable: true },
+        // Respuestas mock sin conexión o sin contratos (null: solo en development y test)
+        mock: { type: 'boolean', nullable: true }
+      }
+    },
+    networks: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: networkSchema
+    },
+    privado: {
+      type: 'object',
+      required: ['baseUrl'],
+      additionalProperties: false,
+      properties: {
+        baseUrl: { type: 'string', format: 'url' },
+        apiKey: { type: 'string', nullable: true },
+        timeoutMs: { type: 'integer', minimum: 1 },
+        network: { type: 'string' }
+      }
+    },
+    zk: {
+      type: 'object',
+      required: ['circuitDir', 'wasmFile', 'zkeyFile', 'vkeyFile'],
+      additionalProperties: false,
+      properties: {
+        circuitDir: { type: 'string' },
+        wasmFile: { type: 'string' },
+        zkeyFile: { type: 'string' },
+        vkeyFile: { type: 'string' }
+      }
+    },
+    store: {
+      type: 'object',
+      required: ['driver', 'dir'],
+      additionalProperties: false,
+      properties: {
+        // memory: un solo proceso | file: JSON en dir compartido por varias réplicas
+        driver: { type: 'string', enum: ['memory', 'file'] },
+        dir: { type: 'string' }
+      }
+    },
+    rateLimit: {
+      type: 'object',
+      required: ['windowMs', 'max', 'authMax'],
+      additionalProperties: false,
+      properties: {
+        windowMs: { type: 'integer', minimum: 1000 },
+        // Peticiones por IP y ventana (authMax para las rutas de autenticación)
+        max: { type: 'integer', minimum: 1 },
+        authMax: { type: 'integer', minimum: 1 }
+      }
+    },
+    session: {
+      type: 'object',
+      required: ['issuer', 'accessTokenTtlSeconds', 'refreshTokenTtlSeconds', 'adminAddresses'],
+      additionalProperties: false,
+      properties: {
+        // Sin secreto se usa uno temporal (los tokens no sobreviven a un reinicio)
+        jwtSecret: { type: 'string', nullable: true },
+        issuer: { type: 'string' },
+        accessTokenTtlSeconds: { type: 'integer', minimum: 1 },
+        refreshTokenTtlSeconds: { type: 'integer', minimum: 1 },
+        // Direcciones con acceso a las rutas /admin
+        adminAddresses: { type: 'array', items: { type: 'string', format: 'address' } }
+      }
+    },
+    challenge: {
+      type: 'object',
+      required: ['ttlSeconds'],
+      additionalProperties: false,
+      properties: {
+        ttlSeconds: { type: 'integer', minimum: 1 }
+      }
+    },
+    lockout: {
+      type: 'object',
+      required: ['maxFailures', 'durationSeconds', 'baseDelaySeconds'],
+      additionalProperties: false,
+      properties: {
+        maxFailures: { type: 'integer', minimum: 1 },
+        durationSeconds: { type: 'integer', minimum: 1 },
+        baseDelaySeconds: { type: 'integer', minimum: 0 }
+      }
+    },
+    recovery: {
+      type: 'object',
+      required: ['codeCount'],
+      additionalProperties: false,
+      properties: {
+        codeCount: { type: 'integer', minimum: 1, maximum: 32 },
+        // Clave HMAC de los códigos; obligatoria fuera de development y test
+        codeKey: { type: 'string', nullable: true }
+      }
+    },
+    siwe: {
+      type: 'object',
+      required: ['statement', 'messageTtlSeconds', 'ownershipTtlSeconds'],
+      additionalProperties: false,
+      properties: {
+        // Por defecto, host y URL de server.frontendUrl
+        domain: { type: 'string', nullable: true },
+        uri: { type: 'string', format: 'url', nullable: true },
+        statement: { type: 'string' },
+        messageTtlSeconds: { type: 'integer', minimum: 1 },
+        ownershipTtlSeconds: { type: 'integer', minimum: 1 }
+      }
+    },
+    oidc: {
+      type: 'object',
+      required: ['tokenTtlSeconds'],
+      additionalProperties: false,
+      properties: {
+        // Por defecto http://localhost:<puerto> y server.frontendUrl
+        issuer: { type: 'string', format: 'url', nullable: true },
+        loginPageUrl: { type: 'string', format: 'url', nullable: true },
+        tokenTtlSeconds: { type: 'integer', minimum: 1 },
+        // Clave RSA en PEM; sin ella se genera una temporal
+        privateKey: { type: 'string', nullable: true }
+      }
+    },
+    jobs: {
+      type: 'object',
+      required: ['concurrency', 'ttlSeconds'],
+      additionalProperties: false,
+      properties: {
+        concurrency: { type: 'integer', minimum: 1 },
+        ttlSeconds: { type: 'integer', minimum: 1 }
+      }
+    },
+    progress: {
+      type: 'object',
+      required: ['ttlSeconds'],
+      additionalProperties: false,
+      properties: {
+        ttlSeconds: { type: 'integer', minimum: 1 }
+      }
+    },
+    idempotency: {
+      type: 'object',
+      required: ['ttlSeconds'],
+      additionalProperties: false,
+      properties: {
+        ttlSeconds: { type: 'integer', minimum: 1 }
+      }
+    },
+    webhooks: {
+      type: 'object',
+      required: ['maxAttempts', 'retryBaseMs', 'timeoutMs', 'pollIntervalMs', 'concurrency'],
+      additionalProperties: false,
+      properties: {
+        maxAttempts: { type: 'integer', minimum: 1 },
+        retryBaseMs: { type: 'integer', minimum: 1 },
+        timeoutMs: { type: 'integer', minimum: 1 },
+        pollIntervalMs: { type: 'integer', minimum: 10 },
+        // Endpoints atendidos a la vez en cada pasada de la cola
+        concurrency: { type: 'integer', minimum: 1, maximum: 64 }
+      }
+    },
+    metrics: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        // Si se define, /metrics lo exige como Bearer token
+        token: { type: 'string', nullable: true }
+      }
+    },
+    logging: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+        redaction: {
+          type: 'object',
+          required: ['enabled', 'rules'],
+          additionalProperties: false,
+          properties: {
+            enabled: { type: 'boolean' },
+            rules: { type: 'array', items: redactionRuleSchema }
+          }
+        },
+        audit: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            // Clave HMAC de los checkpoints; obligatoria fuera de development y test
+            signingKey: { type: 'string', nullable: true },
+            // Claves ya rotadas, solo para verificar checkpoints antiguos
+            previousSigningKeys: { type: 'array', items: { type: 'string' } },
+            // Entradas de security.log entre checkpoints firmados (0 = solo al cerrar)
+            checkpointInterval: { type: 'integer', minimum: 0 }
+          }
+        },
+        files: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            // Tamaño a partir del que se rota y comprime un archivo (0 = sin límite)
+            maxSizeMb: { type: 'integer', minimum: 0 },
+            flushIntervalMs: { type: 'integer', minimum: 10 },
+            // Días que se conservan los logs diarios y los segmentos de security.log (0 = siempre)
+            retentionDays: { type: 'integer', minimum: 0 },
+            securityRetentionDays: { type: 'integer', minimum: 0 }
+          }
+        }
+      }
+    },
+    security: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        threatDetection: {
+          type: 'object',
+          required: ['mode', 'rules'],
+          additionalProperties: false,
+          properties: {
+            // report: las reglas solo se registran, no bloquean
+            mode: { type: 'string', enum: ['block', 'report'] },
+            rules: { type: 'array', items: threatRuleSchema },
+            allowlist: { type: 'array', items: threatAllowlistSchema }
+          }
+        }
+      }
+    }
+  }
+};
+
+const formats = {
+  url: (value) => {
+    try {
+      return ['http:', 'https:', 'ws:', 'wss:'].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  },
+  address: (value) => ethers.isAddress(value),
+  regex: (value) => {
+    try {
+      new RegExp(value);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+  regexFlags: (value) => /^[dimsuv]*$/.test(value) && new Set(value).size === value.length
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validar un valor contra un esquema
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - Esquema
+ * @param {string} at - Ruta del valor (para los mensajes)
+ * @returns {string[]} Lista de errores (vacía si es válido)
+ */
+function validate(value, schema, at = 'config') {
+  const errors = [];
+
+  if (value === null || value === undefined) {
+    if (!schema.nullable) errors.push(`${at}: es obligatorio`);
+    return errors;
+  }
+
+  const actual = typeOf(value);
+  const typeMatches = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+  if (!typeMatches) {
+    errors.push(`${at}: se esperaba ${schema.type} y se recibió ${actual}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: debe ser uno de ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: debe ser >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at}: debe ser <= ${schema.maximum}`);
+  }
+  if (schema.format && !formats[schema.format](value)) {
+    errors.push(`${at}: formato ${schema.format} inválido (${value})`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${at}: debe tener al menos ${schema.minItems} elemento(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${at}[${index}]`));
+      });
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value);
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${at}.${key}: es obligatorio`);
+    });
+
+    if (schema.minProperties && keys.length < schema.minProperties) {
+      errors.push(`${at}: debe tener al menos ${schema.minProperties} elemento(s)`);
+    }
+
+    keys.forEach(key => {
+      if (properties[key]) {
+        errors.push(...validate(value[key], properties[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}.${key}: propiedad desconocida`);
+      } else if (schema.additionalProperties) {
+        errors.push(...validate(value[key], schema.additionalProperties, `${at}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Secretos sin valor por defecto seguro: con uno temporal, lo ya guardado con
+// ellos deja de valer al reiniciar. Solo development y test pueden omitirlos.
+const PRODUCTION_SECRETS = [
+  ['recovery.codeKey', 'RECOVERY_CODE_KEY'],
+  ['logging.audit.signingKey', 'AUDIT_SIGNING_KEY']
+];
+
+const SECRET_OPTIONAL_ENVS = ['development', 'test'];
+
+/**
+ * Validar la configuración completa (esquema + reglas entre secciones)
+ * @returns {string[]} Lista de errores
+ */
+function validateConfig(config) {
+  const errors = validate(config, configSchema);
+  const networks = isPlainObject(config?.networks) ? config.networks : {};
+  const activeNetwork = config?.blockchain?.network;
+
+  if (typeof activeNetwork === 'string' && !networks[activeNetwork]) {
+    errors.push(`config.blockchain.network: red no definida en networks (${activeNetwork})`);
+  }
+
+  const seen = new Map();
+  Object.entries(networks).forEach(([name, network]) => {
+    const chainId = network?.chainId;
+    if (chainId === undefined) return;
+
+    if (seen.has(chainId)) {
+      errors.push(`config.networks.${name}.chainId: ${chainId} repetido (también en ${seen.get(chainId)})`);
+    }
+    seen.set(chainId, name);
+  });
+
+  const env = config?.server?.env;
+  if (typeof env === 'string' && !SECRET_OPTIONAL_ENVS.includes(env)) {
+    PRODUCTION_SECRETS.forEach(([at, variable]) => {
+      const value = at.split('.').reduce((node, key) => node?.[key], config);
+      if (!value) {
+        errors.push(`config.${at}: es obligatorio en ${env} (${variable})`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = { configSchema, validate, validateConfig };
@@ -8,10 +8,26 @@
  * 4. Manejo de registro y autenticación de usuarios
  * 
  * Endpoints principales:
- * - POST /register-user: Registrar nuevo usuario con hash ZK
+ * - POST /register-user: Registrar nuevo usuario con hash ZK (asíncrono, 202 + job)
+ * - GET /jobs/:id: Estado de un trabajo asíncrono
+ * - GET /progress/:id/stream: Progreso en vivo por etapas (Server-Sent Events)
  * - POST /generate-proof: Generar prueba ZK para login
  * - POST /verify-proof: Verificar prueba ZK en blockchain
  * - POST /check-user: Verificar si usuario está registrado
+ * - POST /change-password: Rotar commitment on-chain con prueba de la contraseña actual
+ * - POST /recover-account: Resetear commitment con un código de recuperación
+ * - POST /auth/challenge: Obtener nonce de un solo uso para login
+ * - POST /auth/siwe/message: Obtener mensaje Sign-In with Ethereum
+ * - POST /auth/siwe/verify: Verificar firma SIWE (propiedad de la wallet)
+ * - POST /session/refresh: Renovar sesión con refresh token
+ * - POST /session/logout: Cerrar sesión actual
+ * - GET /.well-known/openid-configuration: Descubrimiento OpenID Connect
+ * - GET /authorize, POST /token, GET /userinfo: Proveedor OIDC sobre el login ZK
+ * - GET /metrics: Métricas en formato Prometheus
+ * - GET /admin/users: Administración de usuarios (requiere sesión de administrador)
+ * - /admin/webhooks: Endpoints de webhooks y registro de entregas (admin)
+ *
+ * Las rutas que cambian estado aceptan la cabecera opcional Idempotency-Key.
  */
 
 require('dotenv').config();
@@ -27,48 +43,86 @@ const crypto = require('crypto-js');
 const fs = require('fs');
 const path = require('path');
 
+// Configuración central (valida el esquema al cargar; si falla, no arranca)
+const config = require('./config');
+
 // Importar servicios personalizados
 const ZKService = require('./services/zkService');
 const BlockchainService = require('./services/blockchainService');
 const PrivadoIDService = require('./services/privadoService');
 const UserService = require('./services/userService');
+const SessionService = require('./services/sessionService');
+const ChallengeService = require('./services/challengeService');
+const SiweService = require('./services/siweService');
+const OIDCService = require('./services/oidcService');
+const RecoveryService = require('./services/recoveryService');
+const WebhookService = require('./services/webhookService');
+const JobService = require('./services/jobService');
+const ProgressService = require('./services/progressService');
+const IdempotencyService = require('./services/idempotencyService');
+const LoginAttemptService = require('./services/loginAttemptService');
+
+// Importar almacenes de estado compartido
+const { createRateLimitStore } = require('./stores');
 
 // Importar utilidades
 const logger = require('./utils/logger');
-const { ValidationMiddleware } = require('./utils/validator');
+const metrics = require('./utils/metrics');
+const lifecycle = require('./utils/lifecycle');
+const i18n = require('./utils/i18n');
+const requestContext = require('./utils/requestContext');
+const auditLog = require('./utils/auditLog');
+const logQuery = require('./utils/logQuery');
+const { Validator, ValidationMiddleware } = require('./utils/validator');
+const { ApiError, sendError } = require('./utils/errors');
 
 // Crear instancia de Express
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.server.port;
+
+// Tiempo máximo de espera del cierre ordenado (pruebas y transacciones en curso)
+const SHUTDOWN_TIMEOUT_MS = config.server.shutdownTimeoutMs ?? 30 * 1000;
+let server = null;
 
 // Configuración de middlewares
+app.use(requestContext.middleware()); // X-Request-Id para correlacionar logs
 app.use(helmet()); // Seguridad básica
 app.use(compression()); // Compresión gzip
 app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  origin: config.server.frontendUrl,
+  credentials: true,
+  exposedHeaders: [requestContext.header]
 }));
+app.use(i18n.middleware()); // Idioma de los mensajes (Accept-Language)
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
+app.use(lifecycle.middleware()); // 503 durante el cierre
 
 // Middlewares de seguridad y logging
 app.use(logger.requestMiddleware()); // Logging personalizado
+app.use(metrics.requestMiddleware()); // Métricas Prometheus
 app.use(ValidationMiddleware.sanitizeInputs); // Sanitización
 app.use(ValidationMiddleware.detectThreats); // Detección de amenazas
 
-// Rate limiting
+// Rate limiting (los contadores se limpian en el intervalo de limpieza)
+const rateLimitStore = createRateLimitStore('rate-limit');
+const authRateLimitStore = createRateLimitStore('auth-rate-limit');
+
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutos
-  max: 100, // límite de 100 requests por IP
-  message: 'Demasiadas solicitudes desde esta IP, intenta más tarde.'
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max, // requests por IP y ventana
+  handler: (req, res) => sendError(res, 'RATE_LIMITED'),
+  skip: (req) => req.path === '/metrics', // Prometheus hace scrape periódicamente
+  store: rateLimitStore
 });
 app.use(limiter);
 
 // Rate limiting específico para endpoints sensibles
 const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 10, // solo 10 intentos de auth por IP
-  message: 'Demasiados intentos de autenticación, intenta más tarde.'
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.authMax, // intentos de auth por IP
+  handler: (req, res) => sendError(res, 'AUTH_RATE_LIMITED'),
+  store: authRateLimitStore
 });
 
 // Inicializar servicios
@@ -76,6 +130,25 @@ const zkService = new ZKService();
 const blockchainService = new BlockchainService();
 const privadoService = new PrivadoIDService();
 const userService = new UserService();
+const sessionService = new SessionService();
+const challengeService = new ChallengeService();
+const siweService = new SiweService();
+const oidcService = new OIDCService();
+const recoveryService = new RecoveryService();
+const webhookService = new WebhookService();
+const jobService = new JobService();
+const progressService = new ProgressService();
+const idempotencyService = new IdempotencyService();
+const loginAttemptService = new LoginAttemptService();
+
+// Idempotency-Key en rutas que cambian estado (un reintento devuelve la respuesta original)
+const idempotent = idempotencyService.middleware();
+
+// Backoff y bloqueo por cuenta (dirección y nombre de usuario) tras intentos fallidos
+const accountLockGuard = loginAttemptService.guard(address => userService.findByAddress(address)?.username);
+
+// chainId de la petición (body, o query en GET) -> req.chainId; 400 si la red no está configurada
+const chainGuard = blockchainService.requireSupportedChain();
 
 /**
  * ================================
@@ -97,38 +170,72 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Métricas Prometheus (si config.metrics.token está definido se exige como Bearer)
+app.get('/metrics', (req, res) => {
+  const token = config.metrics?.token;
+
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return sendError(res, 'METRICS_TOKEN_REQUIRED');
+  }
+
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
 // Información del sistema
 app.get('/info', (req, res) => {
   res.json({
     name: 'ZK Login Backend',
-    description: 'Servidor para autenticación con Zero-Knowledge Proofs',
+    description: i18n.t('messages.serverDescription', req.locale),
     version: '1.0.0',
     endpoints: [
       'GET /health - Estado del servidor',
       'GET /info - Información del sistema',
+      'GET /metrics - Métricas Prometheus',
       'POST /check-user - Verificar registro de usuario',
-      'POST /register-user - Registrar nuevo usuario',
+      'POST /auth/challenge - Obtener desafío de login',
+      'POST /auth/siwe/message - Obtener mensaje SIWE',
+      'POST /auth/siwe/verify - Verificar firma SIWE',
+      'POST /register-user - Registrar nuevo usuario (202 + job)',
+      'GET /jobs/:id - Estado de un trabajo asíncrono',
+      'GET /progress/:id/stream - Progreso en vivo (SSE)',
       'POST /generate-proof - Generar prueba ZK',
-      'POST /verify-proof - Verificar prueba ZK'
+      'POST /verify-proof - Verificar prueba ZK',
+      'POST /change-password - Cambiar contraseña (rota el commitment)',
+      'POST /recover-account - Recuperar cuenta con código de recuperación',
+      'GET /session - Información de la sesión actual',
+      'POST /session/refresh - Renovar sesión',
+      'POST /session/logout - Cerrar sesión',
+      'POST /session/revoke - Revocar todas las sesiones',
+      'GET /.well-known/openid-configuration - Descubrimiento OIDC',
+      'GET /.well-known/jwks.json - Claves públicas OIDC',
+      'GET /authorize - Autorización OIDC (PKCE)',
+      'POST /token - Canje de authorization code',
+      'GET /userinfo - Claims del usuario',
+      'GET /admin/users - Listar y buscar usuarios (admin)',
+      'GET /admin/users/onchain - Usuarios registrados en el contrato (admin)',
+      'GET /admin/users/:address - Detalle de usuario (admin)',
+      'POST /admin/users/:address/deactivate - Desactivar usuario (admin)',
+      'POST /admin/users/:address/reactivate - Reactivar usuario (admin)',
+      'POST /admin/users/:address/unlock - Desbloquear tras intentos fallidos (admin)',
+      'GET /admin/webhooks - Listar webhooks (admin)',
+      'POST /admin/webhooks - Registrar webhook (admin)',
+      'DELETE /admin/webhooks/:id - Eliminar webhook (admin)',
+      'GET /admin/webhooks/deliveries - Registro de entregas (admin)',
+      'POST /admin/webhooks/deliveries/:id/retry - Reintentar entrega (admin)'
     ],
-    networks: {
-      amoy: {
-          chainId: 80002,
-          rpc: process.env.AMOY_RPC_URL,
-          contracts: {
-            register: process.env.REGISTER_CONTRACT_ADDRESS,
-            verifier: process.env.VERIFIER_CONTRACT_ADDRESS
-          }
-        },
-        mumbai: {
-          chainId: 80001,
-          rpc: process.env.MUMBAI_RPC_URL,
-          contracts: {
-            register: process.env.REGISTER_CONTRACT_ADDRESS,
-            verifier: process.env.VERIFIER_CONTRACT_ADDRESS
-          }
-        }
-    }
+    activeNetwork: config.blockchain.network,
+    defaultChainId: blockchainService.defaultChainId,
+    networks: Object.fromEntries(
+      Object.entries(config.networks).map(([name, network]) => [name, {
+        chainId: network.chainId,
+        name: network.name,
+        rpc: network.rpcUrl,
+        explorer: network.explorer,
+        contracts: network.contracts,
+        isConnected: blockchainService.getChain(network.chainId).isConnected
+      }])
+    )
   });
 });
 
@@ -141,227 +248,326 @@ app.get('/info', (req, res) => {
 /**
  * Verificar si un usuario está registrado
  * POST /check-user
- * Body: { address: string }
+ * Body: { address: string, chainId?: number }
  */
-app.post('/check-user', async (req, res) => {
+app.post('/check-user', chainGuard, async (req, res) => {
   try {
     const { address } = req.body;
 
-    if (!address || !ethers.utils.isAddress(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Dirección de wallet inválida'
-      });
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
     }
 
-    const isRegistered = await blockchainService.isUserRegistered(address);
+    const isRegistered = await blockchainService.isUserRegistered(address, req.chainId);
 
     res.json({
       success: true,
       isRegistered,
       address,
+      chainId: req.chainId,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('Error verificando usuario:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error interno del servidor'
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Emitir desafío de un solo uso para login
+ * POST /auth/challenge
+ * Body: { address: string }
+ */
+app.post('/auth/challenge', authLimiter, (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
+    }
+
+    const challenge = challengeService.issueChallenge(address);
+
+    res.json({
+      success: true,
+      address,
+      ...challenge,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error emitiendo desafío:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Construir mensaje Sign-In with Ethereum (EIP-4361)
+ * POST /auth/siwe/message
+ * Body: { address: string, chainId?: number }
+ */
+app.post('/auth/siwe/message', authLimiter, chainGuard, (req, res) => {
+  try {
+    const { address } = req.body;
+
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
+    }
+
+    const siweMessage = siweService.createMessage(address, req.chainId);
+
+    res.json({
+      success: true,
+      ...siweMessage,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error creando mensaje SIWE:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Verificar firma SIWE y emitir token de propiedad de wallet
+ * POST /auth/siwe/verify
+ * Body: { nonce: string, signature: string }
+ */
+app.post('/auth/siwe/verify', authLimiter, (req, res) => {
+  try {
+    const { nonce, signature } = req.body;
+
+    if (!nonce || !signature) {
+      return sendError(res, 'SIWE_FIELDS_MISSING');
+    }
+
+    const verification = siweService.verifySignature(nonce, signature);
+    if (!verification.success) {
+      logger.security('SIWE verification failed', {
+        reason: verification.error,
+        ip: req.ip
+      });
+
+      return sendError(res, verification.code);
+    }
+
+    const ownership = siweService.issueOwnershipToken(verification.address);
+    logger.userActivity('siwe_verified', verification.address);
+
+    res.json({
+      success: true,
+      address: verification.address,
+      ...ownership,
+      timestamp: new Date().toISOString()
     });
+
+  } catch (error) {
+    console.error('Error verificando SIWE:', error);
+    sendError(res, 'INTERNAL_ERROR');
   }
 });
 
 /**
  * Registrar nuevo usuario
  * POST /register-user
+ * Header opcional: Idempotency-Key
  * Body: { username: string, email: string, address: string, passwordHash: string, chainId?: number }
+ *
+ * Responde 202 con un jobId y un jobToken (solo en esta respuesta) con el que
+ * se consulta el progreso en GET /jobs/:id. Los códigos de recuperación
+ * también se entregan solo aquí: son válidos cuando el trabajo termina con
+ * result.recovery.status = 'issued'.
  */
 app.post('/register-user', 
   authLimiter, 
+  idempotent,
+  chainGuard,
   ValidationMiddleware.validateUserRegistration,
   async (req, res) => {
   try {
-    const { username, email, address, passwordHash, chainId = 80002 } = req.body;
+    const { username, email, address, passwordHash } = req.body;
+    const { chainId } = req;
 
     // Validaciones
     if (!username || username.trim().length < 3) {
-      return res.status(400).json({
-        success: false,
-        error: 'Nombre de usuario debe tener al menos 3 caracteres'
-      });
+      return sendError(res, 'INVALID_USERNAME');
     }
 
     if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Email inválido'
-      });
+      return sendError(res, 'INVALID_EMAIL');
     }
 
-    if (!address || !ethers.utils.isAddress(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Dirección de wallet inválida'
-      });
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
     }
 
     if (!passwordHash || passwordHash.length !== 64) {
-      return res.status(400).json({
-        success: false,
-        error: 'Hash de contraseña inválido'
-      });
+      return sendError(res, 'INVALID_PASSWORD_HASH');
     }
 
     // Verificar si ya está registrado en blockchain
-    const isRegistered = await blockchainService.isUserRegistered(address);
+    const isRegistered = await blockchainService.isUserRegistered(address, chainId);
     if (isRegistered) {
-      return res.status(409).json({
-        success: false,
-        error: 'Usuario ya registrado en blockchain'
-      });
+      return sendError(res, 'USER_ALREADY_REGISTERED');
     }
 
     // Verificar duplicados en base de datos local
     try {
       if (userService.findByAddress(address)) {
-        return res.status(409).json({
-          success: false,
-          error: 'Dirección de wallet ya registrada'
-        });
+        return sendError(res, 'ADDRESS_ALREADY_REGISTERED');
       }
 
       if (userService.findByUsername(username)) {
-        return res.status(409).json({
-          success: false,
-          error: 'Nombre de usuario ya está en uso'
-        });
+        return sendError(res, 'USERNAME_TAKEN');
       }
 
       if (userService.findByEmail(email)) {
-        return res.status(409).json({
-          success: false,
-          error: 'Email ya está registrado'
-        });
+        return sendError(res, 'EMAIL_TAKEN');
       }
     } catch (error) {
       console.error('Error verificando duplicados:', error);
     }
 
-    // Generar prueba ZK para registro
-    console.log('Generando prueba ZK para registro...');
-    const proofData = await zkService.generateRegistrationProof(passwordHash);
-
-    if (!proofData.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Error generando prueba ZK: ' + proofData.error
+    // Evitar dos registros en paralelo de la misma dirección
+    const activeJob = jobService.findActiveJob('registration', 'address', address.toLowerCase());
+    if (activeJob) {
+      return sendError(res, 'REGISTRATION_IN_PROGRESS', {
+        jobId: activeJob.id,
+        statusUrl: `/jobs/${activeJob.id}`
       });
     }
 
-    // Registrar en blockchain
-    console.log('Registrando usuario en blockchain...');
-    const registrationResult = await blockchainService.registerUser(
-      address,
-      proofData.publicSignals,
-      chainId
+    // Los códigos en claro no se guardan en el trabajo: solo los usa el handler
+    const recoveryCodes = recoveryService.generateCodes();
+
+    // Prueba, transacción y confirmación se ejecutan en segundo plano
+    const { job, token: jobToken } = jobService.enqueue(
+      'registration',
+      REGISTRATION_STAGES,
+      (job, runStage) => runRegistrationJob(
+        { username, email, address, passwordHash, chainId, recoveryCodes },
+        runStage,
+        progressService.tracker(job.id)
+      ).then(
+        result => {
+          progressService.finish(job.id, 'completed', { transactionHash: result.transactionHash });
+          return result;
+        },
+        error => {
+          progressService.finish(job.id, 'failed', {
+            error: error.message,
+            code: error instanceof ApiError ? error.code : 'INTERNAL_ERROR'
+          });
+          throw error;
+        }
+      ),
+      { address: address.toLowerCase() }
     );
 
-    if (!registrationResult.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Error registrando en blockchain: ' + registrationResult.error
+    // El trabajo empieza en el siguiente ciclo: el canal ya existe cuando publique
+    progressService.open(job.id, jobToken);
+
+    logger.userActivity('registration_queued', address, { jobId: job.id });
+
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json({
+        success: true,
+        message: i18n.t('messages.registrationInProgress', req.locale),
+        jobId: job.id,
+        jobToken,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        recoveryCodes,
+        timestamp: new Date().toISOString()
       });
-    }
 
-    // Guardar datos de usuario en base de datos local
-    try {
-      const newUser = userService.createUser({
-        username,
-        email,
-        address,
-        passwordHash,
-        chainId
-      });
-      
-      console.log('Usuario guardado en base de datos:', newUser.id);
-    } catch (error) {
-      console.error('Error guardando usuario en BD (no crítico):', error.message);
-    }
+  } catch (error) {
+    console.error('Error en registro de usuario:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
 
-    // Integración con privado.id (opcional)
-    try {
-      await privadoService.createUserDID(address, proofData.publicSignals);
-    } catch (error) {
-      console.warn('Error con privado.id (no crítico):', error.message);
-    }
+/**
+ * Consultar estado de un trabajo asíncrono
+ * GET /jobs/:id
+ * Header: X-Job-Token: <jobToken de la respuesta 202>
+ *
+ * Devuelve cada etapa con su estado y duración. Al completarse incluye el
+ * hash de la transacción y si los códigos de recuperación quedaron activos.
+ */
+app.get('/jobs/:id', (req, res) => {
+  const job = jobService.getJob(req.params.id);
 
-    res.json({
-      success: true,
-      message: 'Usuario registrado exitosamente',
-      transactionHash: registrationResult.transactionHash,
-      user: {
-        username,
-        email,
-        address
-      },
-      timestamp: new Date().toISOString()
-    });
+  // Sin el token de quien lo creó se responde igual que si no existiera
+  if (!job || !jobService.verifyToken(job, req.get('X-Job-Token'))) {
+    return sendError(res, 'JOB_NOT_FOUND');
+  }
 
-  } catch (error) {
-    console.error('Error en registro de usuario:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error interno durante el registro'
-    });
+  res.json({
+    success: true,
+    job: jobService.toPublicJob(job)
+  });
+});
+
+/**
+ * Progreso en vivo de un login o registro (Server-Sent Events)
+ * GET /progress/:id/stream?token=<jobToken o X-Progress-Token>
+ *
+ * :id es el jobId de /register-user o el X-Progress-Id (UUID) que el cliente
+ * envía en /generate-proof y /verify-proof. El canal existe desde que el
+ * servidor acepta esa petición; antes (o con otro token) se responde 404. Eventos:
+ * - stage: { stage, status: started|completed|failed|skipped, durationMs?, at }
+ * - done: { status: completed|failed, ... } (después se cierra la conexión)
+ */
+app.get('/progress/:id/stream', (req, res) => {
+  if (!progressService.isValidChannelId(req.params.id)) {
+    return sendError(res, 'PROGRESS_ID_INVALID');
   }
+
+  progressService.subscribe(req.params.id, req.query.token, req, res);
 });
 
 /**
  * Generar prueba ZK para login
  * POST /generate-proof
- * Body: { address: string, passwordHash: string, chainId?: number }
+ * Header: X-SIWE-Token (ver /auth/siwe/verify)
+ * Headers opcionales: X-Progress-Id (UUID) y X-Progress-Token (ver /progress/:id/stream)
+ * Body: { address: string, passwordHash: string, challengeNonce?: string, chainId?: number }
  */
 app.post('/generate-proof', 
   authLimiter, 
+  chainGuard,
   ValidationMiddleware.validateProofGeneration,
+  siweService.requireWalletOwnership(),
+  progressService.track(),
   async (req, res) => {
   try {
-    const { address, passwordHash, chainId = 80002 } = req.body;
+    const { address, passwordHash, challengeNonce } = req.body;
+    const { chainId } = req;
 
     // Validaciones
-    if (!address || !ethers.utils.isAddress(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Dirección de wallet inválida'
-      });
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
     }
 
     if (!passwordHash || passwordHash.length !== 64) {
-      return res.status(400).json({
-        success: false,
-        error: 'Hash de contraseña inválido'
-      });
+      return sendError(res, 'INVALID_PASSWORD_HASH');
     }
 
     // Verificar si usuario está registrado
-    const isRegistered = await blockchainService.isUserRegistered(address);
+    const isRegistered = await blockchainService.isUserRegistered(address, chainId);
     if (!isRegistered) {
-      return res.status(404).json({
-        success: false,
-        error: 'Usuario no registrado'
-      });
+      return sendError(res, 'USER_NOT_REGISTERED');
     }
 
     // Generar prueba ZK
     console.log('Generando prueba ZK para login...');
-    const proofData = await zkService.generateLoginProof(passwordHash, address);
+    const proofData = await zkService.generateLoginProof(passwordHash, address, challengeNonce, req.progress);
 
     if (!proofData.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Error generando prueba ZK: ' + proofData.error
-      });
+      return sendError(res, 'PROOF_GENERATION_FAILED', { detail: proofData.error });
     }
 
     res.json({
@@ -374,47 +580,82 @@ app.post('/generate-proof',
 
   } catch (error) {
     console.error('Error generando prueba:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error interno generando prueba'
-    });
+    sendError(res, 'INTERNAL_ERROR');
   }
 });
 
 /**
  * Verificar prueba ZK en blockchain
  * POST /verify-proof
+ * Header: X-SIWE-Token (ver /auth/siwe/verify)
+ * Headers opcionales: X-Progress-Id (UUID) y X-Progress-Token (ver /progress/:id/stream)
+ * Header opcional: Idempotency-Key
  * Body: { address: string, proof: object, publicSignals: array, chainId?: number }
  */
 app.post('/verify-proof', 
   authLimiter, 
+  idempotent,
+  chainGuard,
   ValidationMiddleware.validateProofVerification,
+  siweService.requireWalletOwnership(),
+  accountLockGuard,
+  progressService.track(),
   async (req, res) => {
   try {
-    const { address, proof, publicSignals, chainId = 80002 } = req.body;
+    const { address, proof, publicSignals } = req.body;
+    const { chainId } = req;
 
     // Validaciones
-    if (!address || !ethers.utils.isAddress(address)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Dirección de wallet inválida'
-      });
+    if (!address || !ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
     }
 
     if (!proof || !publicSignals) {
-      return res.status(400).json({
-        success: false,
-        error: 'Prueba o señales públicas faltantes'
+      return sendError(res, 'PROOF_MISSING');
+    }
+
+    // El desafío se consume aquí: una prueba solo puede presentarse una vez
+    const challengeNonce = zkService.getPublicSignal(publicSignals, 'challengeNonce');
+    const challengeResult = challengeService.consumeChallenge(address, challengeNonce);
+    if (!challengeResult.success) {
+      logger.security('Challenge rejected', {
+        address,
+        reason: challengeResult.error,
+        ip: req.ip
       });
+      recordCredentialFailure(req, 'challenge_rejected');
+      emitLoginFailed(address, chainId, 'challenge_rejected');
+
+      return sendError(res, challengeResult.code);
     }
 
-    // Verificar prueba localmente primero
-    const localVerification = await zkService.verifyProof(proof, publicSignals);
-    if (!localVerification.success || !localVerification.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Prueba ZK inválida'
+    // Las cuentas desactivadas por un administrador no pueden iniciar sesión
+    const existingUser = userService.findByAddress(address);
+    if (existingUser && !existingUser.isActive) {
+      logger.security('Login attempt on deactivated account', {
+        address,
+        ip: req.ip
+      });
+      emitLoginFailed(address, chainId, 'account_deactivated');
+
+      return sendError(res, 'ACCOUNT_DEACTIVATED');
+    }
+
+    // Verificar prueba localmente primero (criptografía y señales públicas)
+    const localVerification = await req.progress.stage('local_verify', () =>
+      zkService.verifyProof(proof, publicSignals)
+    );
+    const signalCheck = zkService.checkPublicSignals(publicSignals);
+    if (!localVerification.success || !localVerification.isValid || !signalCheck.valid) {
+      logger.security('Proof rejected', {
+        address,
+        reason: signalCheck.reason || 'invalid proof',
+        ip: req.ip
       });
+      recordCredentialFailure(req, 'invalid_proof');
+      emitLoginFailed(address, chainId, 'invalid_proof');
+
+      return sendError(res, 'PROOF_INVALID');
     }
 
     // Verificar en blockchain
@@ -423,28 +664,54 @@ app.post('/verify-proof',
       address,
       proof,
       publicSignals,
-      chainId
+      chainId,
+      req.progress
     );
 
     if (!blockchainVerification.success) {
-      return res.status(500).json({
-        success: false,
-        error: 'Error verificando en blockchain'
-      });
+      return sendError(res, 'ONCHAIN_VERIFICATION_FAILED');
     }
 
     // Verificación adicional con privado.id
     let privadoVerification = null;
     try {
-      privadoVerification = await privadoService.verifyUserProof(address, proof);
+      privadoVerification = await req.progress.stage('privado_check', () =>
+        privadoService.verifyUserProof(address, proof)
+      );
     } catch (error) {
       console.warn('Error con privado.id (no crítico):', error.message);
     }
 
+    // Emitir sesión solo si la prueba fue aceptada
+    let session = null;
+    if (blockchainVerification.isValid) {
+      // El token SIWE solo sirve para un login completado
+      siweService.consumeOwnershipToken(req.siweToken);
+
+      const user = userService.updateLastLogin(address);
+      loginAttemptService.recordSuccess(address, user?.username);
+      session = sessionService.createSession(address, {
+        username: user?.username,
+        chainId
+      });
+      logger.userActivity('login', address, { sessionId: session.sessionId });
+
+      webhookService.emit('user.login.succeeded', {
+        address: address.toLowerCase(),
+        username: user?.username || null,
+        chainId,
+        sessionId: session.sessionId
+      });
+    } else {
+      recordCredentialFailure(req, 'proof_rejected_onchain');
+      emitLoginFailed(address, chainId, 'proof_rejected_onchain');
+    }
+
     res.json({
       success: true,
       isValid: blockchainVerification.isValid,
       address,
+      session,
       verifications: {
         local: localVerification.isValid,
         blockchain: blockchainVerification.isValid,
@@ -456,136 +723,1274 @@ app.post('/verify-proof',
 
   } catch (error) {
     console.error('Error verificando prueba:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error interno verificando prueba'
-    });
+    sendError(res, 'INTERNAL_ERROR');
   }
 });
 
 /**
- * ================================
- * RUTAS DE DESARROLLO/DEBUG
- * ================================
+ * Cambiar contraseña rotando el commitment on-chain
+ * POST /change-password
+ * Header: Authorization: Bearer <accessToken>
+ * Header opcional: Idempotency-Key
+ * Body: { address: string, proof: object, publicSignals: array, newPasswordHash: string, chainId?: number }
+ *
+ * La prueba debe ser de la contraseña actual y llevar un desafío de /auth/challenge.
  */
+app.post('/change-password',
+  authLimiter,
+  idempotent,
+  sessionService.authenticate(),
+  chainGuard,
+  ValidationMiddleware.validatePasswordChange,
+  accountLockGuard,
+  async (req, res) => {
+  try {
+    const { address, proof, publicSignals, newPasswordHash } = req.body;
+    const { chainId } = req;
 
-// Solo en modo desarrollo
-if (process.env.NODE_ENV === 'development') {
-  app.get('/debug/circuits', async (req, res) => {
-    try {
-      const circuitInfo = await zkService.getCircuitInfo();
-      res.json(circuitInfo);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+    if (address.toLowerCase() !== req.session.address) {
+      return sendError(res, 'SESSION_ADDRESS_MISMATCH');
     }
-  });
 
-  app.get('/debug/contracts', async (req, res) => {
-    try {
-      const contractInfo = await blockchainService.getContractInfo();
-      res.json(contractInfo);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
+    // La prueba de la contraseña actual también es de un solo uso
+    const challengeNonce = zkService.getPublicSignal(publicSignals, 'challengeNonce');
+    const challengeResult = challengeService.consumeChallenge(address, challengeNonce);
+    if (!challengeResult.success) {
+      recordCredentialFailure(req, 'challenge_rejected');
+
+      return sendError(res, challengeResult.code);
     }
-  });
-}
 
-/**
- * ================================
- * MANEJO DE ERRORES Y 404
- * ================================
- */
+    const localVerification = await zkService.verifyProof(proof, publicSignals);
+    const signalCheck = zkService.checkPublicSignals(publicSignals);
+    if (!localVerification.success || !localVerification.isValid || !signalCheck.valid) {
+      logger.security('Password change rejected', {
+        address,
+        reason: signalCheck.reason || 'invalid proof',
+        ip: req.ip
+      });
+      recordCredentialFailure(req, 'invalid_proof');
 
-// Manejo de rutas no encontradas
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint no encontrado',
-    availableEndpoints: ['/health', '/info', '/check-user', '/register-user', '/generate-proof', '/verify-proof']
-  });
-});
+      return sendError(res, 'PROOF_INVALID');
+    }
 
-// Manejo global de errores
-app.use((error, req, res, next) => {
-  logger.error('Error no manejado', error, {
-    url: req.url,
-    method: req.method,
-    ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    body: req.body
-  });
-  
-  res.status(500).json({
-    success: false,
-    error: process.env.NODE_ENV === 'development' ? error.message : 'Error interno del servidor',
-    timestamp: new Date().toISOString()
-  });
-});
+    // Como el contrato: la prueba debe ser del commitment registrado. Sin esta
+    // comprobación, en modo mock bastaría una prueba de cualquier contraseña.
+    const currentCommitment = await getStoredCommitment(address);
+    const provenCommitment = zkService.getPublicSignal(publicSignals, 'hashCommitment');
+    if (!currentCommitment || String(provenCommitment) !== String(currentCommitment)) {
+      logger.security('Password change rejected', {
+        address,
+        reason: currentCommitment ? 'commitment mismatch' : 'no stored commitment',
+        ip: req.ip
+      });
+      recordCredentialFailure(req, 'invalid_proof');
 
-/**
- * ================================
- * INICIALIZACIÓN DEL SERVIDOR
- * ================================
- */
+      return sendError(res, 'PROOF_INVALID');
+    }
 
-// Función de inicialización asíncrona
-async function initializeServer() {
-  try {
-    logger.info('🚀 Inicializando servidor ZK Login...');
+    // Commitment de la nueva contraseña
+    const newProofData = await zkService.generateRegistrationProof(newPasswordHash);
+    if (!newProofData.success) {
+      return sendError(res, 'PROOF_GENERATION_FAILED', { detail: newProofData.error });
+    }
 
-    // Verificar archivos de circuitos
-    await zkService.initialize();
-    logger.info('✅ Servicio ZK inicializado');
+    const newCommitment = zkService.getPublicSignal(newProofData.publicSignals, 'hashCommitment');
 
-    // Conectar a blockchain
-    await blockchainService.initialize();
-    logger.info('✅ Servicio blockchain inicializado');
+    console.log('Rotando commitment en blockchain...');
+    const rotationResult = await blockchainService.updateCommitment(
+      address,
+      proof,
+      publicSignals,
+      newCommitment,
+      chainId
+    );
 
-    // Configurar privado.id
-    await privadoService.initialize();
-    logger.info('✅ Servicio privado.id configurado');
+    if (!rotationResult.success) {
+      return sendError(res, 'BLOCKCHAIN_TX_FAILED', { detail: rotationResult.error });
+    }
 
-    // Iniciar servidor
-    app.listen(PORT, () => {
-      logger.info('🎉 Servidor iniciado exitosamente!', {
-        port: PORT,
-        mode: process.env.NODE_ENV || 'development',
-        network: process.env.NETWORK_NAME || 'Amoy Testnet',
-        urls: {
-          server: `http://localhost:${PORT}`,
-          health: `http://localhost:${PORT}/health`,
-          info: `http://localhost:${PORT}/info`
-        }
-      });
-      
-      console.log(`\n🎉 Servidor iniciado exitosamente!`);
-      console.log(`🌐 URL: http://localhost:${PORT}`);
-      console.log(`📊 Health check: http://localhost:${PORT}/health`);
-      console.log(`📋 Info: http://localhost:${PORT}/info`);
-      console.log(`🔐 Modo: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`⛓️  Red: ${process.env.NETWORK_NAME || 'Mumbai Testnet'}`);
-      console.log(`=====================================\n`);
+    const updatedUser = userService.updatePasswordHash(address, newPasswordHash, newCommitment);
+    loginAttemptService.recordSuccess(address, updatedUser?.username);
+
+    // Las sesiones abiertas con la contraseña anterior dejan de ser válidas
+    const revokedSessions = sessionService.revokeAllSessions(address);
+
+    logger.security('Password changed', {
+      address,
+      transactionHash: rotationResult.transactionHash,
+      revokedSessions,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: i18n.t('messages.passwordChanged', req.locale),
+      transactionHash: rotationResult.transactionHash,
+      revokedSessions,
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    logger.error('❌ Error inicializando servidor', error);
-    console.error('❌ Error inicializando servidor:', error);
-    process.exit(1);
+    console.error('Error cambiando contraseña:', error);
+    sendError(res, 'INTERNAL_ERROR');
   }
-}
+});
 
-// Manejo de cierre graceful
-process.on('SIGTERM', () => {
-  console.log('🛑 Cerrando servidor...');
-  process.exit(0);
+/**
+ * Recuperar cuenta con un código de recuperación
+ * POST /recover-account
+ * Header: X-SIWE-Token (ver /auth/siwe/verify)
+ * Header opcional: Idempotency-Key
+ * Body: { address: string, recoveryCode: string, newPasswordHash: string,
+ *         challengeNonce: string (de /auth/challenge), chainId?: number }
+ *
+ * El desafío lo pide el cliente y se consume antes de comprobar el código:
+ * cada intento gasta uno y la prueba de recuperación queda ligada a él.
+ */
+app.post('/recover-account',
+  authLimiter,
+  idempotent,
+  chainGuard,
+  ValidationMiddleware.validateAccountRecovery,
+  siweService.requireWalletOwnership(),
+  accountLockGuard,
+  async (req, res) => {
+  try {
+    const { address, recoveryCode, newPasswordHash, challengeNonce } = req.body;
+    const { chainId } = req;
+
+    const challengeResult = challengeService.consumeChallenge(address, challengeNonce);
+    if (!challengeResult.success) {
+      recordCredentialFailure(req, 'challenge_rejected');
+
+      return sendError(res, challengeResult.code);
+    }
+
+    const user = userService.findByAddress(address);
+    const entry = user && recoveryService.findUsableCode(user.recoveryCodes, recoveryCode);
+
+    if (!entry) {
+      logger.security('Account recovery rejected', {
+        address,
+        reason: user ? 'invalid or used recovery code' : 'unknown user',
+        ip: req.ip
+      });
+      recordCredentialFailure(req, 'invalid_recovery_code');
+
+      return sendError(res, 'RECOVERY_CODE_INVALID');
+    }
+
+    // Prueba dedicada del código de recuperación, ligada al desafío del cliente
+    const recoveryProof = await zkService.generateRecoveryProof(
+      recoveryService.hashCode(recoveryCode),
+      address,
+      challengeNonce
+    );
+
+    if (!recoveryProof.success) {
+      return sendError(res, 'PROOF_GENERATION_FAILED', { detail: recoveryProof.error });
+    }
+
+    const newProofData = await zkService.generateRegistrationProof(newPasswordHash);
+    if (!newProofData.success) {
+      return sendError(res, 'PROOF_GENERATION_FAILED', { detail: newProofData.error });
+    }
+
+    const newCommitment = zkService.getPublicSignal(newProofData.publicSignals, 'hashCommitment');
+
+    console.log('Reseteando commitment con código de recuperación...');
+    const resetResult = await blockchainService.resetCommitmentWithRecovery(
+      address,
+      recoveryProof.proof,
+      recoveryProof.publicSignals,
+      newCommitment,
+      chainId
+    );
+
+    if (!resetResult.success) {
+      return sendError(res, 'BLOCKCHAIN_TX_FAILED', { detail: resetResult.error });
+    }
+
+    // El código queda quemado también en la base de datos local
+    userService.burnRecoveryCode(address, entry.id);
+    const updatedUser = userService.updatePasswordHash(address, newPasswordHash, newCommitment);
+    const revokedSessions = sessionService.revokeAllSessions(address);
+    loginAttemptService.recordSuccess(address, updatedUser?.username);
+
+    logger.security('Account recovered', {
+      address,
+      recoveryCodeId: entry.id,
+      transactionHash: resetResult.transactionHash,
+      revokedSessions,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: i18n.t('messages.accountRecovered', req.locale),
+      transactionHash: resetResult.transactionHash,
+      remainingRecoveryCodes: recoveryService.countRemaining(updatedUser?.recoveryCodes),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error recuperando cuenta:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * ================================
+ * RUTAS DE SESIÓN
+ * ================================
+ */
+
+/**
+ * Obtener información de la sesión actual
+ * GET /session
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/session', sessionService.authenticate(), (req, res) => {
+  res.json({
+    success: true,
+    address: req.session.address,
+    sessionId: req.session.sid,
+    expiresAt: new Date(req.session.exp * 1000).toISOString(),
+    claims: req.session
+  });
+});
+
+/**
+ * Renovar sesión (rota el refresh token)
+ * POST /session/refresh
+ * Body: { refreshToken: string }
+ */
+app.post('/session/refresh', authLimiter, (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return sendError(res, 'REFRESH_TOKEN_MISSING');
+    }
+
+    const result = sessionService.refreshSession(refreshToken);
+    if (!result.success) {
+      return sendError(res, result.code);
+    }
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Error renovando sesión:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Cerrar sesión actual
+ * POST /session/logout
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.post('/session/logout', sessionService.authenticate(), (req, res) => {
+  sessionService.revokeSession(req.session);
+  logger.userActivity('logout', req.session.address, { sessionId: req.session.sid });
+
+  res.json({
+    success: true,
+    message: i18n.t('messages.loggedOut', req.locale),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Revocar todas las sesiones de la dirección autenticada
+ * POST /session/revoke
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.post('/session/revoke', sessionService.authenticate(), (req, res) => {
+  const revokedSessions = sessionService.revokeAllSessions(req.session.address);
+  sessionService.revokeAccessToken(req.session);
+
+  logger.security('Sessions revoked', {
+    address: req.session.address,
+    revokedSessions,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    revokedSessions,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * ================================
+ * RUTAS OPENID CONNECT
+ * ================================
+ */
+
+// Documento de descubrimiento
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json(oidcService.getDiscoveryDocument());
+});
+
+// Claves públicas para verificar id_token/access_token
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.json(oidcService.getJWKS());
+});
+
+/**
+ * Endpoint de autorización (solo response_type=code con PKCE S256)
+ * GET /authorize?response_type=code&client_id&redirect_uri&scope&state&nonce&code_challenge&code_challenge_method=S256
+ * Redirige a la página de login React con ?oidc_request=<id>
+ */
+app.get('/authorize', (req, res) => {
+  const result = oidcService.createAuthorizationRequest(req.query);
+
+  if (!result.success) {
+    logger.security('OIDC authorization rejected', {
+      clientId: req.query.client_id,
+      error: result.error,
+      ip: req.ip
+    });
+
+    if (result.redirectable) {
+      return res.redirect(oidcService.buildRedirectUrl(req.query.redirect_uri, {
+        error: result.error,
+        error_description: result.errorDescription,
+        state: req.query.state
+      }));
+    }
+
+    return res.status(400).json({
+      error: result.error,
+      error_description: result.errorDescription
+    });
+  }
+
+  res.redirect(oidcService.buildRedirectUrl(oidcService.loginPageUrl, {
+    oidc_request: result.requestId
+  }));
+});
+
+/**
+ * Información de una solicitud pendiente (para la página de login)
+ * GET /oidc/requests/:requestId
+ */
+app.get('/oidc/requests/:requestId', (req, res) => {
+  const request = oidcService.getAuthorizationRequest(req.params.requestId);
+
+  if (!request) {
+    return sendError(res, 'OIDC_REQUEST_INVALID');
+  }
+
+  res.json({
+    success: true,
+    clientId: request.clientId,
+    clientName: request.clientName,
+    scope: request.scope
+  });
+});
+
+/**
+ * Completar autorización tras un login ZK exitoso
+ * POST /oidc/authorize/complete
+ * Header: Authorization: Bearer <accessToken de /verify-proof>
+ * Body: { requestId: string }
+ */
+app.post('/oidc/authorize/complete', sessionService.authenticate(), (req, res) => {
+  const { requestId } = req.body;
+  const user = userService.findByAddress(req.session.address);
+
+  if (!user || !user.isActive) {
+    return sendError(res, 'OIDC_USER_NOT_ALLOWED');
+  }
+
+  const result = oidcService.completeAuthorization(
+    requestId,
+    user.address,
+    sessionService.getAuthTime(req.session.sid)
+  );
+  if (!result.success) {
+    return sendError(res, result.code, { status: 400 });
+  }
+
+  logger.userActivity('oidc_authorize', user.address, { requestId });
+
+  res.json({
+    success: true,
+    redirectUrl: result.redirectUrl
+  });
+});
+
+/**
+ * Endpoint de token (grant_type=authorization_code)
+ * POST /token (application/x-www-form-urlencoded o JSON)
+ */
+app.post('/token', authLimiter, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  // Autenticación de cliente por client_secret_basic
+  const clientAuth = oidcService.parseBasicAuth(req.get('Authorization'));
+  if (!clientAuth) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const result = oidcService.exchangeCode(
+    req.body,
+    clientAuth,
+    (address) => userService.findByAddress(address)
+  );
+
+  if (!result.success) {
+    return res.status(result.error === 'invalid_client' ? 401 : 400).json({
+      error: result.error,
+      error_description: result.errorDescription
+    });
+  }
+
+  res.json(result.tokens);
+});
+
+/**
+ * Claims del usuario autenticado
+ * GET /userinfo
+ * Header: Authorization: Bearer <access_token de /token>
+ */
+app.get('/userinfo', (req, res) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const result = scheme === 'Bearer' && token
+    ? oidcService.verifyAccessToken(token)
+    : { success: false };
+
+  if (!result.success) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  const user = userService.findByAddress(result.payload.sub);
+  if (!user || !user.isActive) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(oidcService.getUserInfo(user, result.payload.scope));
+});
+
+/**
+ * ================================
+ * RUTAS DE ADMINISTRACIÓN
+ * ================================
+ */
+
+// Todas las rutas /admin exigen una sesión de una dirección en ADMIN_ADDRESSES
+app.use('/admin', sessionService.authenticate(), sessionService.requireAdmin());
+
+/**
+ * Listar usuarios con paginación y búsqueda
+ * GET /admin/users?offset=0&limit=20&search=texto
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/users', ValidationMiddleware.validatePagination, (req, res) => {
+  try {
+    const { offset, limit } = req.pagination;
+    const search = typeof req.query.search === 'string' ? req.query.search : '';
+
+    const { users, total } = userService.listUsers({ offset, limit, search });
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        offset,
+        limit,
+        total,
+        hasMore: offset + users.length < total
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listando usuarios:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Listar usuarios registrados en el contrato (getRegisteredUsers)
+ * GET /admin/users/onchain?offset=0&limit=20&chainId=80002
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/users/onchain', ValidationMiddleware.validatePagination, chainGuard, async (req, res) => {
+  try {
+    const { offset, limit } = req.pagination;
+    const result = await blockchainService.getRegisteredUsers(offset, limit, req.chainId);
+
+    if (!result.success) {
+      return sendError(res, 'BLOCKCHAIN_QUERY_FAILED', { detail: result.error });
+    }
+
+    res.json({
+      success: true,
+      users: result.users.map(address => ({
+        address,
+        localUser: userService.findByAddress(address) ? true : false
+      })),
+      pagination: {
+        offset,
+        limit,
+        total: result.total,
+        hasMore: offset + result.users.length < result.total
+      },
+      chainId: req.chainId,
+      isMock: result.isMock || false
+    });
+
+  } catch (error) {
+    console.error('Error listando usuarios on-chain:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Detalle de un usuario
+ * GET /admin/users/:address?chainId=80002
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/users/:address', chainGuard, async (req, res) => {
+  try {
+    const { address } = req.params;
+
+    if (!ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
+    }
+
+    const user = userService.findByAddress(address);
+    if (!user) {
+      return sendError(res, 'USER_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      user: userService.toPublicUser(user),
+      isRegisteredOnChain: await blockchainService.isUserRegistered(address, req.chainId),
+      lockout: loginAttemptService.getStatus(address, user.username)
+    });
+
+  } catch (error) {
+    console.error('Error obteniendo usuario:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Desactivar / reactivar un usuario
+ * POST /admin/users/:address/deactivate
+ * POST /admin/users/:address/reactivate
+ * Header: Authorization: Bearer <accessToken>
+ * Header opcional: Idempotency-Key
+ *
+ * Primero se actualiza el contrato; users.json solo cambia si la transacción se confirma.
+ */
+const setUserActiveHandler = (isActive) => async (req, res) => {
+  try {
+    const { address } = req.params;
+    const { chainId } = req;
+
+    if (!ethers.isAddress(address)) {
+      return sendError(res, 'INVALID_ADDRESS');
+    }
+
+    const user = userService.findByAddress(address);
+    if (!user) {
+      return sendError(res, 'USER_NOT_FOUND');
+    }
+
+    if (user.isActive === isActive) {
+      return sendError(res, isActive ? 'USER_ALREADY_ACTIVE' : 'USER_ALREADY_INACTIVE');
+    }
+
+    const txResult = await blockchainService.setUserActive(address, isActive, chainId);
+    if (!txResult.success) {
+      return sendError(res, 'BLOCKCHAIN_TX_FAILED', { detail: txResult.error });
+    }
+
+    const updatedUser = userService.setActive(address, isActive);
+    const revokedSessions = isActive ? 0 : sessionService.revokeAllSessions(address);
+
+    logger.security(isActive ? 'User reactivated by admin' : 'User deactivated by admin', {
+      address,
+      admin: req.session.address,
+      transactionHash: txResult.transactionHash,
+      revokedSessions,
+      ip: req.ip
+    });
+
+    res.json({
+      success: true,
+      user: userService.toPublicUser(updatedUser),
+      transactionHash: txResult.transactionHash,
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Error cambiando estado de usuario:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+};
+
+app.post('/admin/users/:address/deactivate', idempotent, chainGuard, setUserActiveHandler(false));
+app.post('/admin/users/:address/reactivate', idempotent, chainGuard, setUserActiveHandler(true));
+
+/**
+ * Desbloquear una cuenta bloqueada por intentos fallidos
+ * POST /admin/users/:address/unlock
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.post('/admin/users/:address/unlock', (req, res) => {
+  const { address } = req.params;
+
+  if (!ethers.isAddress(address)) {
+    return sendError(res, 'INVALID_ADDRESS');
+  }
+
+  const username = userService.findByAddress(address)?.username;
+  const previous = loginAttemptService.getStatus(address, username);
+  const cleared = loginAttemptService.unlock(address, username);
+
+  logger.security('Account unlocked by admin', {
+    address,
+    admin: req.session.address,
+    failures: previous.failures,
+    wasLocked: previous.isLocked,
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    address,
+    cleared,
+    previous
+  });
+});
+
+/**
+ * Listar webhooks registrados (sin secretos)
+ * GET /admin/webhooks
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/webhooks', (req, res) => {
+  res.json({
+    success: true,
+    events: WebhookService.EVENTS,
+    webhooks: webhookService.getWebhooks().map(webhook => webhookService.toPublicWebhook(webhook))
+  });
+});
+
+/**
+ * Registrar un webhook
+ * POST /admin/webhooks
+ * Header: Authorization: Bearer <accessToken>
+ * Header opcional: Idempotency-Key
+ * Body: { url: string, events?: string[], secret?: string, description?: string }
+ *
+ * El secreto solo se devuelve en esta respuesta.
+ */
+app.post('/admin/webhooks', idempotent, (req, res) => {
+  try {
+    const validation = Validator.validateWebhook(req.body, WebhookService.EVENTS, req.locale);
+
+    if (!validation.isValid) {
+      return sendError(res, 'WEBHOOK_INVALID', { details: validation.errors });
+    }
+
+    const { url, events, secret, description } = req.body;
+    const webhook = webhookService.createWebhook({ url, events, secret, description });
+
+    logger.security('Webhook registered', {
+      webhookId: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      admin: req.session.address
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook
+    });
+
+  } catch (error) {
+    console.error('Error registrando webhook:', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Registro de entregas
+ * GET /admin/webhooks/deliveries?webhookId=&status=pending|delivered|failed&offset=0&limit=20
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/webhooks/deliveries', ValidationMiddleware.validatePagination, (req, res) => {
+  const { offset, limit } = req.pagination;
+  const { webhookId, status } = req.query;
+
+  const { deliveries, total } = webhookService.listDeliveries({ webhookId, status, offset, limit });
+
+  res.json({
+    success: true,
+    deliveries,
+    pagination: {
+      offset,
+      limit,
+      total,
+      hasMore: offset + deliveries.length < total
+    }
+  });
+});
+
+/**
+ * Reintentar una entrega (vuelve a la cola con los intentos a cero)
+ * POST /admin/webhooks/deliveries/:id/retry
+ * Header: Authorization: Bearer <accessToken>
+ * Header opcional: Idempotency-Key
+ */
+app.post('/admin/webhooks/deliveries/:id/retry', idempotent, (req, res) => {
+  const delivery = webhookService.retryDelivery(req.params.id);
+
+  if (!delivery) {
+    return sendError(res, 'WEBHOOK_DELIVERY_NOT_FOUND');
+  }
+
+  res.json({
+    success: true,
+    delivery
+  });
+});
+
+/**
+ * Eliminar un webhook
+ * DELETE /admin/webhooks/:id
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.delete('/admin/webhooks/:id', (req, res) => {
+  if (!webhookService.deleteWebhook(req.params.id)) {
+    return sendError(res, 'WEBHOOK_NOT_FOUND');
+  }
+
+  logger.security('Webhook deleted', {
+    webhookId: req.params.id,
+    admin: req.session.address
+  });
+
+  res.json({ success: true });
 });
 
-process.on('SIGINT', () => {
-  console.log('🛑 Cerrando servidor...');
-  process.exit(0);
+/**
+ * Verificar la cadena de hashes y los checkpoints de security.log
+ * GET /admin/audit/verify
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/audit/verify', async (req, res) => {
+  // Se firman las últimas entradas y se escribe lo que haya en buffer
+  auditLog.checkpoint();
+  await logger.flush();
+  const report = auditLog.verify();
+
+  logger.security('Audit log verified', {
+    admin: req.session.address,
+    valid: report.valid,
+    entries: report.entries,
+    firstBreak: report.firstBreak
+  });
+
+  res.json({
+    success: true,
+    ...report
+  });
+});
+
+/**
+ * Validar los filtros de búsqueda de logs y dejarlos en req.logFilters
+ */
+const validateLogQuery = (req, res, next) => {
+  const validation = Validator.validateLogQuery(req.query, logQuery.levels, logQuery.exportFormats, req.locale);
+  if (!validation.isValid) {
+    return sendError(res, 'VALIDATION_FAILED', { details: validation.errors });
+  }
+
+  req.logFilters = logQuery.buildFilters(req.query);
+  next();
+};
+
+/**
+ * Buscar en los logs con paginación (por defecto, los últimos 7 días)
+ * GET /admin/logs?from=2025-01-01&to=2025-01-31T23:59:59Z&level=ERROR,WARN&requestId=...&address=0x...&event=...&offset=0&limit=20
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/logs', ValidationMiddleware.validatePagination, validateLogQuery, async (req, res) => {
+  try {
+    const { offset, limit } = req.pagination;
+    const { entries, total } = await logQuery.search(req.logFilters, { offset, limit });
+
+    res.json({
+      success: true,
+      entries,
+      range: {
+        from: req.logFilters.from.toISOString(),
+        to: req.logFilters.to.toISOString()
+      },
+      pagination: {
+        offset,
+        limit,
+        total,
+        hasMore: offset + entries.length < total
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error searching logs', error);
+    sendError(res, 'INTERNAL_ERROR');
+  }
+});
+
+/**
+ * Exportar las entradas que cumplen los filtros (mismos que /admin/logs, sin paginar)
+ * GET /admin/logs/export?format=ndjson|csv&from=...&to=...
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/logs/export', validateLogQuery, async (req, res) => {
+  const format = req.query.format || 'ndjson';
+  const day = (date) => date.toISOString().slice(0, 10);
+  const fileName = `logs-${day(req.logFilters.from)}-${day(req.logFilters.to)}.${format}`;
+
+  logger.security('Logs exported', {
+    admin: req.session.address,
+    format,
+    filters: req.query
+  });
+
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${fileName}"`
+  });
+
+  try {
+    await logQuery.export(req.logFilters, format, res);
+  } catch (error) {
+    logger.error('Error exporting logs', error);
+
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return sendError(res, 'INTERNAL_ERROR');
+    }
+    // Si ya se enviaron datos solo queda cortar la respuesta
+  }
+
+  res.end();
+});
+
+/**
+ * Resumen de los archivos de log (número, tamaño, más antiguo y más reciente)
+ * GET /admin/logs/stats
+ * Header: Authorization: Bearer <accessToken>
+ */
+app.get('/admin/logs/stats', (req, res) => {
+  const stats = logger.getLogStats();
+  if (!stats) {
+    return sendError(res, 'INTERNAL_ERROR');
+  }
+
+  res.json({
+    success: true,
+    stats
+  });
+});
+
+/**
+ * ================================
+ * RUTAS DE DESARROLLO/DEBUG
+ * ================================
+ */
+
+// Solo en modo desarrollo
+if (config.server.env === 'development') {
+  app.get('/debug/circuits', async (req, res) => {
+    try {
+      const circuitInfo = await zkService.getCircuitInfo();
+      res.json(circuitInfo);
+    } catch (error) {
+      sendError(res, 'INTERNAL_ERROR', { detail: error.message });
+    }
+  });
+
+  app.get('/debug/contracts', async (req, res) => {
+    try {
+      const contractInfo = await blockchainService.getContractInfo();
+      res.json(contractInfo);
+    } catch (error) {
+      sendError(res, 'INTERNAL_ERROR', { detail: error.message });
+    }
+  });
+}
+
+/**
+ * ================================
+ * MANEJO DE ERRORES Y 404
+ * ================================
+ */
+
+// Manejo de rutas no encontradas
+app.use('*', (req, res) => {
+  sendError(res, 'NOT_FOUND', {
+    availableEndpoints: ['/health', '/info', '/metrics', '/check-user', '/register-user', '/generate-proof', '/verify-proof', '/session']
+  });
+});
+
+// Manejo global de errores
+app.use((error, req, res, next) => {
+  logger.error('Error no manejado', error, {
+    url: req.url,
+    method: req.method,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    body: req.body
+  });
+  
+  // JSON mal formado (body-parser) y errores con código del catálogo
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'INVALID_JSON');
+  }
+
+  const code = error instanceof ApiError ? error.code : 'INTERNAL_ERROR';
+  sendError(res, code, {
+    detail: error instanceof ApiError ? error.detail : (config.server.env === 'development' ? error.message : null),
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Inicializar servidor
-initializeServer();
+/**
+ * Commitment registrado de un usuario (el de su contraseña actual)
+ * Los usuarios guardados antes de existir el campo lo obtienen de su hash de
+ * contraseña, que da el mismo commitment que el registro.
+ * @returns {Promise<string|null>} null si el usuario no está en la base de datos local
+ */
+async function getStoredCommitment(address) {
+  const user = userService.findByAddress(address);
+  if (!user?.passwordHash) return null;
+  if (user.commitment) return user.commitment;
+
+  const proofData = await zkService.generateRegistrationProof(user.passwordHash);
+  if (!proofData.success) {
+    throw new ApiError('PROOF_GENERATION_FAILED', proofData.error);
+  }
+
+  const commitment = zkService.getPublicSignal(proofData.publicSignals, 'hashCommitment');
+  userService.setCommitment(address, commitment);
+  return commitment;
+}
+
+/**
+ * ================================
+ * INICIALIZACIÓN DEL SERVIDOR
+ * ================================
+ */
+
+/**
+ * Activar los códigos de recuperación de un usuario recién registrado
+ * Calcula el commitment ZK de cada código, lo registra on-chain y guarda
+ * hash + commitment junto al usuario.
+ * @param {Array<string>} codes - Códigos en claro (entregados en la respuesta 202)
+ */
+async function issueRecoveryCodes(address, chainId, codes) {
+  const commitments = [];
+
+  for (const code of codes) {
+    const proofData = await zkService.generateRegistrationProof(recoveryService.hashCode(code));
+    if (!proofData.success) {
+      throw new ApiError('PROOF_GENERATION_FAILED', proofData.error);
+    }
+    commitments.push(zkService.getPublicSignal(proofData.publicSignals, 'hashCommitment'));
+  }
+
+  const result = await blockchainService.setRecoveryCommitments(address, commitments, chainId);
+  if (!result.success) {
+    throw new ApiError('BLOCKCHAIN_TX_FAILED', result.error);
+  }
+
+  userService.setRecoveryCodes(address, recoveryService.buildEntries(codes, commitments));
+}
+
+/**
+ * Etapas del trabajo de registro (en orden)
+ */
+const REGISTRATION_STAGES = ['generate_proof', 'submit_transaction', 'confirm_transaction', 'save_user'];
+
+/**
+ * Trabajo de registro: prueba ZK -> transacción -> confirmación -> guardado local
+ * Se ejecuta en JobService; cualquier error marca el trabajo como fallido.
+ * El progreso detallado se publica en el canal SSE con el id del trabajo.
+ */
+async function runRegistrationJob({ username, email, address, passwordHash, chainId, recoveryCodes }, runStage, progress) {
+  const proofData = await runStage('generate_proof', async () => {
+    console.log('Generando prueba ZK para registro...');
+    const result = await zkService.generateRegistrationProof(passwordHash, progress);
+    if (!result.success) {
+      throw new ApiError('PROOF_GENERATION_FAILED', result.error);
+    }
+    return result;
+  });
+
+  const submission = await runStage('submit_transaction', async () => {
+    console.log('Registrando usuario en blockchain...');
+    const result = await progress.stage('tx_sent', () =>
+      blockchainService.submitRegistration(address, proofData.publicSignals, chainId)
+    );
+    if (!result.success) {
+      throw new ApiError('BLOCKCHAIN_TX_FAILED', result.error);
+    }
+    return result;
+  });
+
+  const confirmation = await runStage('confirm_transaction', async () => {
+    // Las transacciones mock no tienen nada que confirmar
+    if (submission.isMock) {
+      progress.skip('tx_confirmed', 'Transacción mock');
+      return submission;
+    }
+
+    const result = await progress.stage('tx_confirmed', () =>
+      blockchainService.waitForTransaction(submission.transactionHash, chainId)
+    );
+    if (!result.success) {
+      throw new ApiError('BLOCKCHAIN_TX_FAILED', result.error);
+    }
+    return result;
+  });
+
+  const recovery = await runStage('save_user', async () => {
+    // Guardar datos de usuario en base de datos local
+    try {
+      const newUser = userService.createUser({
+        username,
+        email,
+        address,
+        passwordHash,
+        commitment: zkService.getPublicSignal(proofData.publicSignals, 'hashCommitment'),
+        chainId
+      });
+
+      console.log('Usuario guardado en base de datos:', newUser.id);
+    } catch (error) {
+      console.error('Error guardando usuario en BD (no crítico):', error.message);
+    }
+
+    // Códigos de recuperación (el cliente ya los tiene de la respuesta 202).
+    // El usuario ya está registrado on-chain, así que un fallo no deshace el
+    // registro: se informa en el resultado para que el cliente no los muestre.
+    let recovery = { status: 'issued' };
+    try {
+      await issueRecoveryCodes(address, chainId, recoveryCodes);
+    } catch (error) {
+      recovery = {
+        status: 'failed',
+        code: error instanceof ApiError ? error.code : 'INTERNAL_ERROR',
+        error: error.message
+      };
+      logger.error('Recovery codes not issued', error, { address, chainId });
+    }
+
+    // Integración con privado.id (opcional)
+    try {
+      await progress.stage('privado_check', () =>
+        privadoService.createUserDID(address, proofData.publicSignals)
+      );
+    } catch (error) {
+      console.warn('Error con privado.id (no crítico):', error.message);
+    }
+
+    return recovery;
+  });
+
+  webhookService.emit('user.registered', {
+    address: address.toLowerCase(),
+    username,
+    chainId,
+    transactionHash: confirmation.transactionHash
+  });
+
+  logger.userActivity('registration', address, { transactionHash: confirmation.transactionHash });
+
+  return {
+    transactionHash: confirmation.transactionHash,
+    blockNumber: confirmation.blockNumber,
+    isMock: confirmation.isMock || false,
+    recovery,
+    user: {
+      username,
+      address
+    }
+  };
+}
+
+/**
+ * Registrar un fallo de credenciales para el backoff y bloqueo por cuenta
+ */
+function recordCredentialFailure(req, reason) {
+  const { address } = req.body;
+
+  loginAttemptService.recordFailure(address, userService.findByAddress(address)?.username, {
+    reason,
+    url: req.url,
+    ip: req.ip
+  });
+}
+
+/**
+ * Emitir webhook de login fallido
+ */
+function emitLoginFailed(address, chainId, reason) {
+  webhookService.emit('user.login.failed', {
+    address: address.toLowerCase(),
+    chainId,
+    reason
+  });
+}
+
+// Función de inicialización asíncrona
+async function initializeServer() {
+  try {
+    logger.info('🚀 Inicializando servidor ZK Login...');
+
+    // Verificar archivos de circuitos
+    await zkService.initialize();
+    logger.info('✅ Servicio ZK inicializado');
+
+    // Conectar a blockchain
+    await blockchainService.initialize();
+    logger.info('✅ Servicio blockchain inicializado');
+
+    // Configurar privado.id
+    await privadoService.initialize();
+    logger.info('✅ Servicio privado.id configurado');
+
+    // Reanudar entregas de webhooks pendientes
+    webhookService.start();
+
+    // Iniciar servidor
+    server = app.listen(PORT, () => {
+      logger.info('🎉 Servidor iniciado exitosamente!', {
+        port: PORT,
+        mode: config.server.env,
+        network: config.networks[config.blockchain.network].name,
+        urls: {
+          server: `http://localhost:${PORT}`,
+          health: `http://localhost:${PORT}/health`,
+          info: `http://localhost:${PORT}/info`
+        }
+      });
+      
+      console.log(`\n🎉 Servidor iniciado exitosamente!`);
+      console.log(`🌐 URL: http://localhost:${PORT}`);
+      console.log(`📊 Health check: http://localhost:${PORT}/health`);
+      console.log(`📋 Info: http://localhost:${PORT}/info`);
+      console.log(`🔐 Modo: ${config.server.env}`);
+      console.log(`⛓️  Red: ${config.networks[config.blockchain.network].name}`);
+      console.log(`=====================================\n`);
+    });
+
+  } catch (error) {
+    logger.error('❌ Error inicializando servidor', error);
+    console.error('❌ Error inicializando servidor:', error);
+    process.exit(1);
+  }
+}
+
+// Limpiar sesiones, desafíos y contadores de rate limiting expirados periódicamente
+setInterval(() => {
+  rateLimitStore.cleanupExpired();
+  authRateLimitStore.cleanupExpired();
+  sessionService.cleanupExpired();
+  challengeService.cleanupExpired();
+  siweService.cleanupExpired();
+  oidcService.cleanupExpired();
+  jobService.cleanupExpired();
+  progressService.cleanupExpired();
+  idempotencyService.cleanupExpired();
+  loginAttemptService.cleanupExpired();
+}, 10 * 60 * 1000).unref();
+
+/**
+ * Cierre ordenado
+ * 1. Deja de aceptar conexiones (las peticiones nuevas reciben 503)
+ * 2. Espera, hasta SHUTDOWN_TIMEOUT_MS, a las peticiones, pruebas, transacciones
+ *    y jobs en curso, para no dejar users.json desincronizado con la cadena
+ * 3. Vacía el logger y termina
+ * Una segunda señal fuerza la salida inmediata.
+ */
+async function gracefulShutdown(signal) {
+  if (lifecycle.shuttingDown) {
+    console.log('🛑 Segunda señal recibida, saliendo sin esperar');
+    process.exit(1);
+  }
+
+  lifecycle.shuttingDown = true;
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+
+  console.log('🛑 Cerrando servidor...');
+  logger.info('Graceful shutdown started', {
+    signal,
+    timeoutMs: SHUTDOWN_TIMEOUT_MS,
+    inFlight: lifecycle.getInFlight()
+  });
+
+  jobService.stop();
+  webhookService.stop();
+  progressService.disconnectAll();
+
+  // Esperar a que se cierren todas las conexiones HTTP
+  const serverClosed = new Promise(resolve => {
+    if (!server) return resolve();
+    server.close(resolve);
+  });
+
+  // Las conexiones keep-alive que quedan libres tras responder se cierran
+  const idleTimer = setInterval(() => server?.closeIdleConnections(), 250);
+
+  let timer;
+  const drained = await Promise.race([
+    Promise.all([serverClosed, lifecycle.drain(deadline)]).then(() => true),
+    new Promise(resolve => { timer = setTimeout(() => resolve(false), deadline - Date.now()); })
+  ]);
+
+  clearTimeout(timer);
+  clearInterval(idleTimer);
+
+  if (drained) {
+    logger.info('Graceful shutdown completed');
+  } else {
+    logger.warn('Graceful shutdown deadline reached, exiting with work in flight', {
+      inFlight: lifecycle.getInFlight()
+    });
+  }
+
+  // Checkpoint firmado con los últimos eventos de seguridad
+  auditLog.checkpoint();
+
+  await logger.flush();
+  process.exit(drained ? 0 : 1);
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+// Inicializar servidor (al importarlo desde los tests solo se exporta app)
+if (require.main === module) {
+  initializeServer();
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,410 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Estado compartido en archivos: las sesiones creadas aquí las ve el servidor
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-'));
+process.env.STORE_DRIVER = 'file';
+process.env.STORE_DIR = storeDir;
+process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_ADDRESSES = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+process.env.METRICS_TOKEN = 'test-metrics-token';
+process.env.AUTH_RATE_LIMIT_MAX = '100';
+
+const request = require('supertest');
+const UserService = require('./services/userService');
+const SessionService = require('./services/sessionService');
+const LoginAttemptService = require('./services/loginAttemptService');
+
+// users.json en memoria para no tocar data/
+let users = [];
+jest.spyOn(UserService.prototype, 'getUsers').mockImplementation(() => JSON.parse(JSON.stringify(users)));
+jest.spyOn(UserService.prototype, 'saveUsers').mockImplementation(saved => {
+  users = JSON.parse(JSON.stringify(saved));
+  return true;
+});
+
+const app = require('./index');
+
+const ADMIN = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+
+const sessions = new SessionService();
+
+function createUser(address, username, extra = {}) {
+  return {
+    id: `id-${username}`,
+    username,
+    email: `${username}@example.com`,
+    address,
+    passwordHash: `hash-${username}`,
+    chainId: 80002,
+    createdAt: new Date().toISOString(),
+    lastLogin: null,
+    isActive: true,
+    ...extra
+  };
+}
+
+function bearer(address) {
+  return `Bearer ${sessions.createSession(address).accessToken}`;
+}
+
+beforeEach(() => {
+  sessions.sessions.clear();
+  users = [
+    createUser(ALICE, 'alice', { recoveryCodes: [{ id: 'c1', codeHash: 'x', usedAt: null }] }),
+    createUser(BOB, 'bob')
+  ];
+});
+
+afterAll(() => {
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+describe('Rutas de administración de usuarios', () => {
+  test('exigen una sesión de una dirección administradora', async () => {
+    const anonymous = await request(app).get('/admin/users');
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.body.code).toBe('AUTH_REQUIRED');
+
+    const notAdmin = await request(app).get('/admin/users').set('Authorization', bearer(ALICE));
+    expect(notAdmin.status).toBe(403);
+    expect(notAdmin.body.code).toBe('ADMIN_REQUIRED');
+  });
+
+  test('listan usuarios con búsqueda y paginación sin secretos', async () => {
+    const response = await request(app)
+      .get('/admin/users?search=ALI&limit=10')
+      .set('Authorization', bearer(ADMIN));
+
+    expect(response.status).toBe(200);
+    expect(response.body.pagination).toEqual({ offset: 0, limit: 10, total: 1, hasMore: false });
+    expect(response.body.users).toEqual([
+      expect.objectContaining({ address: ALICE, username: 'alice', remainingRecoveryCodes: 1 })
+    ]);
+    expect(response.body.users[0].passwordHash).toBeUndefined();
+    expect(response.body.users[0].recoveryCodes).toBeUndefined();
+
+    const page = await request(app).get('/admin/users?offset=1&limit=1').set('Authorization', bearer(ADMIN));
+    expect(page.body.users.map(user => user.username)).toEqual(['bob']);
+    expect(page.body.pagination.hasMore).toBe(false);
+  });
+
+  test('rechazan una paginación inválida', async () => {
+    const response = await request(app).get('/admin/users?limit=500').set('Authorization', bearer(ADMIN));
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_PAGINATION');
+  });
+
+  test('desactivar revoca las sesiones del usuario y reactivar lo devuelve', async () => {
+    const aliceToken = bearer(ALICE);
+    const admin = bearer(ADMIN);
+
+    const deactivated = await request(app).post(`/admin/users/${ALICE}/deactivate`).set('Authorization', admin);
+    expect(deactivated.status).toBe(200);
+    expect(deactivated.body.user.isActive).toBe(false);
+    expect(deactivated.body.revokedSessions).toBe(1);
+    expect(users.find(user => user.address === ALICE).isActive).toBe(false);
+    expect(sessions.verifyAccessToken(aliceToken.split(' ')[1]).code).toBe('SESSION_REVOKED');
+
+    const again = await request(app).post(`/admin/users/${ALICE}/deactivate`).set('Authorization', admin);
+    expect(again.body.code).toBe('USER_ALREADY_INACTIVE');
+
+    const reactivated = await request(app).post(`/admin/users/${ALICE}/reactivate`).set('Authorization', admin);
+    expect(reactivated.status).toBe(200);
+    expect(reactivated.body.user.isActive).toBe(true);
+  });
+
+  test('unlock borra los fallos acumulados de la cuenta', async () => {
+    const attempts = new LoginAttemptService();
+    attempts.recordFailure(ALICE, 'alice');
+    expect(attempts.check(ALICE, 'alice').allowed).toBe(false);
+
+    const response = await request(app).post(`/admin/users/${ALICE}/unlock`).set('Authorization', bearer(ADMIN));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, cleared: true, previous: { failures: 1, isLocked: false } });
+    expect(attempts.check(ALICE, 'alice').allowed).toBe(true);
+  });
+
+  test('responden USER_NOT_FOUND o INVALID_ADDRESS según la dirección', async () => {
+    const admin = bearer(ADMIN);
+
+    const unknown = await request(app).get(`/admin/users/0x${'3'.repeat(40)}`).set('Authorization', admin);
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.code).toBe('USER_NOT_FOUND');
+
+    const invalid = await request(app).post('/admin/users/not-an-address/deactivate').set('Authorization', admin);
+    expect(invalid.body.code).toBe('INVALID_ADDRESS');
+  });
+});
+
+describe('POST /change-password', () => {
+  const BlockchainService = require('./services/blockchainService');
+  const ChallengeService = require('./services/challengeService');
+  const ZKService = require('./services/zkService');
+
+  const proof = { pi_a: ['1', '2', '1'], pi_b: [['1', '2'], ['3', '4'], ['1', '0']], pi_c: ['1', '2', '1'], protocol: 'groth16', curve: 'bn128' };
+
+  let spies = [];
+
+  beforeEach(() => {
+    users[0].commitment = '0xc0ffee';
+    spies = [
+      jest.spyOn(ChallengeService.prototype, 'consumeChallenge').mockReturnValue({ success: true }),
+      jest.spyOn(ZKService.prototype, 'verifyProof').mockResolvedValue({ success: true, isValid: true }),
+      jest.spyOn(ZKService.prototype, 'checkPublicSignals').mockReturnValue({ valid: true }),
+      jest.spyOn(ZKService.prototype, 'generateRegistrationProof').mockResolvedValue({ success: true, publicSignals: ['0xbeef', '1'] }),
+      jest.spyOn(BlockchainService.prototype, 'updateCommitment').mockResolvedValue({ success: true, transactionHash: '0xtx' })
+    ];
+  });
+
+  afterEach(() => {
+    spies.forEach(spy => spy.mockRestore());
+    new LoginAttemptService().unlock(ALICE, 'alice');
+  });
+
+  const changePassword = commitment => request(app)
+    .post('/change-password')
+    .set('Authorization', bearer(ALICE))
+    .send({ address: ALICE, proof, publicSignals: [commitment, '1', '0', '0'], newPasswordHash: 'b'.repeat(64) });
+
+  test('rechaza una prueba válida de otra contraseña', async () => {
+    const response = await changePassword('0xdead');
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('PROOF_INVALID');
+    expect(BlockchainService.prototype.updateCommitment).not.toHaveBeenCalled();
+    expect(users[0].passwordHash).toBe('hash-alice');
+  });
+
+  test('rota el commitment con una prueba de la contraseña actual', async () => {
+    const response = await changePassword('0xc0ffee');
+
+    expect(response.status).toBe(200);
+    expect(BlockchainService.prototype.updateCommitment).toHaveBeenCalledTimes(1);
+    expect(users[0]).toMatchObject({ passwordHash: 'b'.repeat(64), commitment: '0xbeef' });
+  });
+
+  test('sin commitment guardado lo calcula del hash de contraseña', async () => {
+    delete users[0].commitment;
+    ZKService.prototype.generateRegistrationProof.mockResolvedValueOnce({ success: true, publicSignals: ['0xc0ffee', '1'] });
+
+    const response = await changePassword('0xc0ffee');
+
+    expect(response.status).toBe(200);
+    expect(ZKService.prototype.generateRegistrationProof).toHaveBeenCalledWith('hash-alice');
+  });
+});
+
+describe('POST /change-password con la derivación real del commitment', () => {
+  const crypto = require('crypto');
+  const BlockchainService = require('./services/blockchainService');
+  const ZKService = require('./services/zkService');
+
+  // Mismo vector que src/services/zkProofService.test.js (frontend)
+  const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+  const zk = new ZKService();
+
+  beforeEach(() => {
+    users[0].passwordHash = sha256('Secreta123!');
+    jest.spyOn(BlockchainService.prototype, 'updateCommitment').mockResolvedValue({ success: true, transactionHash: '0xtx' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    new LoginAttemptService().unlock(ALICE, 'alice');
+  });
+
+  async function changePasswordWith(password) {
+    const challenge = await request(app).post('/auth/challenge').send({ address: ALICE });
+    const { proof, publicSignals } = await zk.generateLoginProof(sha256(password), ALICE, challenge.body.nonce);
+
+    return request(app)
+      .post('/change-password')
+      .set('Authorization', bearer(ALICE))
+      .send({ address: ALICE, proof, publicSignals, newPasswordHash: sha256('Nueva456!') });
+  }
+
+  test('la prueba de la contraseña actual reproduce el commitment registrado', async () => {
+    const response = await changePasswordWith('Secreta123!');
+
+    expect(response.status).toBe(200);
+    const [, , publicSignals] = BlockchainService.prototype.updateCommitment.mock.calls[0];
+    expect(publicSignals[0]).toBe('0xd3f6c033d6813304');
+    expect(users[0].passwordHash).toBe(sha256('Nueva456!'));
+  });
+
+  test('la prueba de otra contraseña no coincide', async () => {
+    const response = await changePasswordWith('Otra789!');
+
+    expect(response.body.code).toBe('PROOF_INVALID');
+    expect(BlockchainService.prototype.updateCommitment).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /metrics', () => {
+  test('exige el token configurado', async () => {
+    const anonymous = await request(app).get('/metrics');
+    expect(anonymous.body.code).toBe('METRICS_TOKEN_REQUIRED');
+
+    const wrong = await request(app).get('/metrics').set('Authorization', 'Bearer otro');
+    expect(wrong.body.code).toBe('METRICS_TOKEN_REQUIRED');
+  });
+
+  test('devuelve texto Prometheus con las peticiones ya atendidas', async () => {
+    await request(app).get('/info');
+    const response = await request(app).get('/metrics').set('Authorization', 'Bearer test-metrics-token');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0.0.4/);
+    expect(response.text).toContain('# TYPE zklogin_http_requests_total counter');
+    expect(response.text).toMatch(/zklogin_http_requests_total\{method="GET",route="\/info",status="200"\} \d+/);
+  });
+});
+
+describe('Idempotency-Key en /register-user y /verify-proof', () => {
+  const BlockchainService = require('./services/blockchainService');
+  const ChallengeService = require('./services/challengeService');
+  const JobService = require('./services/jobService');
+  const PrivadoIDService = require('./services/privadoService');
+  const SiweService = require('./services/siweService');
+  const ZKService = require('./services/zkService');
+
+  const CAROL = '0x4444444444444444444444444444444444444444';
+  const proof = { pi_a: ['1', '2', '1'], pi_b: [['1', '2'], ['3', '4'], ['1', '0']], pi_c: ['1', '2', '1'], protocol: 'groth16', curve: 'bn128' };
+
+  let spies = [];
+
+  beforeEach(() => {
+    spies = [
+      jest.spyOn(BlockchainService.prototype, 'isUserRegistered').mockResolvedValue(false),
+      jest.spyOn(BlockchainService.prototype, 'verifyProof').mockResolvedValue({ success: true, isValid: true }),
+      jest.spyOn(JobService.prototype, 'enqueue')
+        .mockReturnValueOnce({ job: { id: 'job-1', status: 'queued' }, token: 'job-token-1' })
+        .mockReturnValueOnce({ job: { id: 'job-2', status: 'queued' }, token: 'job-token-2' }),
+      jest.spyOn(SiweService.prototype, 'checkOwnership').mockReturnValue({ success: true }),
+      jest.spyOn(SiweService.prototype, 'consumeOwnershipToken').mockReturnValue(true),
+      jest.spyOn(ChallengeService.prototype, 'consumeChallenge').mockReturnValue({ success: true }),
+      jest.spyOn(ZKService.prototype, 'verifyProof').mockResolvedValue({ success: true, isValid: true }),
+      jest.spyOn(ZKService.prototype, 'checkPublicSignals').mockReturnValue({ valid: true }),
+      jest.spyOn(PrivadoIDService.prototype, 'verifyUserProof').mockResolvedValue({ isValid: true })
+    ];
+  });
+
+  afterEach(() => {
+    spies.forEach(spy => spy.mockRestore());
+  });
+
+  function storedText() {
+    const file = path.join(storeDir, 'idempotency.json');
+    return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  }
+
+  test('un reintento de /register-user devuelve el mismo jobToken y los códigos de recuperación', async () => {
+    const send = () => request(app)
+      .post('/register-user')
+      .set('Idempotency-Key', 'register-carol-1')
+      .send({ username: 'carol', email: 'carol@example.com', address: CAROL, passwordHash: 'a'.repeat(64) });
+
+    const first = await send();
+    expect(first.status).toBe(202);
+    expect(first.body.jobToken).toBe('job-token-1');
+    expect(first.body.recoveryCodes).toHaveLength(8);
+
+    const replay = await send();
+    expect(replay.status).toBe(202);
+    expect(replay.headers['idempotency-replayed']).toBe('true');
+    expect(replay.body).toEqual(first.body);
+    expect(JobService.prototype.enqueue).toHaveBeenCalledTimes(1);
+
+    // En el almacén la respuesta está cifrada
+    expect(storedText()).not.toContain('job-token-1');
+    expect(storedText()).not.toContain(first.body.recoveryCodes[0]);
+  });
+
+  test('un reintento de /verify-proof devuelve la misma sesión', async () => {
+    const send = () => request(app)
+      .post('/verify-proof')
+      .set('Idempotency-Key', 'verify-alice-1')
+      .set('X-SIWE-Token', 'siwe-token')
+      .send({ address: ALICE, proof, publicSignals: ['1', '2', '3'] });
+
+    const first = await send();
+    expect(first.status).toBe(200);
+    expect(first.body.session.accessToken).toEqual(expect.any(String));
+
+    const replay = await send();
+    expect(replay.status).toBe(200);
+    expect(replay.body).toEqual(first.body);
+    expect(ZKService.prototype.verifyProof).toHaveBeenCalledTimes(1);
+    expect(storedText()).not.toContain(first.body.session.accessToken);
+    expect(storedText()).not.toContain(first.body.session.refreshToken);
+  });
+
+  test('otra petición con la misma clave no puede leer la respuesta guardada', async () => {
+    const send = token => request(app)
+      .post('/verify-proof')
+      .set('Idempotency-Key', 'verify-alice-2')
+      .set('X-SIWE-Token', token)
+      .send({ address: ALICE, proof, publicSignals: ['1', '2', '3'] });
+
+    expect((await send('siwe-token')).status).toBe(200);
+
+    const other = await send('otro-token');
+    expect(other.status).toBe(422);
+    expect(other.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(other.body.session).toBeUndefined();
+  });
+});
+
+describe('Rutas de logs', () => {
+  const logQuery = require('./utils/logQuery');
+  const logWriter = require('./utils/logWriter');
+  let logDir;
+
+  beforeEach(() => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'index-logs-'));
+    logQuery.logDir = logDir;
+    logWriter.logDir = logDir;
+    fs.writeFileSync(path.join(logDir, '2026-01-01.log'), [
+      { timestamp: '2026-01-01T10:00:00.000Z', level: 'ERROR', message: 'RPC failed', requestId: 'req-1' },
+      { timestamp: '2026-01-01T11:00:00.000Z', level: 'INFO', message: 'Server started' }
+    ].map(entry => JSON.stringify(entry)).join('\n') + '\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  test('buscan con filtros y paginación', async () => {
+    const response = await request(app)
+      .get('/admin/logs?from=2026-01-01&to=2026-01-02&level=ERROR')
+      .set('Authorization', bearer(ADMIN));
+
+    expect(response.status).toBe(200);
+    expect(response.body.entries).toEqual([expect.objectContaining({ message: 'RPC failed', requestId: 'req-1' })]);
+    expect(response.body.pagination).toEqual({ offset: 0, limit: 20, total: 1, hasMore: false });
+  });
+
+  test('rechazan filtros inválidos', async () => {
+    const response = await request(app).get('/admin/logs?level=VERBOSE').set('Authorization', bearer(ADMIN));
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+  });
+
+  test('exportan CSV como archivo adjunto', async () => {
+    const response = await request(app)
+      .get('/admin/logs/export?from=2026-01-01&to=2026-01-02&format=csv')
+      .set('Authorization', bearer(ADMIN));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/csv');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="logs-2026-01-01-2026-01-02.csv"');
+    expect(response.text.trim().split('\n')).toHaveLength(3);
+  });
+});
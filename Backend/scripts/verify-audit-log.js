@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Script para verificar el registro de auditoría (logs/security.log)
+ *
+ * Recorre la cadena de hashes (con los segmentos rotados, ver logWriter) y
+ * comprueba los checkpoints firmados con AUDIT_SIGNING_KEY (o con alguna de
+ * AUDIT_PREVIOUS_SIGNING_KEYS; se leen del .env).
+ * Termina con código 1 si la cadena está rota, para poder usarlo en
+ * revisiones de cumplimiento o en CI.
+ *
+ * Uso: node scripts/verify-audit-log.js [archivo] [--json]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const auditLog = require('../utils/auditLog');
+
+function main() {
+    const args = process.argv.slice(2);
+    const asJson = args.includes('--json');
+    const file = args.find(arg => !arg.startsWith('--'));
+
+    const report = auditLog.verify(file ? path.resolve(file) : undefined);
+
+    if (asJson) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`📄 Archivos: ${report.files.join(', ') || '(ninguno)'}`);
+        console.log(`   Entradas encadenadas: ${report.entries} (antiguas sin cadena: ${report.legacyEntries})`);
+        console.log(`   Checkpoints: ${report.checkpoints.total} (verificados: ${report.checkpoints.verified})`);
+        console.log(`   Secuencia: ${report.firstSeq ?? '-'} a ${report.lastSeq ?? '-'}; tras el último checkpoint: ${report.entriesAfterLastCheckpoint}`);
+
+        if (report.valid) {
+            console.log('✅ Cadena íntegra');
+        } else {
+            console.log(`❌ Cadena rota en ${report.firstBreak.file}, línea ${report.firstBreak.line} (${report.firstBreak.reason})`);
+            report.issues.forEach(issue => {
+                console.log(`   - ${issue.file}:${issue.line ?? '-'}, seq ${issue.seq ?? '-'}: ${issue.reason}`);
+            });
+        }
+    }
+
+    process.exit(report.valid ? 0 : 1);
+}
+
+main();
@@ -2,167 +2,220 @@
  * Servicio Blockchain para interactuar con contratos inteligentes
  * 
  * Este servicio maneja:
- * 1. Conexión a Polygon Mumbai Testnet
+ * 1. Conexión a la red configurada (config.blockchain.network)
  * 2. Interacción con contratos de registro y verificación
- * 3. Transacciones de registro de usuarios
+ * 3. Transacciones de registro de usuarios y rotación de commitments
  * 4. Verificación de pruebas ZK en blockchain
  */
 
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { sendError } = require('../utils/errors');
+const lifecycle = require('../utils/lifecycle');
+const ProgressService = require('./progressService');
+
+/**
+ * Rechazar si una promesa no se resuelve a tiempo
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Sin respuesta en ${ms}ms`)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Error para un chainId que no está en la configuración (config.networks)
+ */
+class UnsupportedChainError extends Error {
+  constructor(chainId, supportedChains) {
+    const available = supportedChains.map(chain => `${chain.chainId} (${chain.network})`).join(', ');
+    super(`Red no soportada: chainId ${chainId}. Redes configuradas: ${available}`);
+    this.name = 'UnsupportedChainError';
+    this.chainId = chainId;
+    this.supportedChains = supportedChains;
+  }
+}
 
 class BlockchainService {
-  constructor() {
-    this.provider = null;
-    this.wallet = null;
-    this.registerContract = null;
-    this.verifierContract = null;
-    this.isConnected = false;
-
-    // Configuración de red
-    this.networks = {
-      amoy: {
-        chainId: 80002,
-        name: 'Polygon Amoy Testnet',
-        rpc: process.env.AMOY_RPC_URL || 'https://rpc-amoy.polygon.technology',
-        explorer: 'https://amoy.polygonscan.com'
-      },
-      mumbai: {
-        chainId: 80001,
-        name: 'Polygon Mumbai Testnet (Deprecated)',
-        rpc: process.env.MUMBAI_RPC_URL || 'https://rpc-mumbai.matic.today',
-        explorer: 'https://mumbai.polygonscan.com'
-      },
-      polygon: {
-        chainId: 137,
-        name: 'Polygon Mainnet',
-        rpc: process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com',
-        explorer: 'https://polygonscan.com'
-      }
-    };
+  static UnsupportedChainError = UnsupportedChainError;
 
-    // Direcciones de contratos (se configuran en .env)
-    this.contractAddresses = {
-      register: process.env.REGISTER_CONTRACT_ADDRESS,
-      verifier: process.env.VERIFIER_CONTRACT_ADDRESS
-    };
+  constructor() {
+    // Redes configuradas (config/default.json, CONFIG_FILE y .env)
+    this.networks = config.networks;
+    this.defaultNetwork = config.blockchain.network;
+    this.defaultChainId = this.networks[this.defaultNetwork].chainId;
+    this.connectTimeoutMs = 10 * 1000; // conexión inicial de cada red
+
+    // Modo mock: sin él (producción) una red sin conexión no se usa y una
+    // prueba sin contrato verificador no se da por válida
+    this.allowMock = config.blockchain.mock ?? ['development', 'test'].includes(config.server.env);
+
+    // chainId -> { chainId, network, config, provider, wallet, registerContract, verifierContract, isConnected }
+    // Cada red tiene su provider, signer y contratos; sin conexión funciona en modo mock
+    this.chains = new Map();
+    Object.entries(this.networks).forEach(([name, network]) => {
+      this.chains.set(network.chainId, {
+        chainId: network.chainId,
+        network: name,
+        config: network,
+        provider: null,
+        wallet: null,
+        registerContract: null,
+        verifierContract: null,
+        isConnected: false
+      });
+    });
   }
 
   /**
    * Inicializar el servicio blockchain
+   * Se conectan la red por defecto y las que tienen contratos configurados;
+   * el resto solo puede responder en modo mock (fuera de él, 503).
    */
   async initialize() {
-    try {
-      console.log('Inicializando servicio blockchain...');
+    console.log('Inicializando servicio blockchain...');
 
+    const chains = Array.from(this.chains.values()).filter(chain =>
+      chain.chainId === this.defaultChainId ||
+      chain.config.contracts.register ||
+      chain.config.contracts.verifier
+    );
+
+    await Promise.all(chains.map(chain => this.initializeChain(chain)));
+
+    const connected = chains.filter(chain => chain.isConnected).map(chain => chain.network);
+    console.log(`Servicio blockchain inicializado. Redes conectadas: ${connected.join(', ') || 'ninguna'}${this.allowMock ? ' (modo mock activo)' : ''}`);
+  }
+
+  /**
+   * Conectar una red: provider, wallet del servidor y contratos
+   */
+  async initializeChain(chain) {
+    try {
       // Configurar provider
-      await this.setupProvider();
+      await this.setupProvider(chain);
 
       // Configurar wallet (solo para transacciones del servidor)
-      await this.setupWallet();
+      await this.setupWallet(chain);
 
       // Cargar contratos
-      await this.loadContracts();
+      await this.loadContracts(chain);
 
-      this.isConnected = true;
-      console.log('Servicio blockchain inicializado');
+      chain.isConnected = true;
 
     } catch (error) {
-      console.error('Error inicializando blockchain service:', error);
-      // No lanzamos error para permitir que el servidor funcione en modo mock
-      console.warn('Funcionando en modo mock sin conexión blockchain');
+      console.error(`Error inicializando red ${chain.network}:`, error.message);
+      // No lanzamos error: las demás redes siguen disponibles
+      console.warn(this.allowMock
+        ? `Red ${chain.network} funcionando en modo mock sin conexión blockchain`
+        : `Red ${chain.network} no disponible: sus peticiones responderán 503`);
     }
   }
 
   /**
    * Configurar provider de blockchain
+   * El chainId es fijo (staticNetwork) pero se comprueba una vez contra el RPC
+   * para no enrutar peticiones de una red a otra por un RPC mal configurado.
    */
-  async setupProvider() {
-    const networkName = process.env.NETWORK_NAME || 'amoy';
-    const network = this.networks[networkName];
-
-    if (!network) {
-      throw new Error(`Red no soportada: ${networkName}`);
-    }
+  async setupProvider(chain) {
+    const network = chain.config;
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true });
 
     try {
-      this.provider = new ethers.providers.JsonRpcProvider(network.rpc);
-      
-      // Verificar conexión
-      const blockNumber = await this.provider.getBlockNumber();
+      // Verificar conexión y red
+      const rpcChainId = await this.rpcCall(chain, 'eth_chainId', () =>
+        withTimeout(provider.send('eth_chainId', []), this.connectTimeoutMs)
+      );
+      if (Number(rpcChainId) !== network.chainId) {
+        throw new Error(`El RPC responde chainId ${Number(rpcChainId)}, se esperaba ${network.chainId}`);
+      }
+
+      const blockNumber = await this.rpcCall(chain, 'getBlockNumber', () => provider.getBlockNumber());
+      chain.provider = provider;
       console.log(`Conectado a ${network.name}, bloque: ${blockNumber}`);
 
     } catch (error) {
-      console.error('Error conectando a RPC:', error);
+      provider.destroy();
+      console.error(`Error conectando a RPC de ${network.name}:`, error.shortMessage || error.message);
       throw new Error(`No se pudo conectar a ${network.name}`);
     }
   }
 
   /**
    * Configurar wallet para transacciones del servidor
+   * Se usa la misma clave en todas las redes, con un signer por provider.
    * NOTA: En producción, usar un wallet dedicado con fondos limitados
    */
-  async setupWallet() {
-    const privateKey = process.env.SERVER_PRIVATE_KEY;
+  async setupWallet(chain) {
+    const privateKey = config.blockchain.serverPrivateKey;
 
     if (!privateKey) {
-      console.warn('SERVER_PRIVATE_KEY no configurada. Las transacciones del servidor no estarán disponibles.');
+      console.warn(`SERVER_PRIVATE_KEY no configurada. Las transacciones del servidor no estarán disponibles en ${chain.network}.`);
       return;
     }
 
     try {
-      this.wallet = new ethers.Wallet(privateKey, this.provider);
-      const address = await this.wallet.getAddress();
-      const balance = await this.provider.getBalance(address);
+      chain.wallet = new ethers.Wallet(privateKey, chain.provider);
+      const address = await chain.wallet.getAddress();
+      const balance = await this.rpcCall(chain, 'getBalance', () => chain.provider.getBalance(address));
       
-      console.log(`Wallet del servidor: ${address}`);
-      console.log(`Balance: ${ethers.utils.formatEther(balance)} MATIC`);
+      console.log(`Wallet del servidor en ${chain.network}: ${address}`);
+      console.log(`Balance: ${ethers.formatEther(balance)} ${chain.config.currency || 'POL'}`);
 
-      if (balance.lt(ethers.utils.parseEther('0.01'))) {
-        console.warn('Balance bajo en wallet del servidor');
+      if (balance < ethers.parseEther('0.01')) {
+        console.warn(`Balance bajo en wallet del servidor (${chain.network})`);
       }
 
     } catch (error) {
-      console.error('Error configurando wallet del servidor:', error);
+      console.error(`Error configurando wallet del servidor en ${chain.network}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Cargar contratos inteligentes
+   * Cargar contratos inteligentes de una red
    */
-  async loadContracts() {
+  async loadContracts(chain) {
+    const addresses = chain.config.contracts;
+
     try {
       // Cargar ABIs de contratos
       const registerABI = await this.loadContractABI('register');
       const verifierABI = await this.loadContractABI('verifier');
 
       // Crear instancias de contratos
-      if (this.contractAddresses.register && registerABI) {
-        this.registerContract = new ethers.Contract(
-          this.contractAddresses.register,
+      if (addresses.register && registerABI) {
+        chain.registerContract = new ethers.Contract(
+          addresses.register,
           registerABI,
-          this.wallet || this.provider
+          chain.wallet || chain.provider
         );
-        console.log('Contrato de registro cargado');
+        console.log(`Contrato de registro cargado (${chain.network})`);
       }
 
-      if (this.contractAddresses.verifier && verifierABI) {
-        this.verifierContract = new ethers.Contract(
-          this.contractAddresses.verifier,
+      if (addresses.verifier && verifierABI) {
+        chain.verifierContract = new ethers.Contract(
+          addresses.verifier,
           verifierABI,
-          this.wallet || this.provider
+          chain.wallet || chain.provider
         );
-        console.log('Contrato verificador cargado');
+        console.log(`Contrato verificador cargado (${chain.network})`);
       }
 
-      if (!this.registerContract || !this.verifierContract) {
-        console.warn(' Algunos contratos no se pudieron cargar. Usando mocks.');
+      if (!chain.registerContract || !chain.verifierContract) {
+        console.warn(` Algunos contratos de ${chain.network} no se pudieron cargar. Usando mocks.`);
       }
 
     } catch (error) {
-      console.error('Error cargando contratos:', error);
+      console.error(`Error cargando contratos de ${chain.network}:`, error);
       console.warn(' Usando contratos mock para desarrollo');
     }
   }
@@ -187,32 +240,111 @@ class BlockchainService {
     }
   }
 
+  /**
+   * Obtener la red de un chainId (sin chainId, la red por defecto)
+   * @throws {UnsupportedChainError} Si el chainId no está configurado
+   */
+  getChain(chainId = this.defaultChainId) {
+    const chain = this.chains.get(Number(chainId));
+    if (!chain) {
+      throw new UnsupportedChainError(chainId, this.getSupportedChains());
+    }
+    return chain;
+  }
+
+  isSupportedChain(chainId) {
+    return this.chains.has(Number(chainId));
+  }
+
+  /**
+   * Redes configuradas (para errores y /info)
+   */
+  getSupportedChains() {
+    return Array.from(this.chains.values()).map(chain => ({
+      chainId: chain.chainId,
+      network: chain.network,
+      name: chain.config.name,
+      isConnected: chain.isConnected
+    }));
+  }
+
+  /**
+   * Middleware de Express: resolver req.chainId desde body.chainId (o
+   * query.chainId en GET) y rechazar con 400 las redes no configuradas
+   * Fuera del modo mock, una red configurada pero sin conexión responde 503.
+   */
+  requireSupportedChain() {
+    return (req, res, next) => {
+      const requested = req.method === 'GET' ? req.query.chainId : req.body?.chainId;
+      let chainId = this.defaultChainId;
+
+      if (requested !== undefined && requested !== null && requested !== '') {
+        chainId = Number(requested);
+        if (!Number.isInteger(chainId) || !this.isSupportedChain(chainId)) {
+          const error = new UnsupportedChainError(requested, this.getSupportedChains());
+          return sendError(res, 'CHAIN_UNSUPPORTED', {
+            detail: `chainId ${requested}`,
+            supportedChains: error.supportedChains
+          });
+        }
+      }
+
+      const chain = this.getChain(chainId);
+      if (!chain.isConnected && !this.allowMock) {
+        return sendError(res, 'CHAIN_UNAVAILABLE', {
+          detail: `chainId ${chainId} (${chain.network})`,
+          supportedChains: this.getSupportedChains().filter(supported => supported.isConnected)
+        });
+      }
+
+      req.chainId = chainId;
+      next();
+    };
+  }
+
   /**
    * Verificar si un usuario está registrado
    */
-  async isUserRegistered(userAddress) {
+  async isUserRegistered(userAddress, chainId = this.defaultChainId) {
+    const chain = this.getChain(chainId);
+
     try {
-      if (!this.registerContract) {
-        console.warn('Contrato de registro no disponible, usando mock');
+      if (!chain.registerContract) {
+        logger.warn('Register contract not available, using mock', { network: chain.network });
         return this.mockIsUserRegistered(userAddress);
       }
 
-      const isRegistered = await this.registerContract.isUserRegistered(userAddress);
+      const isRegistered = await this.rpcCall(chain, 'isUserRegistered', () => chain.registerContract.isUserRegistered(userAddress));
       return isRegistered;
 
     } catch (error) {
-      console.error('Error verificando registro de usuario:', error);
+      logger.error('Error checking user registration', error, { network: chain.network, userAddress });
       return this.mockIsUserRegistered(userAddress);
     }
   }
 
   /**
-   * Registrar usuario en blockchain
+   * Registrar usuario en blockchain (envío + confirmación)
+   */
+  async registerUser(userAddress, publicSignals, chainId = this.defaultChainId) {
+    const submission = await this.submitRegistration(userAddress, publicSignals, chainId);
+    if (!submission.success || submission.isMock) {
+      return submission;
+    }
+
+    return this.waitForTransaction(submission.transactionHash, chainId);
+  }
+
+  /**
+   * Enviar transacción de registro sin esperar confirmación
+   * @returns {Object} { success, transactionHash } (o resultado mock)
    */
-  async registerUser(userAddress, publicSignals, chainId = 80001) {
+  async submitRegistration(userAddress, publicSignals, chainId = this.defaultChainId) {
+    const chain = this.getChain(chainId);
+
     try {
-      if (!this.registerContract || !this.wallet) {
-        console.warn(' Contrato/wallet no disponible, usando mock');
+      if (!chain.registerContract || !chain.wallet) {
+        logger.warn('Contract or wallet not available, using mock', { network: chain.network });
         return this.mockRegisterUser(userAddress, publicSignals);
       }
 
@@ -220,25 +352,144 @@ class BlockchainService {
       const hashCommitment = publicSignals[0]; // Primera señal pública como commitment
       
       // Estimar gas
-      const gasEstimate = await this.registerContract.estimateGas.registerUser(
+      const gasEstimate = await this.rpcCall(chain, 'estimateGas', () => chain.registerContract.registerUser.estimateGas(
         userAddress,
         hashCommitment
-      );
+      ));
 
       // Enviar transacción
-      const tx = await this.registerContract.registerUser(
+      const tx = await this.rpcCall(chain, 'registerUser', () => chain.registerContract.registerUser(
         userAddress,
         hashCommitment,
         {
-          gasLimit: gasEstimate.mul(120).div(100), // +20% buffer
-          gasPrice: ethers.utils.parseUnits('30', 'gwei') // Gas price para Mumbai
+          gasLimit: gasEstimate * 120n / 100n, // +20% buffer
+          gasPrice: ethers.parseUnits('30', 'gwei') // Gas price para Mumbai
         }
+      ));
+
+      logger.blockchain('Transaction sent', { network: chain.network, method: 'registerUser', userAddress, transactionHash: tx.hash });
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        chainId: chain.chainId
+      };
+
+    } catch (error) {
+      logger.error('Error registering user', error, { network: chain.network, userAddress });
+      return this.mockRegisterUser(userAddress, publicSignals);
+    }
+  }
+
+  /**
+   * Esperar confirmación de una transacción enviada
+   * @param {string} transactionHash - Hash de la transacción
+   * @param {number} chainId - Red en la que se envió
+   * @param {number} confirmations - Confirmaciones requeridas
+   */
+  async waitForTransaction(transactionHash, chainId = this.defaultChainId, confirmations = 1) {
+    const chain = this.getChain(chainId);
+
+    try {
+      const receipt = await this.rpcCall(
+        chain,
+        'waitForTransaction',
+        () => chain.provider.waitForTransaction(transactionHash, confirmations)
       );
 
-      console.log(` Transacción de registro enviada: ${tx.hash}`);
+      if (!receipt || receipt.status === 0) {
+        logger.blockchain('Transaction reverted', { network: chain.network, transactionHash });
+        return {
+          success: false,
+          transactionHash,
+          error: 'Transacción revertida'
+        };
+      }
 
-      // Esperar confirmación
-      const receipt = await tx.wait();
+      logger.blockchain('Transaction confirmed', { network: chain.network, transactionHash, blockNumber: receipt.blockNumber });
+
+      return {
+        success: true,
+        transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString()
+      };
+
+    } catch (error) {
+      logger.error('Error waiting for transaction', error, { network: chain.network, transactionHash });
+      return {
+        success: false,
+        transactionHash,
+        error: error.reason || error.shortMessage || error.message
+      };
+    }
+  }
+
+  /**
+   * Rotar hash commitment de un usuario (cambio de contraseña)
+   * @param {string} userAddress - Dirección del usuario
+   * @param {Object} proof - Prueba ZK de la contraseña actual
+   * @param {Array} publicSignals - Señales públicas de esa prueba
+   * @param {string} newCommitment - Commitment de la nueva contraseña
+   */
+  async updateCommitment(userAddress, proof, publicSignals, newCommitment, chainId = this.defaultChainId) {
+    return this.sendCommitmentTransaction(
+      'updateCommitment',
+      userAddress,
+      proof,
+      publicSignals,
+      newCommitment,
+      chainId
+    );
+  }
+
+  /**
+   * Resetear hash commitment con un código de recuperación
+   * @param {Object} proof - Prueba ZK del código de recuperación
+   * @param {Array} publicSignals - Señales públicas (la primera es el commitment del código)
+   */
+  async resetCommitmentWithRecovery(userAddress, proof, publicSignals, newCommitment, chainId = this.defaultChainId) {
+    return this.sendCommitmentTransaction(
+      'resetCommitmentWithRecovery',
+      userAddress,
+      proof,
+      publicSignals,
+      newCommitment,
+      chainId
+    );
+  }
+
+  /**
+   * Enviar transacción que cambia el commitment de un usuario a partir de una prueba
+   */
+  async sendCommitmentTransaction(method, userAddress, proof, publicSignals, newCommitment, chainId) {
+    const chain = this.getChain(chainId);
+
+    try {
+      if (!chain.registerContract || !chain.wallet) {
+        logger.warn('Contract or wallet not available, using mock', { network: chain.network });
+        return this.mockUpdateCommitment(userAddress, newCommitment);
+      }
+
+      const formattedProof = this.formatProofForContract(proof);
+      const args = [
+        userAddress,
+        formattedProof.a,
+        formattedProof.b,
+        formattedProof.c,
+        publicSignals,
+        newCommitment
+      ];
+
+      // Estimar gas (+20% buffer)
+      const gasEstimate = await this.rpcCall(chain, 'estimateGas', () => chain.registerContract[method].estimateGas(...args));
+      const tx = await this.rpcCall(chain, method, () => chain.registerContract[method](...args, {
+        gasLimit: gasEstimate * 120n / 100n
+      }));
+
+      logger.blockchain('Transaction sent', { network: chain.network, method, userAddress, transactionHash: tx.hash });
+
+      const receipt = await this.rpcCall(chain, 'waitForTransaction', () => tx.wait());
 
       return {
         success: true,
@@ -248,60 +499,213 @@ class BlockchainService {
       };
 
     } catch (error) {
-      console.error('Error registrando usuario:', error);
-      return this.mockRegisterUser(userAddress, publicSignals);
+      // A diferencia del registro, no se cae a mock: un revert aquí significa
+      // que el contrato rechazó la prueba
+      logger.error(`Error in ${method}`, error, { network: chain.network, userAddress });
+      return {
+        success: false,
+        error: error.reason || error.shortMessage || error.message
+      };
+    }
+  }
+
+  /**
+   * Registrar commitments de códigos de recuperación de un usuario
+   * @param {string} userAddress - Dirección del usuario
+   * @param {Array} commitments - Commitments de los códigos
+   */
+  async setRecoveryCommitments(userAddress, commitments, chainId = this.defaultChainId) {
+    const chain = this.getChain(chainId);
+
+    try {
+      if (!chain.registerContract || !chain.wallet) {
+        logger.warn('Contract or wallet not available, using mock', { network: chain.network });
+        return this.mockSetRecoveryCommitments(userAddress, commitments);
+      }
+
+      const tx = await this.rpcCall(chain, 'setRecoveryCommitments', () => chain.registerContract.setRecoveryCommitments(userAddress, commitments));
+      logger.blockchain('Transaction sent', { network: chain.network, method: 'setRecoveryCommitments', userAddress, transactionHash: tx.hash });
+
+      const receipt = await this.rpcCall(chain, 'waitForTransaction', () => tx.wait());
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      logger.error('Error setting recovery commitments', error, { network: chain.network, userAddress });
+      return {
+        success: false,
+        error: error.reason || error.shortMessage || error.message
+      };
+    }
+  }
+
+  /**
+   * Activar o desactivar un usuario en el contrato (deactivateUser / reactivateUser)
+   * @param {string} userAddress - Dirección del usuario
+   * @param {boolean} isActive - Estado deseado
+   */
+  async setUserActive(userAddress, isActive, chainId = this.defaultChainId) {
+    const chain = this.getChain(chainId);
+
+    try {
+      if (!chain.registerContract || !chain.wallet) {
+        logger.warn('Contract or wallet not available, using mock', { network: chain.network });
+        return this.mockSetUserActive(userAddress, isActive);
+      }
+
+      const method = isActive ? 'reactivateUser' : 'deactivateUser';
+      const tx = await this.rpcCall(chain, method, () => chain.registerContract[method](userAddress));
+      logger.blockchain('Transaction sent', { network: chain.network, method, userAddress, transactionHash: tx.hash });
+
+      const receipt = await this.rpcCall(chain, 'waitForTransaction', () => tx.wait());
+
+      return {
+        success: true,
+        transactionHash: tx.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      logger.error('Error changing user status', error, { network: chain.network, userAddress });
+      return {
+        success: false,
+        error: error.reason || error.shortMessage || error.message
+      };
+    }
+  }
+
+  /**
+   * Obtener usuarios registrados en el contrato con paginación
+   */
+  async getRegisteredUsers(offset = 0, limit = 20, chainId = this.defaultChainId) {
+    const chain = this.getChain(chainId);
+
+    try {
+      if (!chain.registerContract) {
+        logger.warn('Register contract not available, using mock', { network: chain.network });
+        return this.mockGetRegisteredUsers(offset, limit);
+      }
+
+      const [totalUsers] = await this.rpcCall(chain, 'getStats', () => chain.registerContract.getStats());
+      const total = Number(totalUsers);
+
+      // El contrato revierte con offset fuera de rango
+      const users = offset < total
+        ? await this.rpcCall(chain, 'getRegisteredUsers', () => chain.registerContract.getRegisteredUsers(offset, limit))
+        : [];
+
+      return {
+        success: true,
+        users: users.map(address => address.toLowerCase()),
+        total
+      };
+
+    } catch (error) {
+      logger.error('Error getting registered users', error, { network: chain.network });
+      return {
+        success: false,
+        error: error.reason || error.shortMessage || error.message
+      };
     }
   }
 
   /**
    * Verificar prueba ZK en blockchain
    */
-  async verifyProof(userAddress, proof, publicSignals, chainId = 80001) {
+  async verifyProof(userAddress, proof, publicSignals, chainId = this.defaultChainId, progress = ProgressService.NOOP) {
+    const chain = this.getChain(chainId);
+
     try {
-      if (!this.verifierContract) {
-        console.warn('  Contrato verificador no disponible, usando mock');
-        return this.mockVerifyProof(userAddress, proof, publicSignals);
+      if (!chain.verifierContract) {
+        if (!this.allowMock) {
+          logger.error('Verifier contract not available, refusing verification', null, { network: chain.network });
+          metrics.recordVerification('onchain', { success: false });
+          return { success: false, error: 'Contrato verificador no disponible' };
+        }
+
+        logger.warn('Verifier contract not available, using mock', { network: chain.network });
+        progress.skip('tx_sent', 'Contrato verificador no disponible (mock)');
+        progress.skip('tx_confirmed', 'Contrato verificador no disponible (mock)');
+        return metrics.recordVerification('onchain', this.mockVerifyProof(userAddress, proof, publicSignals));
       }
 
       // Formatear prueba para el contrato
       const formattedProof = this.formatProofForContract(proof);
 
       // Llamar función de verificación
-      const isValid = await this.verifierContract.verifyProof(
+      const isValid = await this.rpcCall(chain, 'verifyProof', () => chain.verifierContract.verifyProof(
         formattedProof.a,
         formattedProof.b,
         formattedProof.c,
         publicSignals
-      );
+      ));
 
       // Si es válida, registrar verificación (opcional)
       let transactionHash = null;
-      if (isValid && this.wallet) {
+      if (isValid && chain.wallet) {
         try {
-          const tx = await this.verifierContract.recordVerification(
-            userAddress,
-            publicSignals[0] // Hash commitment
+          const tx = await progress.stage('tx_sent', () =>
+            this.rpcCall(chain, 'recordVerification', () => chain.verifierContract.recordVerification(
+              userAddress,
+              publicSignals[0] // Hash commitment
+            ))
           );
-          await tx.wait();
+          await progress.stage('tx_confirmed', () => this.rpcCall(chain, 'waitForTransaction', () => tx.wait()));
           transactionHash = tx.hash;
+          logger.blockchain('Verification recorded', { network: chain.network, userAddress, transactionHash });
         } catch (recordError) {
-          console.warn('Error registrando verificación:', recordError);
+          logger.warn('Error recording verification', { network: chain.network, userAddress, error: recordError.message });
         }
+      } else {
+        const reason = isValid ? 'Sin wallet del servidor' : 'Prueba rechazada on-chain';
+        progress.skip('tx_sent', reason);
+        progress.skip('tx_confirmed', reason);
       }
 
-      return {
+      return metrics.recordVerification('onchain', {
         success: true,
         isValid,
         transactionHash,
+        chainId: chain.chainId,
         timestamp: new Date().toISOString()
-      };
+      });
 
     } catch (error) {
-      console.error('Error verificando prueba en blockchain:', error);
+      logger.error('Error verifying proof on-chain', error, { network: chain.network, userAddress });
+      metrics.recordVerification('onchain', { success: false });
+      if (!this.allowMock) {
+        return { success: false, error: error.reason || error.shortMessage || error.message };
+      }
       return this.mockVerifyProof(userAddress, proof, publicSignals);
     }
   }
 
+  /**
+   * Ejecutar una llamada RPC midiendo latencia y errores
+   * Las llamadas (envíos y esperas de transacciones incluidas) cuentan como
+   * trabajo en curso durante el cierre del servidor.
+   * @param {Object} chain - Red de la llamada (etiqueta de la métrica)
+   * @param {string} method - Nombre de la llamada (etiqueta de la métrica)
+   * @param {Function} fn - Función async que hace la llamada
+   */
+  async rpcCall(chain, method, fn) {
+    const labels = { method, chain: chain.network };
+    const endTimer = metrics.startTimer('rpc_request_duration_seconds', labels);
+
+    try {
+      return await lifecycle.track(`rpc:${chain.network}:${method}`, fn);
+    } catch (error) {
+      metrics.increment('rpc_errors_total', labels);
+      throw error;
+    } finally {
+      endTimer();
+    }
+  }
+
   /**
    * Formatear prueba para contrato inteligente
    */
@@ -314,28 +718,34 @@ class BlockchainService {
   }
 
   /**
-   * Obtener información de contratos (para debug)
+   * Obtener información de contratos por red (para debug)
    */
   async getContractInfo() {
     return {
-      isConnected: this.isConnected,
-      network: process.env.NETWORK_NAME || 'mumbai',
-      provider: !!this.provider,
-      wallet: !!this.wallet,
-      contracts: {
-        register: {
-          address: this.contractAddresses.register,
-          loaded: !!this.registerContract
+      defaultChainId: this.defaultChainId,
+      chains: Array.from(this.chains.values()).map(chain => ({
+        chainId: chain.chainId,
+        network: chain.network,
+        name: chain.config.name,
+        explorer: chain.config.explorer,
+        isConnected: chain.isConnected,
+        provider: !!chain.provider,
+        wallet: !!chain.wallet,
+        contracts: {
+          register: {
+            address: chain.config.contracts.register,
+            loaded: !!chain.registerContract
+          },
+          verifier: {
+            address: chain.config.contracts.verifier,
+            loaded: !!chain.verifierContract
+          }
         },
-        verifier: {
-          address: this.contractAddresses.verifier,
-          loaded: !!this.verifierContract
-        }
-      },
-      walletInfo: this.wallet ? {
-        address: this.wallet.address,
-        hasBalance: true // Se verificaría el balance real
-      } : null
+        walletInfo: chain.wallet ? {
+          address: chain.wallet.address,
+          hasBalance: true // Se verificaría el balance real
+        } : null
+      }))
     };
   }
 
@@ -344,18 +754,20 @@ class BlockchainService {
    */
 
   mockIsUserRegistered(userAddress) {
+    metrics.recordMockFallback('blockchain', 'isUserRegistered');
     // Simular que algunos usuarios están registrados
     const registeredUsers = [
       '0x742d35Cc8e90e3b6E4dB8a5f4e7a2c4d8f9E1234', // Ejemplo
     ];
     
     const isRegistered = registeredUsers.includes(userAddress);
-    console.log(` MOCK: Usuario ${userAddress} ${isRegistered ? 'está' : 'no está'} registrado`);
+    logger.blockchain('MOCK isUserRegistered', { network: 'mock', userAddress, isRegistered });
     return isRegistered;
   }
 
   mockRegisterUser(userAddress, publicSignals) {
-    console.log(' MOCK: Registrando usuario', userAddress);
+    metrics.recordMockFallback('blockchain', 'registerUser');
+    logger.blockchain('MOCK registerUser', { network: 'mock', userAddress });
     
     return {
       success: true,
@@ -367,8 +779,63 @@ class BlockchainService {
     };
   }
 
+  mockUpdateCommitment(userAddress, newCommitment) {
+    metrics.recordMockFallback('blockchain', 'updateCommitment');
+    logger.blockchain('MOCK updateCommitment', { network: 'mock', userAddress });
+
+    return {
+      success: true,
+      transactionHash: '0x' + Math.random().toString(16).substring(2),
+      blockNumber: Math.floor(Math.random() * 1000000),
+      gasUsed: '45000',
+      isMock: true,
+      warning: 'Esta es una transacción MOCK para desarrollo'
+    };
+  }
+
+  mockSetRecoveryCommitments(userAddress, commitments) {
+    metrics.recordMockFallback('blockchain', 'setRecoveryCommitments');
+    logger.blockchain('MOCK setRecoveryCommitments', { network: 'mock', userAddress, count: commitments.length });
+
+    return {
+      success: true,
+      transactionHash: '0x' + Math.random().toString(16).substring(2),
+      blockNumber: Math.floor(Math.random() * 1000000),
+      isMock: true,
+      warning: 'Esta es una transacción MOCK para desarrollo'
+    };
+  }
+
+  mockSetUserActive(userAddress, isActive) {
+    metrics.recordMockFallback('blockchain', 'setUserActive');
+    logger.blockchain('MOCK setUserActive', { network: 'mock', userAddress, isActive });
+
+    return {
+      success: true,
+      transactionHash: '0x' + Math.random().toString(16).substring(2),
+      blockNumber: Math.floor(Math.random() * 1000000),
+      isMock: true,
+      warning: 'Esta es una transacción MOCK para desarrollo'
+    };
+  }
+
+  mockGetRegisteredUsers(offset, limit) {
+    metrics.recordMockFallback('blockchain', 'getRegisteredUsers');
+    const registeredUsers = [
+      '0x742d35cc8e90e3b6e4db8a5f4e7a2c4d8f9e1234', // Ejemplo
+    ];
+
+    return {
+      success: true,
+      users: registeredUsers.slice(offset, offset + limit),
+      total: registeredUsers.length,
+      isMock: true
+    };
+  }
+
   mockVerifyProof(userAddress, proof, publicSignals) {
-    console.log('MOCK: Verificando prueba para', userAddress);
+    metrics.recordMockFallback('blockchain', 'verifyProof');
+    logger.blockchain('MOCK verifyProof', { network: 'mock', userAddress });
     
     // Simular verificación básica
     const isValid = !!(proof && publicSignals && publicSignals.length > 0);
@@ -390,7 +857,16 @@ class BlockchainService {
       register: [
         "function registerUser(address user, uint256 hashCommitment) external",
         "function isUserRegistered(address user) external view returns (bool)",
-        "event UserRegistered(address indexed user, uint256 hashCommitment)"
+        "function updateCommitment(address user, uint[2] a, uint[2][2] b, uint[2] c, uint[] publicSignals, uint256 newCommitment) external",
+        "function setRecoveryCommitments(address user, uint256[] commitments) external",
+        "function resetCommitmentWithRecovery(address user, uint[2] a, uint[2][2] b, uint[2] c, uint[] publicSignals, uint256 newCommitment) external",
+        "function getRemainingRecoveryCodes(address user) external view returns (uint256)",
+        "function getRegisteredUsers(uint256 offset, uint256 limit) external view returns (address[])",
+        "function getStats() external view returns (uint256 totalUsers, uint256 activeUsers, uint256 totalLogins)",
+        "function deactivateUser(address user) external",
+        "function reactivateUser(address user) external",
+        "event UserRegistered(address indexed user, uint256 hashCommitment)",
+        "event CommitmentUpdated(address indexed user, uint256 oldCommitment, uint256 newCommitment, uint256 timestamp)"
       ],
       verifier: [
         "function verifyProof(uint[2] memory _pA, uint[2][2] memory _pB, uint[2] memory _pC, uint[] memory _pubSignals) public view returns (bool)",
@@ -403,10 +879,10 @@ class BlockchainService {
   }
 
   /**
-   * Verificar si el servicio está conectado
+   * Verificar si el servicio está conectado (red por defecto)
    */
   isConnected() {
-    return this.isConnected;
+    return this.getChain().isConnected;
   }
 }
 
@@ -0,0 +1,149 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const BlockchainService = require('./blockchainService');
+const metrics = require('../utils/metrics');
+
+const ADDRESS = '0x1234567890AbcdEF1234567890aBcdef12345678';
+
+// Secretos que la config exige en producción
+const PRODUCTION_SECRETS = { RECOVERY_CODE_KEY: 'test-recovery-key', AUDIT_SIGNING_KEY: 'test-audit-key' };
+
+/**
+ * BlockchainService con NODE_ENV=production (config cargada de nuevo)
+ */
+function loadInProduction(env = {}) {
+  const original = process.env;
+  process.env = { ...original, ...PRODUCTION_SECRETS, NODE_ENV: 'production', ...env };
+  try {
+    let Service;
+    jest.isolateModules(() => {
+      Service = require('./blockchainService');
+    });
+    return new Service();
+  } finally {
+    process.env = original;
+  }
+}
+
+describe('BlockchainService', () => {
+  let blockchain;
+
+  beforeEach(() => {
+    blockchain = new BlockchainService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('crea una red por cada entrada de config.networks', () => {
+    expect(blockchain.defaultChainId).toBe(80002);
+    expect(blockchain.getChain().network).toBe('amoy');
+    expect(blockchain.getChain('137').network).toBe('polygon');
+    expect(blockchain.getSupportedChains()).toContainEqual(
+      expect.objectContaining({ chainId: 137, network: 'polygon', isConnected: false })
+    );
+  });
+
+  test('un chainId no configurado lanza UnsupportedChainError con las redes disponibles', () => {
+    expect(() => blockchain.getChain(1)).toThrow(BlockchainService.UnsupportedChainError);
+    expect(() => blockchain.getChain(1)).toThrow(/chainId 1.*80002 \(amoy\)/);
+  });
+
+  test('cada llamada usa el contrato de la red pedida', async () => {
+    const polygonContract = { isUserRegistered: jest.fn().mockResolvedValue(true) };
+    const amoyContract = { isUserRegistered: jest.fn().mockResolvedValue(false) };
+    blockchain.getChain(137).registerContract = polygonContract;
+    blockchain.getChain(80002).registerContract = amoyContract;
+
+    await expect(blockchain.isUserRegistered(ADDRESS, 137)).resolves.toBe(true);
+    await expect(blockchain.isUserRegistered(ADDRESS)).resolves.toBe(false);
+
+    expect(polygonContract.isUserRegistered).toHaveBeenCalledTimes(1);
+    expect(amoyContract.isUserRegistered).toHaveBeenCalledTimes(1);
+    expect(metrics.render()).toContain('zklogin_rpc_request_duration_seconds_count{method="isUserRegistered",chain="polygon"} 1');
+  });
+
+  test('rechaza un RPC que responde con otro chainId', async () => {
+    jest.spyOn(ethers.JsonRpcProvider.prototype, 'send').mockResolvedValue('0x89');
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const chain = blockchain.getChain(80002);
+    await expect(blockchain.setupProvider(chain)).rejects.toThrow('No se pudo conectar a Polygon Amoy Testnet');
+    expect(chain.provider).toBeNull();
+  });
+
+  describe('requireSupportedChain', () => {
+    function createApp() {
+      const app = express();
+      app.use(express.json());
+      app.get('/chain', blockchain.requireSupportedChain(), (req, res) => res.json({ chainId: req.chainId }));
+      app.post('/chain', blockchain.requireSupportedChain(), (req, res) => res.json({ chainId: req.chainId }));
+      return app;
+    }
+
+    test('usa la red por defecto si no se indica chainId', async () => {
+      const response = await request(createApp()).post('/chain').send({});
+      expect(response.body.chainId).toBe(80002);
+    });
+
+    test('lee chainId del body en POST y de la query en GET', async () => {
+      const app = createApp();
+
+      expect((await request(app).post('/chain').send({ chainId: 137 })).body.chainId).toBe(137);
+      expect((await request(app).get('/chain?chainId=137')).body.chainId).toBe(137);
+    });
+
+    test('responde 400 CHAIN_UNSUPPORTED con las redes configuradas', async () => {
+      const response = await request(createApp()).post('/chain').send({ chainId: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('CHAIN_UNSUPPORTED');
+      expect(response.body.supportedChains.map(chain => chain.chainId)).toEqual(expect.arrayContaining([80002, 137]));
+
+      const invalid = await request(createApp()).get('/chain?chainId=abc');
+      expect(invalid.body.code).toBe('CHAIN_UNSUPPORTED');
+    });
+
+    test('en producción responde 503 CHAIN_UNAVAILABLE a una red configurada sin conexión', async () => {
+      blockchain = loadInProduction();
+      blockchain.getChain(80002).isConnected = true;
+
+      const response = await request(createApp()).post('/chain').send({ chainId: 137 });
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe('CHAIN_UNAVAILABLE');
+      expect(response.body.supportedChains.map(chain => chain.chainId)).toEqual([80002]);
+
+      expect((await request(createApp()).post('/chain').send({})).body.chainId).toBe(80002);
+    });
+  });
+
+  describe('verifyProof fuera del modo mock', () => {
+    const proof = { pi_a: ['1', '2', '1'], pi_b: [['1', '2'], ['3', '4'], ['1', '0']], pi_c: ['1', '2', '1'] };
+
+    beforeEach(() => {
+      blockchain.allowMock = false;
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('no da por válida una prueba sin contrato verificador', async () => {
+      const result = await blockchain.verifyProof(ADDRESS, proof, ['1'], 137);
+      expect(result).toMatchObject({ success: false });
+      expect(result.isValid).toBeUndefined();
+    });
+
+    test('no cae a mock si el contrato falla', async () => {
+      blockchain.getChain(80002).verifierContract = { verifyProof: jest.fn().mockRejectedValue(new Error('RPC caído')) };
+
+      const result = await blockchain.verifyProof(ADDRESS, proof, ['1']);
+      expect(result).toEqual({ success: false, error: 'RPC caído' });
+    });
+  });
+
+  test('el modo mock por defecto solo está activo fuera de producción', () => {
+    expect(blockchain.allowMock).toBe(true);
+    expect(loadInProduction().allowMock).toBe(false);
+    expect(loadInProduction({ BLOCKCHAIN_MOCK: 'true' }).allowMock).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Servicio de desafíos (challenges) para login ZK
+ *
+ * Este servicio maneja:
+ * 1. Emisión de nonces de un solo uso ligados a una dirección de wallet
+ * 2. Expiración de nonces (TTL configurable)
+ * 3. Consumo del nonce al verificar la prueba para evitar replay attacks
+ *
+ * El nonce se usa como señal pública `challengeNonce` del circuito login.circom,
+ * por lo que debe ser un elemento válido del campo BN128. El circuito solo lo
+ * liga a la prueba (no lo compara con el timestamp), así que puede ser aleatorio.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { errorBody } = require('../utils/errors');
+const { createStore } = require('../stores');
+
+class ChallengeService {
+  constructor() {
+    this.ttlSeconds = config.challenge.ttlSeconds;
+
+    // nonce -> { address, issuedAt, expiresAt, consumed }
+    this.challenges = createStore('challenges');
+  }
+
+  /**
+   * Emitir un nuevo desafío para una dirección
+   * @param {string} address - Dirección de wallet
+   * @returns {Object} { nonce, expiresAt }
+   */
+  issueChallenge(address) {
+    const nonce = this.generateNonce();
+    const now = Date.now();
+
+    // El registro se conserva el doble del TTL para poder informar "Desafío expirado"
+    this.challenges.set(nonce, {
+      address: address.toLowerCase(),
+      issuedAt: now,
+      expiresAt: now + this.ttlSeconds * 1000,
+      consumed: false
+    }, this.ttlSeconds * 2 * 1000);
+
+    return {
+      nonce,
+      expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString(),
+      ttl: this.ttlSeconds
+    };
+  }
+
+  /**
+   * Consumir un desafío. Solo tiene éxito una vez por nonce.
+   * @param {string} address - Dirección que presenta la prueba
+   * @param {string} nonce - Nonce incluido en las señales públicas
+   * @returns {Object} { success, error? }
+   */
+  consumeChallenge(address, nonce) {
+    const key = this.normalizeNonce(nonce);
+    let result = errorBody('CHALLENGE_UNKNOWN');
+
+    if (!key) return result;
+
+    // Lectura y marcado en una sola operación: dos procesos no pueden consumir el mismo nonce
+    this.challenges.update(key, challenge => {
+      if (!challenge) return undefined;
+
+      if (challenge.address !== address.toLowerCase()) {
+        result = errorBody('CHALLENGE_ADDRESS_MISMATCH');
+        return challenge;
+      }
+
+      if (challenge.consumed) {
+        result = errorBody('CHALLENGE_USED');
+        return challenge;
+      }
+
+      // Se marca como usado antes de comprobar la expiración: nunca se reutiliza
+      result = challenge.expiresAt <= Date.now()
+        ? errorBody('CHALLENGE_EXPIRED')
+        : { success: true };
+
+      return { ...challenge, consumed: true };
+    });
+
+    return result;
+  }
+
+  /**
+   * Limpiar desafíos expirados
+   */
+  cleanupExpired() {
+    this.challenges.cleanup();
+  }
+
+  /**
+   * Generar nonce aleatorio de 248 bits (cabe en el campo BN128)
+   */
+  generateNonce() {
+    return BigInt('0x' + crypto.randomBytes(31).toString('hex')).toString();
+  }
+
+  /**
+   * Normalizar nonce a string decimal (las señales pueden llegar como número o hex)
+   */
+  normalizeNonce(nonce) {
+    try {
+      return BigInt(nonce).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = ChallengeService;
@@ -0,0 +1,63 @@
+process.env.CHALLENGE_TTL_SECONDS = '60';
+
+const ChallengeService = require('./challengeService');
+
+const ADDRESS = '0x1234567890AbcdEF1234567890aBcdef12345678';
+const BN128_FIELD = BigInt('21888242871839275222246405745257275088548364400416034343698204186575808495617');
+
+describe('ChallengeService', () => {
+  let challenges;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    challenges = new ChallengeService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('emite nonces decimales distintos dentro del campo BN128', () => {
+    const first = challenges.issueChallenge(ADDRESS);
+    const second = challenges.issueChallenge(ADDRESS);
+
+    expect(first.nonce).toMatch(/^\d+$/);
+    expect(first.nonce).not.toBe(second.nonce);
+    expect(BigInt(first.nonce) < BN128_FIELD).toBe(true);
+    expect(first).toMatchObject({ ttl: 60, expiresAt: '2026-01-01T00:01:00.000Z' });
+  });
+
+  test('un nonce solo se consume una vez', () => {
+    const { nonce } = challenges.issueChallenge(ADDRESS);
+
+    expect(challenges.consumeChallenge(ADDRESS.toLowerCase(), nonce)).toEqual({ success: true });
+    expect(challenges.consumeChallenge(ADDRESS, nonce).code).toBe('CHALLENGE_USED');
+  });
+
+  test('acepta el nonce en hexadecimal como llega en las señales', () => {
+    const { nonce } = challenges.issueChallenge(ADDRESS);
+
+    expect(challenges.consumeChallenge(ADDRESS, '0x' + BigInt(nonce).toString(16)).success).toBe(true);
+  });
+
+  test('rechaza otra dirección sin gastar el nonce', () => {
+    const { nonce } = challenges.issueChallenge(ADDRESS);
+
+    expect(challenges.consumeChallenge('0x' + '9'.repeat(40), nonce).code).toBe('CHALLENGE_ADDRESS_MISMATCH');
+    expect(challenges.consumeChallenge(ADDRESS, nonce).success).toBe(true);
+  });
+
+  test('un nonce expirado se rechaza y queda gastado', () => {
+    const { nonce } = challenges.issueChallenge(ADDRESS);
+    jest.advanceTimersByTime(61 * 1000);
+
+    expect(challenges.consumeChallenge(ADDRESS, nonce).code).toBe('CHALLENGE_EXPIRED');
+    expect(challenges.consumeChallenge(ADDRESS, nonce).code).toBe('CHALLENGE_USED');
+  });
+
+  test('rechaza nonces desconocidos o mal formados', () => {
+    expect(challenges.consumeChallenge(ADDRESS, '12345').code).toBe('CHALLENGE_UNKNOWN');
+    expect(challenges.consumeChallenge(ADDRESS, 'abc').code).toBe('CHALLENGE_UNKNOWN');
+    expect(challenges.consumeChallenge(ADDRESS, undefined).code).toBe('CHALLENGE_UNKNOWN');
+  });
+});
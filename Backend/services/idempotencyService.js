@@ -0,0 +1,175 @@
+/**
+ * Servicio de idempotencia (cabecera Idempotency-Key)
+ *
+ * Este servicio maneja:
+ * 1. Guardar la respuesta de una petición asociada a su Idempotency-Key
+ * 2. Devolver la respuesta original si la petición se repite (sin ejecutarla de nuevo)
+ * 3. Rechazar la misma clave usada con otra petición o mientras la primera sigue en curso
+ * 4. Expiración de las respuestas guardadas (TTL configurable)
+ *
+ * Evita, por ejemplo, que un reintento de /register-user envíe una segunda
+ * transacción on-chain. Solo se guardan respuestas < 500: tras un error interno
+ * el cliente puede reintentar con la misma clave.
+ *
+ * La respuesta se guarda completa pero cifrada (AES-256-GCM) con una clave
+ * derivada de la propia petición (cuerpo y credenciales, lo mismo que la
+ * huella): los tokens de sesión o los códigos de recuperación no quedan en
+ * claro en el almacén y solo quien repite la petición exacta puede leerlos.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sendError } = require('../utils/errors');
+const { createStore } = require('../stores');
+
+class IdempotencyService {
+  constructor() {
+    this.ttlSeconds = config.idempotency.ttlSeconds;
+
+    // `${method} ${ruta} ${clave}` -> { fingerprint, status, statusCode, body, createdAt }
+    // `body` es la respuesta cifrada: { iv, tag, data } en base64
+    this.entries = createStore('idempotency');
+  }
+
+  /**
+   * Validar formato de la clave (p. ej. un UUID generado por el cliente)
+   */
+  isValidKey(key) {
+    return typeof key === 'string' && /^[A-Za-z0-9_\-:.]{8,255}$/.test(key);
+  }
+
+  /**
+   * Datos que identifican la petición: cuerpo y credenciales
+   * Incluir las credenciales impide que otro cliente obtenga la respuesta
+   * guardada (p. ej. los tokens de sesión de /verify-proof) conociendo solo la clave.
+   */
+  requestMaterial(req) {
+    return JSON.stringify([
+      req.body || {},
+      req.get('X-SIWE-Token') || '',
+      req.get('Authorization') || ''
+    ]);
+  }
+
+  /**
+   * Huella de la petición (se guarda para comparar reintentos)
+   */
+  fingerprint(material) {
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * Clave de cifrado de la respuesta, derivada de la petición
+   * No se guarda: se vuelve a calcular cuando llega el reintento.
+   */
+  responseKey(material) {
+    return crypto.createHmac('sha256', 'idempotency-response').update(material).digest();
+  }
+
+  encryptBody(key, body) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(body ?? null), 'utf8'), cipher.final()]);
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decryptBody(key, encrypted) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+
+    return JSON.parse(data.toString('utf8'));
+  }
+
+  /**
+   * Middleware de Express para rutas que cambian estado
+   * Sin cabecera Idempotency-Key la petición se procesa normalmente.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined) return next();
+
+      if (!this.isValidKey(key)) {
+        return sendError(res, 'IDEMPOTENCY_KEY_INVALID');
+      }
+
+      const scope = `${req.method} ${req.baseUrl}${req.path} ${key}`;
+      const material = this.requestMaterial(req);
+      const fingerprint = this.fingerprint(material);
+      const responseKey = this.responseKey(material);
+
+      // Reservar la clave de forma atómica (otra réplica puede recibir el reintento)
+      const reserved = this.entries.add(scope, {
+        fingerprint,
+        status: 'processing',
+        statusCode: null,
+        body: null,
+        createdAt: Date.now()
+      }, this.ttlSeconds * 1000);
+
+      const entry = !reserved && this.entries.get(scope);
+
+      if (entry) {
+        if (entry.fingerprint !== fingerprint) {
+          return sendError(res, 'IDEMPOTENCY_KEY_REUSED');
+        }
+
+        if (entry.status === 'processing') {
+          return sendError(res, 'IDEMPOTENCY_IN_PROGRESS');
+        }
+
+        logger.info('Idempotent replay', {
+          url: req.originalUrl,
+          statusCode: entry.statusCode
+        });
+
+        res.set('Idempotency-Replayed', 'true');
+        return res.status(entry.statusCode).json(this.decryptBody(responseKey, entry.body));
+      }
+
+      // Capturar la respuesta para guardarla
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        this.complete(scope, res.statusCode, body, responseKey);
+        return originalJson(body);
+      };
+
+      // Si la petición termina sin respuesta JSON, liberar la clave
+      res.on('close', () => {
+        this.entries.update(scope, current =>
+          current?.status === 'processing' ? undefined : current
+        );
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Guardar el resultado de una petición (o liberar la clave si fue un error interno)
+   */
+  complete(scope, statusCode, body, responseKey) {
+    this.entries.update(scope, entry => {
+      if (!entry || entry.status !== 'processing') return entry;
+      if (statusCode >= 500) return undefined;
+
+      return { ...entry, status: 'completed', statusCode, body: this.encryptBody(responseKey, body) };
+    });
+  }
+
+  /**
+   * Limpiar respuestas expiradas
+   */
+  cleanupExpired() {
+    this.entries.cleanup();
+  }
+}
+
+module.exports = IdempotencyService;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+process.env.STORE_DRIVER = 'file';
+process.env.STORE_DIR = storeDir;
+
+const express = require('express');
+const request = require('supertest');
+const IdempotencyService = require('./idempotencyService');
+
+function createApp() {
+  const idempotency = new IdempotencyService();
+  const app = express();
+  let calls = 0;
+
+  app.use(express.json());
+  app.post('/login', idempotency.middleware(), (req, res) => {
+    calls++;
+    res.json({ success: true, accessToken: `access-${calls}`, refreshToken: `refresh-${calls}` });
+  });
+  app.post('/webhooks', idempotency.middleware(), (req, res) => {
+    calls++;
+    res.status(201).json({ success: true, webhook: { id: `wh-${calls}`, secret: `whsec-${calls}` } });
+  });
+  app.post('/users', idempotency.middleware(), (req, res) => {
+    calls++;
+    res.status(202).json({ success: true, jobId: `job-${calls}` });
+  });
+  app.post('/fail', idempotency.middleware(), (req, res) => {
+    calls++;
+    res.status(500).json({ success: false, calls });
+  });
+
+  return { app, idempotency, calls: () => calls };
+}
+
+function storedText() {
+  const file = path.join(storeDir, 'idempotency.json');
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+}
+
+afterAll(() => {
+  fs.rmSync(storeDir, { recursive: true, force: true });
+});
+
+describe('IdempotencyService', () => {
+  test('repite la respuesta original sin ejecutar la ruta otra vez', async () => {
+    const { app, calls } = createApp();
+    const send = () => request(app).post('/users').set('Idempotency-Key', 'users-key-1').send({ username: 'alice' });
+
+    const first = await send();
+    const replay = await send();
+
+    expect(first.status).toBe(202);
+    expect(replay.status).toBe(202);
+    expect(replay.body).toEqual(first.body);
+    expect(replay.headers['idempotency-replayed']).toBe('true');
+    expect(calls()).toBe(1);
+  });
+
+  test('repite los tokens de sesión sin guardarlos en claro', async () => {
+    const { app, calls } = createApp();
+    const send = () => request(app).post('/login').set('Idempotency-Key', 'login-key-1').send({ proof: 'p' });
+
+    const first = await send();
+    expect(first.body.accessToken).toBe('access-1');
+    expect(storedText()).not.toContain('access-1');
+    expect(storedText()).not.toContain('refresh-1');
+
+    const replay = await send();
+    expect(replay.status).toBe(200);
+    expect(replay.body).toEqual(first.body);
+    expect(calls()).toBe(1);
+  });
+
+  test('repite secretos anidados (secreto de webhook) sin guardarlos en claro', async () => {
+    const { app } = createApp();
+    const send = () => request(app).post('/webhooks').set('Idempotency-Key', 'webhook-key-1').send({ url: 'https://example.com' });
+
+    const first = await send();
+    expect(first.body.webhook.secret).toBe('whsec-1');
+    expect(storedText()).not.toContain('whsec-1');
+
+    const replay = await send();
+    expect(replay.status).toBe(201);
+    expect(replay.body).toEqual(first.body);
+  });
+
+  test('rechaza la misma clave con otra petición', async () => {
+    const { app } = createApp();
+
+    await request(app).post('/users').set('Idempotency-Key', 'users-key-2').send({ username: 'alice' });
+    const reused = await request(app).post('/users').set('Idempotency-Key', 'users-key-2').send({ username: 'bob' });
+
+    expect(reused.status).toBe(422);
+    expect(reused.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('libera la clave tras un error interno', async () => {
+    const { app, calls } = createApp();
+    const send = () => request(app).post('/fail').set('Idempotency-Key', 'fail-key-1').send({});
+
+    await send();
+    await send();
+    expect(calls()).toBe(2);
+  });
+
+  test('rechaza claves con formato inválido', async () => {
+    const { app } = createApp();
+    const response = await request(app).post('/users').set('Idempotency-Key', 'short').send({});
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_INVALID');
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Servicio de trabajos asíncronos (jobs)
+ *
+ * Este servicio maneja:
+ * 1. Cola de trabajos en memoria con concurrencia limitada
+ * 2. Ejecución por etapas (stages) con estado y tiempos de cada una
+ * 3. Consulta del estado de un trabajo (GET /jobs/:id) con el token de quien lo creó
+ * 4. Limpieza de trabajos terminados tras un TTL
+ *
+ * Lo usa /register-user para no bloquear la petición HTTP mientras se genera
+ * la prueba, se envía la transacción y se espera su confirmación.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const lifecycle = require('../utils/lifecycle');
+const requestContext = require('../utils/requestContext');
+const { ApiError, errorMessage } = require('../utils/errors');
+
+class JobService {
+  constructor() {
+    this.concurrency = config.jobs.concurrency;
+    this.ttlSeconds = config.jobs.ttlSeconds;
+
+    // id -> job
+    this.jobs = new Map();
+
+    // ids en espera y número de trabajos en ejecución
+    this.queue = [];
+    this.running = 0;
+
+    // id -> handler (no se guarda en el job para poder serializarlo)
+    this.handlers = new Map();
+
+    // Tras stop() no se inician trabajos nuevos
+    this.stopped = false;
+  }
+
+  /**
+   * Encolar un trabajo
+   * @param {string} type - Tipo de trabajo (p. ej. 'registration')
+   * @param {Array<string>} stageNames - Etapas en orden
+   * @param {Function} handler - async (job, runStage) => result
+   * @param {Object} metadata - Datos internos del trabajo (p. ej. address)
+   * @returns {Object} { job, token }: el token solo se entrega a quien lo crea
+   *   y es necesario para consultar el trabajo (solo se guarda su hash)
+   */
+  enqueue(type, stageNames, handler, metadata = {}) {
+    const now = new Date().toISOString();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const job = {
+      id: crypto.randomUUID(),
+      tokenHash: this.hashToken(token),
+      type,
+      status: 'queued',
+      currentStage: null,
+      stages: stageNames.map(name => ({
+        name,
+        status: 'pending',
+        startedAt: null,
+        finishedAt: null,
+        durationMs: null
+      })),
+      metadata,
+      result: null,
+      error: null,
+      errorCode: null,
+      // Petición que creó el trabajo (X-Request-Id), para correlacionar sus logs
+      requestId: requestContext.getRequestId(),
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.handlers.set(job.id, handler);
+    this.queue.push(job.id);
+
+    setImmediate(() => this.runNext());
+    return { job, token };
+  }
+
+  /**
+   * Ejecutar trabajos en espera mientras haya hueco
+   */
+  runNext() {
+    while (!this.stopped && this.running < this.concurrency && this.queue.length > 0) {
+      const jobId = this.queue.shift();
+      const job = this.jobs.get(jobId);
+      this.running++;
+
+      // Se ejecuta con el requestId de su petición, no con el de la que lo despertó
+      lifecycle.track(`job:${job.type}`, () =>
+        requestContext.run({ requestId: job.requestId }, () => this.execute(jobId))
+      ).finally(() => {
+        this.running--;
+        this.runNext();
+      });
+    }
+  }
+
+  /**
+   * Ejecutar un trabajo
+   */
+  async execute(jobId) {
+    const job = this.jobs.get(jobId);
+    const handler = this.handlers.get(jobId);
+    this.handlers.delete(jobId);
+
+    job.status = 'running';
+    this.touch(job);
+
+    try {
+      job.result = await handler(job, (name, fn) => this.runStage(job, name, fn));
+      job.status = 'completed';
+
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.errorCode = error instanceof ApiError ? error.code : 'INTERNAL_ERROR';
+
+      logger.error('Job failed', error, {
+        jobId,
+        type: job.type,
+        stage: job.currentStage
+      });
+    }
+
+    job.finishedAt = new Date().toISOString();
+    this.touch(job);
+  }
+
+  /**
+   * Ejecutar una etapa registrando estado y duración
+   * Si la etapa falla, el error se propaga y el trabajo termina como 'failed'
+   */
+  async runStage(job, name, fn) {
+    const stage = job.stages.find(s => s.name === name);
+    const start = Date.now();
+
+    job.currentStage = name;
+    stage.status = 'running';
+    stage.startedAt = new Date(start).toISOString();
+    this.touch(job);
+
+    try {
+      const result = await fn();
+      stage.status = 'completed';
+      return result;
+
+    } catch (error) {
+      stage.status = 'failed';
+      stage.error = error.message;
+      throw error;
+
+    } finally {
+      stage.finishedAt = new Date().toISOString();
+      stage.durationMs = Date.now() - start;
+      this.touch(job);
+    }
+  }
+
+  /**
+   * Dejar de iniciar trabajos (cierre del servidor)
+   * Los que están en ejecución terminan; los que siguen en cola se marcan
+   * como fallidos porque la cola en memoria no sobrevive al reinicio.
+   */
+  stop() {
+    this.stopped = true;
+
+    this.queue.splice(0).forEach(jobId => {
+      const job = this.jobs.get(jobId);
+      this.handlers.delete(jobId);
+
+      job.status = 'failed';
+      job.error = errorMessage('JOB_ABORTED');
+      job.errorCode = 'JOB_ABORTED';
+      job.finishedAt = new Date().toISOString();
+      this.touch(job);
+    });
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Comprobar el token de un trabajo (X-Job-Token)
+   */
+  verifyToken(job, token) {
+    if (typeof token !== 'string' || !token) return false;
+
+    return crypto.timingSafeEqual(
+      Buffer.from(this.hashToken(token), 'hex'),
+      Buffer.from(job.tokenHash, 'hex')
+    );
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Buscar un trabajo en curso del mismo tipo y con el mismo metadato
+   * (evita registrar dos veces la misma dirección en paralelo)
+   */
+  findActiveJob(type, key, value) {
+    for (const job of this.jobs.values()) {
+      if (
+        job.type === type &&
+        ['queued', 'running'].includes(job.status) &&
+        job.metadata[key] === value
+      ) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Representación pública de un trabajo
+   */
+  toPublicJob(job) {
+    const { metadata, tokenHash, ...publicJob } = job;
+    return {
+      ...publicJob,
+      queuePosition: job.status === 'queued' ? this.queue.indexOf(job.id) + 1 : null
+    };
+  }
+
+  /**
+   * Limpiar trabajos terminados hace más del TTL
+   */
+  cleanupExpired() {
+    const cutoff = Date.now() - this.ttlSeconds * 1000;
+
+    this.jobs.forEach((job, jobId) => {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() <= cutoff) {
+        this.jobs.delete(jobId);
+      }
+    });
+  }
+
+  touch(job) {
+    job.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Obtener estadísticas de trabajos
+   */
+  getStats() {
+    const stats = { queued: 0, running: 0, completed: 0, failed: 0 };
+    this.jobs.forEach(job => {
+      stats[job.status]++;
+    });
+    return stats;
+  }
+}
+
+module.exports = JobService;
@@ -0,0 +1,89 @@
+const JobService = require('./jobService');
+const logger = require('../utils/logger');
+const { ApiError } = require('../utils/errors');
+
+async function waitFor(jobs, jobId, statuses = ['completed', 'failed']) {
+  for (let i = 0; i < 100; i++) {
+    const job = jobs.getJob(jobId);
+    if (statuses.includes(job.status)) return job;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error(`El trabajo ${jobId} no terminó`);
+}
+
+describe('JobService', () => {
+  let jobs;
+
+  beforeEach(() => {
+    jobs = new JobService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('ejecuta las etapas en orden y guarda el resultado', async () => {
+    const { job } = jobs.enqueue('registration', ['first', 'second'], async (job, runStage) => {
+      const value = await runStage('first', async () => 1);
+      return runStage('second', async () => ({ value: value + 1 }));
+    });
+
+    const finished = await waitFor(jobs, job.id);
+    expect(finished.status).toBe('completed');
+    expect(finished.result).toEqual({ value: 2 });
+    expect(finished.stages.map(stage => stage.status)).toEqual(['completed', 'completed']);
+    expect(finished.stages[0].durationMs).toEqual(expect.any(Number));
+  });
+
+  test('entrega un token solo a quien crea el trabajo y guarda su hash', () => {
+    const { job, token } = jobs.enqueue('registration', ['only'], async () => null);
+
+    expect(jobs.verifyToken(job, token)).toBe(true);
+    expect(jobs.verifyToken(job, 'otro-token')).toBe(false);
+    expect(jobs.verifyToken(job, undefined)).toBe(false);
+    expect(JSON.stringify(job)).not.toContain(token);
+  });
+
+  test('la representación pública no incluye el hash del token ni los metadatos', () => {
+    const { job } = jobs.enqueue('registration', ['only'], async () => null, { address: '0xabc' });
+    const publicJob = jobs.toPublicJob(job);
+
+    expect(publicJob.tokenHash).toBeUndefined();
+    expect(publicJob.metadata).toBeUndefined();
+    expect(publicJob.id).toBe(job.id);
+  });
+
+  test('un fallo marca la etapa y registra el error con sus metadatos', async () => {
+    const logError = jest.spyOn(logger, 'error');
+    const failure = new ApiError('BLOCKCHAIN_TX_FAILED', 'revert');
+
+    const { job } = jobs.enqueue('registration', ['submit'], async (job, runStage) =>
+      runStage('submit', async () => { throw failure; })
+    );
+
+    const finished = await waitFor(jobs, job.id);
+    expect(finished.status).toBe('failed');
+    expect(finished.errorCode).toBe('BLOCKCHAIN_TX_FAILED');
+    expect(finished.stages[0].status).toBe('failed');
+    expect(logError).toHaveBeenCalledWith('Job failed', failure, {
+      jobId: job.id,
+      type: 'registration',
+      stage: 'submit'
+    });
+  });
+
+  test('findActiveJob encuentra trabajos en curso por metadato', () => {
+    const { job } = jobs.enqueue('registration', ['only'], () => new Promise(() => {}), { address: '0xabc' });
+
+    expect(jobs.findActiveJob('registration', 'address', '0xabc')).toBe(job);
+    expect(jobs.findActiveJob('registration', 'address', '0xdef')).toBeNull();
+  });
+
+  test('stop() marca como abortados los trabajos en cola', () => {
+    const { job } = jobs.enqueue('registration', ['only'], async () => null);
+    jobs.stop();
+
+    expect(job.status).toBe('failed');
+    expect(job.errorCode).toBe('JOB_ABORTED');
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Servicio de intentos de login fallidos (bloqueo por cuenta)
+ *
+ * Este servicio maneja:
+ * 1. Conteo de fallos por dirección de wallet y por nombre de usuario
+ * 2. Backoff exponencial entre intentos tras cada fallo
+ * 3. Bloqueo temporal al superar el umbral de fallos
+ * 4. Desbloqueo manual por un administrador
+ *
+ * Complementa a authLimiter (por IP): un atacante que rota IPs sigue
+ * limitado en la cuenta que ataca.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { sendError } = require('../utils/errors');
+const i18n = require('../utils/i18n');
+const { createStore } = require('../stores');
+
+class LoginAttemptService {
+  constructor() {
+    this.maxFailures = config.lockout.maxFailures;
+    this.lockoutSeconds = config.lockout.durationSeconds;
+    this.baseDelaySeconds = config.lockout.baseDelaySeconds;
+    this.maxDelaySeconds = 5 * 60; // 5 minutos
+    this.resetAfterSeconds = 24 * 60 * 60; // los fallos se olvidan tras 24 horas sin fallos
+
+    // 'address:0x...' | 'username:...' -> { failures, lastFailureAt, nextAttemptAt, lockedUntil }
+    this.attempts = createStore('login-attempts');
+  }
+
+  /**
+   * Claves de seguimiento de una cuenta
+   * @param {string} address - Dirección de wallet
+   * @param {string} username - Nombre de usuario (si se conoce)
+   */
+  getKeys(address, username) {
+    const keys = [];
+    if (address) keys.push(`address:${address.toLowerCase()}`);
+    if (username) keys.push(`username:${username.toLowerCase()}`);
+    return keys;
+  }
+
+  /**
+   * Comprobar si se permite un intento
+   * @returns {Object} { allowed, reason?, retryAfter? (segundos) }
+   */
+  check(address, username) {
+    const now = Date.now();
+    let blockedUntil = 0;
+    let reason = null;
+
+    this.getKeys(address, username).forEach(key => {
+      const entry = this.attempts.get(key);
+      if (!entry) return;
+
+      if (entry.lockedUntil > now && entry.lockedUntil > blockedUntil) {
+        blockedUntil = entry.lockedUntil;
+        reason = 'locked';
+      } else if (entry.nextAttemptAt > now && entry.nextAttemptAt > blockedUntil) {
+        blockedUntil = entry.nextAttemptAt;
+        reason = 'backoff';
+      }
+    });
+
+    if (!reason) {
+      return { allowed: true };
+    }
+
+    return {
+      allowed: false,
+      reason,
+      retryAfter: Math.ceil((blockedUntil - now) / 1000)
+    };
+  }
+
+  /**
+   * Registrar un intento fallido
+   * @param {Object} context - Datos para el log de seguridad (reason, ip...)
+   */
+  recordFailure(address, username, context = {}) {
+    const now = Date.now();
+
+    // Los fallos se olvidan tras resetAfterSeconds sin nuevos fallos (y tras el bloqueo)
+    const ttlMs = Math.max(this.resetAfterSeconds, this.lockoutSeconds) * 1000;
+
+    this.getKeys(address, username).forEach(key => {
+      let locked = false;
+
+      const entry = this.attempts.update(key, (current = { failures: 0, lockedUntil: 0 }) => {
+        const next = {
+          ...current,
+          failures: current.failures + 1,
+          lastFailureAt: now,
+          nextAttemptAt: now + this.getDelay(current.failures + 1) * 1000
+        };
+
+        if (next.failures >= this.maxFailures && next.lockedUntil <= now) {
+          next.lockedUntil = now + this.lockoutSeconds * 1000;
+          locked = true;
+        }
+
+        return next;
+      }, ttlMs);
+
+      if (locked) {
+        logger.security('Account locked after failed logins', {
+          key,
+          failures: entry.failures,
+          lockedUntil: new Date(entry.lockedUntil).toISOString(),
+          ...context
+        });
+      }
+    });
+  }
+
+  /**
+   * Un login correcto borra los fallos acumulados
+   */
+  recordSuccess(address, username) {
+    this.getKeys(address, username).forEach(key => this.attempts.delete(key));
+  }
+
+  /**
+   * Desbloquear una cuenta (acción de administrador)
+   * @returns {boolean} true si había fallos o bloqueo registrados
+   */
+  unlock(address, username) {
+    let found = false;
+    this.getKeys(address, username).forEach(key => {
+      found = this.attempts.delete(key) || found;
+    });
+    return found;
+  }
+
+  /**
+   * Estado de una cuenta (para el panel de administración)
+   */
+  getStatus(address, username) {
+    const now = Date.now();
+    const entries = this.getKeys(address, username)
+      .map(key => this.attempts.get(key))
+      .filter(Boolean);
+
+    const failures = Math.max(0, ...entries.map(entry => entry.failures));
+    const lockedUntil = Math.max(0, ...entries.map(entry => entry.lockedUntil));
+
+    return {
+      failures,
+      isLocked: lockedUntil > now,
+      lockedUntil: lockedUntil > now ? new Date(lockedUntil).toISOString() : null
+    };
+  }
+
+  /**
+   * Backoff exponencial: base * 2^(n-1), máximo 5 minutos
+   */
+  getDelay(failures) {
+    return Math.min(this.baseDelaySeconds * 2 ** (failures - 1), this.maxDelaySeconds);
+  }
+
+  /**
+   * Middleware de Express: rechaza con 429 si la cuenta está en backoff o bloqueada
+   * @param {Function} resolveUsername - address => username (o undefined)
+   */
+  guard(resolveUsername) {
+    return (req, res, next) => {
+      const address = req.body?.address;
+      const result = this.check(address, resolveUsername(address));
+
+      if (result.allowed) return next();
+
+      logger.security('Login attempt blocked', {
+        address,
+        reason: result.reason,
+        retryAfter: result.retryAfter,
+        url: req.url,
+        ip: req.ip
+      });
+
+      res.set('Retry-After', String(result.retryAfter));
+      return sendError(res, result.reason === 'locked' ? 'ACCOUNT_LOCKED' : 'LOGIN_BACKOFF', {
+        detail: i18n.t('messages.retryIn', req.locale, { seconds: result.retryAfter }),
+        retryAfter: result.retryAfter
+      });
+    };
+  }
+
+  /**
+   * Limpiar registros antiguos
+   */
+  cleanupExpired() {
+    this.attempts.cleanup();
+  }
+}
+
+module.exports = LoginAttemptService;
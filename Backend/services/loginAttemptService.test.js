@@ -0,0 +1,95 @@
+process.env.LOCKOUT_MAX_FAILURES = '3';
+process.env.LOCKOUT_DURATION_SECONDS = '60';
+process.env.LOCKOUT_BASE_DELAY_SECONDS = '2';
+
+const express = require('express');
+const request = require('supertest');
+const LoginAttemptService = require('./loginAttemptService');
+const logger = require('../utils/logger');
+
+const ADDRESS = '0x1234567890AbcdEF1234567890aBcdef12345678';
+
+describe('LoginAttemptService', () => {
+  let attempts;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    attempts = new LoginAttemptService();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('el backoff crece exponencialmente hasta el máximo', () => {
+    expect([1, 2, 3, 4].map(failures => attempts.getDelay(failures))).toEqual([2, 4, 8, 16]);
+    expect(attempts.getDelay(20)).toBe(300);
+  });
+
+  test('tras un fallo exige esperar el backoff', () => {
+    attempts.recordFailure(ADDRESS, 'alice');
+
+    expect(attempts.check(ADDRESS, 'alice')).toEqual({ allowed: false, reason: 'backoff', retryAfter: 2 });
+
+    jest.advanceTimersByTime(2000);
+    expect(attempts.check(ADDRESS, 'alice').allowed).toBe(true);
+  });
+
+  test('bloquea la cuenta al llegar al máximo de fallos y lo registra', () => {
+    const security = jest.spyOn(logger, 'security');
+
+    for (let i = 0; i < 3; i++) {
+      attempts.recordFailure(ADDRESS, 'alice', { ip: '10.0.0.1' });
+      jest.advanceTimersByTime(attempts.getDelay(i + 1) * 1000);
+    }
+
+    const result = attempts.check(ADDRESS, 'alice');
+    expect(result.allowed).toBe(false);
+    expect(result.reason).toBe('locked');
+    expect(result.retryAfter).toBeGreaterThan(0);
+    expect(attempts.getStatus(ADDRESS, 'alice')).toMatchObject({ failures: 3, isLocked: true });
+    expect(security).toHaveBeenCalledWith('Account locked after failed logins', expect.objectContaining({
+      key: `address:${ADDRESS.toLowerCase()}`,
+      failures: 3,
+      ip: '10.0.0.1'
+    }));
+
+    jest.advanceTimersByTime(60 * 1000);
+    expect(attempts.check(ADDRESS, 'alice').allowed).toBe(true);
+  });
+
+  test('cuenta los fallos por usuario aunque cambie la dirección', () => {
+    attempts.recordFailure('0x' + '1'.repeat(40), 'alice');
+
+    expect(attempts.check('0x' + '2'.repeat(40), 'ALICE').allowed).toBe(false);
+    expect(attempts.check('0x' + '2'.repeat(40), 'bob').allowed).toBe(true);
+  });
+
+  test('un login correcto o un desbloqueo borran los fallos', () => {
+    attempts.recordFailure(ADDRESS, 'alice');
+    attempts.recordSuccess(ADDRESS, 'alice');
+    expect(attempts.getStatus(ADDRESS, 'alice').failures).toBe(0);
+
+    attempts.recordFailure(ADDRESS, 'alice');
+    expect(attempts.unlock(ADDRESS, 'alice')).toBe(true);
+    expect(attempts.check(ADDRESS, 'alice').allowed).toBe(true);
+    expect(attempts.unlock(ADDRESS, 'alice')).toBe(false);
+  });
+
+  test('guard responde 429 con Retry-After y el código del motivo', async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/verify-proof', attempts.guard(() => 'alice'), (req, res) => res.json({ success: true }));
+
+    const allowed = await request(app).post('/verify-proof').send({ address: ADDRESS });
+    expect(allowed.body.success).toBe(true);
+
+    attempts.recordFailure(ADDRESS, 'alice');
+    const blocked = await request(app).post('/verify-proof').send({ address: ADDRESS });
+
+    expect(blocked.status).toBe(429);
+    expect(blocked.headers['retry-after']).toBe('2');
+    expect(blocked.body).toMatchObject({ success: false, code: 'LOGIN_BACKOFF', retryAfter: 2 });
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * Servicio OpenID Connect (proveedor de identidad sobre el login ZK)
+ *
+ * Este servicio maneja:
+ * 1. Registro de clientes (relying parties) desde data/oidc-clients.json
+ * 2. Solicitudes de autorización con PKCE (solo S256)
+ * 3. Emisión y canje de authorization codes de un solo uso
+ * 4. Firma de id_token y access_token con RS256 y publicación de JWKS
+ *
+ * El login interactivo lo hace el componente React Login: /authorize redirige
+ * al frontend, y éste completa la solicitud tras un /verify-proof exitoso.
+ *
+ * Formato de data/oidc-clients.json:
+ * [{ "clientId": "app", "clientSecret": "opcional", "redirectUris": ["https://app/cb"], "name": "App" }]
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { errorBody } = require('../utils/errors');
+const { createStore } = require('../stores');
+
+class OIDCService {
+  constructor() {
+    this.issuer = config.oidc.issuer || `http://localhost:${config.server.port}`;
+    this.loginPageUrl = config.oidc.loginPageUrl || config.server.frontendUrl;
+    this.clientsFile = path.join(__dirname, '../data/oidc-clients.json');
+    this.codeTTL = 60; // segundos
+    this.requestTTL = 10 * 60; // segundos
+    this.tokenTTL = config.oidc.tokenTtlSeconds;
+    this.supportedScopes = ['openid', 'profile', 'email'];
+
+    // requestId -> { clientId, redirectUri, scope, state, nonce, codeChallenge, expiresAt }
+    this.authorizationRequests = createStore('oidc-requests');
+
+    // code -> { clientId, redirectUri, scope, nonce, codeChallenge, address, authTime, expiresAt }
+    this.authorizationCodes = createStore('oidc-codes');
+
+    this.loadSigningKey();
+  }
+
+  /**
+   * Cargar clave RSA de firma (config.oidc.privateKey en PEM) o generar una temporal
+   */
+  loadSigningKey() {
+    const pem = config.oidc.privateKey;
+
+    if (pem) {
+      this.privateKey = crypto.createPrivateKey(pem);
+    } else {
+      // Clave efímera: los tokens emitidos no sobreviven a un reinicio
+      console.warn('⚠️  OIDC_PRIVATE_KEY no configurada. Usando clave RSA temporal (solo desarrollo).');
+      this.privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    }
+
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+
+    const jwk = this.publicKey.export({ format: 'jwk' });
+    this.keyId = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+      .digest('base64url');
+  }
+
+  /**
+   * Documento de descubrimiento (/.well-known/openid-configuration)
+   */
+  getDiscoveryDocument() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/authorize`,
+      token_endpoint: `${this.issuer}/token`,
+      userinfo_endpoint: `${this.issuer}/userinfo`,
+      jwks_uri: `${this.issuer}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: this.supportedScopes,
+      token_endpoint_auth_methods_supported: ['none', 'client_secret_post', 'client_secret_basic'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'nonce', 'preferred_username', 'email', 'wallet_address']
+    };
+  }
+
+  /**
+   * JSON Web Key Set público
+   */
+  getJWKS() {
+    const jwk = this.publicKey.export({ format: 'jwk' });
+    return {
+      keys: [{
+        ...jwk,
+        kid: this.keyId,
+        use: 'sig',
+        alg: 'RS256'
+      }]
+    };
+  }
+
+  /**
+   * Leer clientes registrados
+   */
+  getClients() {
+    try {
+      if (!fs.existsSync(this.clientsFile)) return [];
+      return JSON.parse(fs.readFileSync(this.clientsFile, 'utf8'));
+    } catch (error) {
+      console.error('Error reading OIDC clients:', error);
+      return [];
+    }
+  }
+
+  findClient(clientId) {
+    return this.getClients().find(client => client.clientId === clientId);
+  }
+
+  /**
+   * Validar y guardar una solicitud de autorización
+   * @param {Object} params - Query de /authorize
+   * @returns {Object} { success, requestId?, error?, errorDescription?, redirectable? }
+   */
+  createAuthorizationRequest(params) {
+    const {
+      response_type: responseType,
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope = '',
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: codeChallengeMethod
+    } = params;
+
+    const client = this.findClient(clientId);
+    if (!client) {
+      return { success: false, error: 'invalid_client', errorDescription: 'Cliente desconocido' };
+    }
+
+    if (!redirectUri || !client.redirectUris.includes(redirectUri)) {
+      return { success: false, error: 'invalid_request', errorDescription: 'redirect_uri no registrada' };
+    }
+
+    // A partir de aquí los errores se devuelven al cliente vía redirect_uri
+    if (responseType !== 'code') {
+      return { success: false, redirectable: true, error: 'unsupported_response_type' };
+    }
+
+    // Un parámetro repetido (?scope=a&scope=b) llega como array
+    if (typeof scope !== 'string') {
+      return { success: false, redirectable: true, error: 'invalid_scope', errorDescription: 'scope debe ser una cadena' };
+    }
+
+    const scopes = scope.split(' ').filter(Boolean);
+    if (!scopes.includes('openid')) {
+      return { success: false, redirectable: true, error: 'invalid_scope', errorDescription: 'Se requiere scope openid' };
+    }
+
+    if (!codeChallenge || codeChallengeMethod !== 'S256') {
+      return { success: false, redirectable: true, error: 'invalid_request', errorDescription: 'PKCE S256 requerido' };
+    }
+
+    const requestId = crypto.randomBytes(16).toString('hex');
+    this.authorizationRequests.set(requestId, {
+      clientId,
+      clientName: client.name || clientId,
+      redirectUri,
+      scope: scopes.filter(s => this.supportedScopes.includes(s)).join(' '),
+      state,
+      nonce,
+      codeChallenge,
+      expiresAt: Date.now() + this.requestTTL * 1000
+    }, this.requestTTL * 1000);
+
+    return { success: true, requestId };
+  }
+
+  /**
+   * Obtener solicitud pendiente (para mostrarla en la página de login)
+   */
+  getAuthorizationRequest(requestId) {
+    if (typeof requestId !== 'string') return null;
+
+    const request = this.authorizationRequests.get(requestId);
+    if (!request || request.expiresAt <= Date.now()) return null;
+    return request;
+  }
+
+  /**
+   * Completar una solicitud tras un login ZK verificado y emitir el code
+   * @param {string} requestId - Id de la solicitud de /authorize
+   * @param {string} address - Dirección autenticada (sub)
+   * @param {number} authTime - Momento del login ZK (segundos epoch), para auth_time
+   * @returns {Object} { success, redirectUrl?, error? }
+   */
+  completeAuthorization(requestId, address, authTime) {
+    // Leer y borrar a la vez: una solicitud solo se completa una vez
+    const request = typeof requestId === 'string' && this.authorizationRequests.take(requestId);
+    if (!request || request.expiresAt <= Date.now()) {
+      return errorBody('OIDC_REQUEST_INVALID');
+    }
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    this.authorizationCodes.set(code, {
+      clientId: request.clientId,
+      redirectUri: request.redirectUri,
+      scope: request.scope,
+      nonce: request.nonce,
+      codeChallenge: request.codeChallenge,
+      address: address.toLowerCase(),
+      authTime,
+      expiresAt: Date.now() + this.codeTTL * 1000
+    }, this.codeTTL * 1000);
+
+    return {
+      success: true,
+      redirectUrl: this.buildRedirectUrl(request.redirectUri, { code, state: request.state })
+    };
+  }
+
+  /**
+   * Canjear authorization code por tokens (grant_type=authorization_code)
+   * @param {Object} params - Body de /token
+   * @param {Object} clientAuth - { clientId, clientSecret } de Basic auth (opcional)
+   * @param {Function} getUser - Busca el usuario de UserService por dirección
+   * @returns {Object} { success, tokens?, error?, errorDescription? }
+   */
+  exchangeCode(params, clientAuth = {}, getUser = () => null) {
+    const {
+      grant_type: grantType,
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    } = params;
+    const clientId = clientAuth.clientId || params.client_id;
+    const clientSecret = clientAuth.clientSecret || params.client_secret;
+
+    if (grantType !== 'authorization_code') {
+      return { success: false, error: 'unsupported_grant_type' };
+    }
+
+    const client = this.findClient(clientId);
+    if (!client || (client.clientSecret && !this.safeEqual(client.clientSecret, clientSecret || ''))) {
+      return { success: false, error: 'invalid_client' };
+    }
+
+    // El code es de un solo uso, incluso si el canje falla
+    const entry = typeof code === 'string' ? this.authorizationCodes.take(code) : undefined;
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return { success: false, error: 'invalid_grant', errorDescription: 'Code inválido o expirado' };
+    }
+
+    if (entry.clientId !== clientId || entry.redirectUri !== redirectUri) {
+      return { success: false, error: 'invalid_grant', errorDescription: 'Code emitido para otro cliente' };
+    }
+
+    const expectedChallenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+    if (!this.safeEqual(expectedChallenge, entry.codeChallenge)) {
+      return { success: false, error: 'invalid_grant', errorDescription: 'code_verifier no coincide' };
+    }
+
+    const user = getUser(entry.address);
+    if (!user || !user.isActive) {
+      return { success: false, error: 'invalid_grant', errorDescription: 'Usuario no registrado o inactivo' };
+    }
+
+    const claims = this.buildClaims(user, entry.scope);
+
+    const idToken = this.signToken({
+      ...claims,
+      nonce: entry.nonce,
+      auth_time: entry.authTime,
+      amr: ['zkp']
+    }, clientId, entry.address);
+
+    const accessToken = this.signToken({
+      scope: entry.scope,
+      client_id: clientId
+    }, this.issuer, entry.address);
+
+    return {
+      success: true,
+      tokens: {
+        access_token: accessToken,
+        id_token: idToken,
+        token_type: 'Bearer',
+        expires_in: this.tokenTTL,
+        scope: entry.scope
+      }
+    };
+  }
+
+  /**
+   * Verificar access token emitido por /token
+   */
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.publicKey, {
+        algorithms: ['RS256'],
+        issuer: this.issuer,
+        audience: this.issuer
+      });
+      return { success: true, payload };
+    } catch (error) {
+      return { success: false, error: 'invalid_token' };
+    }
+  }
+
+  /**
+   * Claims de /userinfo según el scope concedido
+   */
+  getUserInfo(user, scope) {
+    return this.buildClaims(user, scope);
+  }
+
+  /**
+   * FUNCIONES DE UTILIDAD
+   */
+
+  buildClaims(user, scope = '') {
+    const scopes = typeof scope === 'string' ? scope.split(' ') : [];
+    const claims = {
+      sub: user.address.toLowerCase(),
+      wallet_address: user.address.toLowerCase()
+    };
+
+    if (scopes.includes('profile')) {
+      claims.preferred_username = user.username;
+    }
+
+    if (scopes.includes('email')) {
+      claims.email = user.email;
+    }
+
+    return claims;
+  }
+
+  /**
+   * Credenciales de client_secret_basic (RFC 6749, 2.3.1)
+   * Solo el primer ':' separa id y secreto: el secreto puede contener ':'.
+   * @param {string} header - Cabecera Authorization
+   * @returns {Object|null} { clientId, clientSecret }, {} sin Basic, null si está mal formada
+   */
+  parseBasicAuth(header = '') {
+    const [scheme, credentials] = header.split(' ');
+    if (scheme !== 'Basic' || !credentials) return {};
+
+    const decoded = Buffer.from(credentials, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return null;
+
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    } catch (error) {
+      // URIError: escape % inválido
+      return null;
+    }
+  }
+
+  signToken(payload, audience, subject) {
+    // El subject se pasa como opción de jsonwebtoken, no en el payload
+    const { sub, ...claims } = payload;
+
+    return jwt.sign(claims, this.privateKey, {
+      algorithm: 'RS256',
+      keyid: this.keyId,
+      issuer: this.issuer,
+      audience,
+      subject,
+      expiresIn: this.tokenTTL
+    });
+  }
+
+  buildRedirectUrl(redirectUri, params) {
+    const url = new URL(redirectUri);
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    });
+    return url.toString();
+  }
+
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  }
+
+  /**
+   * Limpiar solicitudes y codes expirados
+   */
+  cleanupExpired() {
+    this.authorizationRequests.cleanup();
+    this.authorizationCodes.cleanup();
+  }
+}
+
+module.exports = OIDCService;
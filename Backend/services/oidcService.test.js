@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OIDCService = require('./oidcService');
+
+const ADDRESS = '0x1234567890abcdef1234567890abcdef12345678';
+const REDIRECT_URI = 'https://rp.example.com/callback';
+const CLIENT_SECRET = 'secret:with:colons';
+
+let dir;
+let oidc;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'oidc-'));
+  oidc = new OIDCService();
+  oidc.clientsFile = path.join(dir, 'oidc-clients.json');
+  fs.writeFileSync(oidc.clientsFile, JSON.stringify([
+    { clientId: 'rp', name: 'RP', clientSecret: CLIENT_SECRET, redirectUris: [REDIRECT_URI] }
+  ]));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function authorize(overrides = {}) {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const result = oidc.createAuthorizationRequest({
+    response_type: 'code',
+    client_id: 'rp',
+    redirect_uri: REDIRECT_URI,
+    scope: 'openid profile',
+    state: 'xyz',
+    nonce: 'n-1',
+    code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+    code_challenge_method: 'S256',
+    ...overrides
+  });
+  return { result, verifier };
+}
+
+function basic(id, secret) {
+  return `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+}
+
+describe('OIDCService', () => {
+  test('rechaza un scope que no es una cadena con invalid_scope', () => {
+    const { result } = authorize({ scope: ['openid', 'profile'] });
+
+    expect(result).toMatchObject({ success: false, redirectable: true, error: 'invalid_scope' });
+  });
+
+  test('el id_token lleva el auth_time del login, no el del canje', () => {
+    const authTime = Math.floor(Date.now() / 1000) - 600;
+    const { result, verifier } = authorize();
+
+    const completed = oidc.completeAuthorization(result.requestId, ADDRESS, authTime);
+    const code = new URL(completed.redirectUrl).searchParams.get('code');
+
+    const exchanged = oidc.exchangeCode(
+      { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: verifier },
+      oidc.parseBasicAuth(basic('rp', CLIENT_SECRET)),
+      () => ({ address: ADDRESS, username: 'alice', isActive: true })
+    );
+
+    expect(exchanged.success).toBe(true);
+    const idToken = jwt.decode(exchanged.tokens.id_token);
+    expect(idToken.auth_time).toBe(authTime);
+    expect(idToken.preferred_username).toBe('alice');
+    expect(idToken.nonce).toBe('n-1');
+  });
+
+  describe('parseBasicAuth', () => {
+    test('separa solo por el primer ":"', () => {
+      expect(oidc.parseBasicAuth(basic('rp', CLIENT_SECRET))).toEqual({
+        clientId: 'rp',
+        clientSecret: CLIENT_SECRET
+      });
+    });
+
+    test('decodifica el id y el secreto codificados como URL', () => {
+      expect(oidc.parseBasicAuth(basic('my%20rp', 'a%3Ab'))).toEqual({ clientId: 'my rp', clientSecret: 'a:b' });
+    });
+
+    test('devuelve null si la cabecera está mal formada', () => {
+      expect(oidc.parseBasicAuth(`Basic ${Buffer.from('sin-separador').toString('base64')}`)).toBeNull();
+      expect(oidc.parseBasicAuth(basic('rp', '%E0%A4%A'))).toBeNull();
+    });
+
+    test('sin Basic no hay credenciales de cabecera', () => {
+      expect(oidc.parseBasicAuth(undefined)).toEqual({});
+      expect(oidc.parseBasicAuth('Bearer abc')).toEqual({});
+    });
+  });
+
+  test('buildClaims tolera un scope que no es una cadena', () => {
+    expect(oidc.buildClaims({ address: ADDRESS }, ['email'])).toEqual({
+      sub: ADDRESS,
+      wallet_address: ADDRESS
+    });
+  });
+});
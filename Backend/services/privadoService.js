@@ -13,11 +13,15 @@
 
 const axios = require('axios');
 const crypto = require('crypto-js');
+const config = require('../config');
+const metrics = require('../utils/metrics');
 
 class PrivadoIDService {
   constructor() {
-    this.baseURL = process.env.PRIVADO_ID_BASE_URL || 'https://api.privado.id';
-    this.apiKey = process.env.PRIVADO_ID_API_KEY;
+    this.baseURL = config.privado.baseUrl;
+    this.apiKey = config.privado.apiKey;
+    this.timeoutMs = config.privado.timeoutMs || 30000;
+    this.network = config.privado.network || config.blockchain.network;
     this.isConfigured = false;
     this.client = null;
 
@@ -31,7 +35,7 @@ class PrivadoIDService {
   setupClient() {
     this.client = axios.create({
       baseURL: this.baseURL,
-      timeout: 30000,
+      timeout: this.timeoutMs,
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'ZK-Login-Backend/1.0.0'
@@ -143,7 +147,7 @@ class PrivadoIDService {
   async verifyUserProof(userAddress, proof) {
     try {
       if (!this.isConfigured) {
-        return this.mockVerifyUserProof(userAddress, proof);
+        return metrics.recordVerification('privado', this.mockVerifyUserProof(userAddress, proof));
       }
 
       console.log(' Verificando prueba con privado.id para:', userAddress);
@@ -164,16 +168,17 @@ class PrivadoIDService {
 
       const response = await this.client.post('/verify', verificationData);
 
-      return {
+      return metrics.recordVerification('privado', {
         success: true,
         isValid: response.data.isValid,
         confidence: response.data.confidence,
         details: response.data.details,
         timestamp: response.data.timestamp
-      };
+      });
 
     } catch (error) {
       console.error('Error verificando con privado.id:', error);
+      metrics.recordVerification('privado', { success: false });
       return this.mockVerifyUserProof(userAddress, proof);
     }
   }
@@ -225,7 +230,7 @@ class PrivadoIDService {
       const response = await this.client.post('/generate-did', {
         userAddress,
         method: 'polygonid',
-        network: 'amoy'
+        network: this.network
       });
 
       return {
@@ -246,9 +251,10 @@ class PrivadoIDService {
    */
 
   mockCreateUserDID(userAddress, publicSignals) {
+    metrics.recordMockFallback('privado', 'createUserDID');
     console.log(' MOCK: Creando DID para', userAddress);
 
-    const mockDID = `did:polygonid:polygon:mumbai:${userAddress.substring(2, 42)}`;
+    const mockDID = `did:polygonid:polygon:${this.network}:${userAddress.substring(2, 42)}`;
     
     return {
       success: true,
@@ -276,6 +282,7 @@ class PrivadoIDService {
   }
 
   mockVerifyUserProof(userAddress, proof) {
+    metrics.recordMockFallback('privado', 'verifyUserProof');
     console.log(' MOCK: Verificando prueba privado.id para', userAddress);
 
     // Simulación básica de verificación
@@ -301,6 +308,7 @@ class PrivadoIDService {
   }
 
   mockCreateVerifiableCredential(userAddress, claimData) {
+    metrics.recordMockFallback('privado', 'createVerifiableCredential');
     console.log(' MOCK: Creando credencial verificable para', userAddress);
 
     const mockCredential = {
@@ -344,9 +352,10 @@ class PrivadoIDService {
   }
 
   mockGenerateDID(userAddress) {
+    metrics.recordMockFallback('privado', 'generateDID');
     console.log('🎭 MOCK: Generando DID para', userAddress);
 
-    const mockDID = `did:polygonid:polygon:amoy:${userAddress.substring(2, 42)}`;
+    const mockDID = `did:polygonid:polygon:${this.network}:${userAddress.substring(2, 42)}`;
 
     return {
       success: true,
@@ -0,0 +1,279 @@
+/**
+ * Servicio de progreso en vivo (Server-Sent Events)
+ *
+ * Este servicio maneja:
+ * 1. Canales de progreso identificados por un id (jobId o X-Progress-Id del cliente)
+ * 2. Eventos de etapa con estado y duración (started, completed, failed, skipped)
+ * 3. Suscripción SSE con reenvío de los eventos ya emitidos
+ * 4. Limpieza de canales antiguos
+ *
+ * Los canales solo los abre el servidor: al encolar un registro (con el
+ * jobToken) o en una petición ya autenticada con X-Progress-Id y
+ * X-Progress-Token. Para suscribirse hay que presentar ese token en
+ * ?token=; un id desconocido o un token incorrecto responden igual (404).
+ *
+ * Etapas: input_built, witness_computed, proof_generated, local_verify,
+ * tx_sent, tx_confirmed, privado_check
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { sendError } = require('../utils/errors');
+
+const STAGES = [
+  'input_built',
+  'witness_computed',
+  'proof_generated',
+  'local_verify',
+  'tx_sent',
+  'tx_confirmed',
+  'privado_check'
+];
+
+// Tracker que no emite nada (cuando no hay canal de progreso)
+const NOOP_TRACKER = {
+  stage: (name, fn) => fn(),
+  skip: () => {},
+  fail: () => {}
+};
+
+class ProgressService {
+  static STAGES = STAGES;
+  static NOOP = NOOP_TRACKER;
+
+  constructor() {
+    this.ttlSeconds = config.progress.ttlSeconds;
+    this.maxChannels = 1000;
+    this.maxClientsPerChannel = 5;
+    this.heartbeatMs = 15 * 1000;
+
+    // id -> { tokenHash, events, clients: Set<res>, createdAt, finished }
+    this.channels = new Map();
+  }
+
+  /**
+   * Validar id de canal (UUID)
+   */
+  isValidChannelId(id) {
+    return typeof id === 'string' &&
+      /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id);
+  }
+
+  /**
+   * Abrir un canal para quien inicia el trabajo
+   * @param {string} id - jobId o X-Progress-Id
+   * @param {string} token - Secreto que el dueño presentará al suscribirse
+   * @returns {boolean} false si el id no es válido, ya existe o no quedan canales
+   */
+  open(id, token) {
+    if (!this.isValidChannelId(id) || typeof token !== 'string' || token.length < 16) {
+      return false;
+    }
+    if (this.channels.has(id) || this.channels.size >= this.maxChannels) {
+      return false;
+    }
+
+    this.channels.set(id, {
+      tokenHash: this.hashToken(token),
+      events: [],
+      clients: new Set(),
+      createdAt: Date.now(),
+      finished: false
+    });
+    return true;
+  }
+
+  getChannel(id) {
+    return this.channels.get(id) || null;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+  }
+
+  /**
+   * Comprobar el token de suscripción de un canal
+   */
+  verifyToken(channel, token) {
+    return typeof token === 'string' &&
+      crypto.timingSafeEqual(channel.tokenHash, this.hashToken(token));
+  }
+
+  /**
+   * Crear un tracker de etapas para un canal
+   * Sin id válido devuelve un tracker que no hace nada.
+   * @returns {Object} { stage(name, fn), skip(name, data), fail(name, error) }
+   */
+  tracker(channelId) {
+    if (!this.isValidChannelId(channelId)) {
+      return NOOP_TRACKER;
+    }
+
+    return {
+      stage: async (name, fn) => {
+        const start = Date.now();
+        this.publish(channelId, { stage: name, status: 'started' });
+
+        try {
+          const result = await fn();
+          this.publish(channelId, {
+            stage: name,
+            status: 'completed',
+            durationMs: Date.now() - start,
+            ...(result?.isMock ? { mock: true } : {})
+          });
+          return result;
+
+        } catch (error) {
+          this.publish(channelId, {
+            stage: name,
+            status: 'failed',
+            durationMs: Date.now() - start,
+            error: error.message
+          });
+          throw error;
+        }
+      },
+
+      skip: (name, reason) => {
+        this.publish(channelId, { stage: name, status: 'skipped', reason });
+      },
+
+      fail: (name, error) => {
+        this.publish(channelId, { stage: name, status: 'failed', error });
+      }
+    };
+  }
+
+  /**
+   * Middleware de Express: abre el canal de X-Progress-Id con X-Progress-Token,
+   * deja el tracker en req.progress y cierra el canal al enviar la respuesta.
+   * Va después de la autenticación de la ruta: solo así se crean canales.
+   */
+  track() {
+    return (req, res, next) => {
+      const channelId = req.get('X-Progress-Id');
+      const opened = this.open(channelId, req.get('X-Progress-Token'));
+      req.progress = opened ? this.tracker(channelId) : NOOP_TRACKER;
+
+      if (opened) {
+        res.on('finish', () => {
+          this.finish(channelId, res.statusCode < 400 ? 'completed' : 'failed', {
+            statusCode: res.statusCode
+          });
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Publicar un evento de etapa
+   */
+  publish(channelId, event) {
+    const channel = this.getChannel(channelId);
+    if (!channel) return;
+
+    const entry = { ...event, at: new Date().toISOString() };
+    channel.events.push(entry);
+    channel.clients.forEach(res => this.send(res, 'stage', entry));
+  }
+
+  /**
+   * Cerrar un canal: envía 'done' y termina las conexiones abiertas
+   * @param {string} status - 'completed' o 'failed'
+   */
+  finish(channelId, status, data = {}) {
+    if (!this.isValidChannelId(channelId)) return;
+
+    const channel = this.getChannel(channelId);
+    if (!channel) return;
+
+    channel.finished = { status, ...data, at: new Date().toISOString() };
+    channel.clients.forEach(res => {
+      this.send(res, 'done', channel.finished);
+      res.end();
+    });
+    channel.clients.clear();
+  }
+
+  /**
+   * Suscribir una respuesta HTTP al canal (SSE)
+   * Reenvía los eventos anteriores para no perder etapas ya emitidas.
+   * @param {string} token - Token del dueño del canal (?token=)
+   */
+  subscribe(channelId, token, req, res) {
+    const channel = this.getChannel(channelId);
+
+    if (!channel || !this.verifyToken(channel, token)) {
+      return sendError(res, 'PROGRESS_NOT_FOUND');
+    }
+
+    if (channel.clients.size >= this.maxClientsPerChannel) {
+      return sendError(res, 'PROGRESS_STREAMS_EXHAUSTED');
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    channel.events.forEach(event => this.send(res, 'stage', event));
+
+    if (channel.finished) {
+      this.send(res, 'done', channel.finished);
+      return res.end();
+    }
+
+    channel.clients.add(res);
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (res.flush) res.flush();
+    }, this.heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      channel.clients.delete(res);
+    });
+  }
+
+  send(res, eventName, data) {
+    res.write(`event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    // compression() agrupa la salida; hay que vaciarla en cada evento
+    if (res.flush) res.flush();
+  }
+
+  /**
+   * Cerrar todas las conexiones SSE (cierre del servidor)
+   * Los canales no se marcan como terminados: el trabajo puede seguir en curso.
+   */
+  disconnectAll() {
+    this.channels.forEach(channel => {
+      channel.clients.forEach(res => res.end());
+      channel.clients.clear();
+    });
+  }
+
+  /**
+   * Limpiar canales antiguos, también los que aún tienen clientes conectados
+   * (un trabajo no dura más que el TTL; una conexión abierta no lo alarga)
+   */
+  cleanupExpired() {
+    const cutoff = Date.now() - this.ttlSeconds * 1000;
+
+    this.channels.forEach((channel, channelId) => {
+      if (channel.createdAt <= cutoff) {
+        channel.clients.forEach(res => res.end());
+        this.channels.delete(channelId);
+      }
+    });
+  }
+}
+
+module.exports = ProgressService;
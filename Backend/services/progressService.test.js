@@ -0,0 +1,95 @@
+const express = require('express');
+const request = require('supertest');
+const ProgressService = require('./progressService');
+
+const CHANNEL_ID = '11111111-2222-4333-8444-555555555555';
+const TOKEN = 'progress-token-0123456789';
+
+function createApp(progress) {
+  const app = express();
+
+  app.get('/progress/:id/stream', (req, res) => {
+    progress.subscribe(req.params.id, req.query.token, req, res);
+  });
+  app.post('/login', progress.track(), async (req, res) => {
+    await req.progress.stage('local_verify', async () => true);
+    res.json({ success: true });
+  });
+
+  return app;
+}
+
+describe('ProgressService', () => {
+  let progress;
+  let app;
+
+  beforeEach(() => {
+    progress = new ProgressService();
+    app = createApp(progress);
+  });
+
+  test('no crea canales al suscribirse a un id desconocido', async () => {
+    const response = await request(app).get(`/progress/${CHANNEL_ID}/stream?token=${TOKEN}`);
+
+    expect(response.status).toBe(404);
+    expect(response.body.code).toBe('PROGRESS_NOT_FOUND');
+    expect(progress.channels.size).toBe(0);
+  });
+
+  test('solo entrega los eventos a quien presenta el token del canal', async () => {
+    progress.open(CHANNEL_ID, TOKEN);
+    progress.tracker(CHANNEL_ID).skip('privado_check', 'not configured');
+    progress.finish(CHANNEL_ID, 'completed');
+
+    const other = await request(app).get(`/progress/${CHANNEL_ID}/stream?token=otro-token-0123456789`);
+    expect(other.status).toBe(404);
+
+    const owner = await request(app).get(`/progress/${CHANNEL_ID}/stream?token=${TOKEN}`);
+    expect(owner.status).toBe(200);
+    expect(owner.text).toContain('event: stage');
+    expect(owner.text).toContain('"stage":"privado_check"');
+    expect(owner.text).toContain('event: done');
+  });
+
+  test('track() abre el canal solo con X-Progress-Id y X-Progress-Token', async () => {
+    await request(app).post('/login').set('X-Progress-Id', CHANNEL_ID);
+    expect(progress.channels.size).toBe(0);
+
+    await request(app).post('/login').set('X-Progress-Id', CHANNEL_ID).set('X-Progress-Token', TOKEN);
+    const channel = progress.getChannel(CHANNEL_ID);
+    expect(channel.events.map(event => event.status)).toEqual(['started', 'completed']);
+    expect(channel.finished.status).toBe('completed');
+  });
+
+  test('no reabre un canal existente con otro token', () => {
+    expect(progress.open(CHANNEL_ID, TOKEN)).toBe(true);
+    expect(progress.open(CHANNEL_ID, 'otro-token-0123456789')).toBe(false);
+    expect(progress.open('no-es-uuid', TOKEN)).toBe(false);
+    expect(progress.open(CHANNEL_ID.replace('1', '2'), 'corto')).toBe(false);
+  });
+
+  test('limita los clientes por canal', () => {
+    progress.open(CHANNEL_ID, TOKEN);
+    progress.maxClientsPerChannel = 1;
+    progress.getChannel(CHANNEL_ID).clients.add({ end: jest.fn() });
+
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    progress.subscribe(CHANNEL_ID, TOKEN, {}, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json.mock.calls[0][0].code).toBe('PROGRESS_STREAMS_EXHAUSTED');
+  });
+
+  test('cleanupExpired cierra y borra canales caducados aunque tengan clientes', () => {
+    progress.open(CHANNEL_ID, TOKEN);
+    const client = { end: jest.fn() };
+    const channel = progress.getChannel(CHANNEL_ID);
+    channel.clients.add(client);
+    channel.createdAt = Date.now() - progress.ttlSeconds * 1000 - 1;
+
+    progress.cleanupExpired();
+
+    expect(client.end).toHaveBeenCalled();
+    expect(progress.channels.size).toBe(0);
+  });
+});
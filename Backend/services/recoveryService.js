@@ -0,0 +1,127 @@
+/**
+ * Servicio de códigos de recuperación de cuenta
+ *
+ * Este servicio maneja:
+ * 1. Generación de códigos de recuperación de un solo uso al registrarse
+ * 2. Normalización y hash de los códigos (el hash se usa como entrada del circuito)
+ * 3. Búsqueda de un código no usado entre los guardados del usuario
+ *
+ * Los códigos en claro solo se devuelven una vez, en la respuesta de registro.
+ * En users.json se guarda su HMAC (clave RECOVERY_CODE_KEY) y el commitment ZK
+ * registrado on-chain. Fuera de development y test la clave es obligatoria
+ * (ver config/schema.js): con una temporal los commitments ya registrados
+ * on-chain dejarían de servir tras un reinicio.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// Alfabeto sin caracteres ambiguos (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const HMAC_ALGORITHM = 'hmac-sha256';
+
+class RecoveryService {
+  constructor() {
+    this.codeCount = config.recovery.codeCount;
+    this.groupCount = 4;
+    this.groupLength = 4;
+    this.codeKey = config.recovery.codeKey;
+
+    if (!this.codeKey) {
+      // Clave efímera: los códigos emitidos dejan de valer al reiniciar el servidor
+      console.warn('⚠️  RECOVERY_CODE_KEY no configurado. Usando clave temporal (solo desarrollo).');
+      this.codeKey = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Generar un conjunto de códigos de recuperación
+   * @returns {Array<string>} Códigos con formato XXXX-XXXX-XXXX-XXXX
+   */
+  generateCodes() {
+    const codes = [];
+    for (let i = 0; i < this.codeCount; i++) {
+      codes.push(this.generateCode());
+    }
+    return codes;
+  }
+
+  generateCode() {
+    const groups = [];
+    for (let g = 0; g < this.groupCount; g++) {
+      let group = '';
+      for (let i = 0; i < this.groupLength; i++) {
+        group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+      }
+      groups.push(group);
+    }
+    return groups.join('-');
+  }
+
+  /**
+   * Normalizar código introducido por el usuario (mayúsculas, sin separadores)
+   */
+  normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Validar formato de un código
+   */
+  isValidCodeFormat(code) {
+    const normalized = this.normalizeCode(code);
+    return normalized.length === this.groupCount * this.groupLength &&
+      [...normalized].every(char => CODE_ALPHABET.includes(char));
+  }
+
+  /**
+   * HMAC-SHA256 del código normalizado (64 hex, mismo formato que passwordHash)
+   * @param {string} code - Código en claro
+   */
+  hashCode(code) {
+    const normalized = this.normalizeCode(code);
+    return crypto.createHmac('sha256', this.codeKey).update(normalized).digest('hex');
+  }
+
+  /**
+   * Construir las entradas que se guardan junto al usuario
+   * @param {Array<string>} codes - Códigos en claro
+   * @param {Array<string>} commitments - Commitment ZK de cada código
+   */
+  buildEntries(codes, commitments) {
+    return codes.map((code, index) => ({
+      id: crypto.randomUUID(),
+      codeHash: this.hashCode(code),
+      algorithm: HMAC_ALGORITHM,
+      commitment: commitments[index],
+      createdAt: new Date().toISOString(),
+      usedAt: null
+    }));
+  }
+
+  /**
+   * Buscar un código no usado del usuario
+   * @param {Array} entries - user.recoveryCodes
+   * @param {string} code - Código introducido
+   * @returns {Object|null} Entrada encontrada
+   */
+  findUsableCode(entries = [], code) {
+    return entries.find(entry =>
+      !entry.usedAt &&
+      crypto.timingSafeEqual(
+        Buffer.from(entry.codeHash, 'hex'),
+        Buffer.from(this.hashCode(code), 'hex')
+      )
+    ) || null;
+  }
+
+  /**
+   * Número de códigos disponibles
+   */
+  countRemaining(entries = []) {
+    return entries.filter(entry => !entry.usedAt).length;
+  }
+}
+
+module.exports = RecoveryService;
@@ -0,0 +1,73 @@
+process.env.RECOVERY_CODE_KEY = 'test-recovery-key';
+process.env.RECOVERY_CODE_COUNT = '4';
+
+const crypto = require('crypto');
+const RecoveryService = require('./recoveryService');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('RecoveryService', () => {
+  let recovery;
+
+  beforeEach(() => {
+    recovery = new RecoveryService();
+  });
+
+  test('genera códigos con el formato esperado y sin repetir', () => {
+    const codes = recovery.generateCodes();
+
+    expect(codes).toHaveLength(4);
+    expect(new Set(codes).size).toBe(4);
+    codes.forEach(code => {
+      expect(code).toMatch(/^[A-Z2-9]{4}(-[A-Z2-9]{4}){3}$/);
+      expect(recovery.isValidCodeFormat(code)).toBe(true);
+    });
+    expect(recovery.isValidCodeFormat('0000-1111-IIII-OOOO')).toBe(false);
+  });
+
+  test('guarda un HMAC con clave y no el SHA256 del código', () => {
+    const [code] = recovery.generateCodes();
+    const [entry] = recovery.buildEntries([code], ['123']);
+    const normalized = recovery.normalizeCode(code);
+
+    expect(entry.algorithm).toBe('hmac-sha256');
+    expect(entry.codeHash).not.toBe(sha256(normalized));
+    expect(entry.codeHash).toBe(
+      crypto.createHmac('sha256', 'test-recovery-key').update(normalized).digest('hex')
+    );
+  });
+
+  test('encuentra el código sin importar mayúsculas ni guiones', () => {
+    const codes = recovery.generateCodes();
+    const entries = recovery.buildEntries(codes, codes.map((_, i) => String(i)));
+
+    const entry = recovery.findUsableCode(entries, codes[2].toLowerCase().replace(/-/g, ''));
+    expect(entry).toBe(entries[2]);
+    expect(recovery.findUsableCode(entries, 'AAAA-AAAA-AAAA-AAAA')).toBeNull();
+  });
+
+  test('no acepta códigos ya usados', () => {
+    const codes = recovery.generateCodes();
+    const entries = recovery.buildEntries(codes, codes.map(() => '1'));
+    entries[0].usedAt = new Date().toISOString();
+
+    expect(recovery.findUsableCode(entries, codes[0])).toBeNull();
+    expect(recovery.countRemaining(entries)).toBe(3);
+  });
+
+  test('no acepta entradas con el SHA256 simple del código', () => {
+    const code = 'ABCD-EFGH-JKMN-PQRS';
+    const unkeyed = { id: 'unkeyed', codeHash: sha256('ABCDEFGHJKMNPQRS'), commitment: '1', usedAt: null };
+
+    expect(recovery.findUsableCode([unkeyed], code)).toBeNull();
+  });
+
+  test('con otra clave los mismos códigos no coinciden', () => {
+    const codes = recovery.generateCodes();
+    const entries = recovery.buildEntries(codes, codes.map(() => '1'));
+
+    const other = new RecoveryService();
+    other.codeKey = 'otra-clave';
+    expect(other.findUsableCode(entries, codes[0])).toBeNull();
+  });
+});
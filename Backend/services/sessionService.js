@@ -0,0 +1,310 @@
+/**
+ * Servicio de sesiones para usuarios autenticados con ZK
+ *
+ * Este servicio maneja:
+ * 1. Emisión de access tokens JWT de corta duración tras un login verificado
+ * 2. Refresh tokens opacos ligados a la dirección de wallet
+ * 3. Rotación de refresh tokens en cada renovación
+ * 4. Revocación de sesiones (logout individual o de todas las sesiones)
+ * 5. Autorización de administradores (config.session.adminAddresses)
+ *
+ * Los refresh tokens nunca se guardan en claro: solo se almacena su hash SHA256.
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const config = require('../config');
+const { errorBody, sendError } = require('../utils/errors');
+const { createStore } = require('../stores');
+
+class SessionService {
+  constructor() {
+    this.secret = config.session.jwtSecret;
+    this.issuer = config.session.issuer;
+    this.accessTokenTTL = config.session.accessTokenTtlSeconds;
+    this.refreshTokenTTL = config.session.refreshTokenTtlSeconds;
+
+    // sessionId -> { address, refreshTokenHash, createdAt, expiresAt, revoked }
+    this.sessions = createStore('sessions');
+
+    // jti de access tokens revocados -> expiración (segundos epoch)
+    this.revokedAccessTokens = createStore('revoked-access-tokens');
+
+    // Direcciones con acceso a las rutas /admin
+    this.adminAddresses = new Set(
+      config.session.adminAddresses.map(address => address.toLowerCase())
+    );
+
+    if (!this.secret) {
+      // Secreto efímero: los tokens dejan de ser válidos al reiniciar el servidor
+      console.warn('⚠️  JWT_SECRET no configurado. Usando secreto temporal (solo desarrollo).');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Crear una nueva sesión para una dirección verificada
+   * @param {string} address - Dirección de wallet autenticada
+   * @param {Object} claims - Claims adicionales para el access token (se
+   *   guardan con la sesión para repetirlos en cada renovación)
+   */
+  createSession(address, claims = {}) {
+    const normalizedAddress = address.toLowerCase();
+    const sessionId = crypto.randomUUID();
+    const refreshToken = this.generateRefreshToken();
+    const now = Math.floor(Date.now() / 1000);
+
+    this.sessions.set(sessionId, {
+      address: normalizedAddress,
+      refreshTokenHash: this.hashToken(refreshToken),
+      claims,
+      createdAt: now,
+      expiresAt: now + this.refreshTokenTTL,
+      revoked: false
+    }, this.refreshTokenTTL * 1000);
+
+    return {
+      sessionId,
+      ...this.issueTokens(sessionId, normalizedAddress, refreshToken, claims)
+    };
+  }
+
+  /**
+   * Renovar sesión usando un refresh token (con rotación)
+   */
+  refreshSession(refreshToken) {
+    const found = this.findSessionByRefreshToken(refreshToken);
+
+    if (!found) {
+      return errorBody('REFRESH_TOKEN_INVALID');
+    }
+
+    const { sessionId, session } = found;
+    const now = Math.floor(Date.now() / 1000);
+
+    if (session.revoked) {
+      return errorBody('SESSION_REVOKED');
+    }
+
+    if (session.expiresAt <= now) {
+      this.sessions.delete(sessionId);
+      return errorBody('REFRESH_TOKEN_EXPIRED');
+    }
+
+    // Rotar refresh token: el anterior deja de ser válido.
+    // Se comprueba el hash dentro de la actualización para que dos renovaciones
+    // simultáneas con el mismo token no tengan éxito ambas.
+    const newRefreshToken = this.generateRefreshToken();
+    let rotated = false;
+    this.sessions.update(sessionId, current => {
+      if (!current || current.refreshTokenHash !== session.refreshTokenHash) return current;
+
+      rotated = true;
+      return { ...current, refreshTokenHash: this.hashToken(newRefreshToken) };
+    });
+
+    if (!rotated) {
+      return errorBody('REFRESH_TOKEN_INVALID');
+    }
+
+    return {
+      success: true,
+      sessionId,
+      ...this.issueTokens(sessionId, session.address, newRefreshToken, session.claims)
+    };
+  }
+
+  /**
+   * Verificar un access token
+   * @returns {Object} { success, payload } o { success: false, code, error }
+   */
+  verifyAccessToken(token) {
+    try {
+      const payload = jwt.verify(token, this.secret, { issuer: this.issuer });
+
+      if (payload.jti && this.revokedAccessTokens.has(payload.jti)) {
+        return errorBody('TOKEN_REVOKED');
+      }
+
+      const session = this.sessions.get(payload.sid);
+      if (!session || session.revoked) {
+        return errorBody('SESSION_REVOKED');
+      }
+
+      return { success: true, payload };
+
+    } catch (error) {
+      return errorBody(error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID');
+    }
+  }
+
+  /**
+   * Momento del login que creó la sesión (segundos epoch)
+   * Se mantiene al renovar tokens; es el auth_time de OIDC.
+   */
+  getAuthTime(sessionId) {
+    return this.sessions.get(sessionId)?.createdAt ?? null;
+  }
+
+  /**
+   * Cerrar una sesión (logout)
+   * @param {Object} payload - Payload del access token ya verificado
+   */
+  revokeSession(payload) {
+    const session = this.sessions.update(payload.sid, current =>
+      current && { ...current, revoked: true }
+    );
+
+    this.revokeAccessToken(payload);
+    return !!session;
+  }
+
+  /**
+   * Revocar todas las sesiones de una dirección
+   * @returns {number} Número de sesiones revocadas
+   */
+  revokeAllSessions(address) {
+    const normalizedAddress = address.toLowerCase();
+    let count = 0;
+
+    this.sessions.entries().forEach(([sessionId, session]) => {
+      if (session.address !== normalizedAddress || session.revoked) return;
+
+      this.sessions.update(sessionId, current => {
+        if (!current || current.revoked) return current;
+        count++;
+        return { ...current, revoked: true };
+      });
+    });
+
+    return count;
+  }
+
+  /**
+   * Marcar un access token como revocado hasta su expiración natural
+   */
+  revokeAccessToken(payload) {
+    if (payload.jti) {
+      // Solo hace falta recordarlo hasta que el token expire por sí mismo
+      this.revokedAccessTokens.set(payload.jti, payload.exp, Math.max(payload.exp * 1000 - Date.now(), 1000));
+    }
+  }
+
+  /**
+   * Middleware de Express que exige un access token válido
+   * Deja el payload verificado en req.session
+   */
+  authenticate() {
+    return (req, res, next) => {
+      const header = req.get('Authorization') || '';
+      const [scheme, token] = header.split(' ');
+
+      if (scheme !== 'Bearer' || !token) {
+        return sendError(res, 'AUTH_REQUIRED');
+      }
+
+      const result = this.verifyAccessToken(token);
+      if (!result.success) {
+        return sendError(res, result.code);
+      }
+
+      req.session = result.payload;
+      next();
+    };
+  }
+
+  /**
+   * Comprobar si una dirección es administradora
+   */
+  isAdmin(address) {
+    return !!address && this.adminAddresses.has(address.toLowerCase());
+  }
+
+  /**
+   * Middleware de Express que exige una sesión de administrador
+   * Debe usarse después de authenticate()
+   */
+  requireAdmin() {
+    return (req, res, next) => {
+      if (!req.session || !this.isAdmin(req.session.address)) {
+        return sendError(res, 'ADMIN_REQUIRED');
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Limpiar sesiones y revocaciones expiradas
+   */
+  cleanupExpired() {
+    this.sessions.cleanup();
+    this.revokedAccessTokens.cleanup();
+  }
+
+  /**
+   * FUNCIONES DE UTILIDAD
+   */
+
+  issueTokens(sessionId, address, refreshToken, claims = {}) {
+    const accessToken = jwt.sign(
+      {
+        ...claims,
+        address,
+        sid: sessionId
+      },
+      this.secret,
+      {
+        subject: address,
+        issuer: this.issuer,
+        expiresIn: this.accessTokenTTL,
+        jwtid: crypto.randomUUID()
+      }
+    );
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTTL,
+      refreshExpiresIn: this.refreshTokenTTL
+    };
+  }
+
+  findSessionByRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+    const tokenHash = this.hashToken(refreshToken);
+    for (const [sessionId, session] of this.sessions.entries()) {
+      if (session.refreshTokenHash === tokenHash) {
+        return { sessionId, session };
+      }
+    }
+
+    return null;
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Obtener estadísticas de sesiones
+   */
+  getStats() {
+    const sessions = this.sessions.entries();
+    const active = sessions.filter(([, session]) => !session.revoked).length;
+
+    return {
+      totalSessions: sessions.length,
+      activeSessions: active,
+      revokedAccessTokens: this.revokedAccessTokens.size()
+    };
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,143 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.ADMIN_ADDRESSES = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+
+const jwt = require('jsonwebtoken');
+const SessionService = require('./sessionService');
+
+const ADDRESS = '0x1234567890AbcdEF1234567890aBcdef12345678';
+
+describe('SessionService', () => {
+  let sessions;
+
+  beforeEach(() => {
+    sessions = new SessionService();
+  });
+
+  test('emite un access token verificable ligado a la sesión', () => {
+    const session = sessions.createSession(ADDRESS, { chainId: 80002 });
+    const result = sessions.verifyAccessToken(session.accessToken);
+
+    expect(result.success).toBe(true);
+    expect(result.payload).toMatchObject({
+      address: ADDRESS.toLowerCase(),
+      sid: session.sessionId,
+      chainId: 80002
+    });
+    expect(session.tokenType).toBe('Bearer');
+  });
+
+  test('rechaza tokens firmados con otro secreto o de otro emisor', () => {
+    const { sessionId } = sessions.createSession(ADDRESS);
+    const forged = jwt.sign({ sid: sessionId }, 'other-secret', { issuer: sessions.issuer });
+    const otherIssuer = jwt.sign({ sid: sessionId }, 'test-secret', { issuer: 'someone-else' });
+
+    expect(sessions.verifyAccessToken(forged).code).toBe('TOKEN_INVALID');
+    expect(sessions.verifyAccessToken(otherIssuer).code).toBe('TOKEN_INVALID');
+  });
+
+  test('rechaza tokens expirados', () => {
+    const { sessionId } = sessions.createSession(ADDRESS);
+    const expired = jwt.sign(
+      { sid: sessionId, exp: Math.floor(Date.now() / 1000) - 10 },
+      'test-secret',
+      { issuer: sessions.issuer }
+    );
+
+    expect(sessions.verifyAccessToken(expired).code).toBe('TOKEN_EXPIRED');
+  });
+
+  test('rota el refresh token y no acepta el anterior', () => {
+    const session = sessions.createSession(ADDRESS);
+
+    const refreshed = sessions.refreshSession(session.refreshToken);
+    expect(refreshed.success).toBe(true);
+    expect(refreshed.refreshToken).not.toBe(session.refreshToken);
+
+    expect(sessions.refreshSession(session.refreshToken).code).toBe('REFRESH_TOKEN_INVALID');
+    expect(sessions.refreshSession(refreshed.refreshToken).success).toBe(true);
+  });
+
+  test('mantiene los claims del login al renovar', () => {
+    const session = sessions.createSession(ADDRESS, { username: 'alice', chainId: 80002 });
+    const refreshed = sessions.refreshSession(session.refreshToken);
+
+    expect(sessions.verifyAccessToken(refreshed.accessToken).payload).toMatchObject({
+      username: 'alice',
+      chainId: 80002,
+      address: ADDRESS.toLowerCase(),
+      sid: session.sessionId
+    });
+  });
+
+  test('no guarda el refresh token en claro', () => {
+    const session = sessions.createSession(ADDRESS);
+    const stored = JSON.stringify(sessions.sessions.entries());
+
+    expect(stored).not.toContain(session.refreshToken);
+  });
+
+  test('getAuthTime conserva el momento del login tras renovar', () => {
+    const session = sessions.createSession(ADDRESS);
+    const loginTime = sessions.getAuthTime(session.sessionId);
+
+    expect(loginTime).toEqual(expect.any(Number));
+    sessions.refreshSession(session.refreshToken);
+    expect(sessions.getAuthTime(session.sessionId)).toBe(loginTime);
+    expect(sessions.getAuthTime('unknown')).toBeNull();
+  });
+
+  test('logout revoca la sesión y el access token', () => {
+    const session = sessions.createSession(ADDRESS);
+    const { payload } = sessions.verifyAccessToken(session.accessToken);
+
+    expect(sessions.revokeSession(payload)).toBe(true);
+    expect(sessions.verifyAccessToken(session.accessToken).code).toBe('TOKEN_REVOKED');
+    expect(sessions.refreshSession(session.refreshToken).code).toBe('SESSION_REVOKED');
+  });
+
+  test('revokeAllSessions solo afecta a la dirección indicada', () => {
+    const first = sessions.createSession(ADDRESS);
+    const second = sessions.createSession(ADDRESS);
+    const other = sessions.createSession('0x9999999999999999999999999999999999999999');
+
+    expect(sessions.revokeAllSessions(ADDRESS)).toBe(2);
+    expect(sessions.verifyAccessToken(first.accessToken).code).toBe('SESSION_REVOKED');
+    expect(sessions.verifyAccessToken(second.accessToken).code).toBe('SESSION_REVOKED');
+    expect(sessions.verifyAccessToken(other.accessToken).success).toBe(true);
+  });
+
+  describe('middlewares', () => {
+    function run(middleware, headers = {}, session) {
+      const req = { session, get: name => headers[name] };
+      const res = {
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+      };
+      const next = jest.fn();
+      middleware(req, res, next);
+      return { req, res, next };
+    }
+
+    test('authenticate exige un Bearer válido', () => {
+      const session = sessions.createSession(ADDRESS);
+
+      const missing = run(sessions.authenticate());
+      expect(missing.next).not.toHaveBeenCalled();
+      expect(missing.res.statusCode).toBe(401);
+      expect(missing.res.body.code).toBe('AUTH_REQUIRED');
+
+      const ok = run(sessions.authenticate(), { Authorization: `Bearer ${session.accessToken}` });
+      expect(ok.next).toHaveBeenCalled();
+      expect(ok.req.session.sid).toBe(session.sessionId);
+    });
+
+    test('requireAdmin solo deja pasar a ADMIN_ADDRESSES', () => {
+      const admin = run(sessions.requireAdmin(), {}, { address: '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa' });
+      expect(admin.next).toHaveBeenCalled();
+
+      const user = run(sessions.requireAdmin(), {}, { address: ADDRESS });
+      expect(user.next).not.toHaveBeenCalled();
+      expect(user.res.body.code).toBe('ADMIN_REQUIRED');
+    });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Servicio Sign-In with Ethereum (EIP-4361)
+ *
+ * Este servicio maneja:
+ * 1. Construcción de mensajes SIWE en el servidor
+ * 2. Verificación de firma, dominio, nonce y expiración
+ * 3. Emisión de tokens de propiedad de wallet de corta duración
+ *
+ * El cliente nunca envía el mensaje completo: firma el texto que construyó el
+ * servidor y devuelve solo el nonce y la firma. Así el servidor verifica
+ * exactamente el mensaje que emitió.
+ */
+
+const { ethers } = require('ethers');
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { errorBody, sendError } = require('../utils/errors');
+const { createStore } = require('../stores');
+
+class SiweService {
+  constructor() {
+    const frontendUrl = config.server.frontendUrl;
+
+    this.domain = config.siwe.domain || new URL(frontendUrl).host;
+    this.uri = config.siwe.uri || frontendUrl;
+    this.statement = config.siwe.statement;
+    this.messageTTL = config.siwe.messageTtlSeconds;
+    this.ownershipTTL = config.siwe.ownershipTtlSeconds;
+
+    // nonce -> { address, message, expiresAt } (se borra al verificar la firma)
+    this.pendingMessages = createStore('siwe-messages');
+
+    // hash del token -> { address, expiresAt }
+    this.ownershipTokens = createStore('siwe-ownership');
+  }
+
+  /**
+   * Construir mensaje EIP-4361 para una dirección
+   * @param {string} address - Dirección de wallet
+   * @param {number} chainId - Chain ID solicitado
+   */
+  createMessage(address, chainId = 80002) {
+    const checksumAddress = ethers.getAddress(address);
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.messageTTL * 1000);
+
+    const message = [
+      `${this.domain} wants you to sign in with your Ethereum account:`,
+      checksumAddress,
+      '',
+      this.statement,
+      '',
+      `URI: ${this.uri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`,
+      `Expiration Time: ${expiresAt.toISOString()}`
+    ].join('\n');
+
+    this.pendingMessages.set(nonce, {
+      address: checksumAddress.toLowerCase(),
+      message,
+      expiresAt: expiresAt.getTime()
+    }, this.messageTTL * 1000);
+
+    return {
+      message,
+      nonce,
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Verificar firma de un mensaje emitido previamente
+   * El nonce solo se consume con una firma válida: una firma incorrecta
+   * (de quien no tiene la wallet) no invalida el mensaje del dueño.
+   * @param {string} nonce - Nonce del mensaje
+   * @param {string} signature - Firma personal_sign de la wallet
+   * @returns {Object} { success, address?, error? }
+   */
+  verifySignature(nonce, signature) {
+    if (typeof nonce !== 'string') {
+      return errorBody('SIWE_NONCE_UNKNOWN');
+    }
+
+    const pending = this.pendingMessages.get(nonce);
+    if (!pending) {
+      return errorBody('SIWE_NONCE_UNKNOWN');
+    }
+
+    const fields = this.parseMessage(pending.message);
+    if (!fields) {
+      return errorBody('SIWE_MESSAGE_MALFORMED');
+    }
+
+    if (fields.domain !== this.domain) {
+      return errorBody('SIWE_DOMAIN_MISMATCH');
+    }
+
+    if (fields.nonce !== nonce) {
+      return errorBody('SIWE_NONCE_MISMATCH');
+    }
+
+    if (new Date(fields.expirationTime).getTime() <= Date.now()) {
+      return errorBody('SIWE_MESSAGE_EXPIRED');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(pending.message, signature);
+    } catch (error) {
+      return errorBody('SIWE_SIGNATURE_INVALID');
+    }
+
+    if (recovered.toLowerCase() !== fields.address.toLowerCase()) {
+      return errorBody('SIWE_ADDRESS_MISMATCH');
+    }
+
+    // Consumir en una sola operación: de dos verificaciones simultáneas con
+    // la misma firma solo una encuentra el mensaje
+    if (!this.pendingMessages.take(nonce)) {
+      return errorBody('SIWE_MESSAGE_USED');
+    }
+
+    return {
+      success: true,
+      address: recovered.toLowerCase(),
+      chainId: fields.chainId
+    };
+  }
+
+  /**
+   * Emitir token de propiedad de wallet tras una firma SIWE válida
+   */
+  issueOwnershipToken(address) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.ownershipTTL * 1000;
+
+    this.ownershipTokens.set(this.hashToken(token), {
+      address: address.toLowerCase(),
+      expiresAt
+    }, this.ownershipTTL * 1000);
+
+    return {
+      ownershipToken: token,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Comprobar que un token de propiedad corresponde a la dirección
+   */
+  checkOwnership(token, address) {
+    if (!token || !address) {
+      return errorBody('SIWE_TOKEN_REQUIRED');
+    }
+
+    const entry = this.ownershipTokens.get(this.hashToken(token));
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return errorBody('SIWE_TOKEN_INVALID');
+    }
+
+    if (entry.address !== address.toLowerCase()) {
+      return errorBody('SIWE_TOKEN_ADDRESS_MISMATCH');
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Invalidar un token de propiedad (tras un login completado)
+   */
+  consumeOwnershipToken(token) {
+    if (token) {
+      this.ownershipTokens.delete(this.hashToken(token));
+    }
+  }
+
+  /**
+   * Middleware de Express que exige haber firmado un mensaje SIWE
+   * para la dirección enviada en el body (header X-SIWE-Token)
+   */
+  requireWalletOwnership() {
+    return (req, res, next) => {
+      const token = req.get('X-SIWE-Token');
+      const result = this.checkOwnership(token, req.body?.address);
+
+      if (!result.success) {
+        logger.security('Wallet ownership check failed', {
+          address: req.body?.address,
+          reason: result.error,
+          url: req.url,
+          ip: req.ip
+        });
+
+        return sendError(res, result.code);
+      }
+
+      req.siweToken = token;
+      next();
+    };
+  }
+
+  /**
+   * Parsear los campos de un mensaje EIP-4361
+   */
+  parseMessage(message) {
+    const match = message.match(
+      /^(?<domain>\S+) wants you to sign in with your Ethereum account:\n(?<address>0x[a-fA-F0-9]{40})\n\n(?:[^\n]*\n\n)?URI: (?<uri>\S+)\nVersion: (?<version>1)\nChain ID: (?<chainId>\d+)\nNonce: (?<nonce>[a-zA-Z0-9]{8,})\nIssued At: (?<issuedAt>\S+)(?:\nExpiration Time: (?<expirationTime>\S+))?/
+    );
+
+    if (!match || !match.groups.expirationTime) return null;
+
+    return {
+      ...match.groups,
+      chainId: parseInt(match.groups.chainId, 10)
+    };
+  }
+
+  /**
+   * Limpiar mensajes y tokens expirados
+   */
+  cleanupExpired() {
+    this.pendingMessages.cleanup();
+    this.ownershipTokens.cleanup();
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = SiweService;
@@ -0,0 +1,67 @@
+const { ethers } = require('ethers');
+const SiweService = require('./siweService');
+
+describe('SiweService', () => {
+  const wallet = ethers.Wallet.createRandom();
+  const attacker = ethers.Wallet.createRandom();
+  let siwe;
+
+  beforeEach(() => {
+    siwe = new SiweService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifica la firma del mensaje emitido y consume el nonce', async () => {
+    const { message, nonce } = siwe.createMessage(wallet.address, 80002);
+    const signature = await wallet.signMessage(message);
+
+    const result = siwe.verifySignature(nonce, signature);
+    expect(result).toEqual({ success: true, address: wallet.address.toLowerCase(), chainId: 80002 });
+
+    expect(siwe.verifySignature(nonce, signature).code).toBe('SIWE_NONCE_UNKNOWN');
+  });
+
+  test('una firma inválida no consume el nonce del dueño', async () => {
+    const { message, nonce } = siwe.createMessage(wallet.address);
+
+    expect(siwe.verifySignature(nonce, await attacker.signMessage(message)).code).toBe('SIWE_ADDRESS_MISMATCH');
+    expect(siwe.verifySignature(nonce, '0xdeadbeef').code).toBe('SIWE_SIGNATURE_INVALID');
+
+    expect(siwe.verifySignature(nonce, await wallet.signMessage(message)).success).toBe(true);
+  });
+
+  test('si otro proceso consume el mensaje a la vez, solo uno tiene éxito', async () => {
+    const { message, nonce } = siwe.createMessage(wallet.address);
+    const signature = await wallet.signMessage(message);
+
+    // Simula que otra réplica borra el mensaje entre la lectura y el consumo
+    const take = siwe.pendingMessages.take.bind(siwe.pendingMessages);
+    jest.spyOn(siwe.pendingMessages, 'take').mockImplementationOnce(key => {
+      take(key);
+      return take(key);
+    });
+
+    expect(siwe.verifySignature(nonce, signature).code).toBe('SIWE_MESSAGE_USED');
+  });
+
+  test('rechaza mensajes cuya Expiration Time ya pasó', async () => {
+    const { message, nonce } = siwe.createMessage(wallet.address);
+    const signature = await wallet.signMessage(message);
+    jest.spyOn(siwe, 'parseMessage').mockReturnValue({
+      ...siwe.parseMessage(message),
+      expirationTime: new Date(0).toISOString()
+    });
+
+    expect(siwe.verifySignature(nonce, signature).code).toBe('SIWE_MESSAGE_EXPIRED');
+  });
+
+  test('los tokens de propiedad solo sirven para su dirección', () => {
+    const { ownershipToken } = siwe.issueOwnershipToken(wallet.address);
+
+    expect(siwe.checkOwnership(ownershipToken, wallet.address).success).toBe(true);
+    expect(siwe.checkOwnership(ownershipToken, attacker.address).success).toBe(false);
+  });
+});
@@ -103,6 +103,7 @@ class UserService {
       email: userData.email.toLowerCase().trim(),
       address: userData.address.toLowerCase(),
       passwordHash: userData.passwordHash,
+      commitment: userData.commitment || null,
       chainId: userData.chainId || 80002,
       createdAt: new Date().toISOString(),
       lastLogin: null,
@@ -134,6 +135,124 @@ class UserService {
     return null;
   }
 
+  /**
+   * Actualizar hash de contraseña y commitment tras rotarlo on-chain
+   */
+  updatePasswordHash(address, passwordHash, commitment) {
+    const users = this.getUsers();
+    const user = users.find(u => u.address.toLowerCase() === address.toLowerCase());
+
+    if (user) {
+      user.passwordHash = passwordHash;
+      user.commitment = commitment;
+      user.passwordChangedAt = new Date().toISOString();
+      this.saveUsers(users);
+      return user;
+    }
+
+    return null;
+  }
+
+  /**
+   * Guardar el commitment registrado on-chain (usuarios anteriores a este campo)
+   */
+  setCommitment(address, commitment) {
+    const users = this.getUsers();
+    const user = users.find(u => u.address.toLowerCase() === address.toLowerCase());
+
+    if (user) {
+      user.commitment = commitment;
+      this.saveUsers(users);
+      return user;
+    }
+
+    return null;
+  }
+
+  /**
+   * Listar usuarios con paginación y búsqueda
+   * @param {Object} options - { offset, limit, search }
+   * @returns {Object} { users, total }
+   */
+  listUsers({ offset = 0, limit = 20, search = '' } = {}) {
+    const term = search.trim().toLowerCase();
+    let users = this.getUsers();
+
+    if (term) {
+      users = users.filter(user =>
+        user.username.toLowerCase().includes(term) ||
+        user.email.toLowerCase().includes(term) ||
+        user.address.toLowerCase().includes(term)
+      );
+    }
+
+    return {
+      users: users.slice(offset, offset + limit).map(user => this.toPublicUser(user)),
+      total: users.length
+    };
+  }
+
+  /**
+   * Activar o desactivar un usuario
+   */
+  setActive(address, isActive) {
+    const users = this.getUsers();
+    const user = users.find(u => u.address.toLowerCase() === address.toLowerCase());
+
+    if (user) {
+      user.isActive = isActive;
+      user[isActive ? 'reactivatedAt' : 'deactivatedAt'] = new Date().toISOString();
+      this.saveUsers(users);
+      return user;
+    }
+
+    return null;
+  }
+
+  /**
+   * Datos de usuario sin secretos (hash de contraseña, códigos de recuperación)
+   */
+  toPublicUser(user) {
+    const { passwordHash, recoveryCodes, ...publicUser } = user;
+    return {
+      ...publicUser,
+      remainingRecoveryCodes: (recoveryCodes || []).filter(code => !code.usedAt).length
+    };
+  }
+
+  /**
+   * Guardar códigos de recuperación (hash + commitment) de un usuario
+   */
+  setRecoveryCodes(address, recoveryCodes) {
+    const users = this.getUsers();
+    const user = users.find(u => u.address.toLowerCase() === address.toLowerCase());
+
+    if (user) {
+      user.recoveryCodes = recoveryCodes;
+      this.saveUsers(users);
+      return user;
+    }
+
+    return null;
+  }
+
+  /**
+   * Quemar un código de recuperación tras usarlo
+   */
+  burnRecoveryCode(address, codeId) {
+    const users = this.getUsers();
+    const user = users.find(u => u.address.toLowerCase() === address.toLowerCase());
+    const entry = user?.recoveryCodes?.find(code => code.id === codeId);
+
+    if (entry) {
+      entry.usedAt = new Date().toISOString();
+      this.saveUsers(users);
+      return entry;
+    }
+
+    return null;
+  }
+
   /**
    * Obtener estadísticas de usuarios
    */
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UserService = require('./userService');
+
+let dir;
+let userService;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+  userService = new UserService();
+  userService.usersFile = path.join(dir, 'users.json');
+  userService.ensureUsersFileExists();
+
+  ['alice', 'bob', 'carol'].forEach((username, index) => {
+    userService.createUser({
+      username,
+      email: `${username}@example.com`,
+      address: `0x${String(index + 1).repeat(40)}`,
+      passwordHash: `hash-${username}`
+    });
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('UserService', () => {
+  test('busca por usuario, email o dirección sin distinguir mayúsculas', () => {
+    expect(userService.listUsers({ search: 'BOB' }).users.map(user => user.username)).toEqual(['bob']);
+    expect(userService.listUsers({ search: 'carol@EXAMPLE' }).total).toBe(1);
+    expect(userService.listUsers({ search: '0x1111' }).users[0].username).toBe('alice');
+    expect(userService.listUsers({ search: 'nadie' })).toEqual({ users: [], total: 0 });
+  });
+
+  test('pagina con offset y limit y devuelve el total', () => {
+    const page = userService.listUsers({ offset: 1, limit: 1 });
+
+    expect(page.total).toBe(3);
+    expect(page.users.map(user => user.username)).toEqual(['bob']);
+  });
+
+  test('la vista pública no incluye el hash ni los códigos de recuperación', () => {
+    const address = `0x${'1'.repeat(40)}`;
+    userService.setRecoveryCodes(address, [
+      { id: 'a', codeHash: 'h1', usedAt: null },
+      { id: 'b', codeHash: 'h2', usedAt: new Date().toISOString() }
+    ]);
+
+    const [user] = userService.listUsers({ search: 'alice' }).users;
+    expect(user.passwordHash).toBeUndefined();
+    expect(user.recoveryCodes).toBeUndefined();
+    expect(user.remainingRecoveryCodes).toBe(1);
+  });
+
+  test('desactiva y reactiva guardando la fecha de cada cambio', () => {
+    const address = `0x${'2'.repeat(40)}`;
+
+    const deactivated = userService.setActive(address.toUpperCase().replace('0X', '0x'), false);
+    expect(deactivated.isActive).toBe(false);
+    expect(deactivated.deactivatedAt).toEqual(expect.any(String));
+    expect(userService.findByAddress(address).isActive).toBe(false);
+
+    const reactivated = userService.setActive(address, true);
+    expect(reactivated.isActive).toBe(true);
+    expect(reactivated.reactivatedAt).toEqual(expect.any(String));
+
+    expect(userService.setActive(`0x${'9'.repeat(40)}`, false)).toBeNull();
+  });
+});
@@ -0,0 +1,438 @@
+/**
+ * Servicio de webhooks para sistemas externos (relying parties)
+ *
+ * Este servicio maneja:
+ * 1. Registro de endpoints con su secreto y eventos suscritos
+ * 2. Firma HMAC-SHA256 de cada entrega
+ * 3. Cola persistente de entregas con reintentos y backoff exponencial
+ * 4. Registro de entregas (intentos, estado HTTP y errores)
+ *
+ * Cada endpoint recibe sus entregas en orden, pero los endpoints se atienden
+ * en paralelo (hasta config.webhooks.concurrency): uno lento no retrasa al resto.
+ *
+ * Eventos: user.registered, user.login.succeeded, user.login.failed
+ *
+ * Cabeceras de cada entrega:
+ * - X-Webhook-Id: id de la entrega (igual en todos los reintentos)
+ * - X-Webhook-Event: tipo de evento
+ * - X-Webhook-Signature: t=<timestamp>,v1=<HMAC-SHA256(secret, `${t}.${body}`)>
+ *
+ * Endpoints y entregas se guardan en archivos JSON, igual que los usuarios.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const WEBHOOK_EVENTS = ['user.registered', 'user.login.succeeded', 'user.login.failed'];
+
+class WebhookService {
+  static EVENTS = WEBHOOK_EVENTS;
+
+  constructor() {
+    this.webhooksFile = path.join(__dirname, '../data/webhooks.json');
+    this.deliveriesFile = path.join(__dirname, '../data/webhook-deliveries.json');
+
+    this.maxAttempts = config.webhooks.maxAttempts;
+    this.baseDelayMs = config.webhooks.retryBaseMs;
+    this.maxDelayMs = 6 * 60 * 60 * 1000; // 6 horas
+    this.timeoutMs = config.webhooks.timeoutMs;
+    this.pollIntervalMs = config.webhooks.pollIntervalMs;
+    this.concurrency = config.webhooks.concurrency;
+    this.maxStoredDeliveries = 1000;
+
+    this.processing = false;
+    this.timer = null;
+
+    // Archivos que no se pudieron leer ni apartar: no se sobrescriben
+    this.unwritableFiles = new Set();
+  }
+
+  /**
+   * Iniciar el procesamiento periódico de la cola
+   * Las entregas pendientes de una ejecución anterior se reanudan aquí.
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processQueue(), this.pollIntervalMs);
+    this.timer.unref();
+    this.processQueue();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * GESTIÓN DE ENDPOINTS
+   */
+
+  getWebhooks() {
+    return this.readJson(this.webhooksFile);
+  }
+
+  /**
+   * Registrar un endpoint
+   * @param {Object} data - { url, events?, secret?, description? }
+   * @returns {Object} Webhook creado (incluye el secreto)
+   */
+  createWebhook({ url, events = WEBHOOK_EVENTS, secret, description = '' }) {
+    const webhooks = this.getWebhooks();
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      secret: secret || 'whsec_' + crypto.randomBytes(24).toString('hex'),
+      description,
+      isActive: true,
+      createdAt: new Date().toISOString()
+    };
+
+    webhooks.push(webhook);
+    this.writeJson(this.webhooksFile, webhooks);
+
+    return webhook;
+  }
+
+  deleteWebhook(id) {
+    const webhooks = this.getWebhooks();
+    const remaining = webhooks.filter(webhook => webhook.id !== id);
+
+    if (remaining.length === webhooks.length) {
+      return false;
+    }
+
+    this.writeJson(this.webhooksFile, remaining);
+    return true;
+  }
+
+  /**
+   * Datos de un webhook sin el secreto
+   */
+  toPublicWebhook(webhook) {
+    const { secret, ...publicWebhook } = webhook;
+    return publicWebhook;
+  }
+
+  /**
+   * EMISIÓN DE EVENTOS
+   */
+
+  /**
+   * Encolar un evento para todos los endpoints suscritos
+   * No lanza errores: un fallo de webhooks no debe romper el login o el registro
+   * @param {string} type - Tipo de evento (ver WEBHOOK_EVENTS)
+   * @param {Object} data - Datos del evento
+   */
+  emit(type, data) {
+    try {
+      const subscribers = this.getWebhooks().filter(webhook =>
+        webhook.isActive && webhook.events.includes(type)
+      );
+
+      if (subscribers.length === 0) return [];
+
+      const event = {
+        id: crypto.randomUUID(),
+        type,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const deliveries = this.getDeliveries();
+      const created = subscribers.map(webhook => ({
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        event,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: new Date().toISOString(),
+        createdAt: new Date().toISOString()
+      }));
+
+      this.saveDeliveries(deliveries.concat(created));
+
+      // Primer intento inmediato, fuera del ciclo de la petición
+      setImmediate(() => this.processQueue());
+
+      return created.map(delivery => delivery.id);
+
+    } catch (error) {
+      logger.error('Webhook enqueue failed', error, { type });
+      return [];
+    }
+  }
+
+  /**
+   * COLA DE ENTREGAS
+   */
+
+  /**
+   * Procesar entregas pendientes cuyo reintento ya venció
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const webhooks = new Map(this.getWebhooks().map(webhook => [webhook.id, webhook]));
+      const due = this.getDeliveries().filter(delivery =>
+        delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now
+      );
+
+      // Una cola por endpoint, en el orden en que se encolaron
+      const queues = new Map();
+      for (const delivery of due) {
+        if (!queues.has(delivery.webhookId)) queues.set(delivery.webhookId, []);
+        queues.get(delivery.webhookId).push(delivery);
+      }
+
+      const waiting = [...queues.entries()];
+      const worker = async () => {
+        for (let next = waiting.shift(); next; next = waiting.shift()) {
+          const [webhookId, deliveries] = next;
+          for (const delivery of deliveries) {
+            await this.attemptDelivery(delivery, webhooks.get(webhookId));
+          }
+        }
+      };
+
+      await Promise.all(
+        Array.from({ length: Math.min(this.concurrency, waiting.length) }, worker)
+      );
+
+    } catch (error) {
+      logger.error('Webhook queue processing failed', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Intentar una entrega y reprogramarla si falla
+   * @param {Object} delivery - Entrega pendiente leída al empezar la pasada
+   * @param {Object} webhook - Su endpoint (undefined si se eliminó)
+   */
+  async attemptDelivery(delivery, webhook) {
+    const deliveryId = delivery.id;
+
+    if (!webhook || !webhook.isActive) {
+      return this.updateDelivery(deliveryId, {
+        status: 'failed',
+        lastError: 'Webhook eliminado o inactivo'
+      });
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { at: new Date().toISOString(), statusCode: null, error: null };
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        timeout: this.timeoutMs,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ZK-Login-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Signature': this.sign(webhook.secret, timestamp, body)
+        },
+        // Cualquier 2xx es éxito; el resto se reintenta
+        validateStatus: status => status >= 200 && status < 300
+      });
+
+      attempt.statusCode = response.status;
+
+    } catch (error) {
+      attempt.statusCode = error.response?.status || null;
+      attempt.error = error.message;
+    }
+
+    const attempts = [...delivery.attempts, attempt];
+
+    if (!attempt.error) {
+      logger.info('Webhook delivered', {
+        deliveryId,
+        webhookId: webhook.id,
+        event: delivery.event.type,
+        attempts: attempts.length
+      });
+
+      return this.updateDelivery(deliveryId, {
+        status: 'delivered',
+        attempts,
+        deliveredAt: attempt.at,
+        nextAttemptAt: null
+      });
+    }
+
+    const exhausted = attempts.length >= this.maxAttempts;
+
+    logger.warn('Webhook delivery failed', {
+      deliveryId,
+      webhookId: webhook.id,
+      event: delivery.event.type,
+      attempt: attempts.length,
+      statusCode: attempt.statusCode,
+      error: attempt.error,
+      willRetry: !exhausted
+    });
+
+    return this.updateDelivery(deliveryId, {
+      status: exhausted ? 'failed' : 'pending',
+      attempts,
+      lastError: attempt.error,
+      nextAttemptAt: exhausted
+        ? null
+        : new Date(Date.now() + this.getRetryDelay(attempts.length)).toISOString()
+    });
+  }
+
+  /**
+   * Backoff exponencial con jitter: base * 2^(n-1), máximo 6 horas
+   */
+  getRetryDelay(attemptCount) {
+    const delay = Math.min(this.baseDelayMs * 2 ** (attemptCount - 1), this.maxDelayMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Volver a encolar una entrega fallida
+   */
+  retryDelivery(deliveryId) {
+    const delivery = this.updateDelivery(deliveryId, {
+      status: 'pending',
+      attempts: [],
+      nextAttemptAt: new Date().toISOString()
+    });
+
+    if (delivery) {
+      setImmediate(() => this.processQueue());
+    }
+
+    return delivery;
+  }
+
+  /**
+   * REGISTRO DE ENTREGAS
+   */
+
+  getDeliveries() {
+    return this.readJson(this.deliveriesFile);
+  }
+
+  /**
+   * Listar entregas (más recientes primero)
+   * @param {Object} filters - { webhookId?, status?, offset, limit }
+   */
+  listDeliveries({ webhookId, status, offset = 0, limit = 20 } = {}) {
+    const deliveries = this.getDeliveries()
+      .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+      .filter(delivery => !status || delivery.status === status)
+      .reverse();
+
+    return {
+      deliveries: deliveries.slice(offset, offset + limit),
+      total: deliveries.length
+    };
+  }
+
+  updateDelivery(deliveryId, changes) {
+    const deliveries = this.getDeliveries();
+    const delivery = deliveries.find(d => d.id === deliveryId);
+
+    if (!delivery) return null;
+
+    Object.assign(delivery, changes);
+    this.saveDeliveries(deliveries);
+    return delivery;
+  }
+
+  /**
+   * Guardar entregas conservando siempre las pendientes
+   * y solo las últimas finalizadas
+   */
+  saveDeliveries(deliveries) {
+    const pending = deliveries.filter(d => d.status === 'pending').length;
+    const overflow = deliveries.length - Math.max(this.maxStoredDeliveries, pending);
+
+    let toDrop = overflow;
+    const kept = deliveries.filter(delivery => {
+      if (toDrop > 0 && delivery.status !== 'pending') {
+        toDrop--;
+        return false;
+      }
+      return true;
+    });
+
+    this.writeJson(this.deliveriesFile, kept);
+  }
+
+  /**
+   * FUNCIONES DE UTILIDAD
+   */
+
+  sign(secret, timestamp, body) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Leer un archivo JSON de la cola o de endpoints
+   * Un archivo que no se puede interpretar se aparta (*.corrupt-<timestamp>)
+   * en lugar de sobrescribirse con la siguiente escritura; si no se puede
+   * apartar, no se vuelve a escribir en él.
+   */
+  readJson(file) {
+    let content;
+    try {
+      if (!fs.existsSync(file)) return [];
+      content = fs.readFileSync(file, 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (content === undefined) {
+        logger.error(`Error reading ${path.basename(file)}`, error);
+        this.unwritableFiles.add(file);
+        return [];
+      }
+
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      try {
+        fs.renameSync(file, corruptFile);
+        logger.error(`Corrupt ${path.basename(file)} moved aside`, error, { movedTo: corruptFile });
+      } catch (renameError) {
+        logger.error(`Corrupt ${path.basename(file)} could not be moved aside; it will not be overwritten`, renameError);
+        this.unwritableFiles.add(file);
+      }
+      return [];
+    }
+  }
+
+  writeJson(file, data) {
+    if (this.unwritableFiles.has(file)) {
+      logger.error(`Refusing to overwrite unreadable ${path.basename(file)}`);
+      return false;
+    }
+
+    try {
+      fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+      return true;
+    } catch (error) {
+      console.error(`Error guardando ${path.basename(file)}:`, error);
+      return false;
+    }
+  }
+}
+
+module.exports = WebhookService;
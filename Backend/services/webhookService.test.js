@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const WebhookService = require('./webhookService');
+const logger = require('../utils/logger');
+
+let dir;
+let server;
+let baseUrl;
+let received;
+let releaseSlow;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+
+      if (req.url === '/slow') {
+        releaseSlow = () => res.end('ok');
+      } else {
+        res.statusCode = req.url === '/fail' ? 500 : 200;
+        res.end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  received = [];
+  releaseSlow = null;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function createService() {
+  const webhooks = new WebhookService();
+  webhooks.webhooksFile = path.join(dir, 'webhooks.json');
+  webhooks.deliveriesFile = path.join(dir, 'webhook-deliveries.json');
+  // Cada prueba procesa la cola a mano, sin el primer intento de emit()
+  jest.spyOn(global, 'setImmediate').mockImplementation(() => {});
+  return webhooks;
+}
+
+async function waitUntil(check) {
+  for (let i = 0; i < 200; i++) {
+    if (check()) return;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('La condición no se cumplió');
+}
+
+describe('WebhookService', () => {
+  test('firma cada entrega con el secreto del endpoint', async () => {
+    const webhooks = createService();
+    const webhook = webhooks.createWebhook({ url: `${baseUrl}/ok`, secret: 'whsec_test' });
+
+    webhooks.emit('user.registered', { address: '0xabc' });
+    await webhooks.processQueue();
+
+    const [request] = received;
+    const [, t, v1] = request.headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    expect(v1).toBe(crypto.createHmac('sha256', 'whsec_test').update(`${t}.${request.body}`).digest('hex'));
+    expect(webhooks.listDeliveries({ webhookId: webhook.id }).deliveries[0].status).toBe('delivered');
+  });
+
+  test('un endpoint lento no retrasa las entregas a los demás', async () => {
+    const webhooks = createService();
+    webhooks.createWebhook({ url: `${baseUrl}/slow` });
+    const fast = webhooks.createWebhook({ url: `${baseUrl}/ok` });
+
+    webhooks.emit('user.login.succeeded', { address: '0xabc' });
+    const pass = webhooks.processQueue();
+
+    await waitUntil(() =>
+      webhooks.listDeliveries({ webhookId: fast.id }).deliveries[0].status === 'delivered'
+    );
+    expect(releaseSlow).toEqual(expect.any(Function));
+
+    releaseSlow();
+    await pass;
+    expect(webhooks.listDeliveries({ status: 'delivered' }).total).toBe(2);
+  });
+
+  test('respeta el límite de endpoints atendidos a la vez', async () => {
+    const webhooks = createService();
+    webhooks.concurrency = 2;
+    for (let i = 0; i < 5; i++) webhooks.createWebhook({ url: `${baseUrl}/ok` });
+
+    let active = 0;
+    let maxActive = 0;
+    const attempt = webhooks.attemptDelivery.bind(webhooks);
+    jest.spyOn(webhooks, 'attemptDelivery').mockImplementation(async (...args) => {
+      maxActive = Math.max(maxActive, ++active);
+      try {
+        return await attempt(...args);
+      } finally {
+        active--;
+      }
+    });
+
+    webhooks.emit('user.registered', { address: '0xabc' });
+    await webhooks.processQueue();
+
+    expect(maxActive).toBe(2);
+    expect(webhooks.listDeliveries({ status: 'delivered' }).total).toBe(5);
+  });
+
+  test('reprograma las entregas fallidas con backoff', async () => {
+    const webhooks = createService();
+    webhooks.createWebhook({ url: `${baseUrl}/fail` });
+
+    webhooks.emit('user.login.failed', { address: '0xabc' });
+    await webhooks.processQueue();
+
+    const [delivery] = webhooks.getDeliveries();
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toHaveLength(1);
+    expect(delivery.attempts[0].statusCode).toBe(500);
+    expect(new Date(delivery.nextAttemptAt).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('registra los errores con el error en su argumento', () => {
+    const webhooks = createService();
+    const failure = new Error('disk full');
+    jest.spyOn(webhooks, 'getWebhooks').mockImplementation(() => { throw failure; });
+    const logError = jest.spyOn(logger, 'error');
+
+    expect(webhooks.emit('user.registered', {})).toEqual([]);
+    expect(logError).toHaveBeenCalledWith('Webhook enqueue failed', failure, { type: 'user.registered' });
+  });
+
+  test('aparta una cola corrupta en lugar de sobrescribirla', () => {
+    const webhooks = createService();
+    webhooks.createWebhook({ url: `${baseUrl}/ok` });
+    fs.writeFileSync(webhooks.deliveriesFile, '[{"id": "pendiente"');
+    const logError = jest.spyOn(logger, 'error');
+
+    expect(webhooks.emit('user.registered', {})).toHaveLength(1);
+
+    const [corrupt] = fs.readdirSync(dir).filter(file => file.startsWith('webhook-deliveries.json.corrupt-'));
+    expect(fs.readFileSync(path.join(dir, corrupt), 'utf8')).toBe('[{"id": "pendiente"');
+    expect(logError).toHaveBeenCalledWith('Corrupt webhook-deliveries.json moved aside', expect.any(SyntaxError), {
+      movedTo: path.join(dir, corrupt)
+    });
+  });
+
+  test('no sobrescribe una cola corrupta que no se pudo apartar', () => {
+    const webhooks = createService();
+    webhooks.createWebhook({ url: `${baseUrl}/ok` });
+    fs.writeFileSync(webhooks.deliveriesFile, '[{"id": "pendiente"');
+    jest.spyOn(fs, 'renameSync').mockImplementation(() => { throw new Error('EACCES'); });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    webhooks.emit('user.registered', {});
+
+    expect(fs.readFileSync(webhooks.deliveriesFile, 'utf8')).toBe('[{"id": "pendiente"');
+  });
+});
@@ -12,13 +12,32 @@ const snarkjs = require('snarkjs');
 const crypto = require('crypto-js');
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const lifecycle = require('../utils/lifecycle');
+const ProgressService = require('./progressService');
+
+// Margen para relojes desajustados entre cliente y servidor
+const MAX_CLOCK_SKEW_SECONDS = 60;
 
 class ZKService {
+  /**
+   * Posición de cada señal pública de login.circom
+   * (snarkjs ordena primero las salidas y luego las entradas públicas)
+   */
+  static PUBLIC_SIGNALS = {
+    hashCommitment: 0,
+    isValid: 1,
+    timestamp: 2,
+    challengeNonce: 3
+  };
+
   constructor() {
-    this.circuitPath = path.join(__dirname, '../../zk-circuits');
-    this.wasmPath = path.join(this.circuitPath, 'login.wasm');
-    this.zkeyPath = path.join(this.circuitPath, 'login_final.zkey');
-    this.vkeyPath = path.join(this.circuitPath, 'verification_key.json');
+    this.circuitPath = config.zk.circuitDir;
+    this.wasmPath = path.join(this.circuitPath, config.zk.wasmFile);
+    this.zkeyPath = path.join(this.circuitPath, config.zk.zkeyFile);
+    this.vkeyPath = path.join(this.circuitPath, config.zk.vkeyFile);
     
     this.isInitialized = false;
     this.verificationKey = null;
@@ -86,7 +105,7 @@ class ZKService {
   /**
    * Generar entrada para el circuito basada en el hash de contraseña
    */
-  generateCircuitInput(passwordHash, salt = null) {
+  generateCircuitInput(passwordHash, salt = null, challengeNonce = '0') {
     try {
       // Si no hay salt, generar uno
       if (!salt) {
@@ -105,7 +124,8 @@ class ZKService {
       const input = {
         passwordHash: hashArray,
         salt: this.stringToFieldArray(salt),
-        timestamp: Math.floor(Date.now() / 1000)
+        timestamp: Math.floor(Date.now() / 1000),
+        challengeNonce: challengeNonce.toString()
       };
 
       return {
@@ -115,7 +135,7 @@ class ZKService {
       };
 
     } catch (error) {
-      console.error('Error generando entrada del circuito:', error);
+      logger.error('Error generating circuit input', error);
       return {
         success: false,
         error: error.message
@@ -125,120 +145,162 @@ class ZKService {
 
   /**
    * Generar prueba ZK para registro
+   * @param {Object} progress - Tracker de ProgressService (opcional)
    */
-  async generateRegistrationProof(passwordHash) {
+  async generateRegistrationProof(passwordHash, progress = ProgressService.NOOP) {
+    const endTimer = metrics.startTimer('zk_proof_generation_duration_seconds', { type: 'registration' });
+
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
 
-      console.log('🔐 Generando prueba ZK para registro...');
+      logger.zkproof('Generating proof', { type: 'registration' });
 
       // Generar entrada del circuito
-      const inputResult = this.generateCircuitInput(passwordHash);
+      const inputResult = await progress.stage('input_built', async () => this.generateCircuitInput(passwordHash));
       if (!inputResult.success) {
         throw new Error(inputResult.error);
       }
 
       // Verificar archivos compilados
       if (!fs.existsSync(this.wasmPath) || !fs.existsSync(this.zkeyPath)) {
-        return this.generateMockProof('registration', inputResult.input);
+        progress.skip('witness_computed', 'Circuito no compilado');
+        const mockProof = await progress.stage('proof_generated', async () =>
+          this.generateMockProof('registration', inputResult.input)
+        );
+        return this.observeProofGeneration(endTimer, mockProof);
       }
 
       // Generar prueba real con snarkjs
-      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        inputResult.input,
-        this.wasmPath,
-        this.zkeyPath
-      );
+      const { proof, publicSignals } = await this.computeProof(inputResult.input, progress);
 
-      return {
+      return this.observeProofGeneration(endTimer, {
         success: true,
         proof,
         publicSignals,
         input: inputResult.input
-      };
+      });
 
     } catch (error) {
-      console.error('Error generando prueba de registro:', error);
+      logger.error('Error generating registration proof', error);
       
       // Fallback a mock proof para desarrollo
       try {
         const inputResult = this.generateCircuitInput(passwordHash);
-        return this.generateMockProof('registration', inputResult.input);
+        return this.observeProofGeneration(endTimer, this.generateMockProof('registration', inputResult.input));
       } catch (mockError) {
-        return {
+        return this.observeProofGeneration(endTimer, {
           success: false,
           error: error.message
-        };
+        });
       }
     }
   }
 
   /**
    * Generar prueba ZK para login
+   * @param {string} challengeNonce - Nonce emitido por ChallengeService
+   * @param {Object} progress - Tracker de ProgressService (opcional)
    */
-  async generateLoginProof(passwordHash, userAddress) {
+  async generateLoginProof(passwordHash, userAddress, challengeNonce = '0', progress = ProgressService.NOOP) {
+    const endTimer = metrics.startTimer('zk_proof_generation_duration_seconds', { type: 'login' });
+
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
 
-      console.log('🔐 Generando prueba ZK para login...');
+      logger.zkproof('Generating proof', { type: 'login', userAddress });
 
       // Generar entrada del circuito (incluye dirección de usuario)
-      const inputResult = this.generateCircuitInput(passwordHash);
+      const inputResult = await progress.stage('input_built', async () => {
+        const result = this.generateCircuitInput(passwordHash, null, challengeNonce);
+        if (result.success) {
+          // Añadir dirección de usuario a la entrada
+          result.input.userAddress = this.addressToFieldArray(userAddress);
+        }
+        return result;
+      });
       if (!inputResult.success) {
         throw new Error(inputResult.error);
       }
 
-      // Añadir dirección de usuario a la entrada
-      inputResult.input.userAddress = this.addressToFieldArray(userAddress);
-
       // Verificar archivos compilados
       if (!fs.existsSync(this.wasmPath) || !fs.existsSync(this.zkeyPath)) {
-        return this.generateMockProof('login', inputResult.input);
+        progress.skip('witness_computed', 'Circuito no compilado');
+        const mockProof = await progress.stage('proof_generated', async () =>
+          this.generateMockProof('login', inputResult.input)
+        );
+        return this.observeProofGeneration(endTimer, mockProof);
       }
 
       // Generar prueba real con snarkjs
-      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        inputResult.input,
-        this.wasmPath,
-        this.zkeyPath
-      );
+      const { proof, publicSignals } = await this.computeProof(inputResult.input, progress);
 
-      return {
+      return this.observeProofGeneration(endTimer, {
         success: true,
         proof,
         publicSignals,
         input: inputResult.input
-      };
+      });
 
     } catch (error) {
-      console.error('Error generando prueba de login:', error);
+      logger.error('Error generating login proof', error, { userAddress });
 
       // Fallback a mock proof para desarrollo
       try {
-        const inputResult = this.generateCircuitInput(passwordHash);
+        const inputResult = this.generateCircuitInput(passwordHash, null, challengeNonce);
         inputResult.input.userAddress = this.addressToFieldArray(userAddress);
-        return this.generateMockProof('login', inputResult.input);
+        return this.observeProofGeneration(endTimer, this.generateMockProof('login', inputResult.input));
       } catch (mockError) {
-        return {
+        return this.observeProofGeneration(endTimer, {
           success: false,
           error: error.message
-        };
+        });
       }
     }
   }
 
+  /**
+   * Generar prueba ZK de un código de recuperación
+   * Usa el mismo circuito que el login: el hash del código ocupa el lugar del
+   * hash de contraseña, así que el commitment resultante es el registrado
+   * on-chain para ese código.
+   * @param {string} codeHash - SHA256 del código normalizado (ver RecoveryService)
+   */
+  async generateRecoveryProof(codeHash, userAddress, challengeNonce = '0', progress = ProgressService.NOOP) {
+    logger.zkproof('Generating proof', { type: 'recovery', userAddress });
+    return this.generateLoginProof(codeHash, userAddress, challengeNonce, progress);
+  }
+
+  /**
+   * Calcular witness y prueba Groth16 por separado
+   * Equivale a snarkjs.groth16.fullProve, pero permite informar de cada etapa
+   * Se registra como trabajo en curso para que el cierre del servidor la espere.
+   */
+  async computeProof(input, progress = ProgressService.NOOP) {
+    return lifecycle.track('zk:proof', async () => {
+      const witness = { type: 'mem' };
+
+      await progress.stage('witness_computed', () =>
+        snarkjs.wtns.calculate(input, this.wasmPath, witness)
+      );
+
+      return progress.stage('proof_generated', () =>
+        snarkjs.groth16.prove(this.zkeyPath, witness)
+      );
+    });
+  }
+
   /**
    * Verificar prueba ZK localmente
    */
   async verifyProof(proof, publicSignals) {
     try {
       if (!this.verificationKey) {
-        console.warn('⚠️  Verification key no disponible, usando verificación mock');
-        return this.verifyMockProof(proof, publicSignals);
+        logger.warn('Verification key not available, using mock verification');
+        return metrics.recordVerification('local', this.verifyMockProof(proof, publicSignals));
       }
 
       // Verificar con snarkjs
@@ -247,26 +309,43 @@ class ZKService {
         publicSignals,
         proof
       );
+      logger.zkproof('Proof verified', { isValid });
 
-      return {
+      return metrics.recordVerification('local', {
         success: true,
         isValid,
         timestamp: new Date().toISOString()
-      };
+      });
 
     } catch (error) {
-      console.error('Error verificando prueba:', error);
+      logger.error('Error verifying proof', error);
       
       // Fallback a verificación mock
-      return this.verifyMockProof(proof, publicSignals);
+      return metrics.recordVerification('local', this.verifyMockProof(proof, publicSignals));
+    }
+  }
+
+  /**
+   * Registrar duración y resultado de una generación de prueba
+   * outcome: success (snarkjs), mock o error
+   */
+  observeProofGeneration(endTimer, result) {
+    let outcome = 'error';
+    if (result.success) {
+      outcome = result.isMock ? 'mock' : 'success';
     }
+
+    const durationSeconds = endTimer({ outcome });
+    logger.zkproof('Proof generation finished', { outcome, durationMs: Math.round(durationSeconds * 1000) });
+    return result;
   }
 
   /**
    * Generar prueba mock para desarrollo (cuando no hay circuitos compilados)
    */
   generateMockProof(type, input) {
-    console.warn(`⚠️  Generando prueba MOCK para ${type} (desarrollo)`);
+    logger.warn('Generating MOCK proof (development)', { type });
+    metrics.recordMockFallback('zk', `${type}Proof`);
 
     const mockProof = {
       pi_a: ["0x123", "0x456", "1"],
@@ -276,9 +355,13 @@ class ZKService {
       curve: "bn128"
     };
 
+    // Mismo orden que las señales públicas reales (ver PUBLIC_SIGNALS). Como en
+    // el circuito, el commitment solo depende del hash de contraseña y el salt.
     const mockPublicSignals = [
-      "0x" + crypto.SHA256(JSON.stringify(input)).toString().substring(0, 16),
-      Math.floor(Date.now() / 1000).toString()
+      "0x" + crypto.SHA256(JSON.stringify([input.passwordHash, input.salt])).toString().substring(0, 16),
+      "1",
+      (input.timestamp || Math.floor(Date.now() / 1000)).toString(),
+      (input.challengeNonce || '0').toString()
     ];
 
     return {
@@ -295,7 +378,8 @@ class ZKService {
    * Verificar prueba mock
    */
   verifyMockProof(proof, publicSignals) {
-    console.warn('⚠️  Verificando prueba MOCK (desarrollo)');
+    logger.warn('Verifying MOCK proof (development)');
+    metrics.recordMockFallback('zk', 'verifyProof');
 
     // Verificación básica de estructura
     const isValid = (
@@ -316,6 +400,40 @@ class ZKService {
     };
   }
 
+  /**
+   * Obtener una señal pública por nombre
+   * @param {Array} publicSignals - Señales públicas de la prueba
+   * @param {string} name - Nombre de la señal (ver PUBLIC_SIGNALS)
+   */
+  getPublicSignal(publicSignals, name) {
+    const index = ZKService.PUBLIC_SIGNALS[name];
+    if (index === undefined || !Array.isArray(publicSignals)) return undefined;
+    return publicSignals[index];
+  }
+
+  /**
+   * Comprobar lo que el circuito deja al verificador: la señal isValid y la
+   * frescura del timestamp (no más antiguo que la vida de un desafío)
+   * @param {Array} publicSignals - Señales públicas de la prueba
+   * @returns {Object} { valid, reason }
+   */
+  checkPublicSignals(publicSignals, now = Date.now()) {
+    if (String(this.getPublicSignal(publicSignals, 'isValid')) !== '1') {
+      return { valid: false, reason: 'circuit_invalid' };
+    }
+
+    const timestamp = Number(this.getPublicSignal(publicSignals, 'timestamp'));
+    const ageSeconds = Math.floor(now / 1000) - timestamp;
+
+    if (!Number.isSafeInteger(timestamp) ||
+        ageSeconds > config.challenge.ttlSeconds + MAX_CLOCK_SKEW_SECONDS ||
+        ageSeconds < -MAX_CLOCK_SKEW_SECONDS) {
+      return { valid: false, reason: 'stale_timestamp' };
+    }
+
+    return { valid: true };
+  }
+
   /**
    * Convertir string a array de field elements
    */
@@ -0,0 +1,65 @@
+const ZKService = require('./zkService');
+const ChallengeService = require('./challengeService');
+
+// Orden del campo escalar de BN128
+const BN128_FIELD = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+describe('ZKService.checkPublicSignals', () => {
+  const zk = new ZKService();
+  const now = Date.UTC(2026, 0, 1);
+  const nowSeconds = Math.floor(now / 1000);
+  const signals = (isValid, timestamp) => ['123', isValid, String(timestamp), '456'];
+
+  test('acepta una prueba válida y reciente', () => {
+    expect(zk.checkPublicSignals(signals('1', nowSeconds - 30), now)).toEqual({ valid: true });
+  });
+
+  test('rechaza pruebas con isValid = 0 aunque la criptografía sea correcta', () => {
+    expect(zk.checkPublicSignals(signals('0', nowSeconds), now)).toEqual({
+      valid: false,
+      reason: 'circuit_invalid'
+    });
+  });
+
+  test.each([
+    ['antiguo', nowSeconds - 3600],
+    ['futuro', nowSeconds + 3600],
+    ['no numérico', 'abc']
+  ])('rechaza un timestamp %s', (_, timestamp) => {
+    expect(zk.checkPublicSignals(signals('1', timestamp), now).reason).toBe('stale_timestamp');
+  });
+
+  test('las pruebas mock siguen el mismo orden de señales', () => {
+    const { publicSignals } = zk.generateMockProof('login', { challengeNonce: '789' });
+
+    expect(zk.getPublicSignal(publicSignals, 'challengeNonce')).toBe('789');
+    expect(zk.checkPublicSignals(publicSignals).valid).toBe(true);
+  });
+});
+
+describe('ZKService commitment', () => {
+  const crypto = require('crypto');
+  const zk = new ZKService();
+  // Mismo vector que src/services/zkProofService.test.js (frontend)
+  const passwordHash = crypto.createHash('sha256').update('Secreta123!').digest('hex');
+
+  test('login y registro dan el mismo commitment con cualquier desafío', async () => {
+    const registration = await zk.generateRegistrationProof(passwordHash);
+    const login = await zk.generateLoginProof(passwordHash, '0x1111111111111111111111111111111111111111', '7');
+
+    expect(zk.getPublicSignal(registration.publicSignals, 'hashCommitment')).toBe('0xd3f6c033d6813304');
+    expect(zk.getPublicSignal(login.publicSignals, 'hashCommitment')).toBe('0xd3f6c033d6813304');
+  });
+});
+
+describe('ChallengeService.generateNonce', () => {
+  test('genera nonces que caben en el campo del circuito', () => {
+    const challenges = new ChallengeService();
+
+    for (let i = 0; i < 20; i++) {
+      const nonce = BigInt(challenges.generateNonce());
+      expect(nonce < BN128_FIELD).toBe(true);
+      expect(nonce < 2n ** 248n).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Almacén en archivo JSON compartido entre procesos del mismo host
+ *
+ * Cada namespace es un archivo <STORE_DIR>/<namespace>.json. Las escrituras
+ * se serializan con un archivo de bloqueo (<namespace>.json.lock, creado con
+ * O_EXCL) y se hacen con escritura a temporal + rename, así las lecturas sin
+ * bloqueo nunca ven un archivo a medio escribir.
+ *
+ * La API es síncrona, como la de los Map que sustituye, así que esperar el
+ * bloqueo detiene el proceso. Para acotarlo, una transacción solo lee y
+ * escribe un JSON pequeño (milisegundos) y la espera máxima es LOCK_TIMEOUT_MS.
+ * El bloqueo guarda el PID de quien lo tiene y un token de esa adquisición: si
+ * el proceso ya no existe se recupera al momento. El de un proceso vivo solo
+ * se da por abandonado tras LOCK_STALE_MS sin tocarse (PID reutilizado o de
+ * otro host), muy por encima de lo que dura una transacción; y si aun así se
+ * pierde, la transacción falla antes de escribir en lugar de pisar los
+ * cambios del nuevo dueño.
+ *
+ * Pensado para pocas réplicas y poco volumen (sesiones, nonces, límites).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Store = require('./store');
+
+const LOCK_TIMEOUT_MS = 1000;
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 2;
+
+// Espera síncrona corta entre reintentos sin ocupar la CPU
+const sleep = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+/**
+ * Comprobar si un proceso del host sigue vivo
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: existe pero es de otro usuario
+    return error.code === 'EPERM';
+  }
+}
+
+class FileStore extends Store {
+  constructor(namespace, { dir }) {
+    super(namespace);
+    this.file = path.join(dir, `${namespace}.json`);
+    this.lockFile = `${this.file}.lock`;
+
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  readRecords() {
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error leyendo almacén ${this.namespace}:`, error.message);
+      }
+      return {};
+    }
+  }
+
+  transaction(fn) {
+    const token = this.lock();
+
+    try {
+      const records = this.readRecords();
+      const result = fn(records);
+
+      if (!this.holdsLock(token)) {
+        throw new Error(`Bloqueo del almacén ${this.namespace} perdido: la transacción no se ha guardado`);
+      }
+
+      this.write(records);
+      return result;
+
+    } finally {
+      this.unlock(token);
+    }
+  }
+
+  write(records) {
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(records), 'utf8');
+    fs.renameSync(tmpFile, this.file);
+  }
+
+  /**
+   * Adquirir el bloqueo (el de un proceso caído se recupera sin esperar)
+   * @returns {string} Token de esta adquisición ("<pid>:<uuid>")
+   */
+  lock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockFile, token, { flag: 'wx' });
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      try {
+        if (this.isLockAbandoned()) {
+          fs.unlinkSync(this.lockFile);
+          continue;
+        }
+      } catch (error) {
+        // El bloqueo se liberó mientras se comprobaba: reintentar
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timeout esperando el bloqueo del almacén ${this.namespace}`);
+      }
+
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * El bloqueo es de un proceso que ya no existe o lleva más de LOCK_STALE_MS
+   * sin tocarse
+   */
+  isLockAbandoned() {
+    const { mtimeMs } = fs.statSync(this.lockFile);
+    if (Date.now() - mtimeMs > LOCK_STALE_MS) return true;
+
+    // Vacío: el dueño lo acaba de crear y aún no ha escrito su PID
+    const pid = Number.parseInt(fs.readFileSync(this.lockFile, 'utf8'), 10);
+    return Number.isInteger(pid) && pid !== process.pid && !isProcessAlive(pid);
+  }
+
+  /**
+   * El bloqueo sigue siendo de esta adquisición
+   */
+  holdsLock(token) {
+    try {
+      return fs.readFileSync(this.lockFile, 'utf8') === token;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  unlock(token) {
+    // Si otro proceso lo dio por abandonado y lo tomó, ya no es nuestro
+    if (!this.holdsLock(token)) return;
+
+    try {
+      fs.unlinkSync(this.lockFile);
+    } catch (error) {
+      // Ya liberado
+    }
+  }
+}
+
+module.exports = FileStore;
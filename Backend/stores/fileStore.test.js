@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const FileStore = require('./fileStore');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * PID de un proceso que ya terminó
+ */
+function deadPid() {
+  const child = spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))']);
+  return child.stdout.toString();
+}
+
+/**
+ * Ejecutar un script en otro proceso y esperar a que termine
+ */
+function runNode(script) {
+  return new Promise(resolve => {
+    spawn(process.execPath, ['-e', script], { stdio: 'inherit' }).on('exit', resolve);
+  });
+}
+
+describe('FileStore', () => {
+  test('guarda y lee valores con expiración', () => {
+    const store = new FileStore('values', { dir });
+
+    store.set('a', { n: 1 });
+    store.set('b', 2, -1);
+    const value = store.get('a');
+    value.n = 99;
+
+    expect(store.get('a')).toEqual({ n: 1 });
+    expect(store.get('b')).toBeUndefined();
+    expect(fs.existsSync(store.lockFile)).toBe(false);
+  });
+
+  test('recupera al momento el bloqueo de un proceso caído', () => {
+    const store = new FileStore('values', { dir });
+    fs.writeFileSync(store.lockFile, deadPid());
+
+    const started = Date.now();
+    store.set('a', 1);
+
+    expect(store.get('a')).toBe(1);
+    expect(Date.now() - started).toBeLessThan(250);
+  });
+
+  test('recupera un bloqueo obsoleto antes de agotar la espera', () => {
+    const store = new FileStore('values', { dir });
+    fs.writeFileSync(store.lockFile, String(process.ppid));
+    const old = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(store.lockFile, old, old);
+
+    store.set('a', 1);
+    expect(store.get('a')).toBe(1);
+  });
+
+  test('falla en poco tiempo si otro proceso vivo retiene el bloqueo', async () => {
+    const store = new FileStore('values', { dir });
+    // Dueño vivo que mantiene el bloqueo fresco, como a mitad de transacción
+    const holder = spawn(process.execPath, ['-e', `
+      const fs = require('fs');
+      const lockFile = ${JSON.stringify(store.lockFile)};
+      fs.writeFileSync(lockFile, String(process.pid));
+      setInterval(() => { const now = new Date(); fs.utimesSync(lockFile, now, now); }, 50);
+      process.stdout.write('ready');
+    `]);
+    await new Promise(resolve => holder.stdout.once('data', resolve));
+
+    try {
+      const started = Date.now();
+      expect(() => store.set('a', 1)).toThrow('Timeout esperando el bloqueo del almacén values');
+      expect(Date.now() - started).toBeLessThan(2000);
+    } finally {
+      holder.kill();
+    }
+  });
+
+  test('no da por abandonado el bloqueo de un proceso vivo en una transacción larga', async () => {
+    const store = new FileStore('values', { dir });
+    // Dueño vivo que lleva varios segundos sin tocar el bloqueo
+    const holder = spawn(process.execPath, ['-e', `
+      const fs = require('fs');
+      const lockFile = ${JSON.stringify(store.lockFile)};
+      fs.writeFileSync(lockFile, String(process.pid));
+      const old = new Date(Date.now() - 5000);
+      fs.utimesSync(lockFile, old, old);
+      setInterval(() => {}, 1000);
+      process.stdout.write('ready');
+    `]);
+    await new Promise(resolve => holder.stdout.once('data', resolve));
+
+    try {
+      expect(() => store.set('a', 1)).toThrow('Timeout esperando el bloqueo del almacén values');
+      expect(fs.readFileSync(store.lockFile, 'utf8')).toBe(String(holder.pid));
+    } finally {
+      holder.kill();
+    }
+  });
+
+  test('no guarda una transacción cuyo bloqueo tomó otro proceso', () => {
+    const store = new FileStore('values', { dir });
+    store.set('a', 1);
+
+    expect(() => store.update('a', value => {
+      // Otro proceso lo da por abandonado y lo toma a mitad de la transacción
+      fs.writeFileSync(store.lockFile, String(process.ppid));
+      return value + 1;
+    })).toThrow('Bloqueo del almacén values perdido');
+
+    expect(store.get('a')).toBe(1);
+    expect(fs.readFileSync(store.lockFile, 'utf8')).toBe(String(process.ppid));
+  });
+
+  test('serializa los incrementos de varios procesos', async () => {
+    const script = `
+      const FileStore = require(${JSON.stringify(path.join(__dirname, 'fileStore'))});
+      const store = new FileStore('counters', { dir: ${JSON.stringify(dir)} });
+      for (let i = 0; i < 50; i++) store.increment('hits', 60000);
+    `;
+
+    const codes = await Promise.all([runNode(script), runNode(script)]);
+
+    expect(codes).toEqual([0, 0]);
+    expect(new FileStore('counters', { dir }).get('hits')).toBe(100);
+  });
+});
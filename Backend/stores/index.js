@@ -0,0 +1,43 @@
+/**
+ * Almacenes de estado compartido
+ *
+ * config.store.driver (STORE_DRIVER) elige la implementación:
+ * - memory (por defecto): Map en el propio proceso
+ * - file: archivos JSON en config.store.dir (STORE_DIR), compartidos por
+ *   varios procesos del host
+ *
+ * Lo usan los rate limiters, desafíos, SIWE, sesiones, OIDC, idempotencia e
+ * intentos de login. Los jobs de registro y los canales SSE siguen siendo
+ * locales a cada proceso.
+ */
+
+const config = require('../config');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const RateLimitStore = require('./rateLimitStore');
+
+/**
+ * Crear un almacén para un namespace
+ * @param {string} namespace - Nombre lógico (p. ej. 'sessions')
+ * @returns {Store}
+ */
+function createStore(namespace) {
+  // El esquema de configuración ya limita driver a memory o file
+  if (config.store.driver === 'file') {
+    return new FileStore(namespace, { dir: config.store.dir });
+  }
+
+  return new MemoryStore(namespace);
+}
+
+/**
+ * Crear un store de express-rate-limit respaldado por createStore()
+ */
+function createRateLimitStore(namespace) {
+  return new RateLimitStore(createStore(namespace));
+}
+
+module.exports = {
+  createStore,
+  createRateLimitStore
+};
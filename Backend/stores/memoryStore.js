@@ -0,0 +1,25 @@
+/**
+ * Almacén en memoria (un solo proceso)
+ *
+ * Opción por defecto (STORE_DRIVER=memory). No sirve para varias réplicas:
+ * cada proceso tiene sus propios datos.
+ */
+
+const Store = require('./store');
+
+class MemoryStore extends Store {
+  constructor(namespace) {
+    super(namespace);
+    this.records = {};
+  }
+
+  readRecords() {
+    return this.records;
+  }
+
+  transaction(fn) {
+    return fn(this.records);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,107 @@
+/**
+ * Adaptador de Store para express-rate-limit
+ *
+ * Permite que los límites por IP (limiter y authLimiter) se compartan entre
+ * réplicas cuando STORE_DRIVER=file.
+ *
+ * Cada petición solo toca contadores en memoria. Los hits se escriben en el
+ * almacén por lotes cada FLUSH_INTERVAL_MS, en una sola transacción, y de
+ * ahí se leen los totales de todas las réplicas. Así ninguna petición espera
+ * al bloqueo del archivo, a cambio de que los hits de otras réplicas se vean
+ * con hasta un intervalo de retraso.
+ */
+
+const FLUSH_INTERVAL_MS = 1000;
+
+class RateLimitStore {
+  /**
+   * @param {Store} store - Almacén creado con createStore()
+   * @param {Object} options - { flushIntervalMs }
+   */
+  constructor(store, { flushIntervalMs = FLUSH_INTERVAL_MS } = {}) {
+    this.store = store;
+    this.windowMs = 60 * 1000;
+
+    // express-rate-limit distingue los stores por prefijo al detectar conteos dobles
+    this.prefix = `${store.namespace}:`;
+
+    // clave -> { shared: total ya escrito (todas las réplicas), pending: hits locales sin escribir, resetTime }
+    this.counters = new Map();
+
+    this.flushTimer = setInterval(() => this.flush(), flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  increment(key) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetTime <= now) {
+      counter = { shared: 0, pending: 0, resetTime: now + this.windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.pending++;
+    return { totalHits: counter.shared + counter.pending, resetTime: new Date(counter.resetTime) };
+  }
+
+  decrement(key) {
+    const counter = this.counters.get(key);
+    if (counter && counter.shared + counter.pending > 0) {
+      counter.pending--;
+    }
+  }
+
+  resetKey(key) {
+    this.counters.delete(key);
+    this.store.delete(key);
+  }
+
+  resetAll() {
+    this.counters.clear();
+    this.store.clear();
+  }
+
+  /**
+   * Escribir los hits pendientes y traer los totales compartidos
+   */
+  flush() {
+    const now = Date.now();
+    const pending = Array.from(this.counters)
+      .filter(([, counter]) => counter.pending !== 0 && counter.resetTime > now);
+    if (pending.length === 0) return;
+
+    try {
+      const totals = this.store.incrementMany(Object.fromEntries(
+        pending.map(([key, { pending: amount, resetTime }]) => [key, { amount, resetTime }])
+      ));
+
+      pending.forEach(([key]) => {
+        const { count, resetTime } = totals[key];
+        this.counters.set(key, { shared: count, pending: 0, resetTime });
+      });
+
+    } catch (error) {
+      // Se reintenta en el siguiente intervalo con los hits acumulados
+      console.error(`Error guardando contadores de ${this.store.namespace}:`, error.message);
+    }
+  }
+
+  /**
+   * Borrar los contadores de ventanas ya cerradas (una entrada por IP vista)
+   */
+  cleanupExpired() {
+    const now = Date.now();
+    this.counters.forEach((counter, key) => {
+      if (counter.resetTime <= now) this.counters.delete(key);
+    });
+
+    this.store.cleanup();
+  }
+}
+
+module.exports = RateLimitStore;
@@ -0,0 +1,79 @@
+const MemoryStore = require('./memoryStore');
+const RateLimitStore = require('./rateLimitStore');
+
+describe('RateLimitStore', () => {
+  let store;
+  let limits;
+
+  beforeEach(() => {
+    store = new MemoryStore('rate-limit');
+    limits = new RateLimitStore(store);
+    limits.init({ windowMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('cuenta por clave y reinicia al cerrar la ventana', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+
+    expect(limits.increment('1.1.1.1').totalHits).toBe(1);
+    expect(limits.increment('1.1.1.1')).toEqual({ totalHits: 2, resetTime: new Date(11000) });
+    expect(limits.increment('2.2.2.2').totalHits).toBe(1);
+
+    now.mockReturnValue(11000);
+    expect(limits.increment('1.1.1.1').totalHits).toBe(1);
+  });
+
+  test('cleanupExpired borra los contadores de ventanas cerradas', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    limits.increment('1.1.1.1');
+    now.mockReturnValue(10500);
+    limits.increment('2.2.2.2');
+    limits.flush();
+
+    now.mockReturnValue(11200);
+    limits.cleanupExpired();
+
+    expect(Object.keys(store.readRecords())).toEqual(['2.2.2.2']);
+  });
+
+  test('decrement y resetKey ajustan el contador', () => {
+    limits.increment('1.1.1.1');
+    limits.increment('1.1.1.1');
+    limits.decrement('1.1.1.1');
+    limits.flush();
+    expect(store.get('1.1.1.1')).toBe(1);
+
+    limits.resetKey('1.1.1.1');
+    expect(store.get('1.1.1.1')).toBeUndefined();
+    expect(limits.increment('1.1.1.1').totalHits).toBe(1);
+  });
+
+  test('no escribe en el almacén en cada petición sino por lotes', () => {
+    const transaction = jest.spyOn(store, 'transaction');
+
+    for (let i = 0; i < 20; i++) limits.increment('1.1.1.1');
+    limits.increment('2.2.2.2');
+    expect(transaction).not.toHaveBeenCalled();
+
+    limits.flush();
+    expect(transaction).toHaveBeenCalledTimes(1);
+    expect(store.get('1.1.1.1')).toBe(20);
+    expect(store.get('2.2.2.2')).toBe(1);
+  });
+
+  test('tras vaciar cuenta los hits de las demás réplicas', () => {
+    const other = new RateLimitStore(store);
+    other.init({ windowMs: 1000 });
+
+    other.increment('1.1.1.1');
+    other.increment('1.1.1.1');
+    other.flush();
+
+    limits.increment('1.1.1.1');
+    limits.flush();
+    expect(limits.increment('1.1.1.1').totalHits).toBe(4);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Clase base de los almacenes clave-valor con expiración
+ *
+ * Las implementaciones solo definen cómo leer los registros (readRecords) y
+ * cómo modificarlos de forma atómica (transaction). Todas las operaciones
+ * son síncronas, igual que los Map que sustituyen, y los valores se copian
+ * al leer y escribir: modificar un objeto leído no cambia el almacén.
+ *
+ * Registro: { v: valor (serializable a JSON), e: expiración en ms epoch | null }
+ */
+
+class Store {
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * Leer todos los registros (sin bloqueo)
+   * @returns {Object} clave -> registro
+   */
+  readRecords() {
+    throw new Error('readRecords() no implementado');
+  }
+
+  /**
+   * Modificar los registros de forma atómica
+   * @param {Function} fn - (records) => resultado; puede mutar records
+   */
+  transaction() {
+    throw new Error('transaction() no implementado');
+  }
+
+  isExpired(record, now = Date.now()) {
+    return record.e !== null && record.e <= now;
+  }
+
+  expiresAt(ttlMs) {
+    return ttlMs ? Date.now() + ttlMs : null;
+  }
+
+  /**
+   * Obtener un valor (undefined si no existe o expiró)
+   */
+  get(key) {
+    const record = this.readRecords()[key];
+    if (!record || this.isExpired(record)) return undefined;
+    return structuredClone(record.v);
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  /**
+   * Guardar un valor
+   * @param {number} ttlMs - Tiempo de vida en ms (opcional)
+   */
+  set(key, value, ttlMs) {
+    this.transaction(records => {
+      records[key] = { v: structuredClone(value), e: this.expiresAt(ttlMs) };
+    });
+  }
+
+  /**
+   * Guardar un valor solo si la clave no existe
+   * @returns {boolean} true si se guardó
+   */
+  add(key, value, ttlMs) {
+    return this.transaction(records => {
+      const current = records[key];
+      if (current && !this.isExpired(current)) return false;
+
+      records[key] = { v: structuredClone(value), e: this.expiresAt(ttlMs) };
+      return true;
+    });
+  }
+
+  delete(key) {
+    return this.transaction(records => {
+      const existed = key in records;
+      delete records[key];
+      return existed;
+    });
+  }
+
+  /**
+   * Leer y borrar un valor en una sola operación (tokens de un solo uso)
+   */
+  take(key) {
+    return this.transaction(records => {
+      const record = records[key];
+      delete records[key];
+      return record && !this.isExpired(record) ? structuredClone(record.v) : undefined;
+    });
+  }
+
+  /**
+   * Leer-modificar-escribir de forma atómica
+   * @param {Function} fn - (valorActual | undefined) => nuevoValor (undefined borra la clave)
+   * @param {number} ttlMs - Nuevo tiempo de vida (si se omite se conserva el actual)
+   * @returns {*} Nuevo valor
+   */
+  update(key, fn, ttlMs) {
+    return this.transaction(records => {
+      const record = records[key];
+      const current = record && !this.isExpired(record) ? record.v : undefined;
+      const next = fn(current === undefined ? undefined : structuredClone(current));
+
+      if (next === undefined) {
+        delete records[key];
+      } else {
+        records[key] = {
+          v: structuredClone(next),
+          e: ttlMs || current === undefined ? this.expiresAt(ttlMs) : record.e
+        };
+      }
+
+      return next;
+    });
+  }
+
+  /**
+   * Incrementar un contador de ventana fija (rate limiting)
+   * @returns {Object} { count, resetTime (ms epoch) }
+   */
+  increment(key, windowMs) {
+    return this.transaction(records => {
+      const now = Date.now();
+      const record = records[key];
+
+      if (!record || this.isExpired(record, now)) {
+        records[key] = { v: 1, e: now + windowMs };
+      } else {
+        record.v++;
+      }
+
+      return { count: records[key].v, resetTime: records[key].e };
+    });
+  }
+
+  /**
+   * Sumar varios contadores de ventana fija en una sola transacción
+   * @param {Object} amounts - clave -> { amount: hits a sumar (negativo para
+   *   restar), resetTime: fin de la ventana si el contador no existe (ms epoch) }
+   * @returns {Object} clave -> { count, resetTime (ms epoch) }
+   */
+  incrementMany(amounts) {
+    return this.transaction(records => {
+      const now = Date.now();
+      const totals = {};
+
+      Object.entries(amounts).forEach(([key, { amount, resetTime }]) => {
+        if (!records[key] || this.isExpired(records[key], now)) {
+          records[key] = { v: 0, e: resetTime };
+        }
+
+        records[key].v = Math.max(records[key].v + amount, 0);
+        totals[key] = { count: records[key].v, resetTime: records[key].e };
+      });
+
+      return totals;
+    });
+  }
+
+  decrement(key) {
+    this.transaction(records => {
+      const record = records[key];
+      if (record && !this.isExpired(record) && record.v > 0) {
+        record.v--;
+      }
+    });
+  }
+
+  /**
+   * Pares [clave, valor] no expirados
+   */
+  entries() {
+    const now = Date.now();
+    return Object.entries(this.readRecords())
+      .filter(([, record]) => !this.isExpired(record, now))
+      .map(([key, record]) => [key, structuredClone(record.v)]);
+  }
+
+  size() {
+    return this.entries().length;
+  }
+
+  /**
+   * Borrar registros expirados
+   */
+  cleanup() {
+    this.transaction(records => {
+      const now = Date.now();
+      Object.keys(records).forEach(key => {
+        if (this.isExpired(records[key], now)) {
+          delete records[key];
+        }
+      });
+    });
+  }
+
+  clear() {
+    this.transaction(records => {
+      Object.keys(records).forEach(key => delete records[key]);
+    });
+  }
+}
+
+module.exports = Store;
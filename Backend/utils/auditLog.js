@@ -0,0 +1,316 @@
+/**
+ * Registro de auditoría encadenado (logs/security.log)
+ *
+ * Cada evento de seguridad se escribe con:
+ * - seq: número de secuencia (detecta líneas borradas o reordenadas)
+ * - prevHash: hash de la entrada anterior
+ * - hash: SHA-256 de la propia entrada (sin el campo hash)
+ *
+ * Cada `checkpointInterval` entradas (y al cerrar el servidor) se añade un
+ * checkpoint firmado con HMAC-SHA256 usando AUDIT_SIGNING_KEY. Quien edite el
+ * archivo puede recalcular los hashes, pero no las firmas sin la clave, así
+ * que verify() también falla si faltan checkpoints, si uno está firmado con
+ * una clave desconocida o si hay más de `checkpointInterval` entradas sin
+ * firmar al final. Las claves anteriores (AUDIT_PREVIOUS_SIGNING_KEYS)
+ * permiten verificar los checkpoints escritos antes de rotar la clave.
+ * Un recorte que termine justo en un checkpoint solo se detecta desde el
+ * propio proceso, que recuerda la última seq escrita.
+ *
+ * verify() recorre el archivo (y sus segmentos rotados, ver logWriter) e
+ * informa de dónde se rompe la cadena; se usa desde GET /admin/audit/verify
+ * y desde scripts/verify-audit-log.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const logWriter = require('./logWriter');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_REPORTED_ISSUES = 100;
+
+// Bytes que se leen del final del archivo para recuperar el último eslabón
+const TAIL_BYTES = 64 * 1024;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+class AuditLog {
+  constructor() {
+    this.filePath = path.join(__dirname, '../logs/security.log');
+    this.checkpointInterval = config.logging?.audit?.checkpointInterval ?? 100;
+
+    this.signingKey = config.logging?.audit?.signingKey;
+    if (!this.signingKey) {
+      // Clave efímera: los checkpoints de ejecuciones anteriores no se podrán
+      // verificar. Fuera de development y test la config no arranca sin ella.
+      // Bajo jest no se avisa, igual que el logger no escribe en consola.
+      if (config.server.env !== 'test') {
+        console.warn('⚠️  AUDIT_SIGNING_KEY no configurada. Usando clave temporal (solo desarrollo).');
+      }
+      this.signingKey = crypto.randomBytes(32).toString('hex');
+    }
+    this.keyId = sha256(this.signingKey).slice(0, 16);
+
+    // keyId -> clave, para verificar checkpoints firmados antes de rotarla
+    this.verificationKeys = new Map([[this.keyId, this.signingKey]]);
+    (config.logging?.audit?.previousSigningKeys || []).forEach(key => {
+      this.verificationKeys.set(sha256(key).slice(0, 16), key);
+    });
+
+    // Último eslabón escrito (se carga del archivo en la primera escritura)
+    this.state = null;
+  }
+
+  /**
+   * Recuperar seq y hash de la última entrada encadenada, y cuántas entradas
+   * quedan sin firmar tras el último checkpoint
+   * Si el archivo activo acaba de rotarse se busca en el último segmento.
+   */
+  loadState() {
+    const state = { seq: 0, lastHash: GENESIS_HASH, sinceCheckpoint: 0 };
+    const files = logWriter.listFiles(path.basename(this.filePath, '.log')).reverse();
+
+    for (const filePath of files) {
+      const text = filePath === this.filePath ? this.readTail(filePath) : logWriter.readFileSync(filePath);
+      const chained = this.chainedEntries(text);
+
+      if (chained.length > 0) {
+        const last = chained[chained.length - 1];
+        const lastCheckpoint = chained.map(entry => entry.type).lastIndexOf('checkpoint');
+
+        state.seq = last.seq;
+        state.lastHash = last.hash;
+        // Sin checkpoint a la vista se firma en la siguiente escritura
+        state.sinceCheckpoint = lastCheckpoint === -1
+          ? Math.max(this.checkpointInterval, 1)
+          : chained.length - lastCheckpoint - 1;
+        break;
+      }
+    }
+
+    return state;
+  }
+
+  readTail(filePath) {
+    const { size } = fs.statSync(filePath);
+    const length = Math.min(size, TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, size - length);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return buffer.toString('utf8');
+  }
+
+  chainedEntries(text) {
+    const entries = [];
+    text.split('\n').filter(Boolean).forEach(line => {
+      try {
+        const entry = JSON.parse(line);
+        if (typeof entry.seq === 'number' && typeof entry.hash === 'string') {
+          entries.push(entry);
+        }
+      } catch {
+        // Línea incompleta o anterior a la cadena: se ignora
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Añadir un evento a la cadena
+   * @param {string} line - Entrada ya formateada por el logger (JSON)
+   */
+  append(line) {
+    if (!this.state) this.state = this.loadState();
+    const newChain = this.state.seq === 0;
+
+    this.write(JSON.parse(line));
+    this.state.sinceCheckpoint++;
+
+    // La primera entrada se firma enseguida: un archivo sin checkpoints
+    // siempre indica que alguien los ha quitado
+    if (newChain || (this.checkpointInterval > 0 && this.state.sinceCheckpoint >= this.checkpointInterval)) {
+      this.checkpoint();
+    }
+  }
+
+  /**
+   * Escribir un checkpoint firmado con el hash de la última entrada
+   * No hace nada si no hay entradas nuevas desde el anterior.
+   */
+  checkpoint() {
+    if (!this.state || this.state.sinceCheckpoint === 0) return null;
+
+    const entry = this.write({
+      timestamp: new Date().toISOString(),
+      type: 'checkpoint',
+      checkpointOf: this.state.lastHash,
+      keyId: this.keyId,
+      signature: this.sign(this.state.lastHash)
+    });
+    this.state.sinceCheckpoint = 0;
+
+    return entry;
+  }
+
+  write(fields) {
+    const entry = { ...fields, seq: this.state.seq + 1, prevHash: this.state.lastHash };
+    const hash = sha256(JSON.stringify(entry));
+
+    logWriter.write(path.basename(this.filePath), JSON.stringify({ ...entry, hash }));
+
+    this.state.seq = entry.seq;
+    this.state.lastHash = hash;
+    return { ...entry, hash };
+  }
+
+  sign(hash, key = this.signingKey) {
+    return crypto.createHmac('sha256', key).update(hash).digest('hex');
+  }
+
+  /**
+   * Recorrer la cadena y comprobar hashes, secuencia y firmas
+   * Sin argumento se verifican los segmentos rotados y el archivo activo,
+   * en orden. Las líneas anteriores a la primera entrada encadenada (logs
+   * antiguos) se cuentan como legacyEntries y no se validan. Si la primera
+   * entrada no es la seq 1 (segmentos borrados por la retención) se informa
+   * en firstSeq y la cadena se valida desde ahí.
+   *
+   * Además de los eslabones, son fallos: no tener ningún checkpoint, un
+   * checkpoint con keyId desconocido, más de `checkpointInterval` entradas
+   * sin firmar al final y, en el proceso que escribe, que falten entradas
+   * que ya se escribieron (archivo recortado).
+   * @param {string} filePath - Archivo concreto a verificar (opcional)
+   * @returns {Object} Informe: { valid, entries, checkpoints, firstBreak, issues, ... }
+   */
+  verify(filePath = null) {
+    const files = filePath
+      ? [filePath].filter(file => fs.existsSync(file))
+      : logWriter.listFiles(path.basename(this.filePath, '.log'));
+
+    const report = {
+      files: files.map(file => path.basename(file)),
+      valid: true,
+      entries: 0,
+      legacyEntries: 0,
+      firstSeq: null,
+      checkpoints: { total: 0, verified: 0 },
+      lastSeq: null,
+      lastHash: null,
+      lastCheckpointSeq: null,
+      entriesAfterLastCheckpoint: 0,
+      firstBreak: null,
+      issues: []
+    };
+
+    const addIssue = (issue) => {
+      report.valid = false;
+      if (!report.firstBreak) report.firstBreak = issue;
+      if (report.issues.length < MAX_REPORTED_ISSUES) report.issues.push(issue);
+    };
+
+    let previous = null;
+    let lastAt = null;
+
+    files.forEach(file => {
+      const fileName = path.basename(file);
+      const lines = logWriter.readFileSync(file).split('\n');
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        const at = { file: fileName, line: index + 1 };
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          addIssue({ ...at, seq: null, reason: 'invalid_json' });
+          return;
+        }
+
+        const { hash, ...content } = entry;
+        if (typeof entry.seq !== 'number' || typeof hash !== 'string') {
+          if (previous) {
+            addIssue({ ...at, seq: null, reason: 'unchained_entry' });
+          } else {
+            report.legacyEntries++;
+          }
+          return;
+        }
+
+        report.entries++;
+        if (report.firstSeq === null) report.firstSeq = entry.seq;
+
+        // Primera entrada disponible: solo se exige el génesis si es la seq 1
+        const expectedSeq = previous ? previous.seq + 1 : entry.seq;
+        const expectedPrevHash = previous ? previous.hash : (entry.seq === 1 ? GENESIS_HASH : entry.prevHash);
+
+        if (sha256(JSON.stringify(content)) !== hash) {
+          addIssue({ ...at, seq: entry.seq, reason: 'hash_mismatch' });
+        } else if (entry.prevHash !== expectedPrevHash) {
+          addIssue({ ...at, seq: entry.seq, reason: 'prev_hash_mismatch' });
+        } else if (entry.seq !== expectedSeq) {
+          addIssue({ ...at, seq: entry.seq, reason: 'sequence_gap', expectedSeq });
+        }
+
+        if (entry.type === 'checkpoint') {
+          report.checkpoints.total++;
+          report.lastCheckpointSeq = entry.seq;
+          report.entriesAfterLastCheckpoint = 0;
+
+          const key = this.verificationKeys.get(entry.keyId);
+          if (!key) {
+            // Otra clave (p. ej. la temporal de una ejecución anterior): no prueba nada
+            addIssue({ ...at, seq: entry.seq, reason: 'unknown_checkpoint_key', keyId: entry.keyId ?? null });
+          } else if (entry.checkpointOf !== expectedPrevHash || entry.signature !== this.sign(entry.checkpointOf, key)) {
+            addIssue({ ...at, seq: entry.seq, reason: 'invalid_checkpoint_signature' });
+          } else {
+            report.checkpoints.verified++;
+          }
+        } else {
+          report.entriesAfterLastCheckpoint++;
+        }
+
+        previous = entry;
+        lastAt = at;
+        report.lastSeq = entry.seq;
+        report.lastHash = hash;
+      });
+    });
+
+    if (report.entries > 0 && report.checkpoints.total === 0) {
+      addIssue({ ...lastAt, seq: report.lastSeq, reason: 'missing_checkpoints' });
+    } else if (this.checkpointInterval > 0 && report.entriesAfterLastCheckpoint > this.checkpointInterval) {
+      addIssue({
+        ...lastAt,
+        seq: report.lastSeq,
+        reason: 'unsigned_entries',
+        count: report.entriesAfterLastCheckpoint
+      });
+    }
+
+    // El proceso que escribe sabe hasta qué seq llegó la cadena
+    if (!filePath && this.state && (report.lastSeq ?? 0) < this.state.seq) {
+      addIssue({
+        file: path.basename(this.filePath),
+        line: null,
+        seq: report.lastSeq,
+        reason: 'truncated',
+        expectedSeq: this.state.seq
+      });
+    }
+
+    return report;
+  }
+}
+
+// Crear instancia singleton
+const auditLog = new AuditLog();
+
+module.exports = auditLog;
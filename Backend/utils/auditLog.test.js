@@ -0,0 +1,177 @@
+process.env.AUDIT_SIGNING_KEY = 'test-audit-key';
+process.env.AUDIT_PREVIOUS_SIGNING_KEYS = 'old-audit-key';
+process.env.AUDIT_CHECKPOINT_INTERVAL = '5';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logWriter = require('./logWriter');
+const auditLog = require('./auditLog');
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  logWriter.logDir = dir;
+  auditLog.filePath = path.join(dir, 'security.log');
+  auditLog.state = null;
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function appendEvents(count) {
+  for (let i = 0; i < count; i++) {
+    auditLog.append(JSON.stringify({ level: 'SECURITY', event: `event-${i}` }));
+  }
+  await logWriter.flush();
+}
+
+function readLines() {
+  return fs.readFileSync(auditLog.filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function writeLines(entries) {
+  fs.writeFileSync(auditLog.filePath, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+}
+
+/**
+ * Recalcular la cadena como haría quien reescribe el archivo sin la clave
+ */
+function rechain(entries) {
+  let prevHash = '0'.repeat(64);
+  return entries.map((entry, index) => {
+    const { hash, ...content } = entry;
+    const rewritten = { ...content, seq: index + 1, prevHash };
+    prevHash = sha256(JSON.stringify(rewritten));
+    return { ...rewritten, hash: prevHash };
+  });
+}
+
+describe('auditLog', () => {
+  test('una cadena recién escrita es íntegra y está firmada', async () => {
+    await appendEvents(12);
+    auditLog.checkpoint();
+    await logWriter.flush();
+
+    const report = auditLog.verify();
+    expect(report.valid).toBe(true);
+    expect(report.issues).toEqual([]);
+    expect(report.checkpoints.total).toBeGreaterThan(1);
+    expect(report.checkpoints.verified).toBe(report.checkpoints.total);
+    expect(report.entriesAfterLastCheckpoint).toBe(0);
+  });
+
+  test('detecta una entrada modificada', async () => {
+    await appendEvents(6);
+    const entries = readLines();
+    entries[2].event = 'tampered';
+    writeLines(entries);
+
+    const report = auditLog.verify();
+    expect(report.valid).toBe(false);
+    expect(report.firstBreak).toMatchObject({ line: 3, reason: 'hash_mismatch' });
+  });
+
+  test('detecta una reescritura completa aunque se recalculen los hashes', async () => {
+    await appendEvents(6);
+    const entries = readLines();
+    entries[2].event = 'tampered';
+    writeLines(rechain(entries));
+
+    const report = auditLog.verify();
+    expect(report.valid).toBe(false);
+    expect(report.issues.map(issue => issue.reason)).toContain('invalid_checkpoint_signature');
+  });
+
+  test('falla si se quitan todos los checkpoints', async () => {
+    await appendEvents(4);
+    writeLines(rechain(readLines().filter(entry => entry.type !== 'checkpoint')));
+
+    const report = auditLog.verify();
+    expect(report.valid).toBe(false);
+    expect(report.checkpoints.total).toBe(0);
+    expect(report.firstBreak.reason).toBe('missing_checkpoints');
+  });
+
+  test('falla si hay más entradas sin firmar que el intervalo', async () => {
+    await appendEvents(3);
+    const entries = readLines();
+    const event = entries.find(entry => entry.type !== 'checkpoint');
+    const forged = Array.from({ length: 6 }, (_, i) => ({ ...event, event: `forged-${i}` }));
+    writeLines(rechain([...entries, ...forged]));
+
+    const report = auditLog.verify(auditLog.filePath);
+    expect(report.valid).toBe(false);
+    expect(report.issues).toContainEqual(expect.objectContaining({ reason: 'unsigned_entries', count: 8 }));
+  });
+
+  test('un checkpoint con una clave desconocida rompe la cadena', async () => {
+    await appendEvents(2);
+    const entries = readLines();
+    const checkpoint = entries.find(entry => entry.type === 'checkpoint');
+    checkpoint.keyId = 'ffffffffffffffff';
+    checkpoint.signature = crypto.createHmac('sha256', 'attacker-key').update(checkpoint.checkpointOf).digest('hex');
+    writeLines(rechain(entries));
+
+    const report = auditLog.verify(auditLog.filePath);
+    expect(report.valid).toBe(false);
+    expect(report.firstBreak).toMatchObject({ reason: 'unknown_checkpoint_key', keyId: 'ffffffffffffffff' });
+  });
+
+  test('acepta checkpoints firmados con una clave anterior', async () => {
+    await appendEvents(2);
+    const entries = readLines();
+    const checkpoint = entries.find(entry => entry.type === 'checkpoint');
+    checkpoint.keyId = sha256('old-audit-key').slice(0, 16);
+    checkpoint.signature = crypto.createHmac('sha256', 'old-audit-key').update(checkpoint.checkpointOf).digest('hex');
+    writeLines(rechain(entries));
+
+    expect(auditLog.verify(auditLog.filePath).valid).toBe(true);
+  });
+
+  test('detecta el archivo recortado desde el proceso que escribe', async () => {
+    await appendEvents(10);
+    const entries = readLines();
+    const lastCheckpoint = entries.map(entry => entry.type).lastIndexOf('checkpoint');
+    writeLines(entries.slice(0, lastCheckpoint));
+
+    const report = auditLog.verify();
+    expect(report.valid).toBe(false);
+    expect(report.issues).toContainEqual(expect.objectContaining({
+      reason: 'truncated',
+      expectedSeq: entries[entries.length - 1].seq
+    }));
+  });
+
+  test('al reiniciar firma enseguida si la cola no tiene checkpoint', async () => {
+    await appendEvents(3);
+    writeLines(rechain(readLines().filter(entry => entry.type !== 'checkpoint')));
+
+    auditLog.state = null;
+    await appendEvents(1);
+
+    const entries = readLines();
+    expect(entries[entries.length - 1].type).toBe('checkpoint');
+  });
+
+  test('sin AUDIT_SIGNING_KEY no avisa en consola bajo jest', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const original = process.env;
+    process.env = { ...original, AUDIT_SIGNING_KEY: '' };
+
+    try {
+      jest.isolateModules(() => {
+        expect(require('./auditLog').signingKey).toMatch(/^[0-9a-f]{64}$/);
+      });
+      expect(warn).not.toHaveBeenCalled();
+    } finally {
+      process.env = original;
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Catálogo de códigos de error de la API
+ *
+ * Todas las respuestas de error usan el mismo formato:
+ *   { success: false, code: 'INVALID_ADDRESS', error: 'Dirección de wallet inválida', details?: [...] }
+ *
+ * `code` es estable y es lo que deben comparar los clientes; `error` es un
+ * texto legible que puede cambiar. Los endpoints OAuth/OIDC (/authorize,
+ * /token, /userinfo) mantienen los códigos del estándar (invalid_grant, ...).
+ *
+ * Aquí solo se define el status HTTP de cada código; los textos están en
+ * locales/<idioma>.json (sección errors) y salen en el idioma de la petición.
+ */
+
+const config = require('../config');
+const i18n = require('./i18n');
+const logger = require('./logger');
+
+// Entornos en los que un código sin catalogar es un error de programación
+const STRICT_ENVS = ['development', 'test'];
+
+const ERRORS = {
+  // Generales
+  INTERNAL_ERROR: { status: 500 },
+  NOT_FOUND: { status: 404 },
+  INVALID_JSON: { status: 400 },
+  VALIDATION_FAILED: { status: 400 },
+  REQUEST_BLOCKED: { status: 400 },
+  RATE_LIMITED: { status: 429 },
+  AUTH_RATE_LIMITED: { status: 429 },
+  SERVICE_UNAVAILABLE: { status: 503 },
+  INVALID_PAGINATION: { status: 400 },
+  METRICS_TOKEN_REQUIRED: { status: 401 },
+
+  // Datos de entrada
+  INVALID_ADDRESS: { status: 400 },
+  INVALID_USERNAME: { status: 400 },
+  INVALID_EMAIL: { status: 400 },
+  INVALID_PASSWORD_HASH: { status: 400 },
+  CHAIN_UNSUPPORTED: { status: 400 },
+  CHAIN_UNAVAILABLE: { status: 503 },
+  PROOF_MISSING: { status: 400 },
+
+  // Usuarios y cuentas
+  USER_NOT_REGISTERED: { status: 404 },
+  USER_NOT_FOUND: { status: 404 },
+  USER_ALREADY_REGISTERED: { status: 409 },
+  ADDRESS_ALREADY_REGISTERED: { status: 409 },
+  USERNAME_TAKEN: { status: 409 },
+  EMAIL_TAKEN: { status: 409 },
+  REGISTRATION_IN_PROGRESS: { status: 409 },
+  ACCOUNT_DEACTIVATED: { status: 403 },
+  USER_ALREADY_ACTIVE: { status: 409 },
+  USER_ALREADY_INACTIVE: { status: 409 },
+  ACCOUNT_LOCKED: { status: 429 },
+  LOGIN_BACKOFF: { status: 429 },
+
+  // Pruebas ZK y desafíos
+  PROOF_INVALID: { status: 400 },
+  PROOF_GENERATION_FAILED: { status: 500 },
+  RECOVERY_CODE_INVALID: { status: 401 },
+  CHALLENGE_UNKNOWN: { status: 401 },
+  CHALLENGE_ADDRESS_MISMATCH: { status: 401 },
+  CHALLENGE_USED: { status: 401 },
+  CHALLENGE_EXPIRED: { status: 401 },
+
+  // Blockchain
+  ONCHAIN_VERIFICATION_FAILED: { status: 500 },
+  BLOCKCHAIN_TX_FAILED: { status: 400 },
+  BLOCKCHAIN_QUERY_FAILED: { status: 502 },
+
+  // Sesiones
+  AUTH_REQUIRED: { status: 401 },
+  TOKEN_INVALID: { status: 401 },
+  TOKEN_EXPIRED: { status: 401 },
+  TOKEN_REVOKED: { status: 401 },
+  SESSION_REVOKED: { status: 401 },
+  SESSION_ADDRESS_MISMATCH: { status: 403 },
+  REFRESH_TOKEN_MISSING: { status: 400 },
+  REFRESH_TOKEN_INVALID: { status: 401 },
+  REFRESH_TOKEN_EXPIRED: { status: 401 },
+  ADMIN_REQUIRED: { status: 403 },
+
+  // Sign-In with Ethereum
+  SIWE_FIELDS_MISSING: { status: 400 },
+  SIWE_NONCE_UNKNOWN: { status: 401 },
+  SIWE_MESSAGE_USED: { status: 401 },
+  SIWE_MESSAGE_MALFORMED: { status: 401 },
+  SIWE_DOMAIN_MISMATCH: { status: 401 },
+  SIWE_NONCE_MISMATCH: { status: 401 },
+  SIWE_MESSAGE_EXPIRED: { status: 401 },
+  SIWE_SIGNATURE_INVALID: { status: 401 },
+  SIWE_ADDRESS_MISMATCH: { status: 401 },
+  SIWE_TOKEN_REQUIRED: { status: 401 },
+  SIWE_TOKEN_INVALID: { status: 401 },
+  SIWE_TOKEN_ADDRESS_MISMATCH: { status: 401 },
+
+  // Trabajos asíncronos y progreso
+  JOB_NOT_FOUND: { status: 404 },
+  JOB_ABORTED: { status: 503 },
+  PROGRESS_ID_INVALID: { status: 400 },
+  PROGRESS_STREAMS_EXHAUSTED: { status: 503 },
+  PROGRESS_NOT_FOUND: { status: 404 },
+
+  // Idempotency-Key
+  IDEMPOTENCY_KEY_INVALID: { status: 400 },
+  IDEMPOTENCY_KEY_REUSED: { status: 422 },
+  IDEMPOTENCY_IN_PROGRESS: { status: 409 },
+
+  // Webhooks
+  WEBHOOK_INVALID: { status: 400 },
+  WEBHOOK_NOT_FOUND: { status: 404 },
+  WEBHOOK_DELIVERY_NOT_FOUND: { status: 404 },
+
+  // OIDC (rutas propias, fuera del estándar OAuth)
+  OIDC_REQUEST_INVALID: { status: 404 },
+  OIDC_USER_NOT_ALLOWED: { status: 403 }
+};
+
+/**
+ * Texto de un código en el idioma indicado (español por defecto)
+ */
+function errorMessage(code, locale) {
+  const key = `errors.${ERRORS[code] ? code : 'INTERNAL_ERROR'}`;
+  return i18n.t(key, locale);
+}
+
+/**
+ * Error con código del catálogo (para lanzar desde servicios y trabajos)
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Código del catálogo
+   * @param {string} detail - Detalle que se añade al mensaje (p. ej. el motivo del revert)
+   */
+  constructor(code, detail = null) {
+    const message = errorMessage(code);
+    super(detail ? `${message}: ${detail}` : message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = (ERRORS[code] || ERRORS.INTERNAL_ERROR).status;
+    this.detail = detail;
+  }
+}
+
+/**
+ * Construir el cuerpo de error estándar
+ * @param {string} code - Código del catálogo
+ * @param {Object} options - { locale, detail, details, ...campos extra (retryAfter, jobId...) }
+ */
+function errorBody(code, { locale, detail = null, details, ...extra } = {}) {
+  if (!ERRORS[code]) {
+    // En desarrollo y tests se falla en el acto para que se añada al catálogo
+    if (STRICT_ENVS.includes(config.server.env)) {
+      throw new Error(`Código de error no catalogado: ${code}`);
+    }
+    logger.warn('Uncatalogued error code', { code });
+  }
+
+  const message = errorMessage(code, locale);
+
+  // Los campos extra van primero: no pueden sustituir el código ni el mensaje
+  return {
+    ...extra,
+    success: false,
+    code,
+    error: detail ? `${message}: ${detail}` : message,
+    ...(details && { details })
+  };
+}
+
+/**
+ * Enviar una respuesta de error del catálogo en el idioma de la petición
+ * Incluye el requestId (X-Request-Id) para que el usuario pueda citarlo.
+ * @param {Object} res - Respuesta de Express
+ * @param {string} code - Código del catálogo
+ * @param {Object} options - { status (si difiere del catálogo), detail, details, ...extra }
+ */
+function sendError(res, code, { status, ...options } = {}) {
+  return res
+    .status(status || ERRORS[code]?.status || 500)
+    .json(errorBody(code, { locale: res.req?.locale, requestId: res.req?.id, ...options }));
+}
+
+module.exports = { ERRORS, ApiError, errorMessage, errorBody, sendError };
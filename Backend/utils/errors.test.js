@@ -0,0 +1,88 @@
+// Secretos obligatorios al cargar la config con NODE_ENV=production
+process.env.RECOVERY_CODE_KEY = 'test-recovery-key';
+process.env.AUDIT_SIGNING_KEY = 'test-audit-key';
+
+const fs = require('fs');
+const path = require('path');
+const { ERRORS, ApiError, errorBody } = require('./errors');
+const es = require('../locales/es.json');
+const en = require('../locales/en.json');
+
+/**
+ * Cargar errors.js con otro NODE_ENV
+ */
+function loadWithEnv(env) {
+  const original = process.env.NODE_ENV;
+  process.env.NODE_ENV = env;
+  try {
+    let modules;
+    jest.isolateModules(() => {
+      modules = { errors: require('./errors'), logger: require('./logger') };
+    });
+    return modules;
+  } finally {
+    process.env.NODE_ENV = original;
+  }
+}
+
+describe('errors', () => {
+  test('construye el cuerpo estándar en el idioma pedido', () => {
+    expect(errorBody('INVALID_ADDRESS', { locale: 'en', detail: 'abc', retryAfter: 3 })).toEqual({
+      success: false,
+      code: 'INVALID_ADDRESS',
+      error: `${en.errors.INVALID_ADDRESS}: abc`,
+      retryAfter: 3
+    });
+  });
+
+  test('los campos extra no sustituyen el código ni el mensaje', () => {
+    expect(errorBody('INVALID_ADDRESS', { locale: 'en', code: 'OTHER', error: 'otro', success: true })).toEqual({
+      success: false,
+      code: 'INVALID_ADDRESS',
+      error: en.errors.INVALID_ADDRESS
+    });
+  });
+
+  test('ApiError toma el status del catálogo', () => {
+    const error = new ApiError('JOB_NOT_FOUND');
+    expect(error.status).toBe(404);
+    expect(error.code).toBe('JOB_NOT_FOUND');
+  });
+
+  test('en tests un código sin catalogar lanza un error', () => {
+    expect(() => errorBody('NOT_A_CODE')).toThrow('Código de error no catalogado: NOT_A_CODE');
+  });
+
+  test('en producción un código sin catalogar se registra con el logger', () => {
+    const { errors, logger } = loadWithEnv('production');
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    expect(errors.errorBody('NOT_A_CODE').code).toBe('NOT_A_CODE');
+    expect(warn).toHaveBeenCalledWith('Uncatalogued error code', { code: 'NOT_A_CODE' });
+  });
+
+  test('todos los códigos del catálogo tienen texto en español e inglés', () => {
+    Object.keys(ERRORS).forEach(code => {
+      expect([code, typeof es.errors[code]]).toEqual([code, 'string']);
+      expect([code, typeof en.errors[code]]).toEqual([code, 'string']);
+    });
+  });
+
+  test('los códigos usados en el backend están catalogados', () => {
+    const root = path.join(__dirname, '..');
+    const files = ['index.js', 'services', 'utils', 'stores']
+      .flatMap(entry => {
+        const full = path.join(root, entry);
+        return fs.statSync(full).isDirectory()
+          ? fs.readdirSync(full).filter(name => name.endsWith('.js') && !name.endsWith('.test.js'))
+            .map(name => path.join(full, name))
+          : [full];
+      });
+
+    const pattern = /(?:sendError\(res, |errorBody\(|new ApiError\()'([A-Z_]+)'/g;
+    const used = files.flatMap(file => [...fs.readFileSync(file, 'utf8').matchAll(pattern)].map(match => match[1]));
+
+    expect(used.length).toBeGreaterThan(20);
+    expect(used.filter(code => !ERRORS[code])).toEqual([]);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Internacionalización de los mensajes de la API (español / inglés)
+ *
+ * Los textos viven en Backend/locales/<idioma>.json, agrupados por sección
+ * (errors, validation, messages). El idioma de cada petición se elige con
+ * la cabecera Accept-Language; si no hay ninguno soportado se usa español.
+ */
+
+const es = require('../locales/es.json');
+const en = require('../locales/en.json');
+
+class I18n {
+  constructor() {
+    this.catalogs = { es, en };
+    this.defaultLocale = 'es';
+    this.supportedLocales = Object.keys(this.catalogs);
+  }
+
+  /**
+   * Elegir idioma a partir de Accept-Language (respeta los pesos q=)
+   * Ej: "en-US,en;q=0.9,es;q=0.8" -> 'en'
+   */
+  resolveLocale(header) {
+    if (typeof header !== 'string' || header.trim() === '') {
+      return this.defaultLocale;
+    }
+
+    const candidates = header
+      .split(',')
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params
+          .map(param => param.trim())
+          .find(param => param.startsWith('q='));
+        const weight = q ? parseFloat(q.slice(2)) : 1;
+
+        return {
+          language: tag.trim().toLowerCase().split('-')[0],
+          weight: Number.isNaN(weight) ? 0 : weight,
+          index
+        };
+      })
+      .filter(candidate => candidate.weight > 0)
+      .sort((a, b) => b.weight - a.weight || a.index - b.index);
+
+    const match = candidates.find(candidate => this.isSupported(candidate.language));
+    return match ? match.language : this.defaultLocale;
+  }
+
+  isSupported(locale) {
+    return this.supportedLocales.includes(locale);
+  }
+
+  /**
+   * Traducir una clave ("errors.INVALID_ADDRESS", "validation.invalidOffset"...)
+   * @param {string} key - Clave con la sección delante
+   * @param {string} locale - Idioma (si falta la clave se usa el idioma por defecto)
+   * @param {Object} params - Valores para los marcadores {nombre}
+   * @returns {string} Texto traducido, o la propia clave si no existe
+   */
+  t(key, locale = this.defaultLocale, params = {}) {
+    const text = this.lookup(key, this.isSupported(locale) ? locale : this.defaultLocale) ??
+      this.lookup(key, this.defaultLocale);
+
+    if (text === undefined) {
+      return key;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] !== undefined ? String(params[name]) : placeholder
+    );
+  }
+
+  /**
+   * Comprobar si existe una clave en el idioma por defecto
+   */
+  has(key) {
+    return this.lookup(key, this.defaultLocale) !== undefined;
+  }
+
+  lookup(key, locale) {
+    const value = key.split('.').reduce(
+      (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+      this.catalogs[locale]
+    );
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  /**
+   * Middleware de Express: req.locale y cabecera Content-Language
+   */
+  middleware() {
+    return (req, res, next) => {
+      req.locale = this.resolveLocale(req.get('Accept-Language'));
+      res.set('Content-Language', req.locale);
+      res.vary('Accept-Language');
+      next();
+    };
+  }
+}
+
+// Crear instancia singleton
+const i18n = new I18n();
+
+module.exports = i18n;
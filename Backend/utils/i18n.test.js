@@ -0,0 +1,67 @@
+const express = require('express');
+const request = require('supertest');
+const i18n = require('./i18n');
+const { sendError } = require('./errors');
+const es = require('../locales/es.json');
+const en = require('../locales/en.json');
+
+/**
+ * Claves de un catálogo ("errors.INVALID_ADDRESS", ...)
+ */
+function keysOf(node, prefix = '') {
+  return Object.entries(node).flatMap(([key, value]) =>
+    typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+}
+
+describe('i18n', () => {
+  test.each([
+    [undefined, 'es'],
+    ['', 'es'],
+    ['en', 'en'],
+    ['en-US,en;q=0.9,es;q=0.8', 'en'],
+    ['fr-FR,en;q=0.5,es;q=0.7', 'es'],
+    ['fr, de', 'es'],
+    ['es;q=0, en', 'en']
+  ])('Accept-Language %p elige %p', (header, locale) => {
+    expect(i18n.resolveLocale(header)).toBe(locale);
+  });
+
+  test('sustituye marcadores y deja los que no tienen valor', () => {
+    expect(i18n.t('messages.retryIn', 'en', { seconds: 30 })).toContain('30');
+    expect(i18n.t('messages.retryIn', 'en')).toContain('{seconds}');
+  });
+
+  test('sin la clave en el idioma pedido usa español, y si no existe devuelve la clave', () => {
+    expect(i18n.t('errors.INVALID_ADDRESS', 'fr')).toBe(es.errors.INVALID_ADDRESS);
+    expect(i18n.t('errors.NO_EXISTE', 'en')).toBe('errors.NO_EXISTE');
+  });
+
+  test('español e inglés tienen las mismas claves', () => {
+    expect(keysOf(en).sort()).toEqual(keysOf(es).sort());
+  });
+
+  test('cada traducción usa los mismos marcadores que el español', () => {
+    const placeholders = key => (i18n.t(key, 'es').match(/\{(\w+)\}/g) || []).sort();
+
+    keysOf(es).forEach(key => {
+      const english = (i18n.t(key, 'en').match(/\{(\w+)\}/g) || []).sort();
+      expect([key, english]).toEqual([key, placeholders(key)]);
+    });
+  });
+
+  test('los errores se devuelven en el idioma de la petición', async () => {
+    const app = express();
+    app.use(i18n.middleware());
+    app.get('/error', (req, res) => sendError(res, 'INVALID_ADDRESS'));
+
+    const english = await request(app).get('/error').set('Accept-Language', 'en-GB');
+    expect(english.body.error).toBe(en.errors.INVALID_ADDRESS);
+    expect(english.headers['content-language']).toBe('en');
+    expect(english.headers.vary).toContain('Accept-Language');
+
+    const spanish = await request(app).get('/error');
+    expect(spanish.body.error).toBe(es.errors.INVALID_ADDRESS);
+    expect(spanish.body.code).toBe('INVALID_ADDRESS');
+  });
+});
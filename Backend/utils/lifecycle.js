@@ -0,0 +1,87 @@
+/**
+ * Ciclo de vida del proceso: trabajo en curso y cierre ordenado
+ *
+ * Registra las operaciones que no deben cortarse a medias (generación de
+ * pruebas, llamadas RPC y transacciones, jobs de registro) para que el cierre
+ * pueda esperarlas antes de salir.
+ */
+
+const { sendError } = require('./errors');
+
+class Lifecycle {
+  constructor() {
+    this.shuttingDown = false;
+    this.nextId = 1;
+
+    // id -> { label, startedAt, promise }
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Ejecutar una operación registrándola como trabajo en curso
+   * @param {string} label - Descripción (p. ej. 'zk:proof', 'rpc:registerUser')
+   * @param {Function} fn - Función async
+   */
+  track(label, fn) {
+    const id = this.nextId++;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(id));
+
+    this.inFlight.set(id, { label, startedAt: Date.now(), promise });
+    return promise;
+  }
+
+  /**
+   * Operaciones en curso (para logs y /health)
+   */
+  getInFlight() {
+    const now = Date.now();
+    return Array.from(this.inFlight.values()).map(({ label, startedAt }) => ({
+      label,
+      runningMs: now - startedAt
+    }));
+  }
+
+  /**
+   * Esperar a que terminen las operaciones en curso
+   * Una operación puede lanzar otras (p. ej. las etapas de un job), por eso
+   * se vuelve a comprobar hasta que no quede ninguna.
+   * @param {number} deadline - Límite en ms epoch
+   * @returns {boolean} true si no queda trabajo en curso
+   */
+  async drain(deadline) {
+    while (this.inFlight.size > 0 && Date.now() < deadline) {
+      const pending = Array.from(this.inFlight.values()).map(op => op.promise);
+      let timer;
+
+      await Promise.race([
+        Promise.allSettled(pending),
+        new Promise(resolve => { timer = setTimeout(resolve, deadline - Date.now()); })
+      ]);
+
+      clearTimeout(timer);
+    }
+
+    return this.inFlight.size === 0;
+  }
+
+  /**
+   * Middleware de Express: durante el cierre rechaza peticiones nuevas
+   * que lleguen por conexiones keep-alive ya abiertas
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (!this.shuttingDown) return next();
+
+      res.set('Connection', 'close');
+      res.set('Retry-After', '5');
+      return sendError(res, 'SERVICE_UNAVAILABLE');
+    };
+  }
+}
+
+// Crear instancia singleton
+const lifecycle = new Lifecycle();
+
+module.exports = lifecycle;
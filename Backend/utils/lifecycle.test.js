@@ -0,0 +1,81 @@
+const express = require('express');
+const request = require('supertest');
+const lifecycle = require('./lifecycle');
+
+const Lifecycle = lifecycle.constructor;
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('Lifecycle', () => {
+  let life;
+
+  beforeEach(() => {
+    life = new Lifecycle();
+  });
+
+  test('track registra la operación mientras dura y devuelve su resultado', async () => {
+    const gate = deferred();
+    const result = life.track('zk:proof', () => gate.promise.then(() => 'proof'));
+
+    expect(life.getInFlight()).toEqual([{ label: 'zk:proof', runningMs: expect.any(Number) }]);
+
+    gate.resolve();
+    await expect(result).resolves.toBe('proof');
+    expect(life.getInFlight()).toEqual([]);
+  });
+
+  test('una operación que falla también deja de estar en curso', async () => {
+    await expect(life.track('rpc:registerUser', async () => { throw new Error('revert'); })).rejects.toThrow('revert');
+    expect(life.inFlight.size).toBe(0);
+  });
+
+  test('drain espera también a las operaciones lanzadas por otras', async () => {
+    const gate = deferred();
+    let nestedDone = false;
+
+    life.track('job:registration', async () => {
+      await gate.promise;
+      life.track('rpc:waitForTransaction', async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        nestedDone = true;
+      });
+    });
+
+    const drained = life.drain(Date.now() + 1000);
+    gate.resolve();
+
+    await expect(drained).resolves.toBe(true);
+    expect(nestedDone).toBe(true);
+  });
+
+  test('drain devuelve false si se alcanza el límite con trabajo en curso', async () => {
+    const gate = deferred();
+    life.track('zk:proof', () => gate.promise);
+
+    await expect(life.drain(Date.now() + 30)).resolves.toBe(false);
+    expect(life.getInFlight().map(op => op.label)).toEqual(['zk:proof']);
+
+    gate.resolve();
+    await expect(life.drain(Date.now() + 1000)).resolves.toBe(true);
+  });
+
+  test('durante el cierre el middleware responde 503 y cierra la conexión', async () => {
+    const app = express();
+    app.use(life.middleware());
+    app.get('/info', (req, res) => res.json({ success: true }));
+
+    expect((await request(app).get('/info')).status).toBe(200);
+
+    life.shuttingDown = true;
+    const response = await request(app).get('/info');
+
+    expect(response.status).toBe(503);
+    expect(response.body.code).toBe('SERVICE_UNAVAILABLE');
+    expect(response.headers['retry-after']).toBe('5');
+    expect(response.headers.connection).toBe('close');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Búsqueda y exportación de los logs diarios (logs/AAAA-MM-DD.log y sus
+ * segmentos rotados .gz, ver logWriter)
+ *
+ * Lee los archivos JSON-line que escribe el logger, línea a línea y sin
+ * cargarlos enteros en memoria, y filtra por rango de fechas, nivel,
+ * requestId, dirección de wallet y tipo de evento. Lo usan las rutas
+ * /admin/logs (paginada) y /admin/logs/export (NDJSON o CSV).
+ *
+ * security.log no se lee: sus entradas también están en los diarios.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const logger = require('./logger');
+const logWriter = require('./logWriter');
+const redactor = require('./redactor');
+
+// Archivo diario activo o segmento rotado (AAAA-MM-DD.<n>.log[.gz])
+const DAILY_FILE = /^(\d{4}-\d{2}-\d{2})(?:\.\d+)?\.log(?:\.gz)?$/;
+const DEFAULT_RANGE_DAYS = 7;
+
+const EXPORT_FORMATS = ['ndjson', 'csv'];
+const CSV_COLUMNS = ['timestamp', 'level', 'message', 'requestId', 'event', 'address', 'data'];
+
+// Evitar que una hoja de cálculo interprete valores como fórmulas
+const CSV_FORMULA = /^[=+\-@\t\r]/;
+
+class LogQuery {
+  constructor() {
+    this.logDir = logger.logDir;
+    this.levels = Object.keys(logger.levels);
+    this.exportFormats = EXPORT_FORMATS;
+  }
+
+  /**
+   * Normalizar los filtros de la query string
+   * Sin from/to se buscan los últimos 7 días.
+   * @param {Object} query - { from, to, level, requestId, address, event }
+   */
+  buildFilters(query = {}) {
+    const to = query.to !== undefined ? new Date(query.to) : new Date();
+    const from = query.from !== undefined
+      ? new Date(query.from)
+      : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    // En los logs las direcciones pueden estar truncadas por el redactor
+    const addresses = query.address
+      ? [query.address, redactor.redactField('address', query.address)].map(value => value.toLowerCase())
+      : null;
+
+    return {
+      from,
+      to,
+      levels: query.level ? String(query.level).toUpperCase().split(',').map(level => level.trim()) : null,
+      requestId: query.requestId || null,
+      addresses,
+      event: query.event ? String(query.event).toLowerCase() : null
+    };
+  }
+
+  /**
+   * Archivos diarios que pueden contener entradas del rango, en orden
+   * (por día: segmentos rotados y después el archivo activo)
+   */
+  listFiles(from, to) {
+    const firstDay = from.toISOString().slice(0, 10);
+    const lastDay = to.toISOString().slice(0, 10);
+
+    let files;
+    try {
+      files = fs.readdirSync(this.logDir);
+    } catch (error) {
+      return [];
+    }
+
+    const days = new Set(files
+      .map(file => DAILY_FILE.exec(file))
+      .filter(match => match && match[1] >= firstDay && match[1] <= lastDay)
+      .map(match => match[1]));
+
+    return Array.from(days).sort().flatMap(day => logWriter.listFiles(day));
+  }
+
+  /**
+   * Recorrer las entradas que cumplen los filtros (en orden cronológico)
+   * @param {Object} filters - Resultado de buildFilters()
+   */
+  async *entries(filters) {
+    // Incluir lo que aún está en el buffer del logger
+    await logWriter.flush();
+
+    for (const filePath of this.listFiles(filters.from, filters.to)) {
+      const lines = readline.createInterface({
+        input: logWriter.createReadStream(filePath),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        if (!line) continue;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue;
+        }
+
+        if (this.matches(entry, filters)) {
+          yield entry;
+        }
+      }
+    }
+  }
+
+  matches(entry, filters) {
+    const timestamp = Date.parse(entry.timestamp);
+    if (Number.isNaN(timestamp) || timestamp < filters.from.getTime() || timestamp > filters.to.getTime()) {
+      return false;
+    }
+
+    if (filters.levels && !filters.levels.includes(entry.level)) return false;
+    if (filters.requestId && entry.requestId !== filters.requestId) return false;
+
+    if (filters.event) {
+      const event = entry.event || entry.action;
+      if (typeof event !== 'string' || event.toLowerCase() !== filters.event) return false;
+    }
+
+    if (filters.addresses && !this.containsValue(entry, filters.addresses)) return false;
+
+    return true;
+  }
+
+  /**
+   * Buscar una dirección en cualquier campo de la entrada (address,
+   * userAddress, admin, body.address...)
+   */
+  containsValue(value, targets) {
+    if (typeof value === 'string') return targets.includes(value.toLowerCase());
+    if (value && typeof value === 'object') {
+      return Object.values(value).some(field => this.containsValue(field, targets));
+    }
+    return false;
+  }
+
+  /**
+   * Página de resultados con el total de coincidencias
+   * @param {Object} filters - Resultado de buildFilters()
+   * @param {Object} pagination - { offset, limit }
+   */
+  async search(filters, { offset, limit }) {
+    const entries = [];
+    let total = 0;
+
+    for await (const entry of this.entries(filters)) {
+      if (total >= offset && entries.length < limit) {
+        entries.push(entry);
+      }
+      total++;
+    }
+
+    return { entries, total };
+  }
+
+  /**
+   * Escribir las entradas en un stream (respuesta HTTP) respetando backpressure
+   * @param {Object} filters - Resultado de buildFilters()
+   * @param {string} format - 'ndjson' o 'csv'
+   * @param {Writable} output - Stream de salida
+   * @returns {number} Entradas exportadas
+   */
+  async export(filters, format, output) {
+    let count = 0;
+
+    if (format === 'csv') {
+      await this.write(output, CSV_COLUMNS.join(',') + '\n');
+    }
+
+    for await (const entry of this.entries(filters)) {
+      // El cliente cerró la conexión: no seguir leyendo archivos
+      if (output.destroyed) break;
+
+      const line = format === 'csv' ? this.toCsvRow(entry) : JSON.stringify(entry);
+      await this.write(output, line + '\n');
+      count++;
+    }
+
+    return count;
+  }
+
+  write(output, chunk) {
+    if (output.write(chunk)) return Promise.resolve();
+
+    return new Promise(resolve => {
+      const done = () => {
+        output.off('drain', done);
+        output.off('close', done);
+        resolve();
+      };
+      output.once('drain', done);
+      output.once('close', done);
+    });
+  }
+
+  /**
+   * Fila CSV: columnas comunes y el resto de campos como JSON en `data`
+   */
+  toCsvRow(entry) {
+    const { timestamp, level, message, requestId, ...rest } = entry;
+    const row = { timestamp, level, message, requestId };
+
+    // event (seguridad) o action (actividad, blockchain, zk); address o userAddress
+    [['event', 'action'], ['address', 'userAddress']].forEach(([column, alternative]) => {
+      const key = rest[column] !== undefined ? column : alternative;
+      row[column] = rest[key];
+      delete rest[key];
+    });
+
+    row.data = Object.keys(rest).length > 0 ? JSON.stringify(rest) : '';
+
+    return CSV_COLUMNS.map(column => this.toCsvValue(row[column])).join(',');
+  }
+
+  toCsvValue(value) {
+    if (value === undefined || value === null) return '';
+
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (CSV_FORMULA.test(text)) text = `'${text}`;
+
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Crear instancia singleton
+const logQuery = new LogQuery();
+
+module.exports = logQuery;
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const logWriter = require('./logWriter');
+const logQuery = require('./logQuery');
+
+const ADDRESS = '0x1234567890abcdef1234567890abcdef12345678';
+
+let dir;
+
+function writeDay(fileName, entries, { gzip = false } = {}) {
+  const data = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+  fs.writeFileSync(path.join(dir, fileName), gzip ? zlib.gzipSync(data) : data);
+}
+
+function filters(query) {
+  return logQuery.buildFilters({ from: '2026-01-01T00:00:00Z', to: '2026-01-03T00:00:00Z', ...query });
+}
+
+async function exportText(query, format) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const count = await logQuery.export(filters(query), format, output);
+  return { count, text: Buffer.concat(chunks).toString('utf8') };
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logs-'));
+  logWriter.logDir = dir;
+  logQuery.logDir = dir;
+
+  // Segmento rotado y comprimido del día 1 y después su archivo activo
+  writeDay('2026-01-01.1.log.gz', [
+    { timestamp: '2026-01-01T10:00:00.000Z', level: 'INFO', message: 'Server started' }
+  ], { gzip: true });
+  writeDay('2026-01-01.log', [
+    { timestamp: '2026-01-01T11:00:00.000Z', level: 'SECURITY', message: 'Security Event: Login failed', event: 'Login failed', requestId: 'req-1', address: '0x1234…5678' },
+    { timestamp: '2026-01-01T12:00:00.000Z', level: 'INFO', message: 'User activity', action: 'login', userAddress: ADDRESS, requestId: 'req-2' },
+    'not json'
+  ]);
+  writeDay('2026-01-02.log', [
+    { timestamp: '2026-01-02T09:00:00.000Z', level: 'ERROR', message: '=cmd|calc', requestId: 'req-3', detail: 'a,"b"' }
+  ]);
+  writeDay('2025-12-01.log', [
+    { timestamp: '2025-12-01T09:00:00.000Z', level: 'ERROR', message: 'Fuera de rango' }
+  ]);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('logQuery', () => {
+  test('lee segmentos .gz y activos en orden y solo dentro del rango', async () => {
+    const { entries, total } = await logQuery.search(filters({}), { offset: 0, limit: 10 });
+
+    expect(total).toBe(4);
+    expect(entries.map(entry => entry.timestamp)).toEqual([
+      '2026-01-01T10:00:00.000Z',
+      '2026-01-01T11:00:00.000Z',
+      '2026-01-01T12:00:00.000Z',
+      '2026-01-02T09:00:00.000Z'
+    ]);
+  });
+
+  test('mientras se comprime un segmento lee el .log completo', async () => {
+    // .gz a medio escribir junto al segmento original
+    const gz = path.join(dir, '2026-01-01.1.log.gz');
+    writeDay('2026-01-01.1.log', [
+      { timestamp: '2026-01-01T10:00:00.000Z', level: 'INFO', message: 'Server started' }
+    ]);
+    fs.writeFileSync(gz, fs.readFileSync(gz).subarray(0, 10));
+
+    const { total } = await logQuery.search(filters({}), { offset: 0, limit: 10 });
+    expect(total).toBe(4);
+  });
+
+  test('un .gz dañado hace fallar la búsqueda con un error manejable', async () => {
+    const gz = path.join(dir, '2026-01-01.1.log.gz');
+    fs.writeFileSync(gz, fs.readFileSync(gz).subarray(0, 10));
+
+    await expect(logQuery.search(filters({}), { offset: 0, limit: 10 })).rejects.toThrow('unexpected end of file');
+  });
+
+  test('pagina sin perder el total', async () => {
+    const { entries, total } = await logQuery.search(filters({}), { offset: 1, limit: 2 });
+
+    expect(total).toBe(4);
+    expect(entries.map(entry => entry.requestId)).toEqual(['req-1', 'req-2']);
+  });
+
+  test('filtra por nivel, requestId y evento', async () => {
+    const search = async query => (await logQuery.search(filters(query), { offset: 0, limit: 10 })).entries;
+
+    expect((await search({ level: 'security,error' })).map(entry => entry.level)).toEqual(['SECURITY', 'ERROR']);
+    expect((await search({ requestId: 'req-2' })).map(entry => entry.message)).toEqual(['User activity']);
+    expect((await search({ event: 'LOGIN' })).map(entry => entry.requestId)).toEqual(['req-2']);
+    expect((await search({ event: 'login failed' })).map(entry => entry.requestId)).toEqual(['req-1']);
+  });
+
+  test('encuentra una dirección completa o truncada por el redactor', async () => {
+    const { entries } = await logQuery.search(filters({ address: ADDRESS.toUpperCase().replace('0X', '0x') }), { offset: 0, limit: 10 });
+
+    expect(entries.map(entry => entry.requestId)).toEqual(['req-1', 'req-2']);
+  });
+
+  test('exporta NDJSON con una entrada por línea', async () => {
+    const { count, text } = await exportText({ level: 'INFO' }, 'ndjson');
+    const lines = text.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(count).toBe(2);
+    expect(lines.map(line => line.message)).toEqual(['Server started', 'User activity']);
+  });
+
+  test('exporta CSV escapando comas, comillas y fórmulas', async () => {
+    const { count, text } = await exportText({ requestId: 'req-3' }, 'csv');
+    const [header, row] = text.trim().split('\n');
+
+    expect(count).toBe(1);
+    expect(header).toBe('timestamp,level,message,requestId,event,address,data');
+    expect(row).toBe(`2026-01-02T09:00:00.000Z,ERROR,'=cmd|calc,req-3,,,"{""detail"":""a,\\""b\\""""}"`);
+  });
+
+  test('el CSV usa action y userAddress cuando no hay event ni address', () => {
+    const row = logQuery.toCsvRow({ timestamp: 't', level: 'INFO', message: 'm', action: 'login', userAddress: ADDRESS });
+
+    expect(row).toBe(`t,INFO,m,,login,${ADDRESS},`);
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Escritura de archivos de log: buffer asíncrono, rotación y retención
+ *
+ * - Las líneas se acumulan en memoria y se escriben con appendFile cada
+ *   `flushIntervalMs` (o antes si el buffer crece), así el logging no
+ *   bloquea el event loop en cada petición
+ * - Cuando un archivo supera `maxSizeMb` se renombra a <nombre>.<n>.log y se
+ *   comprime a .gz en segundo plano (n crece: el mayor es el más reciente).
+ *   El .gz se escribe en un temporal y solo aparece completo; hasta entonces
+ *   los lectores usan el .log
+ * - cleanup() borra los archivos más antiguos que la retención configurada:
+ *   `retentionDays` para los diarios y `securityRetentionDays` para los
+ *   segmentos rotados de security.log (el activo nunca se borra)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+
+// Bytes en buffer a partir de los que se escribe sin esperar al intervalo
+const FLUSH_THRESHOLD_BYTES = 64 * 1024;
+
+// <base>.log, <base>.<n>.log (recién rotado) o <base>.<n>.log.gz
+const SEGMENT = /^(.+?)(?:\.(\d+))?\.log(\.gz)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class LogWriter {
+  constructor() {
+    const files = config.logging?.files || {};
+
+    this.logDir = path.join(__dirname, '../logs');
+    this.maxSizeBytes = (files.maxSizeMb ?? 10) * 1024 * 1024;
+    this.flushIntervalMs = files.flushIntervalMs ?? 1000;
+    this.retentionDays = files.retentionDays ?? 30;
+    this.securityRetentionDays = files.securityRetentionDays ?? 365;
+
+    // ruta -> líneas pendientes
+    this.buffers = new Map();
+    this.bufferedBytes = 0;
+
+    // ruta -> tamaño actual en disco (para decidir la rotación)
+    this.sizes = new Map();
+
+    // Las escrituras se encadenan para conservar el orden
+    this.pending = Promise.resolve();
+    this.compressions = new Set();
+    this.timer = null;
+
+    // Último recurso si el proceso termina sin pasar por flush()
+    process.on('exit', () => this.flushSync());
+  }
+
+  /**
+   * Añadir una línea (sin salto final) al archivo indicado
+   * @param {string} fileName - Nombre dentro de logs/ (p. ej. '2025-01-31.log')
+   * @param {string} line - Línea ya formateada
+   */
+  write(fileName, line) {
+    const filePath = path.join(this.logDir, fileName);
+    const chunk = line + '\n';
+
+    if (!this.buffers.has(filePath)) this.buffers.set(filePath, []);
+    this.buffers.get(filePath).push(chunk);
+    this.bufferedBytes += Buffer.byteLength(chunk);
+
+    if (this.bufferedBytes >= FLUSH_THRESHOLD_BYTES) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Escribir todo lo pendiente
+   * @param {Object} options - { waitForCompression: esperar también los .gz en curso }
+   * @returns {Promise} Se resuelve cuando los datos están en disco
+   */
+  flush({ waitForCompression = false } = {}) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const buffers = this.buffers;
+    this.buffers = new Map();
+    this.bufferedBytes = 0;
+
+    this.pending = this.pending.then(async () => {
+      for (const [filePath, chunks] of buffers) {
+        await this.append(filePath, chunks.join(''));
+      }
+    });
+
+    if (!waitForCompression) return this.pending;
+    return this.pending.then(() => Promise.allSettled(Array.from(this.compressions)));
+  }
+
+  async append(filePath, data) {
+    try {
+      if (!this.sizes.has(filePath)) {
+        this.sizes.set(filePath, await this.fileSize(filePath));
+      }
+
+      const size = this.sizes.get(filePath);
+      if (this.maxSizeBytes > 0 && size > 0 && size + Buffer.byteLength(data) > this.maxSizeBytes) {
+        await this.rotate(filePath);
+      }
+
+      await fs.promises.appendFile(filePath, data);
+      this.sizes.set(filePath, this.sizes.get(filePath) + Buffer.byteLength(data));
+    } catch (error) {
+      // No se puede usar el logger aquí; se descartan las líneas para no crecer sin límite
+      console.error(`Error escribiendo log ${path.basename(filePath)}:`, error.message);
+      this.sizes.delete(filePath);
+    }
+  }
+
+  async fileSize(filePath) {
+    try {
+      return (await fs.promises.stat(filePath)).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Renombrar el archivo activo al siguiente segmento y comprimirlo
+   */
+  async rotate(filePath) {
+    const base = path.basename(filePath, '.log');
+    const segment = this.nextSegment(base);
+    const rotatedPath = path.join(this.logDir, `${base}.${segment}.log`);
+
+    await fs.promises.rename(filePath, rotatedPath);
+    this.sizes.set(filePath, 0);
+
+    const compression = this.compress(rotatedPath).finally(() => this.compressions.delete(compression));
+    this.compressions.add(compression);
+  }
+
+  async compress(filePath) {
+    const tmpPath = `${filePath}.gz.tmp`;
+
+    try {
+      await pipeline(
+        fs.createReadStream(filePath),
+        zlib.createGzip(),
+        fs.createWriteStream(tmpPath)
+      );
+      await fs.promises.rename(tmpPath, `${filePath}.gz`);
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      // El segmento queda sin comprimir; se sigue pudiendo leer
+      console.error(`Error comprimiendo log ${path.basename(filePath)}:`, error.message);
+      await fs.promises.rm(tmpPath, { force: true });
+    }
+  }
+
+  nextSegment(base) {
+    const used = this.listSegments(base).map(segment => segment.index);
+    return used.length > 0 ? Math.max(...used) + 1 : 1;
+  }
+
+  /**
+   * Segmentos rotados de un archivo, del más antiguo al más reciente
+   * @param {string} base - Nombre sin extensión ('security', '2025-01-31')
+   * @returns {Array<{ path, index, compressed }>}
+   */
+  listSegments(base) {
+    let files = [];
+    try {
+      files = fs.readdirSync(this.logDir);
+    } catch {
+      return [];
+    }
+
+    return files
+      .map(file => ({ file, match: SEGMENT.exec(file) }))
+      .filter(({ match }) => match && match[1] === base && match[2])
+      .map(({ file, match }) => ({
+        path: path.join(this.logDir, file),
+        index: parseInt(match[2], 10),
+        compressed: !!match[3]
+      }))
+      // Si conviven .log y .log.gz del mismo segmento, el .gz ya está completo
+      // pero el .log es el original: se lee ese
+      .filter((segment, _, all) => !segment.compressed || !all.some(other => other.index === segment.index && !other.compressed))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Rutas de un log en orden cronológico: segmentos rotados y el activo
+   */
+  listFiles(base) {
+    const active = path.join(this.logDir, `${base}.log`);
+    const files = this.listSegments(base).map(segment => segment.path);
+    return fs.existsSync(active) ? [...files, active] : files;
+  }
+
+  /**
+   * Abrir un archivo de log de listFiles()
+   * Un segmento .log que ya no existe terminó de comprimirse: se abre su .gz.
+   * @returns {Object} { fd, compressed }
+   */
+  open(filePath) {
+    try {
+      return { fd: fs.openSync(filePath, 'r'), compressed: filePath.endsWith('.gz') };
+    } catch (error) {
+      if (error.code !== 'ENOENT' || filePath.endsWith('.gz')) throw error;
+      return { fd: fs.openSync(`${filePath}.gz`, 'r'), compressed: true };
+    }
+  }
+
+  /**
+   * Stream de lectura de un archivo de log, descomprimiendo si es .gz
+   * Con pipeline los errores de lectura también llegan al stream devuelto.
+   */
+  createReadStream(filePath) {
+    const { fd, compressed } = this.open(filePath);
+    const input = fs.createReadStream(null, { fd });
+    return compressed ? stream.pipeline(input, zlib.createGunzip(), () => {}) : input;
+  }
+
+  /**
+   * Contenido completo de un archivo de log (síncrono, para verificaciones)
+   */
+  readFileSync(filePath) {
+    const { fd, compressed } = this.open(filePath);
+
+    let data;
+    try {
+      data = fs.readFileSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    return (compressed ? zlib.gunzipSync(data) : data).toString('utf8');
+  }
+
+  /**
+   * Borrar los archivos más antiguos que su retención (0 = conservar siempre)
+   * @returns {Array<string>} Archivos borrados
+   */
+  cleanup(now = Date.now()) {
+    const removed = [];
+    let files = [];
+    try {
+      files = fs.readdirSync(this.logDir);
+    } catch {
+      return removed;
+    }
+
+    files.forEach(file => {
+      const match = SEGMENT.exec(file);
+      if (!match) return;
+
+      const isSecurity = match[1] === 'security';
+      // security.log activo: contiene el final de la cadena de auditoría
+      if (isSecurity && !match[2]) return;
+
+      const days = isSecurity ? this.securityRetentionDays : this.retentionDays;
+      if (!days) return;
+
+      const filePath = path.join(this.logDir, file);
+      try {
+        if (fs.statSync(filePath).mtimeMs < now - days * DAY_MS) {
+          fs.unlinkSync(filePath);
+          this.sizes.delete(filePath);
+          removed.push(file);
+        }
+      } catch {
+        // Borrado por otro proceso entre readdir y stat
+      }
+    });
+
+    return removed;
+  }
+
+  /**
+   * Escritura síncrona de lo pendiente (evento 'exit', sin rotación)
+   */
+  flushSync() {
+    clearTimeout(this.timer);
+    this.buffers.forEach((chunks, filePath) => {
+      try {
+        fs.appendFileSync(filePath, chunks.join(''));
+      } catch {
+        // Nada más que hacer al salir
+      }
+    });
+    this.buffers.clear();
+    this.bufferedBytes = 0;
+  }
+}
+
+// Crear instancia singleton
+const logWriter = new LogWriter();
+
+module.exports = logWriter;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const logWriter = require('./logWriter');
+
+const LogWriter = logWriter.constructor;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dir;
+let writer;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-writer-'));
+  writer = new LogWriter();
+  writer.logDir = dir;
+  writer.maxSizeBytes = 100;
+  writer.retentionDays = 30;
+  writer.securityRetentionDays = 365;
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function touch(fileName, ageDays, content = 'x\n') {
+  const filePath = path.join(dir, fileName);
+  fs.writeFileSync(filePath, content);
+  const time = new Date(Date.now() - ageDays * DAY_MS);
+  fs.utimesSync(filePath, time, time);
+}
+
+describe('LogWriter', () => {
+  test('acumula las líneas y solo escribe al hacer flush', async () => {
+    writer.write('2026-01-01.log', 'first');
+    writer.write('2026-01-01.log', 'second');
+
+    expect(fs.existsSync(path.join(dir, '2026-01-01.log'))).toBe(false);
+
+    await writer.flush();
+    expect(fs.readFileSync(path.join(dir, '2026-01-01.log'), 'utf8')).toBe('first\nsecond\n');
+    expect(writer.bufferedBytes).toBe(0);
+  });
+
+  test('rota al superar el tamaño máximo y comprime el segmento', async () => {
+    const line = 'x'.repeat(60);
+    for (let i = 0; i < 3; i++) {
+      writer.write('2026-01-01.log', `${line}-${i}`);
+      await writer.flush({ waitForCompression: true });
+    }
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['2026-01-01.1.log.gz', '2026-01-01.2.log.gz', '2026-01-01.log']);
+    expect(zlib.gunzipSync(fs.readFileSync(path.join(dir, '2026-01-01.1.log.gz'))).toString()).toBe(`${line}-0\n`);
+
+    const contents = writer.listFiles('2026-01-01').map(file => writer.readFileSync(file));
+    expect(contents).toEqual([`${line}-0\n`, `${line}-1\n`, `${line}-2\n`]);
+  });
+
+  test('si el segmento terminó de comprimirse tras listarlo lee el .gz', () => {
+    touch('app.1.log', 0, 'original\n');
+    const [segment] = writer.listFiles('app');
+    expect(segment).toBe(path.join(dir, 'app.1.log'));
+
+    fs.writeFileSync(`${segment}.gz`, zlib.gzipSync('original\n'));
+    fs.unlinkSync(segment);
+
+    expect(writer.readFileSync(segment)).toBe('original\n');
+  });
+
+  test('los errores al leer un .gz llegan al stream descomprimido', async () => {
+    // Un directorio se abre pero falla al leerlo (EISDIR)
+    const segment = path.join(dir, 'app.1.log.gz');
+    fs.mkdirSync(segment);
+
+    const read = async () => {
+      for await (const chunk of writer.createReadStream(segment)) chunk;
+    };
+    await expect(read()).rejects.toThrow('EISDIR');
+  });
+
+  test('con maxSizeBytes 0 no rota nunca', async () => {
+    writer.maxSizeBytes = 0;
+    for (let i = 0; i < 5; i++) writer.write('app.log', 'y'.repeat(80));
+    await writer.flush({ waitForCompression: true });
+
+    expect(fs.readdirSync(dir)).toEqual(['app.log']);
+  });
+
+  test('la limpieza aplica la retención de cada tipo y conserva security.log activo', () => {
+    touch('2025-01-01.log', 40);
+    touch('2025-01-01.1.log.gz', 40);
+    touch('2026-01-01.log', 5);
+    touch('security.1.log.gz', 400);
+    touch('security.2.log.gz', 100);
+    touch('security.log', 500);
+    touch('notes.txt', 500);
+
+    const removed = writer.cleanup();
+
+    expect(removed.sort()).toEqual(['2025-01-01.1.log.gz', '2025-01-01.log', 'security.1.log.gz']);
+    expect(fs.readdirSync(dir).sort()).toEqual(['2026-01-01.log', 'notes.txt', 'security.2.log.gz', 'security.log']);
+  });
+
+  test('una retención de 0 días conserva los archivos', () => {
+    writer.retentionDays = 0;
+    touch('2020-01-01.log', 2000);
+
+    expect(writer.cleanup()).toEqual([]);
+  });
+
+  test('flushSync escribe lo pendiente sin esperar', () => {
+    writer.write('2026-01-01.log', 'al salir');
+    writer.flushSync();
+
+    expect(fs.readFileSync(path.join(dir, '2026-01-01.log'), 'utf8')).toBe('al salir\n');
+  });
+});
@@ -11,6 +11,11 @@
 
 const fs = require('fs');
 const path = require('path');
+const config = require('../config');
+const requestContext = require('./requestContext');
+const redactor = require('./redactor');
+const auditLog = require('./auditLog');
+const logWriter = require('./logWriter');
 
 class Logger {
   constructor() {
@@ -23,9 +28,10 @@ class Logger {
       SECURITY: 4
     };
     
-    this.currentLevel = this.levels[process.env.LOG_LEVEL?.toUpperCase()] || this.levels.INFO;
-    this.enableConsole = process.env.NODE_ENV !== 'production';
-    this.enableFile = true;
+    this.currentLevel = this.levels[config.logging?.level?.toUpperCase()] ?? this.levels.INFO;
+    // Bajo jest (NODE_ENV=test) no se escribe en consola ni en logs/
+    this.enableConsole = !['production', 'test'].includes(config.server.env);
+    this.enableFile = config.server.env !== 'test';
     
     this.ensureLogDirectory();
   }
@@ -41,6 +47,8 @@ class Logger {
 
   /**
    * Formatear mensaje de log
+   * Los metadatos pasan por el redactor (config.logging.redaction) para que
+   * hashes de contraseña, pruebas, emails y tokens no lleguen a disco.
    */
   formatMessage(level, message, metadata = {}) {
     const timestamp = new Date().toISOString();
@@ -49,7 +57,7 @@ class Logger {
       level,
       message,
       pid: process.pid,
-      ...metadata
+      ...redactor.redact(metadata)
     };
 
     return JSON.stringify(logEntry);
@@ -57,20 +65,19 @@ class Logger {
 
   /**
    * Escribir log a archivo
+   * La escritura es asíncrona y en bloque (ver logWriter); flush() la fuerza.
    */
   writeToFile(level, message, metadata = {}) {
     if (!this.enableFile) return;
 
     const formattedMessage = this.formatMessage(level, message, metadata);
     const fileName = `${new Date().toISOString().split('T')[0]}.log`;
-    const filePath = path.join(this.logDir, fileName);
 
-    fs.appendFileSync(filePath, formattedMessage + '\n');
+    logWriter.write(fileName, formattedMessage);
 
-    // Log de seguridad en archivo separado
+    // Log de seguridad en archivo separado, encadenado por hashes (ver auditLog)
     if (level === 'SECURITY') {
-      const securityFile = path.join(this.logDir, 'security.log');
-      fs.appendFileSync(securityFile, formattedMessage + '\n');
+      auditLog.append(formattedMessage);
     }
   }
 
@@ -92,7 +99,7 @@ class Logger {
 
     const color = colors[level] || '';
     const metaString = Object.keys(metadata).length > 0 ? 
-      ` ${JSON.stringify(metadata)}` : '';
+      ` ${JSON.stringify(redactor.redact(metadata))}` : '';
 
     console.log(
       `${color}[${timestamp}] ${level}:${reset} ${message}${metaString}`
@@ -103,7 +110,14 @@ class Logger {
    * Log genérico
    */
   log(level, message, metadata = {}) {
-    if (this.levels[level] > this.currentLevel) return;
+    // Los eventos de seguridad se registran siempre, sea cual sea LOG_LEVEL
+    if (level !== 'SECURITY' && this.levels[level] > this.currentLevel) return;
+
+    // Id de la petición en curso (X-Request-Id) para correlacionar las líneas
+    const requestId = requestContext.getRequestId();
+    if (requestId && metadata.requestId === undefined) {
+      metadata = { requestId, ...metadata };
+    }
 
     this.logToConsole(level, message, metadata);
     this.writeToFile(level, message, metadata);
@@ -240,24 +254,23 @@ class Logger {
   }
 
   /**
-   * Limpiar logs antiguos
+   * Vaciar la salida pendiente antes de terminar el proceso
+   * Escribe el buffer de archivos (y espera las compresiones en curso); la
+   * consola puede ir con retraso cuando stdout es un pipe (p. ej. bajo un
+   * gestor de procesos).
    */
-  cleanupOldLogs(daysToKeep = 30) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-
-    fs.readdir(this.logDir, (err, files) => {
-      if (err) return;
+  async flush() {
+    await logWriter.flush({ waitForCompression: true });
+    await new Promise(resolve => process.stdout.write('', resolve));
+  }
 
-      files.forEach(file => {
-        const filePath = path.join(this.logDir, file);
-        const stats = fs.statSync(filePath);
-        
-        if (stats.mtime < cutoffDate) {
-          fs.unlinkSync(filePath);
-          this.info('Log file cleaned up', { file });
-        }
-      });
+  /**
+   * Limpiar logs antiguos según la retención configurada
+   * (config.logging.files: retentionDays y securityRetentionDays)
+   */
+  cleanupOldLogs() {
+    logWriter.cleanup().forEach(file => {
+      this.info('Log file cleaned up', { file });
     });
   }
 
@@ -300,11 +313,10 @@ class Logger {
 // Crear instancia singleton
 const logger = new Logger();
 
-// Limpiar logs antiguos al iniciar (solo en producción)
-if (process.env.NODE_ENV === 'production') {
-  setInterval(() => {
-    logger.cleanupOldLogs(30); // Mantener logs por 30 días
-  }, 24 * 60 * 60 * 1000); // Ejecutar cada 24 horas
+// Limpiar logs antiguos al iniciar y cada 24 horas
+if (logger.enableFile) {
+  setImmediate(() => logger.cleanupOldLogs());
+  setInterval(() => logger.cleanupOldLogs(), 24 * 60 * 60 * 1000).unref();
 }
 
 module.exports = logger;
\ No newline at end of file
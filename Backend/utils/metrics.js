@@ -0,0 +1,227 @@
+/**
+ * Métricas en formato Prometheus para el backend ZK Login
+ *
+ * Registro mínimo en memoria (sin dependencias) con:
+ * - counter: contadores monotónicos
+ * - gauge: valores instantáneos (calculados al exportar)
+ * - histogram: distribuciones con buckets acumulativos
+ *
+ * Se expone en GET /metrics con el formato de texto 0.0.4 de Prometheus.
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const PROOF_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+class Metrics {
+  constructor() {
+    this.prefix = 'zklogin_';
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+    // nombre -> { type, help, labelNames, buckets?, values: Map, collect? }
+    this.metrics = new Map();
+
+    this.registerDefaultMetrics();
+  }
+
+  /**
+   * Métricas propias del servicio
+   */
+  registerDefaultMetrics() {
+    this.counter('http_requests_total', 'Peticiones HTTP por ruta, método y estado', ['method', 'route', 'status']);
+    this.histogram('http_request_duration_seconds', 'Latencia de peticiones HTTP por ruta', ['method', 'route']);
+
+    this.histogram('zk_proof_generation_duration_seconds', 'Duración de generación de pruebas ZK', ['type', 'outcome'], PROOF_BUCKETS);
+    this.counter('proof_verifications_total', 'Resultados de verificación de pruebas por etapa', ['stage', 'outcome']);
+
+    this.histogram('rpc_request_duration_seconds', 'Latencia de llamadas RPC a blockchain', ['method', 'chain']);
+    this.counter('rpc_errors_total', 'Errores en llamadas RPC a blockchain', ['method', 'chain']);
+
+    this.counter('threat_detections_total', 'Reglas de detección de amenazas disparadas (bloqueadas o solo reportadas)', ['rule', 'action']);
+
+    this.counter('mock_fallbacks_total', 'Veces que se usó una implementación mock', ['service', 'operation']);
+
+    this.gauge('process_uptime_seconds', 'Tiempo desde el arranque del proceso', [], () => process.uptime());
+    this.gauge('process_resident_memory_bytes', 'Memoria residente del proceso', [], () => process.memoryUsage().rss);
+  }
+
+  /**
+   * REGISTRO DE MÉTRICAS
+   */
+
+  counter(name, help, labelNames = []) {
+    this.metrics.set(name, { type: 'counter', help, labelNames, values: new Map() });
+  }
+
+  gauge(name, help, labelNames = [], collect = null) {
+    this.metrics.set(name, { type: 'gauge', help, labelNames, values: new Map(), collect });
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.metrics.set(name, { type: 'histogram', help, labelNames, buckets, values: new Map() });
+  }
+
+  /**
+   * ACTUALIZACIÓN
+   */
+
+  increment(name, labels = {}, value = 1) {
+    const metric = this.getMetric(name);
+    const key = this.labelKey(metric, labels);
+    metric.values.set(key, (metric.values.get(key) || 0) + value);
+  }
+
+  set(name, labels = {}, value) {
+    const metric = this.getMetric(name);
+    metric.values.set(this.labelKey(metric, labels), value);
+  }
+
+  observe(name, labels = {}, value) {
+    const metric = this.getMetric(name);
+    const key = this.labelKey(metric, labels);
+
+    let entry = metric.values.get(key);
+    if (!entry) {
+      entry = { counts: new Array(metric.buckets.length).fill(0), sum: 0, count: 0 };
+      metric.values.set(key, entry);
+    }
+
+    metric.buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Iniciar un temporizador para un histograma
+   * @returns {Function} end(extraLabels) que registra la duración en segundos
+   */
+  startTimer(name, labels = {}) {
+    const start = process.hrtime.bigint();
+
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(name, { ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * HELPERS DE DOMINIO
+   */
+
+  /**
+   * Registrar resultado de una verificación (local, onchain, privado)
+   * Devuelve el mismo resultado para poder usarse en un return
+   */
+  recordVerification(stage, result) {
+    let outcome = 'error';
+    if (result && result.success) {
+      outcome = result.isValid ? 'valid' : 'invalid';
+    }
+
+    this.increment('proof_verifications_total', { stage, outcome });
+    return result;
+  }
+
+  recordMockFallback(service, operation) {
+    this.increment('mock_fallbacks_total', { service, operation });
+  }
+
+  /**
+   * Middleware de Express: cuenta peticiones y latencia por ruta
+   * Usa el patrón de la ruta (/admin/users/:address) y no la URL, para
+   * no crear una serie por cada dirección o parámetro distinto.
+   */
+  requestMiddleware() {
+    return (req, res, next) => {
+      const endTimer = this.startTimer('http_request_duration_seconds');
+
+      res.on('finish', () => {
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        const labels = { method: req.method, route };
+
+        endTimer(labels);
+        this.increment('http_requests_total', { ...labels, status: res.statusCode });
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * EXPORTACIÓN
+   */
+
+  /**
+   * Renderizar todas las métricas en formato de texto Prometheus
+   */
+  render() {
+    const lines = [];
+
+    this.metrics.forEach((metric, name) => {
+      const fullName = this.prefix + name;
+
+      if (metric.collect) {
+        metric.values.set('', metric.collect());
+      }
+
+      lines.push(`# HELP ${fullName} ${metric.help}`);
+      lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+      metric.values.forEach((value, key) => {
+        if (metric.type !== 'histogram') {
+          lines.push(`${fullName}${this.formatLabels(key)} ${value}`);
+          return;
+        }
+
+        metric.buckets.forEach((bound, index) => {
+          lines.push(`${fullName}_bucket${this.formatLabels(key, `le="${bound}"`)} ${value.counts[index]}`);
+        });
+        lines.push(`${fullName}_bucket${this.formatLabels(key, 'le="+Inf"')} ${value.count}`);
+        lines.push(`${fullName}_sum${this.formatLabels(key)} ${value.sum}`);
+        lines.push(`${fullName}_count${this.formatLabels(key)} ${value.count}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * FUNCIONES DE UTILIDAD
+   */
+
+  getMetric(name) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Métrica no registrada: ${name}`);
+    }
+    return metric;
+  }
+
+  /**
+   * Clave serializada de etiquetas (ya con formato name="value")
+   */
+  labelKey(metric, labels) {
+    return metric.labelNames
+      .map(labelName => `${labelName}="${this.escapeLabelValue(labels[labelName] ?? '')}"`)
+      .join(',');
+  }
+
+  formatLabels(key, extra = '') {
+    const parts = [key, extra].filter(Boolean).join(',');
+    return parts ? `{${parts}}` : '';
+  }
+
+  escapeLabelValue(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"');
+  }
+}
+
+// Crear instancia singleton
+const metrics = new Metrics();
+
+module.exports = metrics;
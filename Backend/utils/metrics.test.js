@@ -0,0 +1,74 @@
+const express = require('express');
+const request = require('supertest');
+const metrics = require('./metrics');
+
+const Metrics = metrics.constructor;
+
+describe('Metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Metrics();
+  });
+
+  test('exporta contadores con etiquetas en formato Prometheus', () => {
+    registry.increment('rpc_errors_total', { method: 'verifyProof', chain: 'amoy' });
+    registry.increment('rpc_errors_total', { method: 'verifyProof', chain: 'amoy' });
+
+    const text = registry.render();
+    expect(text).toContain('# TYPE zklogin_rpc_errors_total counter');
+    expect(text).toContain('zklogin_rpc_errors_total{method="verifyProof",chain="amoy"} 2');
+  });
+
+  test('los histogramas acumulan buckets, suma y cuenta', () => {
+    registry.observe('rpc_request_duration_seconds', { method: 'call', chain: 'amoy' }, 0.02);
+    registry.observe('rpc_request_duration_seconds', { method: 'call', chain: 'amoy' }, 3);
+
+    const text = registry.render();
+    const labels = 'method="call",chain="amoy"';
+    expect(text).toContain(`zklogin_rpc_request_duration_seconds_bucket{${labels},le="0.01"} 0`);
+    expect(text).toContain(`zklogin_rpc_request_duration_seconds_bucket{${labels},le="0.025"} 1`);
+    expect(text).toContain(`zklogin_rpc_request_duration_seconds_bucket{${labels},le="5"} 2`);
+    expect(text).toContain(`zklogin_rpc_request_duration_seconds_bucket{${labels},le="+Inf"} 2`);
+    expect(text).toContain(`zklogin_rpc_request_duration_seconds_sum{${labels}} 3.02`);
+    expect(text).toContain(`zklogin_rpc_request_duration_seconds_count{${labels}} 2`);
+  });
+
+  test('recordVerification cuenta válidas, inválidas y errores y devuelve el resultado', () => {
+    const valid = { success: true, isValid: true };
+
+    expect(registry.recordVerification('local', valid)).toBe(valid);
+    registry.recordVerification('local', { success: true, isValid: false });
+    registry.recordVerification('onchain', { success: false });
+
+    const text = registry.render();
+    expect(text).toContain('zklogin_proof_verifications_total{stage="local",outcome="valid"} 1');
+    expect(text).toContain('zklogin_proof_verifications_total{stage="local",outcome="invalid"} 1');
+    expect(text).toContain('zklogin_proof_verifications_total{stage="onchain",outcome="error"} 1');
+  });
+
+  test('escapa comillas, barras y saltos de línea en las etiquetas', () => {
+    registry.increment('mock_fallbacks_total', { service: 'a"b\\c\nd', operation: 'x' });
+
+    expect(registry.render()).toContain('zklogin_mock_fallbacks_total{service="a\\"b\\\\c\\nd",operation="x"} 1');
+  });
+
+  test('rechaza métricas no registradas', () => {
+    expect(() => registry.increment('unknown_total')).toThrow('Métrica no registrada: unknown_total');
+  });
+
+  test('el middleware agrupa por patrón de ruta y no por URL', async () => {
+    const app = express();
+    app.use(registry.requestMiddleware());
+    app.get('/users/:address', (req, res) => res.json({ ok: true }));
+
+    await request(app).get('/users/0x1');
+    await request(app).get('/users/0x2');
+    await request(app).get('/missing');
+
+    const text = registry.render();
+    expect(text).toContain('zklogin_http_requests_total{method="GET",route="/users/:address",status="200"} 2');
+    expect(text).toContain('zklogin_http_requests_total{method="GET",route="unmatched",status="404"} 1');
+    expect(text).not.toContain('0x1');
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Redacción de datos sensibles antes de escribir logs
+ *
+ * Recorre los metadatos de cada entrada y aplica las reglas de
+ * config.logging.redaction a los campos cuyo nombre coincide (sin distinguir
+ * mayúsculas, a cualquier profundidad):
+ * - mask: sustituye el valor completo (hashes de contraseña, pruebas, tokens)
+ * - email: conserva la primera letra y el dominio (j***@ejemplo.com)
+ * - truncate: acorta direcciones a 0x1234…abcd
+ * - query: en una URL, enmascara los parámetros que son secretos (?token=)
+ */
+
+const config = require('../config');
+
+const MASK = '[REDACTED]';
+const MAX_DEPTH = 10;
+
+const ACTIONS = {
+  mask: () => MASK,
+
+  email: (value) => {
+    if (typeof value !== 'string') return MASK;
+    const at = value.lastIndexOf('@');
+    return at > 0 ? `${value[0]}***${value.slice(at)}` : MASK;
+  },
+
+  truncate: (value) => {
+    if (typeof value !== 'string' || !/^0x[0-9a-f]{9,}$/i.test(value)) return value;
+    return `${value.slice(0, 6)}…${value.slice(-4)}`;
+  },
+
+  query: (value, redactor) => {
+    const start = typeof value === 'string' ? value.indexOf('?') : -1;
+    if (start === -1) return value;
+
+    const params = new URLSearchParams(value.slice(start + 1));
+    const secrets = [...new Set(params.keys())].filter(name => redactor.isSecret(name));
+    if (secrets.length === 0) return value;
+
+    secrets.forEach(name => params.set(name, MASK));
+    return `${value.slice(0, start)}?${params}`;
+  }
+};
+
+class Redactor {
+  /**
+   * @param {Object} options - { enabled, rules: [{ fields, action }] }
+   */
+  constructor({ enabled = true, rules = [] } = {}) {
+    this.enabled = enabled;
+
+    // nombre de campo en minúsculas -> acción
+    this.fieldActions = new Map();
+    rules.forEach(rule => {
+      rule.fields.forEach(field => this.fieldActions.set(field.toLowerCase(), rule.action));
+    });
+  }
+
+  /**
+   * Copia redactada de un valor (el original no se modifica)
+   * @param {*} value - Metadatos del log
+   * @returns {*}
+   */
+  redact(value) {
+    if (!this.enabled || this.fieldActions.size === 0) return value;
+    return this.walk(value, 0, new WeakSet());
+  }
+
+  /**
+   * Si un campo es un secreto (regla 'mask'), aunque la redacción de logs
+   * esté desactivada. Lo usa la acción 'query' con los parámetros de una URL.
+   */
+  isSecret(field) {
+    return this.fieldActions.get(String(field).toLowerCase()) === 'mask';
+  }
+
+  /**
+   * Valor tal como quedaría en el log para un campo concreto
+   * Sirve para buscar en los logs (p. ej. una dirección ya truncada).
+   */
+  redactField(field, value) {
+    const action = this.enabled && this.fieldActions.get(field.toLowerCase());
+    return action ? ACTIONS[action](value, this) : value;
+  }
+
+  walk(value, depth, seen) {
+    if (value === null || typeof value !== 'object') return value;
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Truncated]';
+
+    if (Array.isArray(value)) {
+      seen.add(value);
+      const result = value.map(item => this.walk(item, depth + 1, seen));
+      seen.delete(value);
+      return result;
+    }
+
+    // Date, Buffer, BigNumber... se dejan tal cual para JSON.stringify
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) return value;
+
+    seen.add(value);
+    const result = {};
+    Object.entries(value).forEach(([key, field]) => {
+      const action = this.fieldActions.get(key.toLowerCase());
+      result[key] = action && field !== null && field !== undefined
+        ? ACTIONS[action](field, this)
+        : this.walk(field, depth + 1, seen);
+    });
+    seen.delete(value);
+
+    return result;
+  }
+}
+
+// Crear instancia singleton
+const redactor = new Redactor(config.logging?.redaction);
+
+module.exports = redactor;
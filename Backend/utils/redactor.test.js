@@ -0,0 +1,71 @@
+const redactor = require('./redactor');
+const logger = require('./logger');
+
+const Redactor = redactor.constructor;
+
+describe('redactor', () => {
+  test('enmascara secretos, emails y direcciones a cualquier profundidad', () => {
+    const result = redactor.redact({
+      user: { email: 'juan@example.com', address: '0x1234567890abcdef1234567890abcdef12345678' },
+      session: { accessToken: 'abc' }
+    });
+
+    expect(result).toEqual({
+      user: { email: 'j***@example.com', address: '0x1234…5678' },
+      session: { accessToken: '[REDACTED]' }
+    });
+  });
+
+  test('oculta los parámetros secretos de las URLs y deja el resto', () => {
+    const { url } = redactor.redact({ url: '/progress/abc/stream?token=secret-value&lang=es' });
+
+    expect(url).not.toContain('secret-value');
+    expect(url).toBe('/progress/abc/stream?token=%5BREDACTED%5D&lang=es');
+    expect(redactor.redact({ url: '/health' }).url).toBe('/health');
+  });
+
+  test('no modifica el objeto original y respeta nombres sin distinguir mayúsculas', () => {
+    const metadata = { PasswordHash: 'abc', headers: { Authorization: 'Bearer x', 'X-Progress-Token': 't' } };
+    const result = redactor.redact(metadata);
+
+    expect(result).toEqual({ PasswordHash: '[REDACTED]', headers: { Authorization: '[REDACTED]', 'X-Progress-Token': '[REDACTED]' } });
+    expect(metadata.PasswordHash).toBe('abc');
+  });
+
+  test('recorre arrays y corta referencias circulares y anidamientos profundos', () => {
+    const circular = { name: 'loop' };
+    circular.self = circular;
+    let deep = { secret: 's' };
+    for (let i = 0; i < 12; i++) deep = { child: deep };
+
+    const result = redactor.redact({ users: [{ email: 'ana@example.com' }], circular, deep });
+
+    expect(result.users).toEqual([{ email: 'a***@example.com' }]);
+    expect(result.circular).toEqual({ name: 'loop', self: '[Circular]' });
+    expect(JSON.stringify(result.deep)).toContain('[Truncated]');
+    expect(JSON.stringify(result.deep)).not.toContain('"s"');
+  });
+
+  test('con la redacción desactivada deja los logs igual pero sigue reconociendo secretos', () => {
+    const disabled = new Redactor({ enabled: false, rules: [{ fields: ['token'], action: 'mask' }] });
+
+    expect(disabled.redact({ token: 'abc' })).toEqual({ token: 'abc' });
+    expect(disabled.isSecret('TOKEN')).toBe(true);
+    expect(disabled.isSecret('username')).toBe(false);
+  });
+
+  test('redactField devuelve el valor tal como aparece en el log', () => {
+    expect(redactor.redactField('address', '0x1234567890abcdef1234567890abcdef12345678')).toBe('0x1234…5678');
+    expect(redactor.redactField('username', 'alice')).toBe('alice');
+  });
+
+  test('el logger escribe los metadatos ya redactados', () => {
+    const line = JSON.parse(logger.formatMessage('SECURITY', 'Login', {
+      passwordHash: '123',
+      proof: { pi_a: ['1'] },
+      email: 'juan@example.com'
+    }));
+
+    expect(line).toMatchObject({ passwordHash: '[REDACTED]', proof: '[REDACTED]', email: 'j***@example.com' });
+  });
+});
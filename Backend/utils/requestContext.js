@@ -0,0 +1,61 @@
+/**
+ * Identificador de correlación por petición (X-Request-Id)
+ *
+ * Cada petición recibe un id (el que envía el cliente o proxy si es válido,
+ * o uno nuevo) que viaja en un AsyncLocalStorage. Así el logger lo añade a
+ * todas las líneas escritas durante la petición, también desde los
+ * servicios, sin pasarlo como parámetro. Se devuelve en la cabecera
+ * X-Request-Id y en los cuerpos de error para que soporte pueda buscarlo.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const HEADER = 'X-Request-Id';
+
+// Ids aceptados del cliente: cortos y sin caracteres que ensucien los logs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+class RequestContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.header = HEADER;
+  }
+
+  /**
+   * Id de la petición en curso (null fuera de una petición o job)
+   */
+  getRequestId() {
+    return this.storage.getStore()?.requestId || null;
+  }
+
+  /**
+   * Ejecutar una función con un contexto propio
+   * Los jobs en cola lo usan para conservar el id de la petición que los creó.
+   * @param {Object} context - { requestId }
+   * @param {Function} fn - Función a ejecutar
+   */
+  run(context, fn) {
+    return this.storage.run({ ...context }, fn);
+  }
+
+  /**
+   * Middleware de Express: req.id, cabecera de respuesta y contexto async
+   */
+  middleware() {
+    return (req, res, next) => {
+      const incoming = req.get(HEADER);
+      const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+
+      req.id = requestId;
+      res.set(HEADER, requestId);
+
+      this.storage.run({ requestId }, next);
+    };
+  }
+}
+
+// Crear instancia singleton
+const requestContext = new RequestContext();
+
+module.exports = requestContext;
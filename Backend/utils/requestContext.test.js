@@ -0,0 +1,87 @@
+const express = require('express');
+const request = require('supertest');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+const { sendError } = require('./errors');
+const JobService = require('../services/jobService');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function createApp(route) {
+  const app = express();
+  app.use(requestContext.middleware());
+  app.get('/test', route);
+  return app;
+}
+
+describe('requestContext', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('genera un id si el cliente no envía uno y lo devuelve en la cabecera', async () => {
+    const app = createApp((req, res) => res.json({ id: req.id, current: requestContext.getRequestId() }));
+
+    const response = await request(app).get('/test');
+    expect(response.headers['x-request-id']).toMatch(UUID);
+    expect(response.body).toEqual({ id: response.headers['x-request-id'], current: response.headers['x-request-id'] });
+  });
+
+  test('conserva un id válido del cliente y sustituye uno inválido', async () => {
+    const app = createApp((req, res) => res.json({ id: req.id }));
+
+    const valid = await request(app).get('/test').set('X-Request-Id', 'proxy-123:abc');
+    expect(valid.body.id).toBe('proxy-123:abc');
+
+    const invalid = await request(app).get('/test').set('X-Request-Id', 'bad id {"forged":true}');
+    expect(invalid.body.id).toMatch(UUID);
+
+    const tooLong = await request(app).get('/test').set('X-Request-Id', 'a'.repeat(129));
+    expect(tooLong.body.id).toMatch(UUID);
+  });
+
+  test('el logger añade el id también tras operaciones async', async () => {
+    const write = jest.spyOn(logger, 'writeToFile');
+    const app = createApp(async (req, res) => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      logger.info('Inside request', { step: 1 });
+      res.json({});
+    });
+
+    await request(app).get('/test').set('X-Request-Id', 'req-async-1');
+
+    expect(write).toHaveBeenCalledWith('INFO', 'Inside request', { requestId: 'req-async-1', step: 1 });
+    expect(requestContext.getRequestId()).toBeNull();
+  });
+
+  test('los errores incluyen el requestId en el cuerpo', async () => {
+    const app = createApp((req, res) => sendError(res, 'USER_NOT_FOUND'));
+
+    const response = await request(app).get('/test').set('X-Request-Id', 'req-error-1');
+    expect(response.body).toMatchObject({ success: false, code: 'USER_NOT_FOUND', requestId: 'req-error-1' });
+  });
+
+  test('un job conserva el id de la petición que lo creó', async () => {
+    const jobs = new JobService();
+    const write = jest.spyOn(logger, 'writeToFile');
+    let seen;
+
+    const job = requestContext.run({ requestId: 'req-job-1' }, () =>
+      jobs.enqueue('registration', ['only'], async (job, runStage) => runStage('only', async () => {
+        seen = requestContext.getRequestId();
+        logger.info('Inside job');
+      })).job
+    );
+
+    // Se ejecuta desde otro contexto, como cuando lo despierta otra petición
+    await requestContext.run({ requestId: 'req-other' }, async () => {
+      for (let i = 0; i < 100 && job.status !== 'completed'; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+    });
+
+    expect(job.requestId).toBe('req-job-1');
+    expect(seen).toBe('req-job-1');
+    expect(write).toHaveBeenCalledWith('INFO', 'Inside job', { requestId: 'req-job-1' });
+  });
+});
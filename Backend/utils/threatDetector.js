@@ -0,0 +1,170 @@
+/**
+ * Motor de reglas de detección de amenazas
+ *
+ * Sustituye al conjunto fijo de regex que se aplicaba sobre body, query y
+ * todas las cabeceras serializadas juntas. Cada regla de
+ * config.security.threatDetection indica:
+ * - targets: campos que inspecciona ('body', 'query', 'url', 'body.username',
+ *   'headers.user-agent'...). 'body' y 'query' incluyen todos sus valores.
+ * - severity y score: puntos que suma cada campo que coincide
+ * - threshold: puntos a partir de los que la regla se dispara
+ * - mode (opcional): 'block' o 'report' para esa regla
+ *
+ * En modo 'report' las reglas disparadas solo se registran (security.log y
+ * métricas), sin bloquear, para poder ajustarlas antes de activarlas.
+ * allowlist desactiva reglas en rutas concretas.
+ */
+
+const config = require('../config');
+
+// Puntos por defecto de cada severidad (si la regla no define score)
+const SEVERITY_SCORES = {
+  low: 1,
+  medium: 3,
+  high: 5,
+  critical: 10
+};
+
+const MAX_DEPTH = 10;
+
+/**
+ * Quitar 'g' e 'y': con ellas test() avanza lastIndex y la misma regla
+ * alternaría resultados entre peticiones (el esquema ya las rechaza)
+ */
+function stripStatefulFlags(flags = '') {
+  return flags.replace(/[gy]/g, '');
+}
+
+class ThreatDetector {
+  /**
+   * @param {Object} options - { mode, rules, allowlist }
+   */
+  constructor({ mode = 'block', rules = [], allowlist = [] } = {}) {
+    this.mode = mode;
+
+    this.rules = rules
+      .filter(rule => rule.enabled !== false)
+      .map(rule => {
+        const score = rule.score ?? SEVERITY_SCORES[rule.severity];
+        return {
+          id: rule.id,
+          severity: rule.severity,
+          score,
+          threshold: rule.threshold ?? score,
+          mode: rule.mode || null,
+          targets: rule.targets,
+          pattern: new RegExp(rule.pattern, stripStatefulFlags(rule.flags))
+        };
+      });
+
+    this.allowlist = allowlist.map(entry => ({
+      path: entry.path,
+      methods: entry.methods ? entry.methods.map(method => method.toUpperCase()) : null,
+      rules: entry.rules
+    }));
+  }
+
+  /**
+   * Analizar una petición
+   * @param {Object} request - { method, path, url, body, query, headers }
+   * @returns {Object} { findings: [{ rule, severity, score, mode, fields }], blocked }
+   */
+  inspect(request) {
+    const skipped = this.allowedRules(request.method, request.path);
+    const findings = [];
+
+    this.rules.forEach(rule => {
+      if (skipped.has('*') || skipped.has(rule.id)) return;
+
+      const fields = this.collectValues(request, rule.targets)
+        .filter(({ value }) => rule.pattern.test(value))
+        .map(({ field }) => field);
+
+      const score = fields.length * rule.score;
+      if (fields.length > 0 && score >= rule.threshold) {
+        findings.push({
+          rule: rule.id,
+          severity: rule.severity,
+          score,
+          mode: rule.mode || this.mode,
+          fields
+        });
+      }
+    });
+
+    return {
+      findings,
+      blocked: findings.some(finding => finding.mode === 'block')
+    };
+  }
+
+  /**
+   * Reglas desactivadas para un método y ruta ('*' = todas)
+   * Las rutas del allowlist son exactas o terminan en '*' (prefijo).
+   */
+  allowedRules(method, path = '') {
+    const skipped = new Set();
+
+    this.allowlist.forEach(entry => {
+      const pathMatches = entry.path.endsWith('*')
+        ? path.startsWith(entry.path.slice(0, -1))
+        : path === entry.path;
+      const methodMatches = !entry.methods || entry.methods.includes(String(method).toUpperCase());
+
+      if (pathMatches && methodMatches) {
+        (entry.rules || ['*']).forEach(rule => skipped.add(rule));
+      }
+    });
+
+    return skipped;
+  }
+
+  /**
+   * Valores de texto de los campos indicados, con su ruta ('body.username')
+   */
+  collectValues(request, targets) {
+    const values = [];
+
+    targets.forEach(target => {
+      const [source, ...rest] = target.split('.');
+      const key = rest.join('.');
+
+      if (source === 'url') {
+        values.push({ field: 'url', value: this.decode(request.url || '') });
+      } else if (source === 'headers') {
+        const value = request.headers?.[key.toLowerCase()];
+        if (value !== undefined) values.push({ field: target, value: String(value) });
+      } else if (source === 'body' || source === 'query') {
+        const root = key ? request[source]?.[key] : request[source];
+        this.flatten(root, key ? target : source, values, 0);
+      }
+    });
+
+    return values;
+  }
+
+  flatten(value, field, values, depth) {
+    if (value === null || value === undefined || depth > MAX_DEPTH) return;
+
+    if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        this.flatten(child, `${field}.${key}`, values, depth + 1);
+      });
+    } else {
+      values.push({ field, value: String(value) });
+    }
+  }
+
+  decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      return value;
+    }
+  }
+}
+
+// Crear instancia singleton
+const threatDetector = new ThreatDetector(config.security?.threatDetection);
+
+module.exports = threatDetector;
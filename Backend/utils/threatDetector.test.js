@@ -0,0 +1,148 @@
+const threatDetector = require('./threatDetector');
+const logger = require('./logger');
+const { ValidationMiddleware } = require('./validator');
+
+const ThreatDetector = threatDetector.constructor;
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function createRequest(overrides = {}) {
+  return {
+    method: 'POST',
+    path: '/auth/verify-proof',
+    url: '/auth/verify-proof',
+    body: {},
+    query: {},
+    headers: {},
+    ...overrides
+  };
+}
+
+function createResponse() {
+  return {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis()
+  };
+}
+
+const sqlRule = { id: 'sqlInjection', pattern: '\\bselect\\b', flags: 'i', targets: ['body'], severity: 'high' };
+
+describe('ThreatDetector', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('no bloquea un User-Agent de navegador con paréntesis', () => {
+    const result = threatDetector.inspect(createRequest({
+      headers: { 'user-agent': BROWSER_USER_AGENT },
+      body: { username: 'alice (admin)', note: 'hola (mundo)' }
+    }));
+
+    expect(result).toEqual({ findings: [], blocked: false });
+  });
+
+  test('bloquea las reglas por defecto en modo block', () => {
+    const result = threatDetector.inspect(createRequest({ body: { username: '<script>alert(1)</script>' } }));
+
+    expect(result.blocked).toBe(true);
+    expect(result.findings.map(finding => finding.rule)).toContain('xss');
+  });
+
+  test('una regla con flag g da el mismo resultado en cada petición', () => {
+    const detector = new ThreatDetector({ rules: [{ ...sqlRule, flags: 'gi' }] });
+    const request = createRequest({ body: { query: 'SELECT * FROM users' } });
+
+    const results = [1, 2, 3].map(() => detector.inspect(request).blocked);
+    expect(results).toEqual([true, true, true]);
+  });
+
+  test('en modo report devuelve los hallazgos sin bloquear', () => {
+    const detector = new ThreatDetector({ mode: 'report', rules: [sqlRule] });
+    const result = detector.inspect(createRequest({ body: { query: 'select 1' } }));
+
+    expect(result.blocked).toBe(false);
+    expect(result.findings).toEqual([
+      expect.objectContaining({ rule: 'sqlInjection', mode: 'report', fields: ['body.query'] })
+    ]);
+  });
+
+  test('el modo de la regla tiene prioridad sobre el global', () => {
+    const detector = new ThreatDetector({ mode: 'block', rules: [{ ...sqlRule, mode: 'report' }] });
+
+    expect(detector.inspect(createRequest({ body: { query: 'select 1' } })).blocked).toBe(false);
+  });
+
+  test('el umbral exige que coincidan varios campos', () => {
+    const detector = new ThreatDetector({ rules: [{ ...sqlRule, score: 5, threshold: 10 }] });
+
+    expect(detector.inspect(createRequest({ body: { a: 'select' } })).findings).toEqual([]);
+    expect(detector.inspect(createRequest({ body: { a: 'select', b: 'select' } })).blocked).toBe(true);
+  });
+
+  test('el allowlist desactiva reglas por ruta y método', () => {
+    const detector = new ThreatDetector({
+      rules: [sqlRule],
+      allowlist: [{ path: '/admin/*', methods: ['post'], rules: ['sqlInjection'] }]
+    });
+    const body = { query: 'select 1' };
+
+    expect(detector.inspect(createRequest({ path: '/admin/users', body })).blocked).toBe(false);
+    expect(detector.inspect(createRequest({ method: 'GET', path: '/admin/users', body })).blocked).toBe(true);
+    expect(detector.inspect(createRequest({ path: '/auth/login', body })).blocked).toBe(true);
+  });
+});
+
+describe('ValidationMiddleware.detectThreats', () => {
+  const originalMode = threatDetector.mode;
+
+  afterEach(() => {
+    threatDetector.mode = originalMode;
+    jest.restoreAllMocks();
+  });
+
+  function run(overrides) {
+    const req = {
+      ...createRequest(overrides),
+      ip: '127.0.0.1',
+      originalUrl: '/auth/verify-proof',
+      get: name => req.headers[name.toLowerCase()]
+    };
+    const res = createResponse();
+    const next = jest.fn();
+    ValidationMiddleware.detectThreats(req, res, next);
+    return { res, next };
+  }
+
+  test('en modo report registra la amenaza y deja pasar la petición', () => {
+    threatDetector.mode = 'report';
+    const security = jest.spyOn(logger, 'security');
+
+    const { res, next } = run({ body: { username: '<script>alert(1)</script>' } });
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(security).toHaveBeenCalledWith('Threat detected', expect.objectContaining({
+      action: 'reported',
+      threats: expect.arrayContaining(['xss'])
+    }));
+  });
+
+  test('en modo block responde REQUEST_BLOCKED y lo registra', () => {
+    const security = jest.spyOn(logger, 'security');
+
+    const { res, next } = run({ body: { username: '<script>alert(1)</script>' } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: false, code: 'REQUEST_BLOCKED' }));
+    expect(security).toHaveBeenCalledWith('Threat detected', expect.objectContaining({ action: 'blocked' }));
+  });
+
+  test('una petición normal de navegador no se registra', () => {
+    const security = jest.spyOn(logger, 'security');
+
+    const { next } = run({ headers: { 'user-agent': BROWSER_USER_AGENT }, body: { username: 'alice' } });
+
+    expect(next).toHaveBeenCalled();
+    expect(security).not.toHaveBeenCalled();
+  });
+});
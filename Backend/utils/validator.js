@@ -9,6 +9,11 @@
  */
 
 const { ethers } = require('ethers');
+const config = require('../config');
+const { sendError } = require('./errors');
+const i18n = require('./i18n');
+const threatDetector = require('./threatDetector');
+const metrics = require('./metrics');
 
 class Validator {
   /**
@@ -16,7 +21,7 @@ class Validator {
    */
   static isValidAddress(address) {
     try {
-      return ethers.utils.isAddress(address);
+      return ethers.isAddress(address);
     } catch (error) {
       return false;
     }
@@ -61,11 +66,21 @@ class Validator {
   }
 
   /**
-   * Validar chain ID
+   * Validar chain ID (solo redes definidas en config.networks)
    */
   static isValidChainId(chainId) {
-    const validChains = [1, 3, 4, 5, 137, 80002, 80001, 56, 97]; // Mainnet, testnets (incluye Amoy)
-    return Number.isInteger(chainId) && validChains.includes(chainId);
+    const validChains = Object.values(config.networks).map(network => network.chainId);
+    return Number.isInteger(Number(chainId)) && validChains.includes(Number(chainId));
+  }
+
+  /**
+   * Mensaje para un chain ID no configurado (incluye las redes disponibles)
+   */
+  static chainIdError(chainId, locale) {
+    const available = Object.entries(config.networks)
+      .map(([name, network]) => `${network.chainId} (${name})`)
+      .join(', ');
+    return i18n.t('validation.unsupportedChainId', locale, { chainId, available });
   }
 
   /**
@@ -92,19 +107,19 @@ class Validator {
   /**
    * Validar datos de registro de usuario
    */
-  static validateUserRegistration(data) {
+  static validateUserRegistration(data, locale) {
     const errors = [];
 
     if (!data.address || !this.isValidAddress(data.address)) {
-      errors.push('Dirección de wallet inválida');
+      errors.push(i18n.t('validation.invalidAddress', locale));
     }
 
     if (!data.passwordHash || !this.isValidSHA256(data.passwordHash)) {
-      errors.push('Hash de contraseña inválido');
+      errors.push(i18n.t('validation.invalidPasswordHash', locale));
     }
 
     if (data.chainId && !this.isValidChainId(data.chainId)) {
-      errors.push('Chain ID no soportado');
+      errors.push(this.chainIdError(data.chainId, locale));
     }
 
     return {
@@ -116,19 +131,19 @@ class Validator {
   /**
    * Validar datos de generación de prueba
    */
-  static validateProofGeneration(data) {
+  static validateProofGeneration(data, locale) {
     const errors = [];
 
     if (!data.address || !this.isValidAddress(data.address)) {
-      errors.push('Dirección de wallet inválida');
+      errors.push(i18n.t('validation.invalidAddress', locale));
     }
 
     if (!data.passwordHash || !this.isValidSHA256(data.passwordHash)) {
-      errors.push('Hash de contraseña inválido');
+      errors.push(i18n.t('validation.invalidPasswordHash', locale));
     }
 
     if (data.chainId && !this.isValidChainId(data.chainId)) {
-      errors.push('Chain ID no soportado');
+      errors.push(this.chainIdError(data.chainId, locale));
     }
 
     return {
@@ -140,23 +155,128 @@ class Validator {
   /**
    * Validar datos de verificación de prueba
    */
-  static validateProofVerification(data) {
+  static validateProofVerification(data, locale) {
     const errors = [];
 
     if (!data.address || !this.isValidAddress(data.address)) {
-      errors.push('Dirección de wallet inválida');
+      errors.push(i18n.t('validation.invalidAddress', locale));
     }
 
     if (!data.proof || !this.isValidGroth16Proof(data.proof)) {
-      errors.push('Estructura de prueba ZK inválida');
+      errors.push(i18n.t('validation.invalidProof', locale));
     }
 
     if (!data.publicSignals || !this.isValidPublicSignals(data.publicSignals)) {
-      errors.push('Señales públicas inválidas');
+      errors.push(i18n.t('validation.invalidPublicSignals', locale));
+    }
+
+    if (data.chainId && !this.isValidChainId(data.chainId)) {
+      errors.push(this.chainIdError(data.chainId, locale));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validar datos de cambio de contraseña
+   */
+  static validatePasswordChange(data, locale) {
+    const errors = [];
+
+    if (!data.address || !this.isValidAddress(data.address)) {
+      errors.push(i18n.t('validation.invalidAddress', locale));
+    }
+
+    if (!data.proof || !this.isValidGroth16Proof(data.proof)) {
+      errors.push(i18n.t('validation.invalidProof', locale));
+    }
+
+    if (!data.publicSignals || !this.isValidPublicSignals(data.publicSignals)) {
+      errors.push(i18n.t('validation.invalidPublicSignals', locale));
+    }
+
+    if (!data.newPasswordHash || !this.isValidSHA256(data.newPasswordHash)) {
+      errors.push(i18n.t('validation.invalidNewPasswordHash', locale));
+    }
+
+    if (data.chainId && !this.isValidChainId(data.chainId)) {
+      errors.push(this.chainIdError(data.chainId, locale));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validar datos de recuperación de cuenta
+   */
+  static validateAccountRecovery(data, locale) {
+    const errors = [];
+
+    if (!data.address || !this.isValidAddress(data.address)) {
+      errors.push(i18n.t('validation.invalidAddress', locale));
+    }
+
+    if (!data.recoveryCode || !/^[A-Za-z0-9]{4}(-?[A-Za-z0-9]{4}){3}$/.test(data.recoveryCode)) {
+      errors.push(i18n.t('validation.invalidRecoveryCode', locale));
+    }
+
+    if (typeof data.challengeNonce !== 'string' || !/^\d{1,78}$/.test(data.challengeNonce)) {
+      errors.push(i18n.t('validation.invalidChallengeNonce', locale));
+    }
+
+    if (!data.newPasswordHash || !this.isValidSHA256(data.newPasswordHash)) {
+      errors.push(i18n.t('validation.invalidNewPasswordHash', locale));
     }
 
     if (data.chainId && !this.isValidChainId(data.chainId)) {
-      errors.push('Chain ID no soportado');
+      errors.push(this.chainIdError(data.chainId, locale));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Validar registro de webhook
+   * @param {Array<string>} allowedEvents - Eventos soportados
+   * @param {string} locale - Idioma de los mensajes de error
+   */
+  static validateWebhook(data, allowedEvents, locale) {
+    const errors = [];
+
+    let url = null;
+    try {
+      url = new URL(data.url);
+    } catch (error) {
+      errors.push(i18n.t('validation.invalidWebhookUrl', locale));
+    }
+
+    if (url && !['http:', 'https:'].includes(url.protocol)) {
+      errors.push(i18n.t('validation.webhookProtocol', locale));
+    }
+
+    if (url && url.protocol === 'http:' && config.server.env === 'production') {
+      errors.push(i18n.t('validation.webhookHttpsRequired', locale));
+    }
+
+    if (data.events !== undefined) {
+      if (!Array.isArray(data.events) || data.events.length === 0) {
+        errors.push(i18n.t('validation.webhookEventsEmpty', locale));
+      } else if (data.events.some(event => !allowedEvents.includes(event))) {
+        errors.push(i18n.t('validation.webhookEventsSupported', locale, { events: allowedEvents.join(', ') }));
+      }
+    }
+
+    if (data.secret !== undefined && (typeof data.secret !== 'string' || data.secret.length < 16)) {
+      errors.push(i18n.t('validation.webhookSecretLength', locale));
     }
 
     return {
@@ -168,18 +288,18 @@ class Validator {
   /**
    * Validar parámetros de paginación
    */
-  static validatePagination(offset, limit) {
+  static validatePagination(offset, limit, locale) {
     const errors = [];
 
     if (offset !== undefined) {
       if (!Number.isInteger(offset) || offset < 0) {
-        errors.push('Offset debe ser un número entero no negativo');
+        errors.push(i18n.t('validation.invalidOffset', locale));
       }
     }
 
     if (limit !== undefined) {
       if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
-        errors.push('Limit debe ser un número entero entre 1 y 100');
+        errors.push(i18n.t('validation.invalidLimit', locale));
       }
     }
 
@@ -190,26 +310,57 @@ class Validator {
   }
 
   /**
-   * Detectar patrones de ataque comunes
+   * Validar filtros de búsqueda de logs (GET /admin/logs)
+   * @param {Object} query - { from, to, level, address, format }
+   * @param {Array<string>} allowedLevels - Niveles del logger
+   * @param {Array<string>} allowedFormats - Formatos de exportación
+   * @param {string} locale - Idioma de los mensajes de error
    */
-  static detectAttackPatterns(data) {
-    const patterns = {
-      sqlInjection: /(\b(union|select|insert|update|delete|drop|exec|script)\b)/i,
-      xss: /<script|javascript:|onload=|onerror=/i,
-      pathTraversal: /\.\.\//,
-      commandInjection: /[;&|`$()]/
-    };
-
-    const threats = [];
-    const dataStr = JSON.stringify(data).toLowerCase();
+  static validateLogQuery(query, allowedLevels, allowedFormats, locale) {
+    const errors = [];
 
-    Object.entries(patterns).forEach(([attack, pattern]) => {
-      if (pattern.test(dataStr)) {
-        threats.push(attack);
+    ['from', 'to'].forEach(field => {
+      if (query[field] !== undefined && Number.isNaN(Date.parse(query[field]))) {
+        errors.push(i18n.t('validation.invalidDate', locale, { field }));
       }
     });
 
-    return threats;
+    if (Date.parse(query.from) > Date.parse(query.to)) {
+      errors.push(i18n.t('validation.invalidDateRange', locale));
+    }
+
+    if (query.level !== undefined) {
+      const levels = String(query.level).toUpperCase().split(',');
+      if (levels.some(level => !allowedLevels.includes(level.trim()))) {
+        errors.push(i18n.t('validation.invalidLogLevel', locale, { levels: allowedLevels.join(', ') }));
+      }
+    }
+
+    if (query.address !== undefined && !this.isValidAddress(query.address)) {
+      errors.push(i18n.t('validation.invalidAddress', locale));
+    }
+
+    if (query.format !== undefined && !allowedFormats.includes(query.format)) {
+      errors.push(i18n.t('validation.invalidExportFormat', locale, { formats: allowedFormats.join(', ') }));
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Detectar patrones de ataque comunes
+   * Aplica las reglas de config.security.threatDetection (ver threatDetector)
+   * y devuelve solo las que bloquean; las de modo report se ignoran.
+   * @param {Object} request - { method, path, url, body, query, headers }
+   * @returns {Array<string>} Ids de las reglas disparadas
+   */
+  static detectAttackPatterns(request) {
+    return threatDetector.inspect(request).findings
+      .filter(finding => finding.mode === 'block')
+      .map(finding => finding.rule);
   }
 
   /**
@@ -234,24 +385,16 @@ class ValidationMiddleware {
    * Middleware para validar registro de usuario
    */
   static validateUserRegistration(req, res, next) {
-    const validation = Validator.validateUserRegistration(req.body);
+    const validation = Validator.validateUserRegistration(req.body, req.locale);
     
     if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Datos de registro inválidos',
-        details: validation.errors
-      });
+      return sendError(res, 'VALIDATION_FAILED', { details: validation.errors });
     }
 
     // Detectar patrones de ataque
-    const threats = Validator.detectAttackPatterns(req.body);
+    const threats = Validator.detectAttackPatterns({ method: req.method, path: req.path, body: req.body });
     if (threats.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Datos sospechosos detectados',
-        threats
-      });
+      return sendError(res, 'REQUEST_BLOCKED', { threats });
     }
 
     next();
@@ -261,14 +404,10 @@ class ValidationMiddleware {
    * Middleware para validar generación de prueba
    */
   static validateProofGeneration(req, res, next) {
-    const validation = Validator.validateProofGeneration(req.body);
+    const validation = Validator.validateProofGeneration(req.body, req.locale);
     
     if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Datos para generación de prueba inválidos',
-        details: validation.errors
-      });
+      return sendError(res, 'VALIDATION_FAILED', { details: validation.errors });
     }
 
     next();
@@ -278,19 +417,58 @@ class ValidationMiddleware {
    * Middleware para validar verificación de prueba
    */
   static validateProofVerification(req, res, next) {
-    const validation = Validator.validateProofVerification(req.body);
+    const validation = Validator.validateProofVerification(req.body, req.locale);
     
     if (!validation.isValid) {
-      return res.status(400).json({
-        success: false,
-        error: 'Datos para verificación de prueba inválidos',
-        details: validation.errors
-      });
+      return sendError(res, 'VALIDATION_FAILED', { details: validation.errors });
     }
 
     next();
   }
 
+  /**
+   * Middleware para validar cambio de contraseña
+   */
+  static validatePasswordChange(req, res, next) {
+    const validation = Validator.validatePasswordChange(req.body, req.locale);
+
+    if (!validation.isValid) {
+      return sendError(res, 'VALIDATION_FAILED', { details: validation.errors });
+    }
+
+    next();
+  }
+
+  /**
+   * Middleware para validar recuperación de cuenta
+   */
+  static validateAccountRecovery(req, res, next) {
+    const validation = Validator.validateAccountRecovery(req.body, req.locale);
+
+    if (!validation.isValid) {
+      return sendError(res, 'VALIDATION_FAILED', { details: validation.errors });
+    }
+
+    next();
+  }
+
+  /**
+   * Middleware para validar paginación (?offset=&limit=)
+   * Convierte los valores a número en req.pagination
+   */
+  static validatePagination(req, res, next) {
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : 0;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+    const validation = Validator.validatePagination(offset, limit, req.locale);
+
+    if (!validation.isValid) {
+      return sendError(res, 'INVALID_PAGINATION', { details: validation.errors });
+    }
+
+    req.pagination = { offset, limit };
+    next();
+  }
+
   /**
    * Middleware para sanitizar inputs
    */
@@ -320,29 +498,37 @@ class ValidationMiddleware {
    * Middleware para detectar amenazas de seguridad
    */
   static detectThreats(req, res, next) {
-    const threats = Validator.detectAttackPatterns({
+    const { findings, blocked } = threatDetector.inspect({
+      method: req.method,
+      path: req.path,
+      url: req.originalUrl,
       body: req.body,
       query: req.query,
       headers: req.headers
     });
 
-    if (threats.length > 0) {
-      // Log de seguridad
+    if (findings.length > 0) {
+      findings.forEach(finding => {
+        metrics.increment('threat_detections_total', { rule: finding.rule, action: finding.mode === 'block' ? 'blocked' : 'reported' });
+      });
+
+      // Log de seguridad (también en modo report, para ajustar las reglas)
       const logger = require('./logger');
       logger.security('Threat detected', {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         url: req.url,
         method: req.method,
-        threats,
+        action: blocked ? 'blocked' : 'reported',
+        threats: findings.map(finding => finding.rule),
+        findings,
         body: req.body,
         query: req.query
       });
 
-      return res.status(400).json({
-        success: false,
-        error: 'Request blocked by security filters'
-      });
+      if (blocked) {
+        return sendError(res, 'REQUEST_BLOCKED');
+      }
     }
 
     next();
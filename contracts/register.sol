@@ -7,6 +7,8 @@ pragma solidity ^0.8.19;
  * 
  * Este contrato maneja:
  * - Registro de usuarios con hash commitments
+ * - Rotación de commitments (cambio de contraseña) con prueba ZK
+ * - Recuperación de cuenta con códigos de recuperación de un solo uso
  * - Verificación de estado de registro
  * - Manejo de eventos de registro
  * - Seguridad básica contra ataques
@@ -15,6 +17,18 @@ pragma solidity ^0.8.19;
  * Implementación simple sin dependencias externas para facilitar el despliegue
  */
 
+/**
+ * @dev Interfaz mínima del verificador Groth16 (ver proofverifier.sol)
+ */
+interface IProofVerifier {
+    function verifyProof(
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[] memory publicSignals
+    ) external view returns (bool);
+}
+
 contract UserRegistry {
     
     // ================================
@@ -67,6 +81,18 @@ contract UserRegistry {
     // Lista de usuarios registrados (para estadísticas)
     address[] public registeredUsers;
     
+    // Verificador usado para validar pruebas de la contraseña actual
+    IProofVerifier public proofVerifier;
+    
+    // Pruebas ya usadas para rotar commitments (prevenir replay)
+    mapping(bytes32 => bool) public usedRotationProofs;
+    
+    // Commitments de los códigos de recuperación de cada usuario
+    mapping(address => uint256[]) private _recoveryCommitments;
+    
+    // Commitments de recuperación ya quemados
+    mapping(address => mapping(uint256 => bool)) public usedRecoveryCommitments;
+    
     // Configuración del contrato
     uint256 public maxUsers = 10000;        // Máximo número de usuarios
     uint256 public registrationFee = 0;     // Fee en wei (0 para testnet)
@@ -94,6 +120,36 @@ contract UserRegistry {
         uint256 loginCount
     );
     
+    /**
+     * @dev Emitido cuando un usuario rota su hash commitment (cambio de contraseña)
+     */
+    event CommitmentUpdated(
+        address indexed user,
+        uint256 oldCommitment,
+        uint256 newCommitment,
+        uint256 timestamp
+    );
+    
+    /**
+     * @dev Emitido cuando se registran los códigos de recuperación de un usuario
+     */
+    event RecoveryCommitmentsSet(address indexed user, uint256 count);
+    
+    /**
+     * @dev Emitido cuando se usa un código de recuperación para resetear el commitment
+     */
+    event AccountRecovered(
+        address indexed user,
+        uint256 recoveryCommitment,
+        uint256 newCommitment,
+        uint256 timestamp
+    );
+    
+    /**
+     * @dev Emitido cuando se configura el verificador de pruebas
+     */
+    event ProofVerifierUpdated(address indexed proofVerifier);
+    
     /**
      * @dev Emitido cuando se actualiza la configuración
      */
@@ -144,6 +200,14 @@ contract UserRegistry {
         _;
     }
     
+    /**
+     * @dev Solo el propio usuario o el owner (backend que retransmite la transacción)
+     */
+    modifier onlyUserOrOwner(address user) {
+        require(msg.sender == user || msg.sender == owner, "Only the user or the owner can call this function");
+        _;
+    }
+    
     // ================================
     // CONSTRUCTOR
     // ================================
@@ -232,6 +296,150 @@ contract UserRegistry {
         emit UserLogin(user, block.timestamp, users[user].loginCount);
     }
     
+    /**
+     * @dev Rotar el hash commitment de un usuario (cambio de contraseña)
+     * Solo lo puede llamar el usuario o el owner. Requiere una prueba ZK
+     * válida (isValid = 1) de la contraseña actual: la primera señal pública
+     * debe coincidir con el commitment registrado de ese usuario. Como los
+     * commitments no se repiten entre usuarios, la prueba solo sirve para él.
+     * @param user Dirección del usuario
+     * @param a Punto A de la prueba Groth16 (contraseña actual)
+     * @param b Punto B de la prueba Groth16
+     * @param c Punto C de la prueba Groth16
+     * @param publicSignals Señales públicas de la prueba
+     * @param newCommitment Nuevo hash commitment (nueva contraseña)
+     */
+    function updateCommitment(
+        address user,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[] memory publicSignals,
+        uint256 newCommitment
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        onlyUserOrOwner(user)
+        onlyRegisteredUsers(user)
+    {
+        require(address(proofVerifier) != address(0), "Proof verifier not configured");
+        require(users[user].isActive, "User account is inactive");
+        require(publicSignals.length > 1, "Missing public signals");
+        require(publicSignals[0] == users[user].hashCommitment, "Proof does not match current commitment");
+        require(publicSignals[1] == 1, "Proof is not valid");
+        require(newCommitment != 0, "Invalid hash commitment");
+        require(!usedCommitments[newCommitment], "Hash commitment already used");
+        
+        bytes32 proofHash = keccak256(abi.encodePacked(
+            user,
+            a[0], a[1],
+            b[0][0], b[0][1], b[1][0], b[1][1],
+            c[0], c[1],
+            publicSignals
+        ));
+        require(!usedRotationProofs[proofHash], "Proof already used");
+        require(proofVerifier.verifyProof(a, b, c, publicSignals), "Invalid proof of current password");
+        
+        usedRotationProofs[proofHash] = true;
+        
+        // El commitment anterior queda marcado como usado y no puede reutilizarse
+        uint256 oldCommitment = users[user].hashCommitment;
+        users[user].hashCommitment = newCommitment;
+        usedCommitments[newCommitment] = true;
+        
+        emit CommitmentUpdated(user, oldCommitment, newCommitment, block.timestamp);
+    }
+    
+    /**
+     * @dev Registrar commitments de códigos de recuperación (solo owner)
+     * Reemplaza cualquier conjunto anterior de códigos del usuario.
+     * @param user Dirección del usuario
+     * @param commitments Commitments de los códigos de recuperación
+     */
+    function setRecoveryCommitments(
+        address user,
+        uint256[] calldata commitments
+    )
+        external
+        onlyOwner
+        whenNotPaused
+        onlyRegisteredUsers(user)
+    {
+        require(commitments.length > 0 && commitments.length <= 16, "Invalid number of recovery commitments");
+        
+        for (uint256 i = 0; i < commitments.length; i++) {
+            require(commitments[i] != 0, "Invalid recovery commitment");
+            require(!usedRecoveryCommitments[user][commitments[i]], "Recovery commitment already used");
+        }
+        
+        _recoveryCommitments[user] = commitments;
+        
+        emit RecoveryCommitmentsSet(user, commitments.length);
+    }
+    
+    /**
+     * @dev Resetear el commitment con un código de recuperación
+     * Solo lo puede llamar el usuario o el owner. La primera señal pública
+     * de la prueba debe ser un commitment de recuperación no usado de ese
+     * usuario y la segunda (isValid) debe ser 1. El código queda quemado.
+     * @param user Dirección del usuario
+     * @param a Punto A de la prueba Groth16 (código de recuperación)
+     * @param b Punto B de la prueba Groth16
+     * @param c Punto C de la prueba Groth16
+     * @param publicSignals Señales públicas de la prueba
+     * @param newCommitment Nuevo hash commitment (nueva contraseña)
+     */
+    function resetCommitmentWithRecovery(
+        address user,
+        uint[2] memory a,
+        uint[2][2] memory b,
+        uint[2] memory c,
+        uint[] memory publicSignals,
+        uint256 newCommitment
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        onlyUserOrOwner(user)
+        onlyRegisteredUsers(user)
+    {
+        require(address(proofVerifier) != address(0), "Proof verifier not configured");
+        require(users[user].isActive, "User account is inactive");
+        require(publicSignals.length > 1, "Missing public signals");
+        require(publicSignals[1] == 1, "Proof is not valid");
+        require(newCommitment != 0, "Invalid hash commitment");
+        require(!usedCommitments[newCommitment], "Hash commitment already used");
+        
+        uint256 recoveryCommitment = publicSignals[0];
+        require(_hasRecoveryCommitment(user, recoveryCommitment), "Unknown recovery commitment");
+        require(!usedRecoveryCommitments[user][recoveryCommitment], "Recovery code already used");
+        require(proofVerifier.verifyProof(a, b, c, publicSignals), "Invalid recovery proof");
+        
+        // Quemar el código de recuperación
+        usedRecoveryCommitments[user][recoveryCommitment] = true;
+        
+        uint256 oldCommitment = users[user].hashCommitment;
+        users[user].hashCommitment = newCommitment;
+        usedCommitments[newCommitment] = true;
+        
+        emit CommitmentUpdated(user, oldCommitment, newCommitment, block.timestamp);
+        emit AccountRecovered(user, recoveryCommitment, newCommitment, block.timestamp);
+    }
+    
+    /**
+     * @dev Verificar si un commitment pertenece a los códigos de recuperación del usuario
+     */
+    function _hasRecoveryCommitment(address user, uint256 commitment) internal view returns (bool) {
+        uint256[] storage commitments = _recoveryCommitments[user];
+        for (uint256 i = 0; i < commitments.length; i++) {
+            if (commitments[i] == commitment) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
     // ================================
     // FUNCIONES DE CONSULTA
     // ================================
@@ -264,6 +472,22 @@ contract UserRegistry {
         return users[user].hashCommitment;
     }
     
+    /**
+     * @dev Número de códigos de recuperación sin usar de un usuario
+     * @param user Dirección del usuario
+     * @return uint256 Códigos disponibles
+     */
+    function getRemainingRecoveryCodes(address user) external view returns (uint256) {
+        uint256[] storage commitments = _recoveryCommitments[user];
+        uint256 remaining = 0;
+        for (uint256 i = 0; i < commitments.length; i++) {
+            if (!usedRecoveryCommitments[user][commitments[i]]) {
+                remaining++;
+            }
+        }
+        return remaining;
+    }
+    
     /**
      * @dev Obtener estadísticas del contrato
      * @return totalUsers Número total de usuarios registrados
@@ -340,6 +564,17 @@ contract UserRegistry {
         emit ConfigurationUpdated(_maxUsers, _registrationFee, _registrationOpen);
     }
     
+    /**
+     * @dev Configurar el verificador de pruebas (solo owner)
+     * @param _proofVerifier Dirección del contrato ZKProofVerifier
+     */
+    function setProofVerifier(address _proofVerifier) external onlyOwner {
+        require(_proofVerifier != address(0), "Invalid verifier address");
+        proofVerifier = IProofVerifier(_proofVerifier);
+        
+        emit ProofVerifierUpdated(_proofVerifier);
+    }
+    
     /**
      * @dev Pausar/despausar el contrato (solo owner)
      */
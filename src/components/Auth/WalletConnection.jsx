@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { useAccount, useChainId, useConnect, useDisconnect, useConnectors } from 'wagmi';
 import walletService from '../../services/walletService';
+import { useTranslation } from '../../i18n';
 import './WalletConnection.css';
 
 const WalletConnection = ({ onConnectionChange }) => {
+  const { t } = useTranslation();
+
   // Hooks de wagmi para obtener estado de la wallet
   const { address, isConnected } = useAccount();
   const chainId = useChainId();
@@ -64,15 +67,15 @@ const WalletConnection = ({ onConnectionChange }) => {
     return (
       <div className="wallet-connection">
         <div className="wallet-modal">
-          <h3>Conectar Wallet</h3>
-          <p>Conecta tu wallet favorita usando RabbyKit</p>
+          <h3>{t('wallet.connectTitle')}</h3>
+          <p>{t('wallet.connectSubtitle')}</p>
           
           <div className="rabbykit-container">
             <ConnectButton />
           </div>
           
           <div className="supported-wallets">
-            <p>Wallets soportadas:</p>
+            <p>{t('wallet.supportedWallets')}</p>
             <div className="wallet-icons">
               <span>🦊 MetaMask</span>
               <span>🌈 Rainbow</span>
@@ -93,43 +96,43 @@ const WalletConnection = ({ onConnectionChange }) => {
         <div className="wallet-header">
           <div className="wallet-status">
             <div className="status-indicator connected"></div>
-            <span>Wallet Conectado</span>
+            <span>{t('wallet.connected')}</span>
           </div>
           <button
             onClick={handleDisconnect}
             className="disconnect-btn"
-            title="Desconectar wallet"
+            title={t('wallet.disconnectTitle')}
           >
-            Desconectar
+            {t('wallet.disconnect')}
           </button>
         </div>
 
         <div className="wallet-details">
           <div className="detail-row">
-            <span className="label">Dirección:</span>
+            <span className="label">{t('wallet.address')}</span>
             <span className="value address" title={address}>
               {formatAddress(address)}
             </span>
           </div>
 
           <div className="detail-row">
-            <span className="label">Red:</span>
+            <span className="label">{t('wallet.network')}</span>
             <span className="network-name">
-              {chain?.name || 'Red desconocida'}
+              {chain?.name || t('wallet.unknownNetwork')}
             </span>
           </div>
 
           <div className="detail-row">
-            <span className="label">Balance:</span>
+            <span className="label">{t('wallet.balance')}</span>
             <div className="balance-info">
               <span className="balance-amount">
-                {balance ? `${parseFloat(balance).toFixed(4)} MATIC` : 'Cargando...'}
+                {balance ? `${parseFloat(balance).toFixed(4)} MATIC` : t('wallet.loading')}
               </span>
               <button
                 onClick={refreshBalance}
                 className="refresh-btn"
                 disabled={isRefreshing}
-                title="Refrescar balance"
+                title={t('wallet.refreshTitle')}
               >
                 {isRefreshing ? '⏳' : '🔄'}
               </button>
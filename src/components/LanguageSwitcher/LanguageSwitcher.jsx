@@ -0,0 +1,30 @@
+import React from 'react';
+import { LANGUAGES, useTranslation } from '../../i18n';
+import './LanguageSwitcher.css';
+
+/**
+ * Selector de idioma (español / inglés)
+ * Cambia los textos de la interfaz y el Accept-Language de las peticiones
+ */
+const LanguageSwitcher = () => {
+  const { t, language, setLanguage } = useTranslation();
+
+  return (
+    <div className="language-switcher" role="group" aria-label={t('language.label')}>
+      {LANGUAGES.map(code => (
+        <button
+          key={code}
+          type="button"
+          onClick={() => setLanguage(code)}
+          className={`language-option ${language === code ? 'active' : ''}`}
+          aria-pressed={language === code}
+          title={t(`language.${code}`)}
+        >
+          {code.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -3,7 +3,13 @@ import { sha256 } from 'js-sha256';
 import axios from 'axios';
 import WalletConnection from '../Auth/WalletConnection';
 import useWallet from '../../hooks/useWallet';
+import useProgress from '../../hooks/useProgress';
+import ProgressSteps from '../Progress/ProgressSteps';
 import zkProofService from '../../services/zkProofService';
+import walletService from '../../services/walletService';
+import { getErrorMessage } from '../../services/apiErrors';
+import { useTranslation } from '../../i18n';
+import LanguageSwitcher from '../LanguageSwitcher/LanguageSwitcher';
 import './Login.css';
 
 /**
@@ -23,6 +29,9 @@ import './Login.css';
  * - Se verifica la prueba en el contrato inteligente
  */
 const Login = () => {
+  // Textos en el idioma elegido
+  const { t } = useTranslation();
+
   // Estados del componente para login
   const [password, setPassword] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
@@ -30,8 +39,33 @@ const Login = () => {
   const [messageType, setMessageType] = useState(''); // 'success', 'error', 'info'
   const [isRegistered, setIsRegistered] = useState(false);
   
+  // Formulario activo: 'login', 'register', 'changePassword' o 'recover'
+  const [activeForm, setActiveForm] = useState('login');
+
+  // Sesión emitida por /verify-proof (necesaria para cambiar contraseña)
+  const [session, setSession] = useState(null);
+
+  // Estados para formulario de cambio de contraseña
+  const [changePasswordData, setChangePasswordData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmNewPassword: ''
+  });
+
+  // Estados para formulario de recuperación de cuenta
+  const [recoverData, setRecoverData] = useState({
+    recoveryCode: '',
+    newPassword: '',
+    confirmNewPassword: ''
+  });
+
+  // Códigos de recuperación devueltos por /register-user (solo se muestran una vez)
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  // Progreso por etapas (prueba local + eventos SSE del backend)
+  const progress = useProgress();
+
   // Estados para formulario de registro
-  const [showRegisterForm, setShowRegisterForm] = useState(false);
   const [registerData, setRegisterData] = useState({
     username: '',
     email: '',
@@ -39,6 +73,10 @@ const Login = () => {
     confirmPassword: ''
   });
 
+  // Solicitud OIDC pendiente cuando otra app usa este login como proveedor de identidad
+  const [oidcRequest, setOidcRequest] = useState(null);
+  const oidcRequestId = new URLSearchParams(window.location.search).get('oidc_request');
+
   // Hook personalizado para manejar wallet
   const { wallet } = useWallet();
 
@@ -61,6 +99,17 @@ const Login = () => {
     initializeZKService();
   }, []);
 
+  /**
+   * Cargar datos de la solicitud OIDC (cliente y scopes) si existe
+   */
+  useEffect(() => {
+    if (!oidcRequestId) return;
+
+    axios.get(`${BACKEND_URL}/oidc/requests/${oidcRequestId}`)
+      .then(response => setOidcRequest(response.data))
+      .catch(() => showMessage(t('messages.oidcRequestExpired'), 'error'));
+  }, [oidcRequestId, BACKEND_URL]);
+
   /**
    * Efecto para limpiar mensajes después de 5 segundos
    */
@@ -90,6 +139,27 @@ const Login = () => {
     return sha256(pwd);
   };
 
+  /**
+   * POST con Idempotency-Key
+   * Si la conexión falla sin respuesta se reintenta con la misma clave:
+   * el backend devuelve el resultado original en lugar de ejecutar otra vez.
+   */
+  const postIdempotent = async (url, body, config = {}, retries = 2) => {
+    const idempotencyKey = window.crypto.randomUUID();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await axios.post(url, body, {
+          ...config,
+          headers: { ...config.headers, 'Idempotency-Key': idempotencyKey }
+        });
+      } catch (error) {
+        if (error.response || attempt >= retries) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+      }
+    }
+  };
+
   /**
    * Validar formato de email
    */
@@ -109,10 +179,30 @@ const Login = () => {
   };
 
   /**
-   * Cambiar entre formularios de login y registro
+   * Manejar cambios en el formulario de cambio de contraseña
+   */
+  const handleChangePasswordInputChange = (field, value) => {
+    setChangePasswordData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  /**
+   * Manejar cambios en el formulario de recuperación de cuenta
+   */
+  const handleRecoverInputChange = (field, value) => {
+    setRecoverData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  /**
+   * Cambiar entre formularios de login, registro, cambio de contraseña y recuperación
    */
-  const toggleForm = () => {
-    setShowRegisterForm(!showRegisterForm);
+  const selectForm = (form) => {
+    setActiveForm(form);
     setMessage('');
     setPassword('');
     setRegisterData({
@@ -121,6 +211,16 @@ const Login = () => {
       password: '',
       confirmPassword: ''
     });
+    setChangePasswordData({
+      currentPassword: '',
+      newPassword: '',
+      confirmNewPassword: ''
+    });
+    setRecoverData({
+      recoveryCode: '',
+      newPassword: '',
+      confirmNewPassword: ''
+    });
   };
 
   /**
@@ -130,7 +230,7 @@ const Login = () => {
     if (!wallet.address) return;
 
     try {
-      showMessage('Verificando registro de usuario...', 'info');
+      showMessage(t('messages.checkingRegistration'), 'info');
       
       const response = await axios.post(`${BACKEND_URL}/check-user`, {
         address: wallet.address
@@ -139,15 +239,47 @@ const Login = () => {
       if (response.data.success) {
         setIsRegistered(response.data.isRegistered);
         if (!response.data.isRegistered) {
-          showMessage('Usuario no registrado. Debe registrarse primero.', 'info');
+          showMessage(t('messages.notRegisteredMustRegister'), 'info');
         }
       }
     } catch (error) {
       console.error('Error verificando registro:', error);
-      showMessage('Error verificando registro de usuario', 'error');
+      showMessage(t('messages.checkRegistrationError'), 'error');
     }
   };
 
+  /**
+   * Demostrar propiedad de la wallet con Sign-In with Ethereum (EIP-4361)
+   * El backend construye el mensaje; la wallet solo lo firma.
+   * @returns {string} Token SIWE para el header X-SIWE-Token
+   */
+  const signInWithEthereum = async () => {
+    const messageResponse = await axios.post(`${BACKEND_URL}/auth/siwe/message`, {
+      address: wallet.address,
+      chainId: wallet.chainId
+    });
+
+    if (!messageResponse.data.success) {
+      throw new Error(t('messages.siweMessageError'));
+    }
+
+    const signResult = await walletService.signMessage(messageResponse.data.message);
+    if (!signResult.success) {
+      throw new Error(t('messages.signatureRejected', { error: signResult.error }));
+    }
+
+    const verifyResponse = await axios.post(`${BACKEND_URL}/auth/siwe/verify`, {
+      nonce: messageResponse.data.nonce,
+      signature: signResult.signature
+    });
+
+    if (!verifyResponse.data.success) {
+      throw new Error(t('messages.siweInvalid'));
+    }
+
+    return verifyResponse.data.ownershipToken;
+  };
+
   /**
    * Manejar registro de nuevo usuario
    */
@@ -156,41 +288,49 @@ const Login = () => {
     
     // Validar datos del formulario
     if (!registerData.username.trim()) {
-      showMessage('Por favor ingresa un nombre de usuario', 'error');
+      showMessage(t('messages.usernameRequired'), 'error');
       return;
     }
 
     if (!registerData.email.trim()) {
-      showMessage('Por favor ingresa un email', 'error');
+      showMessage(t('messages.emailRequired'), 'error');
       return;
     }
 
     if (!isValidEmail(registerData.email)) {
-      showMessage('Por favor ingresa un email válido', 'error');
+      showMessage(t('messages.emailInvalid'), 'error');
       return;
     }
 
     if (!registerData.password.trim()) {
-      showMessage('Por favor ingresa una contraseña', 'error');
+      showMessage(t('messages.passwordRequired'), 'error');
       return;
     }
 
     if (registerData.password !== registerData.confirmPassword) {
-      showMessage('Las contraseñas no coinciden', 'error');
+      showMessage(t('messages.passwordsDontMatch'), 'error');
       return;
     }
 
     if (registerData.password.length < 6) {
-      showMessage('La contraseña debe tener al menos 6 caracteres', 'error');
+      showMessage(t('messages.passwordTooShort'), 'error');
       return;
     }
 
     if (!wallet.isConnected) {
-      showMessage('Por favor conecta tu wallet primero', 'error');
+      showMessage(t('messages.connectWalletFirst'), 'error');
       return;
     }
 
     setIsProcessing(true);
+    progress.start([
+      'input_built',
+      'witness_computed',
+      'proof_generated',
+      'tx_sent',
+      'tx_confirmed',
+      'privado_check'
+    ]);
     
     try {
       // Validar entrada para ZK
@@ -200,24 +340,29 @@ const Login = () => {
         return;
       }
 
-      showMessage('Generando prueba ZK para registro...', 'info');
+      showMessage(t('messages.generatingRegistrationProof'), 'info');
 
       // Generar prueba ZK en el frontend
-      const proofResult = await zkProofService.generateLoginProof(registerData.password, wallet.address);
+      const proofResult = await zkProofService.generateLoginProof(
+        registerData.password,
+        wallet.address,
+        '0',
+        progress.report
+      );
 
       if (!proofResult.success) {
-        throw new Error('Error generando prueba ZK');
+        throw new Error(t('messages.proofGenerationError'));
       }
 
       // Mostrar advertencia si es mock
       if (proofResult.isMock) {
-        showMessage('⚠️ Usando prueba MOCK para desarrollo', 'info');
+        showMessage(t('messages.mockProofWarning'), 'info');
       }
 
-      showMessage('Registrando en blockchain...', 'info');
+      showMessage(t('messages.registeringOnChain'), 'info');
 
       // Enviar al backend para registro con datos completos
-      const response = await axios.post(`${BACKEND_URL}/register-user`, {
+      const response = await postIdempotent(`${BACKEND_URL}/register-user`, {
         username: registerData.username,
         email: registerData.email,
         address: wallet.address,
@@ -227,27 +372,74 @@ const Login = () => {
         chainId: wallet.chainId
       });
 
-      if (response.data.success) {
-        showMessage('¡Usuario registrado exitosamente!', 'success');
+      if (!response.data.success) {
+        showMessage(t('messages.registrationError', { error: getErrorMessage(response.data) }), 'error');
+        return;
+      }
+
+      // El backend registra en segundo plano: seguir el trabajo hasta que termine
+      // (las etapas llegan en vivo por SSE usando el id del trabajo)
+      // Los códigos de recuperación solo llegan en esta respuesta; valen si el
+      // trabajo los deja activos (result.recovery.status === 'issued')
+      const { jobId, jobToken, recoveryCodes: issuedCodes } = response.data;
+      progress.connect(jobId, jobToken);
+      const job = await waitForJob(jobId, jobToken);
+
+      if (job.status === 'completed') {
+        const recoveryIssued = job.result.recovery?.status === 'issued';
+
+        if (recoveryIssued) {
+          showMessage(t('messages.registrationSuccess'), 'success');
+        } else {
+          showMessage(
+            t('messages.registrationSuccessWithoutRecovery', { error: getErrorMessage(job.result.recovery) }),
+            'info'
+          );
+        }
         setIsRegistered(true);
         setPassword('');
-        
+        setRecoveryCodes(recoveryIssued ? issuedCodes : null);
+
         // Mostrar hash de transacción si está disponible
-        if (response.data.transactionHash) {
-          console.log('Transacción de registro:', response.data.transactionHash);
+        if (job.result.transactionHash) {
+          console.log('Transacción de registro:', job.result.transactionHash);
         }
       } else {
-        showMessage(`Error en registro: ${response.data.error}`, 'error');
+        showMessage(t('messages.registrationError', { error: getErrorMessage(job) }), 'error');
       }
 
     } catch (error) {
       console.error('Error en registro:', error);
       showMessage(
-        error.response?.data?.error || 'Error desconocido durante el registro',
+        getErrorMessage(error, t('messages.registrationUnknownError')),
         'error'
       );
     } finally {
       setIsProcessing(false);
+      progress.reset();
+    }
+  };
+
+  /**
+   * Consultar un trabajo asíncrono del backend hasta que termine
+   * Muestra la etapa en curso mientras tanto
+   */
+  const waitForJob = async (jobId, jobToken) => {
+    for (;;) {
+      const { data } = await axios.get(`${BACKEND_URL}/jobs/${jobId}`, {
+        headers: { 'X-Job-Token': jobToken }
+      });
+      const job = data.job;
+
+      if (job.status === 'completed' || job.status === 'failed') {
+        return job;
+      }
+
+      showMessage(
+        job.currentStage ? t(`progress.jobStages.${job.currentStage}`) : t('progress.queued'),
+        'info'
+      );
+      await new Promise(resolve => setTimeout(resolve, 2000));
     }
   };
 
@@ -258,21 +450,35 @@ const Login = () => {
     e.preventDefault();
     
     if (!password.trim()) {
-      showMessage('Por favor ingresa tu contraseña', 'error');
+      showMessage(t('messages.enterPassword'), 'error');
       return;
     }
 
     if (!wallet.isConnected) {
-      showMessage('Por favor conecta tu wallet primero', 'error');
+      showMessage(t('messages.connectWalletFirst'), 'error');
       return;
     }
 
     if (!isRegistered) {
-      showMessage('Usuario no registrado. Registrate primero.', 'error');
+      showMessage(t('messages.notRegisteredRegisterFirst'), 'error');
       return;
     }
 
     setIsProcessing(true);
+
+    // Canal de progreso: el backend publica sus etapas bajo este id (X-Progress-Id)
+    // y solo las entrega a quien presente el token (X-Progress-Token)
+    const progressId = window.crypto.randomUUID();
+    const progressToken = window.crypto.randomUUID();
+    progress.start([
+      'input_built',
+      'witness_computed',
+      'proof_generated',
+      'local_verify',
+      'tx_sent',
+      'tx_confirmed',
+      'privado_check'
+    ]);
     
     try {
       // Validar entrada
@@ -282,32 +488,57 @@ const Login = () => {
         return;
       }
 
-      showMessage('Generando prueba ZK localmente...', 'info');
+      showMessage(t('messages.signToProveOwnership'), 'info');
+      const siweToken = await signInWithEthereum();
 
-      // Generar prueba ZK en el frontend
-      const proofResult = await zkProofService.generateLoginProof(password, wallet.address);
+      // Solicitar desafío de un solo uso al backend
+      const challengeResponse = await axios.post(`${BACKEND_URL}/auth/challenge`, {
+        address: wallet.address
+      });
+
+      if (!challengeResponse.data.success) {
+        throw new Error(t('messages.challengeError'));
+      }
+
+      showMessage(t('messages.generatingProofLocally'), 'info');
+
+      // Generar prueba ZK en el frontend ligada al desafío
+      const proofResult = await zkProofService.generateLoginProof(
+        password,
+        wallet.address,
+        challengeResponse.data.nonce,
+        progress.report
+      );
 
       if (!proofResult.success) {
-        throw new Error('Error generando prueba ZK');
+        throw new Error(t('messages.proofGenerationError'));
       }
 
       // Mostrar advertencia si es mock
       if (proofResult.isMock) {
-        showMessage('Usando prueba MOCK para desarrollo', 'info');
+        showMessage(t('messages.mockProofWarning'), 'info');
       }
 
-      showMessage('Verificando prueba en blockchain...', 'info');
+      showMessage(t('messages.verifyingOnChain'), 'info');
+      progress.connect(progressId, progressToken);
 
       // Enviar prueba para verificación en backend
-      const verifyResponse = await axios.post(`${BACKEND_URL}/verify-proof`, {
+      const verifyResponse = await postIdempotent(`${BACKEND_URL}/verify-proof`, {
         address: wallet.address,
         proof: proofResult.proof,
         publicSignals: proofResult.publicSignals,
         chainId: wallet.chainId
+      }, {
+        headers: {
+          'X-SIWE-Token': siweToken,
+          'X-Progress-Id': progressId,
+          'X-Progress-Token': progressToken
+        }
       });
 
       if (verifyResponse.data.success && verifyResponse.data.isValid) {
-        showMessage('¡Login exitoso! Bienvenido 🎉', 'success');
+        showMessage(t('messages.loginSuccess'), 'success');
+        setSession(verifyResponse.data.session);
         
         // Mostrar información adicional de verificación
         if (verifyResponse.data.verifications) {
@@ -319,17 +550,185 @@ const Login = () => {
           });
         }
 
+        // Si el login viene de un cliente OIDC, completar la autorización y volver a él
+        if (oidcRequestId && verifyResponse.data.session) {
+          const completeResponse = await axios.post(
+            `${BACKEND_URL}/oidc/authorize/complete`,
+            { requestId: oidcRequestId },
+            { headers: { Authorization: `Bearer ${verifyResponse.data.session.accessToken}` } }
+          );
+
+          if (completeResponse.data.success) {
+            window.location.assign(completeResponse.data.redirectUrl);
+            return;
+          }
+        }
+
         // Aquí puedes redirigir al dashboard o área protegida
         // setTimeout(() => window.location.href = '/dashboard', 2000);
         
       } else {
-        showMessage('Credenciales inválidas o prueba ZK no válida', 'error');
+        showMessage(t('messages.invalidCredentials'), 'error');
       }
 
     } catch (error) {
       console.error('Error en login:', error);
       showMessage(
-        error.response?.data?.error || 'Error desconocido durante el login',
+        getErrorMessage(error, t('messages.loginUnknownError')),
+        'error'
+      );
+    } finally {
+      setIsProcessing(false);
+      progress.reset();
+    }
+  };
+
+  /**
+   * Manejar cambio de contraseña
+   * Se prueba la contraseña actual con ZK y el backend rota el commitment on-chain
+   */
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    if (!session) {
+      showMessage(t('messages.loginBeforeChange'), 'error');
+      return;
+    }
+
+    if (changePasswordData.newPassword.length < 6) {
+      showMessage(t('messages.newPasswordTooShort'), 'error');
+      return;
+    }
+
+    if (changePasswordData.newPassword !== changePasswordData.confirmNewPassword) {
+      showMessage(t('messages.passwordsDontMatch'), 'error');
+      return;
+    }
+
+    if (changePasswordData.newPassword === changePasswordData.currentPassword) {
+      showMessage(t('messages.newPasswordSameAsCurrent'), 'error');
+      return;
+    }
+
+    setIsProcessing(true);
+
+    try {
+      const challengeResponse = await axios.post(`${BACKEND_URL}/auth/challenge`, {
+        address: wallet.address
+      });
+
+      if (!challengeResponse.data.success) {
+        throw new Error(t('messages.challengeError'));
+      }
+
+      showMessage(t('messages.generatingCurrentPasswordProof'), 'info');
+
+      const proofResult = await zkProofService.generateLoginProof(
+        changePasswordData.currentPassword,
+        wallet.address,
+        challengeResponse.data.nonce
+      );
+
+      if (!proofResult.success) {
+        throw new Error(t('messages.proofGenerationError'));
+      }
+
+      showMessage(t('messages.updatingCommitment'), 'info');
+
+      const response = await axios.post(`${BACKEND_URL}/change-password`, {
+        address: wallet.address,
+        proof: proofResult.proof,
+        publicSignals: proofResult.publicSignals,
+        newPasswordHash: hashPassword(changePasswordData.newPassword),
+        chainId: wallet.chainId
+      }, {
+        headers: { Authorization: `Bearer ${session.accessToken}` }
+      });
+
+      if (response.data.success) {
+        // El backend revoca las sesiones abiertas: hay que volver a iniciar sesión
+        setSession(null);
+        selectForm('login');
+        showMessage(t('messages.passwordChanged'), 'success');
+      } else {
+        showMessage(t('messages.changePasswordError', { error: getErrorMessage(response.data) }), 'error');
+      }
+
+    } catch (error) {
+      console.error('Error cambiando contraseña:', error);
+      showMessage(
+        getErrorMessage(error, t('messages.changePasswordUnknownError')),
+        'error'
+      );
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  /**
+   * Manejar recuperación de cuenta con un código de recuperación
+   * El backend genera la prueba del código y resetea el commitment on-chain
+   */
+  const handleRecoverAccount = async (e) => {
+    e.preventDefault();
+
+    if (!recoverData.recoveryCode.trim()) {
+      showMessage(t('messages.recoveryCodeRequired'), 'error');
+      return;
+    }
+
+    if (recoverData.newPassword.length < 6) {
+      showMessage(t('messages.newPasswordTooShort'), 'error');
+      return;
+    }
+
+    if (recoverData.newPassword !== recoverData.confirmNewPassword) {
+      showMessage(t('messages.passwordsDontMatch'), 'error');
+      return;
+    }
+
+    setIsProcessing(true);
+
+    try {
+      // Demostrar propiedad de la wallet antes de resetear el commitment
+      const siweToken = await signInWithEthereum();
+
+      // El desafío se consume en el servidor y liga la prueba de recuperación a este intento
+      const challengeResponse = await axios.post(`${BACKEND_URL}/auth/challenge`, {
+        address: wallet.address
+      });
+
+      if (!challengeResponse.data.success) {
+        throw new Error(t('messages.challengeError'));
+      }
+
+      showMessage(t('messages.verifyingRecoveryCode'), 'info');
+
+      const response = await axios.post(`${BACKEND_URL}/recover-account`, {
+        address: wallet.address,
+        recoveryCode: recoverData.recoveryCode.trim(),
+        newPasswordHash: hashPassword(recoverData.newPassword),
+        challengeNonce: challengeResponse.data.nonce,
+        chainId: wallet.chainId
+      }, {
+        headers: { 'X-SIWE-Token': siweToken }
+      });
+
+      if (response.data.success) {
+        setSession(null);
+        selectForm('login');
+        showMessage(
+          t('messages.accountRecovered', { remaining: response.data.remainingRecoveryCodes }),
+          'success'
+        );
+      } else {
+        showMessage(t('messages.recoverError', { error: getErrorMessage(response.data) }), 'error');
+      }
+
+    } catch (error) {
+      console.error('Error recuperando cuenta:', error);
+      showMessage(
+        getErrorMessage(error, t('messages.recoverUnknownError')),
         'error'
       );
     } finally {
@@ -342,12 +741,14 @@ const Login = () => {
    */
   const handleWalletConnection = (connected, walletInfo) => {
     if (connected) {
-      showMessage(`Wallet conectado: ${walletInfo?.address}`, 'success');
+      showMessage(t('messages.walletConnected', { address: walletInfo?.address }), 'success');
       // Verificar registro del usuario
       setTimeout(() => checkUserRegistration(), 1000);
     } else {
-      showMessage('Wallet desconectado', 'info');
+      showMessage(t('messages.walletDisconnected'), 'info');
       setIsRegistered(false);
+      setSession(null);
+      setRecoveryCodes(null);
       setPassword('');
     }
   };
@@ -358,7 +759,7 @@ const Login = () => {
   const generateDemoPassword = () => {
     const demoPassword = 'demo123456';
     setPassword(demoPassword);
-    showMessage('Contraseña de demo cargada', 'info');
+    showMessage(t('messages.demoPasswordLoaded'), 'info');
   };
 
   return (
@@ -366,8 +767,14 @@ const Login = () => {
       <div className="login-card">
         {/* Header */}
         <div className="login-header">
+          <LanguageSwitcher />
           <h1>🔐 ZK Login</h1>
-          <p>Autenticación segura con Zero-Knowledge Proofs</p>
+          <p>{t('header.subtitle')}</p>
+          {oidcRequest && (
+            <p className="oidc-client">
+              {t('header.oidcContinue')} <strong>{oidcRequest.clientName}</strong>
+            </p>
+          )}
         </div>
 
         {/* Conexión de Wallet */}
@@ -381,13 +788,13 @@ const Login = () => {
             {/* Información del usuario */}
             <div className="user-info">
               <div className="info-row">
-                <span className="label">Estado:</span>
+                <span className="label">{t('user.status')}</span>
                 <span className={`status ${isRegistered ? 'registered' : 'not-registered'}`}>
-                  {isRegistered ? '✅ Registrado' : '❌ No registrado'}
+                  {isRegistered ? t('user.registered') : t('user.notRegistered')}
                 </span>
               </div>
               <div className="info-row">
-                <span className="label">Red:</span>
+                <span className="label">{t('user.network')}</span>
                 <span className="network">
                   {wallet.chainId === 80002 ? 'Amoy Testnet' : wallet.chainId === 80001 ? 'Mumbai Testnet' : `Chain ${wallet.chainId}`}
                 </span>
@@ -398,32 +805,70 @@ const Login = () => {
             <div className="form-selector">
               <button
                 type="button"
-                onClick={() => setShowRegisterForm(false)}
-                className={`form-tab ${!showRegisterForm ? 'active' : ''}`}
+                onClick={() => selectForm('login')}
+                className={`form-tab ${activeForm === 'login' ? 'active' : ''}`}
               >
-                Iniciar Sesión
+                {t('tabs.login')}
               </button>
               <button
                 type="button"
-                onClick={() => setShowRegisterForm(true)}
-                className={`form-tab ${showRegisterForm ? 'active' : ''}`}
+                onClick={() => selectForm('register')}
+                className={`form-tab ${activeForm === 'register' ? 'active' : ''}`}
               >
-                Registrarse
+                {t('tabs.register')}
               </button>
+              {isRegistered && (
+                <button
+                  type="button"
+                  onClick={() => selectForm('changePassword')}
+                  className={`form-tab ${activeForm === 'changePassword' ? 'active' : ''}`}
+                >
+                  {t('tabs.changePassword')}
+                </button>
+              )}
+              {isRegistered && (
+                <button
+                  type="button"
+                  onClick={() => selectForm('recover')}
+                  className={`form-tab ${activeForm === 'recover' ? 'active' : ''}`}
+                >
+                  {t('tabs.recover')}
+                </button>
+              )}
             </div>
 
+            {/* Códigos de recuperación tras el registro */}
+            {recoveryCodes && (
+              <div className="recovery-codes">
+                <p><strong>{t('recoveryCodes.title')}</strong></p>
+                <small>{t('recoveryCodes.hint')}</small>
+                <ul>
+                  {recoveryCodes.map(code => (
+                    <li key={code}><code>{code}</code></li>
+                  ))}
+                </ul>
+                <button
+                  type="button"
+                  className="demo-btn"
+                  onClick={() => setRecoveryCodes(null)}
+                >
+                  {t('recoveryCodes.saved')}
+                </button>
+              </div>
+            )}
+
             {/* Formulario de Login */}
-            {!showRegisterForm ? (
+            {activeForm === 'login' && (
               <form className="auth-form" onSubmit={handleLogin}>
                 <div className="form-group">
-                  <label htmlFor="login-password">Contraseña:</label>
+                  <label htmlFor="login-password">{t('forms.password')}</label>
                   <div className="password-input-container">
                     <input
                       type="password"
                       id="login-password"
                       value={password}
                       onChange={(e) => setPassword(e.target.value)}
-                      placeholder="Ingresa tu contraseña"
+                      placeholder={t('forms.passwordPlaceholder')}
                       disabled={isProcessing}
                       className="password-input"
                       minLength={6}
@@ -434,13 +879,13 @@ const Login = () => {
                       onClick={generateDemoPassword}
                       className="demo-btn"
                       disabled={isProcessing}
-                      title="Cargar contraseña de demo"
+                      title={t('forms.demoPasswordTitle')}
                     >
                       🎲
                     </button>
                   </div>
                   <small className="password-hint">
-                    Ingresa la contraseña con la que te registraste
+                    {t('forms.passwordHint')}
                   </small>
                 </div>
 
@@ -453,25 +898,27 @@ const Login = () => {
                     {isProcessing ? (
                       <>
                         <span className="spinner"></span>
-                        Verificando...
+                        {t('forms.submittingLogin')}
                       </>
                     ) : (
-                      'Iniciar Sesión'
+                      t('forms.submitLogin')
                     )}
                   </button>
                 </div>
               </form>
-            ) : (
-              /* Formulario de Registro */
+            )}
+
+            {/* Formulario de Registro */}
+            {activeForm === 'register' && (
               <form className="auth-form register-form" onSubmit={handleRegister}>
                 <div className="form-group">
-                  <label htmlFor="username">Nombre de Usuario:</label>
+                  <label htmlFor="username">{t('forms.username')}</label>
                   <input
                     type="text"
                     id="username"
                     value={registerData.username}
                     onChange={(e) => handleRegisterInputChange('username', e.target.value)}
-                    placeholder="Ej: juan_perez"
+                    placeholder={t('forms.usernamePlaceholder')}
                     disabled={isProcessing}
                     className="text-input"
                     required
@@ -479,13 +926,13 @@ const Login = () => {
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="email">Email:</label>
+                  <label htmlFor="email">{t('forms.email')}</label>
                   <input
                     type="email"
                     id="email"
                     value={registerData.email}
                     onChange={(e) => handleRegisterInputChange('email', e.target.value)}
-                    placeholder="tu@email.com"
+                    placeholder={t('forms.emailPlaceholder')}
                     disabled={isProcessing}
                     className="text-input"
                     required
@@ -493,13 +940,13 @@ const Login = () => {
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="register-password">Contraseña:</label>
+                  <label htmlFor="register-password">{t('forms.password')}</label>
                   <input
                     type="password"
                     id="register-password"
                     value={registerData.password}
                     onChange={(e) => handleRegisterInputChange('password', e.target.value)}
-                    placeholder="Mínimo 6 caracteres"
+                    placeholder={t('forms.minLengthPlaceholder')}
                     disabled={isProcessing}
                     className="password-input"
                     minLength={6}
@@ -508,13 +955,13 @@ const Login = () => {
                 </div>
 
                 <div className="form-group">
-                  <label htmlFor="confirm-password">Confirmar Contraseña:</label>
+                  <label htmlFor="confirm-password">{t('forms.confirmPassword')}</label>
                   <input
                     type="password"
                     id="confirm-password"
                     value={registerData.confirmPassword}
                     onChange={(e) => handleRegisterInputChange('confirmPassword', e.target.value)}
-                    placeholder="Repite tu contraseña"
+                    placeholder={t('forms.confirmPasswordPlaceholder')}
                     disabled={isProcessing}
                     className="password-input"
                     minLength={6}
@@ -522,7 +969,7 @@ const Login = () => {
                   />
                   {registerData.password && registerData.confirmPassword && 
                    registerData.password !== registerData.confirmPassword && (
-                    <small className="error-hint">Las contraseñas no coinciden</small>
+                    <small className="error-hint">{t('forms.passwordsDontMatch')}</small>
                   )}
                 </div>
 
@@ -535,10 +982,158 @@ const Login = () => {
                     {isProcessing ? (
                       <>
                         <span className="spinner"></span>
-                        Registrando...
+                        {t('forms.submittingRegister')}
+                      </>
+                    ) : (
+                      t('forms.submitRegister')
+                    )}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Formulario de Cambio de Contraseña */}
+            {activeForm === 'changePassword' && (
+              <form className="auth-form change-password-form" onSubmit={handleChangePassword}>
+                {!session && (
+                  <small className="error-hint">
+                    {t('forms.loginRequiredForChange')}
+                  </small>
+                )}
+
+                <div className="form-group">
+                  <label htmlFor="current-password">{t('forms.currentPassword')}</label>
+                  <input
+                    type="password"
+                    id="current-password"
+                    value={changePasswordData.currentPassword}
+                    onChange={(e) => handleChangePasswordInputChange('currentPassword', e.target.value)}
+                    placeholder={t('forms.currentPasswordPlaceholder')}
+                    disabled={isProcessing}
+                    className="password-input"
+                    minLength={6}
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="new-password">{t('forms.newPassword')}</label>
+                  <input
+                    type="password"
+                    id="new-password"
+                    value={changePasswordData.newPassword}
+                    onChange={(e) => handleChangePasswordInputChange('newPassword', e.target.value)}
+                    placeholder={t('forms.minLengthPlaceholder')}
+                    disabled={isProcessing}
+                    className="password-input"
+                    minLength={6}
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="confirm-new-password">{t('forms.confirmNewPassword')}</label>
+                  <input
+                    type="password"
+                    id="confirm-new-password"
+                    value={changePasswordData.confirmNewPassword}
+                    onChange={(e) => handleChangePasswordInputChange('confirmNewPassword', e.target.value)}
+                    placeholder={t('forms.confirmNewPasswordPlaceholder')}
+                    disabled={isProcessing}
+                    className="password-input"
+                    minLength={6}
+                    required
+                  />
+                  {changePasswordData.newPassword && changePasswordData.confirmNewPassword &&
+                   changePasswordData.newPassword !== changePasswordData.confirmNewPassword && (
+                    <small className="error-hint">{t('forms.passwordsDontMatch')}</small>
+                  )}
+                </div>
+
+                <div className="form-actions">
+                  <button
+                    type="submit"
+                    className="primary-btn"
+                    disabled={isProcessing || !session}
+                  >
+                    {isProcessing ? (
+                      <>
+                        <span className="spinner"></span>
+                        {t('forms.submittingChangePassword')}
+                      </>
+                    ) : (
+                      t('forms.submitChangePassword')
+                    )}
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {/* Formulario de Recuperación de Cuenta */}
+            {activeForm === 'recover' && (
+              <form className="auth-form recover-form" onSubmit={handleRecoverAccount}>
+                <div className="form-group">
+                  <label htmlFor="recovery-code">{t('forms.recoveryCode')}</label>
+                  <input
+                    type="text"
+                    id="recovery-code"
+                    value={recoverData.recoveryCode}
+                    onChange={(e) => handleRecoverInputChange('recoveryCode', e.target.value)}
+                    placeholder="XXXX-XXXX-XXXX-XXXX"
+                    disabled={isProcessing}
+                    className="text-input"
+                    autoComplete="off"
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="recover-new-password">{t('forms.newPassword')}</label>
+                  <input
+                    type="password"
+                    id="recover-new-password"
+                    value={recoverData.newPassword}
+                    onChange={(e) => handleRecoverInputChange('newPassword', e.target.value)}
+                    placeholder={t('forms.minLengthPlaceholder')}
+                    disabled={isProcessing}
+                    className="password-input"
+                    minLength={6}
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="recover-confirm-password">{t('forms.confirmNewPassword')}</label>
+                  <input
+                    type="password"
+                    id="recover-confirm-password"
+                    value={recoverData.confirmNewPassword}
+                    onChange={(e) => handleRecoverInputChange('confirmNewPassword', e.target.value)}
+                    placeholder={t('forms.confirmNewPasswordPlaceholder')}
+                    disabled={isProcessing}
+                    className="password-input"
+                    minLength={6}
+                    required
+                  />
+                  {recoverData.newPassword && recoverData.confirmNewPassword &&
+                   recoverData.newPassword !== recoverData.confirmNewPassword && (
+                    <small className="error-hint">{t('forms.passwordsDontMatch')}</small>
+                  )}
+                </div>
+
+                <div className="form-actions">
+                  <button
+                    type="submit"
+                    className="primary-btn"
+                    disabled={isProcessing}
+                  >
+                    {isProcessing ? (
+                      <>
+                        <span className="spinner"></span>
+                        {t('forms.submittingRecover')}
                       </>
                     ) : (
-                      'Crear Cuenta'
+                      t('forms.submitRecover')
                     )}
                   </button>
                 </div>
@@ -548,16 +1143,16 @@ const Login = () => {
             {/* Información técnica */}
             <div className="tech-info">
               <details>
-                <summary>ℹ️ Información técnica</summary>
+                <summary>{t('tech.title')}</summary>
                 <div className="tech-details">
-                  <p><strong>Proceso de autenticación:</strong></p>
+                  <p><strong>{t('tech.process')}</strong></p>
                   <ol>
-                    <li>Se genera un hash SHA256 de tu contraseña</li>
-                    <li>Se crea una prueba ZK usando Circom + snarkjs</li>
-                    <li>La prueba se verifica en el contrato inteligente</li>
-                    <li>No se almacena tu contraseña real en ningún lugar</li>
+                    <li>{t('tech.step1')}</li>
+                    <li>{t('tech.step2')}</li>
+                    <li>{t('tech.step3')}</li>
+                    <li>{t('tech.step4')}</li>
                   </ol>
-                  <p><strong>Red:</strong> {wallet.chainId === 80002 ? 'Polygon Amoy Testnet' : wallet.chainId === 80001 ? 'Polygon Mumbai Testnet (Deprecated)' : 'Otra red'}</p>
+                  <p><strong>{t('tech.network')}</strong> {wallet.chainId === 80002 ? 'Polygon Amoy Testnet' : wallet.chainId === 80001 ? 'Polygon Mumbai Testnet (Deprecated)' : t('tech.otherNetwork')}</p>
                   <p><strong>Backend:</strong> {BACKEND_URL}</p>
                 </div>
               </details>
@@ -585,8 +1180,9 @@ const Login = () => {
           <div className="processing-overlay">
             <div className="processing-content">
               <div className="large-spinner"></div>
-              <p>Procesando solicitud...</p>
-              <small>Esto puede tomar unos segundos</small>
+              <p>{t('progress.processing')}</p>
+              <small>{t('progress.mayTakeSeconds')}</small>
+              <ProgressSteps steps={progress.steps} />
             </div>
           </div>
         )}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { useTranslation } from '../../i18n';
+import './ProgressSteps.css';
+
+const STATUS_ICONS = {
+  pending: '○',
+  started: '⏳',
+  completed: '✅',
+  skipped: '⏭️',
+  failed: '❌'
+};
+
+/**
+ * Vista paso a paso del progreso de login/registro
+ * Muestra el estado de cada etapa y el tiempo empleado
+ */
+const ProgressSteps = ({ steps }) => {
+  const { t } = useTranslation();
+
+  if (!steps || steps.length === 0) return null;
+
+  const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '';
+    return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(2)} s`;
+  };
+
+  return (
+    <ol className="progress-steps">
+      {steps.map(step => (
+        <li key={step.name} className={`progress-step ${step.status}`}>
+          <span className="step-icon">{STATUS_ICONS[step.status] || '○'}</span>
+          <span className="step-label">
+            {t(`progress.stages.${step.name}`)}
+            {step.detail && <small className="step-detail">{step.detail}</small>}
+          </span>
+          <span className="step-duration">{formatDuration(step.durationMs)}</span>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default ProgressSteps;
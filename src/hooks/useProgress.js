@@ -0,0 +1,96 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:5000';
+
+// El canal de un login se abre cuando el backend acepta la petición; si la
+// suscripción llega antes recibe 404 y se reintenta (las etapas se reenvían)
+const CONNECT_RETRIES = 5;
+const CONNECT_RETRY_MS = 300;
+
+/**
+ * Hook para seguir el progreso por etapas de un login o registro
+ * Combina eventos locales (prueba generada en el navegador) con los que
+ * el backend envía por Server-Sent Events (GET /progress/:id/stream).
+ */
+const useProgress = () => {
+  const [steps, setSteps] = useState([]);
+  const eventSourceRef = useRef(null);
+  const retryTimerRef = useRef(null);
+
+  // Cerrar la conexión SSE
+  const close = useCallback(() => {
+    clearTimeout(retryTimerRef.current);
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+    }
+  }, []);
+
+  // Iniciar una nueva vista de progreso con las etapas esperadas
+  const start = useCallback((stageNames) => {
+    close();
+    setSteps(stageNames.map(name => ({
+      name,
+      status: 'pending',
+      durationMs: null,
+      detail: null
+    })));
+  }, [close]);
+
+  // Aplicar un evento de etapa { stage, status, durationMs?, reason?, error?, mock? }
+  const report = useCallback((event) => {
+    setSteps(prev => prev.map(step => {
+      if (step.name !== event.stage) return step;
+
+      return {
+        ...step,
+        status: event.status,
+        durationMs: event.durationMs ?? step.durationMs,
+        detail: event.error || event.reason || (event.mock ? 'mock' : null)
+      };
+    }));
+  }, []);
+
+  // Suscribirse a los eventos del backend para un id de progreso
+  // token: jobToken del registro o X-Progress-Token enviado en el login
+  const connect = useCallback((progressId, token) => {
+    const url = `${BACKEND_URL}/progress/${progressId}/stream?token=${encodeURIComponent(token)}`;
+
+    const open = (attempt) => {
+      close();
+
+      const eventSource = new EventSource(url);
+      eventSource.addEventListener('stage', (e) => report(JSON.parse(e.data)));
+      eventSource.addEventListener('done', close);
+      eventSource.onerror = () => {
+        close();
+        if (attempt < CONNECT_RETRIES) {
+          retryTimerRef.current = setTimeout(() => open(attempt + 1), CONNECT_RETRY_MS);
+        }
+      };
+
+      eventSourceRef.current = eventSource;
+    };
+
+    open(0);
+  }, [close, report]);
+
+  const reset = useCallback(() => {
+    close();
+    setSteps([]);
+  }, [close]);
+
+  // Cerrar la conexión al desmontar
+  useEffect(() => close, [close]);
+
+  return {
+    steps,
+    start,
+    report,
+    connect,
+    close,
+    reset
+  };
+};
+
+export default useProgress;
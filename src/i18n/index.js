@@ -0,0 +1,99 @@
+import React, { createContext, useCallback, useContext, useMemo, useState } from 'react';
+import axios from 'axios';
+import es from './locales/es';
+import en from './locales/en';
+
+/**
+ * Internacionalización de la interfaz (español / inglés)
+ *
+ * - El idioma se guarda en localStorage; la primera vez se toma del navegador
+ * - Todas las peticiones de axios envían Accept-Language con el idioma
+ *   elegido, así los mensajes del backend llegan en el mismo idioma
+ * - translate() sirve fuera de componentes (servicios); dentro de ellos se
+ *   usa el hook useTranslation()
+ */
+
+const STORAGE_KEY = 'zk-login-language';
+const DEFAULT_LANGUAGE = 'es';
+
+const BUNDLES = { es, en };
+
+export const LANGUAGES = Object.keys(BUNDLES);
+
+const detectLanguage = () => {
+  const stored = window.localStorage.getItem(STORAGE_KEY);
+  if (LANGUAGES.includes(stored)) return stored;
+
+  const browser = (navigator.language || '').slice(0, 2).toLowerCase();
+  return LANGUAGES.includes(browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+// Idioma activo (compartido con los servicios que no son componentes)
+let currentLanguage = DEFAULT_LANGUAGE;
+
+const applyLanguage = (language) => {
+  currentLanguage = language;
+  axios.defaults.headers.common['Accept-Language'] = language;
+  document.documentElement.lang = language;
+};
+
+applyLanguage(detectLanguage());
+
+const lookup = (bundle, key) => {
+  const value = key.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    bundle
+  );
+  return typeof value === 'string' ? value : undefined;
+};
+
+/**
+ * Comprobar si existe una clave de traducción
+ */
+export const hasTranslation = (key) => lookup(BUNDLES[DEFAULT_LANGUAGE], key) !== undefined;
+
+/**
+ * Traducir una clave ("messages.loginSuccess") sustituyendo los {marcadores}
+ * Si falta en el idioma pedido se usa el español y, si tampoco existe, la clave.
+ */
+export const translate = (key, params = {}, language = currentLanguage) => {
+  const text = lookup(BUNDLES[language], key) ?? lookup(BUNDLES[DEFAULT_LANGUAGE], key);
+  if (text === undefined) return key;
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+};
+
+const I18nContext = createContext({
+  language: currentLanguage,
+  setLanguage: () => {},
+  t: translate
+});
+
+/**
+ * Proveedor del idioma para toda la aplicación
+ */
+export const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(currentLanguage);
+
+  const setLanguage = useCallback((next) => {
+    if (!LANGUAGES.includes(next)) return;
+
+    window.localStorage.setItem(STORAGE_KEY, next);
+    applyLanguage(next);
+    setLanguageState(next);
+  }, []);
+
+  const t = useCallback((key, params) => translate(key, params, language), [language]);
+
+  const value = useMemo(() => ({ language, setLanguage, t }), [language, setLanguage, t]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+/**
+ * Hook para traducir dentro de componentes
+ * @returns {{ t: Function, language: string, setLanguage: Function }}
+ */
+export const useTranslation = () => useContext(I18nContext);
@@ -0,0 +1,21 @@
+import es from './locales/es';
+import en from './locales/en';
+
+const keysOf = (node, prefix = '') =>
+  Object.entries(node).flatMap(([key, value]) =>
+    typeof value === 'object' ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+
+const placeholdersOf = (text) => (text.match(/\{(\w+)\}/g) || []).sort();
+
+const lookup = (bundle, key) => key.split('.').reduce((node, part) => node[part], bundle);
+
+test('español e inglés tienen las mismas claves', () => {
+  expect(keysOf(en).sort()).toEqual(keysOf(es).sort());
+});
+
+test('cada traducción usa los mismos marcadores que el español', () => {
+  keysOf(es).forEach((key) => {
+    expect([key, placeholdersOf(lookup(en, key))]).toEqual([key, placeholdersOf(lookup(es, key))]);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Textos de la interfaz en inglés
+ * Mismas claves que es.js; si falta alguna se usa el texto en español.
+ */
+const en = {
+  language: {
+    label: 'Language',
+    es: 'Español',
+    en: 'English'
+  },
+
+  header: {
+    subtitle: 'Secure authentication with Zero-Knowledge Proofs',
+    oidcContinue: 'Sign in to continue to'
+  },
+
+  wallet: {
+    connectTitle: 'Connect Wallet',
+    connectSubtitle: 'Connect your favorite wallet using RabbyKit',
+    supportedWallets: 'Supported wallets:',
+    connected: 'Wallet Connected',
+    disconnect: 'Disconnect',
+    disconnectTitle: 'Disconnect wallet',
+    address: 'Address:',
+    network: 'Network:',
+    unknownNetwork: 'Unknown network',
+    balance: 'Balance:',
+    loading: 'Loading...',
+    refreshTitle: 'Refresh balance'
+  },
+
+  user: {
+    status: 'Status:',
+    registered: '✅ Registered',
+    notRegistered: '❌ Not registered',
+    network: 'Network:'
+  },
+
+  tabs: {
+    login: 'Sign In',
+    register: 'Sign Up',
+    changePassword: 'Change Password',
+    recover: 'Recover Account'
+  },
+
+  recoveryCodes: {
+    title: 'Save your recovery codes',
+    hint: 'They are only shown once. Each code resets your password a single time.',
+    saved: 'I have saved them'
+  },
+
+  forms: {
+    password: 'Password:',
+    passwordPlaceholder: 'Enter your password',
+    passwordHint: 'Enter the password you registered with',
+    demoPasswordTitle: 'Load demo password',
+    username: 'Username:',
+    usernamePlaceholder: 'E.g. john_doe',
+    email: 'Email:',
+    emailPlaceholder: 'you@email.com',
+    minLengthPlaceholder: 'At least 6 characters',
+    confirmPassword: 'Confirm Password:',
+    confirmPasswordPlaceholder: 'Repeat your password',
+    currentPassword: 'Current Password:',
+    currentPasswordPlaceholder: 'Your current password',
+    newPassword: 'New Password:',
+    confirmNewPassword: 'Confirm New Password:',
+    confirmNewPasswordPlaceholder: 'Repeat the new password',
+    recoveryCode: 'Recovery Code:',
+    passwordsDontMatch: 'Passwords do not match',
+    loginRequiredForChange: 'You must sign in before changing your password',
+    submitLogin: 'Sign In',
+    submittingLogin: 'Verifying...',
+    submitRegister: 'Create Account',
+    submittingRegister: 'Registering...',
+    submitChangePassword: 'Change Password',
+    submittingChangePassword: 'Updating...',
+    submitRecover: 'Recover Account',
+    submittingRecover: 'Recovering...'
+  },
+
+  messages: {
+    oidcRequestExpired: 'The sign-in request expired. Go back to the application and try again.',
+    checkingRegistration: 'Checking user registration...',
+    notRegisteredMustRegister: 'User not registered. Please sign up first.',
+    checkRegistrationError: 'Error checking user registration',
+    siweMessageError: 'Error fetching the SIWE message',
+    signatureRejected: 'Signature rejected: {error}',
+    siweInvalid: 'Invalid SIWE signature',
+    usernameRequired: 'Please enter a username',
+    emailRequired: 'Please enter an email',
+    emailInvalid: 'Please enter a valid email',
+    passwordRequired: 'Please enter a password',
+    passwordsDontMatch: 'Passwords do not match',
+    passwordTooShort: 'The password must be at least 6 characters long',
+    connectWalletFirst: 'Please connect your wallet first',
+    generatingRegistrationProof: 'Generating ZK proof for registration...',
+    proofGenerationError: 'Error generating ZK proof',
+    mockProofWarning: '⚠️ Using MOCK proof for development',
+    registeringOnChain: 'Registering on the blockchain...',
+    registrationError: 'Registration error: {error}',
+    registrationSuccess: 'User registered successfully!',
+    registrationSuccessWithoutRecovery: 'User registered, but the recovery codes could not be activated: {error}',
+    registrationUnknownError: 'Unknown error during registration',
+    enterPassword: 'Please enter your password',
+    notRegisteredRegisterFirst: 'User not registered. Sign up first.',
+    signToProveOwnership: 'Sign the message in your wallet to prove you own it...',
+    challengeError: 'Error fetching the login challenge',
+    generatingProofLocally: 'Generating ZK proof locally...',
+    verifyingOnChain: 'Verifying proof on the blockchain...',
+    loginSuccess: 'Login successful! Welcome 🎉',
+    invalidCredentials: 'Invalid credentials or invalid ZK proof',
+    loginUnknownError: 'Unknown error during login',
+    loginBeforeChange: 'Sign in before changing your password',
+    newPasswordTooShort: 'The new password must be at least 6 characters long',
+    newPasswordSameAsCurrent: 'The new password must be different from the current one',
+    generatingCurrentPasswordProof: 'Generating ZK proof of the current password...',
+    updatingCommitment: 'Updating commitment on the blockchain...',
+    passwordChanged: 'Password updated. Sign in with your new password.',
+    changePasswordError: 'Error changing password: {error}',
+    changePasswordUnknownError: 'Unknown error changing the password',
+    recoveryCodeRequired: 'Please enter a recovery code',
+    verifyingRecoveryCode: 'Verifying code and resetting commitment...',
+    accountRecovered: 'Account recovered. You have {remaining} recovery codes left.',
+    recoverError: 'Error recovering account: {error}',
+    recoverUnknownError: 'Unknown error recovering the account',
+    walletConnected: 'Wallet connected: {address}',
+    walletDisconnected: 'Wallet disconnected',
+    demoPasswordLoaded: 'Demo password loaded',
+    invalidUserAddress: 'Invalid user address'
+  },
+
+  progress: {
+    processing: 'Processing request...',
+    mayTakeSeconds: 'This may take a few seconds',
+    queued: 'Registration queued...',
+    stages: {
+      input_built: 'Circuit input prepared',
+      witness_computed: 'Witness computed',
+      proof_generated: 'ZK proof generated',
+      local_verify: 'Local verification',
+      tx_sent: 'Transaction sent',
+      tx_confirmed: 'Transaction confirmed',
+      privado_check: 'privado.id verification'
+    },
+    jobStages: {
+      generate_proof: 'Generating ZK proof on the server...',
+      submit_transaction: 'Sending transaction to the blockchain...',
+      confirm_transaction: 'Waiting for transaction confirmation...',
+      save_user: 'Saving user...'
+    }
+  },
+
+  tech: {
+    title: 'ℹ️ Technical information',
+    process: 'Authentication process:',
+    step1: 'A SHA256 hash of your password is generated',
+    step2: 'A ZK proof is created using Circom + snarkjs',
+    step3: 'The proof is verified in the smart contract',
+    step4: 'Your real password is never stored anywhere',
+    network: 'Network:',
+    otherNetwork: 'Other network'
+  },
+
+  // Mensajes por código de error de la API (ver Backend/utils/errors.js)
+  errors: {
+    unknown: 'Unknown error',
+    reference: '(reference: {requestId})',
+    INTERNAL_ERROR: 'Internal server error. Please try again later.',
+    VALIDATION_FAILED: 'The submitted data is not valid',
+    REQUEST_BLOCKED: 'The request was blocked because it contains suspicious data',
+    RATE_LIMITED: 'Too many requests. Wait a few minutes and try again.',
+    AUTH_RATE_LIMITED: 'Too many authentication attempts. Wait a few minutes and try again.',
+    SERVICE_UNAVAILABLE: 'The server is restarting. Try again in a few seconds.',
+    CHAIN_UNSUPPORTED: 'Your wallet network is not supported. Switch to a compatible network.',
+    CHAIN_UNAVAILABLE: 'Your wallet network is not available right now. Try again later or switch networks.',
+    USER_NOT_REGISTERED: 'User not registered. Sign up first.',
+    USER_ALREADY_REGISTERED: 'This wallet is already registered',
+    ADDRESS_ALREADY_REGISTERED: 'This wallet is already registered',
+    USERNAME_TAKEN: 'That username is already taken',
+    EMAIL_TAKEN: 'That email is already registered',
+    REGISTRATION_IN_PROGRESS: 'A registration is already in progress for this wallet',
+    ACCOUNT_DEACTIVATED: 'Your account is deactivated. Contact an administrator.',
+    ACCOUNT_LOCKED: 'Account temporarily locked after failed attempts',
+    LOGIN_BACKOFF: 'Too many failed attempts. Wait before trying again.',
+    PROOF_INVALID: 'Invalid credentials or invalid ZK proof',
+    PROOF_GENERATION_FAILED: 'The ZK proof could not be generated',
+    RECOVERY_CODE_INVALID: 'Recovery code is invalid or already used',
+    CHALLENGE_UNKNOWN: 'The login session expired. Please try again.',
+    CHALLENGE_ADDRESS_MISMATCH: 'The login session expired. Please try again.',
+    CHALLENGE_USED: 'The login session expired. Please try again.',
+    CHALLENGE_EXPIRED: 'The login session expired. Please try again.',
+    BLOCKCHAIN_TX_FAILED: 'The blockchain transaction failed',
+    ONCHAIN_VERIFICATION_FAILED: 'The proof could not be verified on the blockchain',
+    AUTH_REQUIRED: 'Sign in to continue',
+    TOKEN_INVALID: 'Your session is not valid. Sign in again.',
+    TOKEN_EXPIRED: 'Your session expired. Sign in again.',
+    TOKEN_REVOKED: 'Your session was closed. Sign in again.',
+    SESSION_REVOKED: 'Your session was closed. Sign in again.',
+    SIWE_SIGNATURE_INVALID: 'Invalid wallet signature',
+    SIWE_ADDRESS_MISMATCH: 'The signature does not match the connected wallet',
+    SIWE_MESSAGE_EXPIRED: 'The message to sign expired. Please try again.',
+    SIWE_TOKEN_REQUIRED: 'Sign with your wallet to continue',
+    SIWE_TOKEN_INVALID: 'The wallet signature expired. Please try again.',
+    SIWE_TOKEN_ADDRESS_MISMATCH: 'The signature does not match the connected wallet',
+    JOB_NOT_FOUND: 'The registration in progress was not found',
+    JOB_ABORTED: 'The server restarted before processing the registration. Please submit it again.',
+    IDEMPOTENCY_IN_PROGRESS: 'An identical request is already in progress'
+  }
+};
+
+export default en;
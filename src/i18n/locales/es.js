@@ -0,0 +1,212 @@
+/**
+ * Textos de la interfaz en español (idioma por defecto)
+ * Los marcadores {nombre} se sustituyen al traducir.
+ */
+const es = {
+  language: {
+    label: 'Idioma',
+    es: 'Español',
+    en: 'English'
+  },
+
+  header: {
+    subtitle: 'Autenticación segura con Zero-Knowledge Proofs',
+    oidcContinue: 'Inicia sesión para continuar en'
+  },
+
+  wallet: {
+    connectTitle: 'Conectar Wallet',
+    connectSubtitle: 'Conecta tu wallet favorita usando RabbyKit',
+    supportedWallets: 'Wallets soportadas:',
+    connected: 'Wallet Conectado',
+    disconnect: 'Desconectar',
+    disconnectTitle: 'Desconectar wallet',
+    address: 'Dirección:',
+    network: 'Red:',
+    unknownNetwork: 'Red desconocida',
+    balance: 'Balance:',
+    loading: 'Cargando...',
+    refreshTitle: 'Refrescar balance'
+  },
+
+  user: {
+    status: 'Estado:',
+    registered: '✅ Registrado',
+    notRegistered: '❌ No registrado',
+    network: 'Red:'
+  },
+
+  tabs: {
+    login: 'Iniciar Sesión',
+    register: 'Registrarse',
+    changePassword: 'Cambiar Contraseña',
+    recover: 'Recuperar Cuenta'
+  },
+
+  recoveryCodes: {
+    title: 'Guarda tus códigos de recuperación',
+    hint: 'Solo se muestran esta vez. Cada código permite resetear tu contraseña una sola vez.',
+    saved: 'Ya los guardé'
+  },
+
+  forms: {
+    password: 'Contraseña:',
+    passwordPlaceholder: 'Ingresa tu contraseña',
+    passwordHint: 'Ingresa la contraseña con la que te registraste',
+    demoPasswordTitle: 'Cargar contraseña de demo',
+    username: 'Nombre de Usuario:',
+    usernamePlaceholder: 'Ej: juan_perez',
+    email: 'Email:',
+    emailPlaceholder: 'tu@email.com',
+    minLengthPlaceholder: 'Mínimo 6 caracteres',
+    confirmPassword: 'Confirmar Contraseña:',
+    confirmPasswordPlaceholder: 'Repite tu contraseña',
+    currentPassword: 'Contraseña Actual:',
+    currentPasswordPlaceholder: 'Tu contraseña actual',
+    newPassword: 'Nueva Contraseña:',
+    confirmNewPassword: 'Confirmar Nueva Contraseña:',
+    confirmNewPasswordPlaceholder: 'Repite la nueva contraseña',
+    recoveryCode: 'Código de Recuperación:',
+    passwordsDontMatch: 'Las contraseñas no coinciden',
+    loginRequiredForChange: 'Debes iniciar sesión antes de cambiar tu contraseña',
+    submitLogin: 'Iniciar Sesión',
+    submittingLogin: 'Verificando...',
+    submitRegister: 'Crear Cuenta',
+    submittingRegister: 'Registrando...',
+    submitChangePassword: 'Cambiar Contraseña',
+    submittingChangePassword: 'Actualizando...',
+    submitRecover: 'Recuperar Cuenta',
+    submittingRecover: 'Recuperando...'
+  },
+
+  messages: {
+    oidcRequestExpired: 'La solicitud de inicio de sesión expiró. Vuelve a la aplicación e inténtalo de nuevo.',
+    checkingRegistration: 'Verificando registro de usuario...',
+    notRegisteredMustRegister: 'Usuario no registrado. Debe registrarse primero.',
+    checkRegistrationError: 'Error verificando registro de usuario',
+    siweMessageError: 'Error obteniendo mensaje SIWE',
+    signatureRejected: 'Firma rechazada: {error}',
+    siweInvalid: 'Firma SIWE no válida',
+    usernameRequired: 'Por favor ingresa un nombre de usuario',
+    emailRequired: 'Por favor ingresa un email',
+    emailInvalid: 'Por favor ingresa un email válido',
+    passwordRequired: 'Por favor ingresa una contraseña',
+    passwordsDontMatch: 'Las contraseñas no coinciden',
+    passwordTooShort: 'La contraseña debe tener al menos 6 caracteres',
+    connectWalletFirst: 'Por favor conecta tu wallet primero',
+    generatingRegistrationProof: 'Generando prueba ZK para registro...',
+    proofGenerationError: 'Error generando prueba ZK',
+    mockProofWarning: '⚠️ Usando prueba MOCK para desarrollo',
+    registeringOnChain: 'Registrando en blockchain...',
+    registrationError: 'Error en registro: {error}',
+    registrationSuccess: '¡Usuario registrado exitosamente!',
+    registrationSuccessWithoutRecovery: 'Usuario registrado, pero no se pudieron activar los códigos de recuperación: {error}',
+    registrationUnknownError: 'Error desconocido durante el registro',
+    enterPassword: 'Por favor ingresa tu contraseña',
+    notRegisteredRegisterFirst: 'Usuario no registrado. Registrate primero.',
+    signToProveOwnership: 'Firma el mensaje en tu wallet para demostrar su propiedad...',
+    challengeError: 'Error obteniendo desafío de login',
+    generatingProofLocally: 'Generando prueba ZK localmente...',
+    verifyingOnChain: 'Verificando prueba en blockchain...',
+    loginSuccess: '¡Login exitoso! Bienvenido 🎉',
+    invalidCredentials: 'Credenciales inválidas o prueba ZK no válida',
+    loginUnknownError: 'Error desconocido durante el login',
+    loginBeforeChange: 'Inicia sesión antes de cambiar tu contraseña',
+    newPasswordTooShort: 'La nueva contraseña debe tener al menos 6 caracteres',
+    newPasswordSameAsCurrent: 'La nueva contraseña debe ser distinta de la actual',
+    generatingCurrentPasswordProof: 'Generando prueba ZK de la contraseña actual...',
+    updatingCommitment: 'Actualizando commitment en blockchain...',
+    passwordChanged: 'Contraseña actualizada. Inicia sesión con tu nueva contraseña.',
+    changePasswordError: 'Error cambiando contraseña: {error}',
+    changePasswordUnknownError: 'Error desconocido cambiando la contraseña',
+    recoveryCodeRequired: 'Por favor ingresa un código de recuperación',
+    verifyingRecoveryCode: 'Verificando código y reseteando commitment...',
+    accountRecovered: 'Cuenta recuperada. Te quedan {remaining} códigos de recuperación.',
+    recoverError: 'Error recuperando cuenta: {error}',
+    recoverUnknownError: 'Error desconocido recuperando la cuenta',
+    walletConnected: 'Wallet conectado: {address}',
+    walletDisconnected: 'Wallet desconectado',
+    demoPasswordLoaded: 'Contraseña de demo cargada',
+    invalidUserAddress: 'Dirección de usuario inválida'
+  },
+
+  progress: {
+    processing: 'Procesando solicitud...',
+    mayTakeSeconds: 'Esto puede tomar unos segundos',
+    queued: 'Registro en cola...',
+    stages: {
+      input_built: 'Entrada del circuito preparada',
+      witness_computed: 'Witness calculado',
+      proof_generated: 'Prueba ZK generada',
+      local_verify: 'Verificación local',
+      tx_sent: 'Transacción enviada',
+      tx_confirmed: 'Transacción confirmada',
+      privado_check: 'Verificación privado.id'
+    },
+    jobStages: {
+      generate_proof: 'Generando prueba ZK en el servidor...',
+      submit_transaction: 'Enviando transacción a blockchain...',
+      confirm_transaction: 'Esperando confirmación de la transacción...',
+      save_user: 'Guardando usuario...'
+    }
+  },
+
+  tech: {
+    title: 'ℹ️ Información técnica',
+    process: 'Proceso de autenticación:',
+    step1: 'Se genera un hash SHA256 de tu contraseña',
+    step2: 'Se crea una prueba ZK usando Circom + snarkjs',
+    step3: 'La prueba se verifica en el contrato inteligente',
+    step4: 'No se almacena tu contraseña real en ningún lugar',
+    network: 'Red:',
+    otherNetwork: 'Otra red'
+  },
+
+  // Mensajes por código de error de la API (ver Backend/utils/errors.js)
+  errors: {
+    unknown: 'Error desconocido',
+    reference: '(referencia: {requestId})',
+    INTERNAL_ERROR: 'Error interno del servidor. Inténtalo de nuevo más tarde.',
+    VALIDATION_FAILED: 'Los datos enviados no son válidos',
+    REQUEST_BLOCKED: 'La petición fue bloqueada por contener datos sospechosos',
+    RATE_LIMITED: 'Demasiadas solicitudes. Espera unos minutos e inténtalo de nuevo.',
+    AUTH_RATE_LIMITED: 'Demasiados intentos de autenticación. Espera unos minutos e inténtalo de nuevo.',
+    SERVICE_UNAVAILABLE: 'El servidor se está reiniciando. Inténtalo de nuevo en unos segundos.',
+    CHAIN_UNSUPPORTED: 'La red de tu wallet no está soportada. Cambia a una red compatible.',
+    CHAIN_UNAVAILABLE: 'La red de tu wallet no está disponible ahora. Inténtalo más tarde o cambia de red.',
+    USER_NOT_REGISTERED: 'Usuario no registrado. Regístrate primero.',
+    USER_ALREADY_REGISTERED: 'Esta wallet ya está registrada',
+    ADDRESS_ALREADY_REGISTERED: 'Esta wallet ya está registrada',
+    USERNAME_TAKEN: 'Ese nombre de usuario ya está en uso',
+    EMAIL_TAKEN: 'Ese email ya está registrado',
+    REGISTRATION_IN_PROGRESS: 'Ya hay un registro en curso para esta wallet',
+    ACCOUNT_DEACTIVATED: 'Tu cuenta está desactivada. Contacta con un administrador.',
+    ACCOUNT_LOCKED: 'Cuenta bloqueada temporalmente por intentos fallidos',
+    LOGIN_BACKOFF: 'Demasiados intentos fallidos. Espera antes de volver a intentarlo.',
+    PROOF_INVALID: 'Credenciales inválidas o prueba ZK no válida',
+    PROOF_GENERATION_FAILED: 'No se pudo generar la prueba ZK',
+    RECOVERY_CODE_INVALID: 'Código de recuperación inválido o ya utilizado',
+    CHALLENGE_UNKNOWN: 'La sesión de login caducó. Vuelve a intentarlo.',
+    CHALLENGE_ADDRESS_MISMATCH: 'La sesión de login caducó. Vuelve a intentarlo.',
+    CHALLENGE_USED: 'La sesión de login caducó. Vuelve a intentarlo.',
+    CHALLENGE_EXPIRED: 'La sesión de login caducó. Vuelve a intentarlo.',
+    BLOCKCHAIN_TX_FAILED: 'La transacción en blockchain falló',
+    ONCHAIN_VERIFICATION_FAILED: 'No se pudo verificar la prueba en blockchain',
+    AUTH_REQUIRED: 'Inicia sesión para continuar',
+    TOKEN_INVALID: 'Tu sesión no es válida. Inicia sesión de nuevo.',
+    TOKEN_EXPIRED: 'Tu sesión expiró. Inicia sesión de nuevo.',
+    TOKEN_REVOKED: 'Tu sesión fue cerrada. Inicia sesión de nuevo.',
+    SESSION_REVOKED: 'Tu sesión fue cerrada. Inicia sesión de nuevo.',
+    SIWE_SIGNATURE_INVALID: 'Firma de la wallet inválida',
+    SIWE_ADDRESS_MISMATCH: 'La firma no corresponde a la wallet conectada',
+    SIWE_MESSAGE_EXPIRED: 'El mensaje a firmar expiró. Vuelve a intentarlo.',
+    SIWE_TOKEN_REQUIRED: 'Firma con tu wallet para continuar',
+    SIWE_TOKEN_INVALID: 'La firma de la wallet expiró. Vuelve a intentarlo.',
+    SIWE_TOKEN_ADDRESS_MISMATCH: 'La firma no corresponde a la wallet conectada',
+    JOB_NOT_FOUND: 'No se encontró el registro en curso',
+    JOB_ABORTED: 'El servidor se reinició antes de procesar el registro. Vuelve a enviarlo.',
+    IDEMPOTENCY_IN_PROGRESS: 'Ya hay una petición igual en curso'
+  }
+};
+
+export default es;
@@ -6,6 +6,7 @@ import { RabbyKitProvider } from '@rabby-wallet/rabbykit';
 import { config } from './config/rabbykit';
 import './index.css';
 import App from './App';
+import { I18nProvider } from './i18n';
 import reportWebVitals from './reportWebVitals';
 
 // Crear cliente de React Query
@@ -17,7 +18,9 @@ root.render(
     <WagmiProvider config={config}>
       <QueryClientProvider client={queryClient}>
         <RabbyKitProvider>
-          <App />
+          <I18nProvider>
+            <App />
+          </I18nProvider>
         </RabbyKitProvider>
       </QueryClientProvider>
     </WagmiProvider>
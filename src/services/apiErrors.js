@@ -0,0 +1,32 @@
+/**
+ * Mensajes de error de la API para el usuario
+ *
+ * El backend responde los errores como { success: false, code, error }.
+ * `code` es estable (ver Backend/utils/errors.js); aquí se traduce a un
+ * mensaje pensado para la interfaz con las traducciones de src/i18n
+ * (sección errors). Si un código no está traducido se usa el texto `error`
+ * del backend, que ya llega en el idioma elegido (Accept-Language).
+ * Si la respuesta trae requestId se añade como referencia para soporte.
+ */
+
+import { hasTranslation, translate } from '../i18n';
+
+/**
+ * Obtener el mensaje para el usuario a partir de un error de la API
+ * @param {Object} source - Error de axios, cuerpo de respuesta ({ code, error })
+ *                          o trabajo de /jobs/:id ({ errorCode, error })
+ * @param {string} fallback - Mensaje si no hay nada mejor
+ * @returns {string}
+ */
+export const getErrorMessage = (source, fallback = translate('errors.unknown')) => {
+  const data = source?.response?.data || source;
+  const code = data?.code || data?.errorCode;
+
+  const message = code && hasTranslation(`errors.${code}`)
+    ? translate(`errors.${code}`)
+    : (typeof data?.error === 'string' && data.error) || fallback;
+
+  return data?.requestId
+    ? `${message} ${translate('errors.reference', { requestId: data.requestId })}`
+    : message;
+};
@@ -13,6 +13,7 @@
 
 import * as snarkjs from 'snarkjs';
 import { sha256 } from 'js-sha256';
+import { translate } from '../i18n';
 
 class ZKProofService {
   constructor() {
@@ -95,9 +96,12 @@ class ZKProofService {
    * Generar prueba ZK para login
    * @param {string} password - Contraseña del usuario
    * @param {string} userAddress - Dirección del usuario
+   * @param {string} challengeNonce - Nonce emitido por el backend (POST /auth/challenge)
+   * @param {Function} onProgress - Callback opcional con eventos de etapa
+   *   { stage, status, durationMs? } (input_built, witness_computed, proof_generated)
    * @returns {Object} Resultado con prueba y señales públicas
    */
-  async generateLoginProof(password, userAddress) {
+  async generateLoginProof(password, userAddress, challengeNonce = '0', onProgress = () => {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -106,20 +110,26 @@ class ZKProofService {
       console.log('🔐 Generando prueba ZK para login...');
 
       // Preparar entradas del circuito
-      const input = this.prepareCircuitInput(password, userAddress);
+      const input = await this.trackStage(onProgress, 'input_built', () =>
+        this.prepareCircuitInput(password, userAddress, challengeNonce)
+      );
 
       // Generar prueba
       if (this.wasmBuffer && this.zkeyBuffer) {
-        return await this.generateRealProof(input);
+        return await this.generateRealProof(input, onProgress);
       } else {
-        return this.generateMockProof(input);
+        onProgress({ stage: 'witness_computed', status: 'skipped', reason: 'mock' });
+        return await this.trackStage(onProgress, 'proof_generated', () =>
+          this.generateMockProof(input)
+        );
       }
 
     } catch (error) {
       console.error('Error generando prueba ZK:', error);
       
       // Fallback a prueba mock
-      const input = this.prepareCircuitInput(password, userAddress);
+      const input = this.prepareCircuitInput(password, userAddress, challengeNonce);
+      onProgress({ stage: 'proof_generated', status: 'completed', mock: true });
       return this.generateMockProof(input);
     }
   }
@@ -128,18 +138,20 @@ class ZKProofService {
    * Preparar entrada para el circuito
    * @param {string} password - Contraseña
    * @param {string} userAddress - Dirección del usuario
+   * @param {string} challengeNonce - Nonce del desafío ('0' si no hay desafío, p.ej. en registro)
    * @returns {Object} Input del circuito
    */
-  prepareCircuitInput(password, userAddress) {
+  prepareCircuitInput(password, userAddress, challengeNonce = '0') {
     // Generar hash SHA256 de la contraseña
     const passwordHash = sha256(password);
     
-    // Generar salt basado en la dirección del usuario
-    const salt = sha256(userAddress + Date.now().toString());
+    // Salt determinista, igual que en el backend (zkService.generateCircuitInput):
+    // el commitment registrado se calcula allí y la prueba tiene que reproducirlo
+    const salt = passwordHash.substring(0, 32);
     
-    // Convertir hashes a arrays de bytes
+    // Convertir hash y salt al formato de entrada del circuito
     const passwordHashArray = this.hexStringToByteArray(passwordHash);
-    const saltArray = this.hexStringToByteArray(salt);
+    const saltArray = this.stringToFieldArray(salt);
     
     // Generar secreto de usuario (simplificado)
     const userSecret = this.generateUserSecret(userAddress);
@@ -147,15 +159,12 @@ class ZKProofService {
     // Timestamp actual
     const timestamp = Math.floor(Date.now() / 1000);
     
-    // Nonce de desafío
-    const challengeNonce = Math.floor(Math.random() * 1000000);
-
     const input = {
       passwordHash: passwordHashArray,
       salt: saltArray,
       userSecret: userSecret,
       timestamp: timestamp,
-      challengeNonce: challengeNonce
+      challengeNonce: challengeNonce.toString()
     };
 
     if (this.config.debug) {
@@ -173,17 +182,22 @@ class ZKProofService {
 
   /**
    * Generar prueba real con snarkjs
+   * Witness y prueba se calculan por separado para poder medir cada etapa.
    * @param {Object} input - Input del circuito
+   * @param {Function} onProgress - Callback opcional con eventos de etapa
    * @returns {Object} Prueba y señales públicas
    */
-  async generateRealProof(input) {
+  async generateRealProof(input, onProgress = () => {}) {
     try {
       console.log('⚡ Generando prueba real con snarkjs...');
 
-      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
-        input,
-        new Uint8Array(this.wasmBuffer),
-        new Uint8Array(this.zkeyBuffer)
+      const witness = { type: 'mem' };
+      await this.trackStage(onProgress, 'witness_computed', () =>
+        snarkjs.wtns.calculate(input, new Uint8Array(this.wasmBuffer), witness)
+      );
+
+      const { proof, publicSignals } = await this.trackStage(onProgress, 'proof_generated', () =>
+        snarkjs.groth16.prove(new Uint8Array(this.zkeyBuffer), witness)
       );
 
       console.log('✅ Prueba ZK generada exitosamente');
@@ -237,12 +251,17 @@ class ZKProofService {
       curve: "bn128"
     };
 
-    // Generar señales públicas mock
+    // Generar señales públicas mock (mismo orden que el circuito real)
     const mockPublicSignals = [
-      // Hash commitment (simulado)
-      "0x" + sha256(JSON.stringify(input)).substring(0, 16),
+      // Hash commitment (simulado): misma fórmula que el mock del backend, solo
+      // depende del hash de contraseña y el salt
+      "0x" + sha256(JSON.stringify([input.passwordHash, input.salt])).substring(0, 16),
+      // Flag de validez
+      "1",
       // Timestamp
-      input.timestamp.toString()
+      input.timestamp.toString(),
+      // Nonce del desafío
+      input.challengeNonce.toString()
     ];
 
     return {
@@ -314,6 +333,27 @@ class ZKProofService {
    * FUNCIONES DE UTILIDAD
    */
 
+  /**
+   * Ejecutar una etapa notificando inicio, fin y duración
+   * @param {Function} onProgress - Callback de progreso
+   * @param {string} stage - Nombre de la etapa
+   * @param {Function} fn - Trabajo de la etapa
+   */
+  async trackStage(onProgress, stage, fn) {
+    const start = Date.now();
+    onProgress({ stage, status: 'started' });
+
+    try {
+      const result = await fn();
+      onProgress({ stage, status: 'completed', durationMs: Date.now() - start });
+      return result;
+
+    } catch (error) {
+      onProgress({ stage, status: 'failed', durationMs: Date.now() - start, error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Convertir string hexadecimal a array de bytes
    * @param {string} hexString - String hexadecimal
@@ -333,6 +373,25 @@ class ZKProofService {
     return bytes.slice(0, 32);
   }
 
+  /**
+   * Convertir string a array de field elements (códigos de carácter)
+   * Mismo formato que zkService.stringToFieldArray en el backend
+   * @param {string} str - String a convertir
+   * @returns {Array} 32 field elements como strings
+   */
+  stringToFieldArray(str) {
+    const result = [];
+    for (let i = 0; i < str.length; i++) {
+      result.push(str.charCodeAt(i).toString());
+    }
+
+    while (result.length < 32) {
+      result.push('0');
+    }
+
+    return result.slice(0, 32);
+  }
+
   /**
    * Generar secreto de usuario basado en su dirección
    * @param {string} userAddress - Dirección del usuario
@@ -372,11 +431,11 @@ class ZKProofService {
     const errors = [];
 
     if (!password || password.length < 6) {
-      errors.push('La contraseña debe tener al menos 6 caracteres');
+      errors.push(translate('messages.passwordTooShort'));
     }
 
     if (!userAddress || !/^0x[a-fA-F0-9]{40}$/.test(userAddress)) {
-      errors.push('Dirección de usuario inválida');
+      errors.push(translate('messages.invalidUserAddress'));
     }
 
     return {
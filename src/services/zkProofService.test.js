@@ -0,0 +1,26 @@
+import zkProofService from './zkProofService';
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+
+// Mismo vector que Backend/services/zkService.test.js: el commitment del
+// registro lo calcula el backend y la prueba del cliente tiene que coincidir
+const PASSWORD = 'Secreta123!';
+const COMMITMENT = '0xd3f6c033d6813304';
+
+describe('zkProofService.prepareCircuitInput', () => {
+  test('el salt es determinista: misma contraseña, misma entrada', () => {
+    const first = zkProofService.prepareCircuitInput(PASSWORD, ADDRESS, '1');
+    const second = zkProofService.prepareCircuitInput(PASSWORD, ADDRESS, '2');
+
+    expect(second.salt).toEqual(first.salt);
+    expect(second.passwordHash).toEqual(first.passwordHash);
+  });
+
+  test('la prueba mock da el commitment que calcula el backend', () => {
+    const input = zkProofService.prepareCircuitInput(PASSWORD, ADDRESS, '7');
+    const { publicSignals } = zkProofService.generateMockProof(input);
+
+    expect(publicSignals[0]).toBe(COMMITMENT);
+    expect(publicSignals[3]).toBe('7');
+  });
+});
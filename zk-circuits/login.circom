@@ -8,6 +8,7 @@ pragma circom 2.2.2;
  * - Hash de la contraseña (privado)
  * - Salt (privado) 
  * - Timestamp (público)
+ * - Nonce del desafío (público, de /auth/challenge)
  * 
  * Y produce como salida:
  * - Hash commitment (público)
@@ -90,11 +91,15 @@ template LoginCircuit() {
     // VALIDACIONES DE SEGURIDAD
     // ================================
     
-    // Validar que el timestamp esté dentro de un rango razonable
-    // (por ejemplo, no más de 1 hora en el futuro o pasado)
-    component timestampValidation = TimestampValidator();
-    timestampValidation.timestamp <== timestamp;
-    timestampValidation.currentTime <== challengeNonce; // Usar nonce como proxy del tiempo actual
+    // El circuito no conoce la hora actual: solo acota el timestamp a 64 bits.
+    // La frescura (timestamp y nonce de un solo uso) la comprueba el backend.
+    timestampBits.in <== timestamp;
+
+    // Ligar el nonce a la prueba. Es un valor de 248 bits sin relación con el
+    // timestamp, así que no se compara con él; basta con que forme parte de
+    // una restricción para que la prueba no sirva con otro nonce.
+    signal nonceSquare;
+    nonceSquare <== challengeNonce * challengeNonce;
     
     // Validar que el passwordHash no sea todo ceros (password vacío)
     component passwordNotZero = NonZeroValidator(32);
@@ -115,11 +120,10 @@ template LoginCircuit() {
     secretValidation.max <== 999999999;   // Máximo valor del secreto
     
     // Combinar todas las validaciones
-    component validationAnd = MultiAND(4);
-    validationAnd.in[0] <== timestampValidation.isValid;
-    validationAnd.in[1] <== passwordNotZero.isNotZero;
-    validationAnd.in[2] <== saltNotZero.isNotZero;
-    validationAnd.in[3] <== secretValidation.isValid;
+    component validationAnd = MultiAND(3);
+    validationAnd.in[0] <== passwordNotZero.isNotZero;
+    validationAnd.in[1] <== saltNotZero.isNotZero;
+    validationAnd.in[2] <== secretValidation.isValid;
     
     isValid <== validationAnd.out;
     
@@ -141,28 +145,6 @@ template LoginCircuit() {
 // TEMPLATES AUXILIARES
 // ================================
 
-/*
- * Validador de timestamp
- * Verifica que el timestamp esté dentro de un rango razonable
- */
-template TimestampValidator() {
-    signal input timestamp;
-    signal input currentTime;
-    signal output isValid;
-    
-    // Calcular diferencia absoluta (simplificado)
-    component diff = AbsDifference();
-    diff.a <== timestamp;
-    diff.b <== currentTime;
-    
-    // Validar que la diferencia sea menor a 3600 (1 hora en segundos)
-    component rangeCheck = LessThan(32);
-    rangeCheck.in[0] <== diff.out;
-    rangeCheck.in[1] <== 3600;
-    
-    isValid <== rangeCheck.out;
-}
-
 /*
  * Validador de que un array no sea todo ceros
  */
@@ -206,26 +188,6 @@ template RangeValidator() {
     isValid <== and.out;
 }
 
-/*
- * Diferencia absoluta entre dos números
- */
-template AbsDifference() {
-    signal input a;
-    signal input b;
-    signal output out;
-    
-    component lt = LessThan(32);
-    lt.in[0] <== a;
-    lt.in[1] <== b;
-    
-    component mux = Mux1();
-    mux.c[0] <== a - b;  // Si a >= b
-    mux.c[1] <== b - a;  // Si a < b
-    mux.s <== lt.out;
-    
-    out <== mux.out;
-}
-
 /*
  * Suma de un array de números
  */
@@ -274,7 +236,9 @@ template MultiAND(n) {
 // INSTANCIA PRINCIPAL DEL CIRCUITO
 // ================================
 
-component main = LoginCircuit();
+// Señales públicas: [hashCommitment, isValid, timestamp, challengeNonce]
+// (ver ZKService.PUBLIC_SIGNALS en el backend)
+component main {public [timestamp, challengeNonce]} = LoginCircuit();
 
 /*
  * NOTAS DE IMPLEMENTACIÓN: